@@ -0,0 +1,55 @@
+/**
+ * LLM Configuration
+ * Which provider and model serve each kind of call (its purpose), and how long
+ * calls may take. Services pass a purpose and their preferred model; a route
+ * naming a model overrides it. LLM_ROUTES (JSON) is merged over the routes
+ * below, e.g. {"classification":{"provider":"local","model":"llama3.1:8b"}}.
+ */
+
+const parseRoutes = (value) => {
+  if (!value) return {};
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`LLM_ROUTES is not valid JSON: ${error.message}`);
+  }
+};
+
+const defaultRoutes = {
+  // Intent classification of user messages
+  classification: { timeoutMs: 15000 },
+  // Transfer / swap / pipeline arguments from a message
+  argument_extraction: { timeoutMs: 30000 },
+  // Multi-layer strategy generation; long outputs
+  strategy: { timeoutMs: 120000 },
+  // Market information and token analysis answers
+  information: { timeoutMs: 120000 },
+  // Feedback on past actions
+  feedback: {},
+  // Free-form agent chat
+  chat: {}
+};
+
+const overrides = parseRoutes(process.env.LLM_ROUTES);
+
+const llmConfig = {
+  // Provider for routes that don't name one: together, local or fixture
+  provider: process.env.LLM_PROVIDER || 'together',
+
+  // Default time limit per call, streams included
+  timeoutMs: parseInt(process.env.AI_REQUEST_TIMEOUT) || 60000,
+
+  routes: Object.fromEntries(
+    [...new Set([...Object.keys(defaultRoutes), ...Object.keys(overrides)])]
+      .map(purpose => [purpose, { ...defaultRoutes[purpose], ...overrides[purpose] }])
+  ),
+
+  // Responses to near-deterministic calls (temperature at most maxTemperature) are reused
+  cache: {
+    ttlSeconds: parseInt(process.env.LLM_CACHE_TTL_SECONDS ?? '300'),
+    maxEntries: parseInt(process.env.LLM_CACHE_MAX_ENTRIES) || 500,
+    maxTemperature: 0.2
+  }
+};
+
+module.exports = llmConfig;
@@ -928,6 +928,11 @@ const options = {
               type: 'string',
               enum: ['immediate', 'delayed'],
               description: 'Execution timing for the action'
+            },
+            requires_approval: {
+              type: 'boolean',
+              description: 'Hold the action until the user confirms it with an approval code',
+              example: false
             }
           }
         },
@@ -1210,6 +1215,239 @@ const options = {
             }
           }
         },
+        ApprovalRequest: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string'
+            },
+            action: {
+              type: 'string',
+              enum: ['swap', 'transfer', 'stake', 'unstake', 'add_liquidity', 'remove_liquidity', 'pipeline_action']
+            },
+            agentId: {
+              type: 'string',
+              nullable: true
+            },
+            summary: {
+              type: 'object',
+              description: 'What is being approved: token, toToken, amount, recipient, network, valueUsd (pipelineId, nodeId, name for pipeline actions)'
+            },
+            reasons: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  code: {
+                    type: 'string',
+                    enum: ['OVER_APPROVAL_THRESHOLD', 'NEW_RECIPIENT', 'PIPELINE_ACTION_FLAGGED']
+                  },
+                  message: { type: 'string' }
+                }
+              }
+            },
+            status: {
+              type: 'string',
+              enum: ['pending', 'confirmed', 'executing', 'executed', 'failed', 'rejected', 'expired']
+            },
+            executesOnConfirm: {
+              type: 'boolean',
+              description: 'false: once confirmed, resubmit the same transaction to execute it'
+            },
+            expiresAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            result: {
+              type: 'object',
+              description: 'Result of the executed transaction or pipeline run'
+            },
+            error: {
+              type: 'string'
+            }
+          }
+        },
+        AuditLogEntry: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string'
+            },
+            traceId: {
+              type: 'string',
+              description: 'Shared by the entries of one request (X-Request-Id) or pipeline run (pipeline-run:<runId>)'
+            },
+            type: {
+              type: 'string',
+              enum: ['classification', 'argument_extraction', 'policy_check', 'approval', 'transaction', 'transaction_status']
+            },
+            userId: { type: 'string' },
+            agentId: { type: 'string', nullable: true },
+            apiKeyId: { type: 'string', nullable: true },
+            message: {
+              type: 'string',
+              description: "The user's original message"
+            },
+            model: {
+              type: 'string',
+              nullable: true,
+              description: 'LLM that made the decision; null for rule-based fallbacks'
+            },
+            promptHash: {
+              type: 'string',
+              description: 'SHA-256 of the prompt sent to the model'
+            },
+            output: {
+              type: 'object',
+              description: 'Classifier or extractor output'
+            },
+            arguments: {
+              type: 'object',
+              description: 'Resolved transaction arguments'
+            },
+            policy: {
+              type: 'object',
+              description: 'Policy evaluation: allowed, violations, approvalReasons, valueUsd'
+            },
+            network: { type: 'string' },
+            transactionHash: { type: 'string' },
+            outcome: {
+              type: 'string',
+              example: 'allowed',
+              description: 'success/fallback, allowed/blocked/held, requested/approved/rejected/executed/failed, submitted, confirmed/reverted/dropped/replaced'
+            },
+            error: { type: 'string' },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        LlmUsage: {
+          type: 'object',
+          properties: {
+            provider: { type: 'string', example: 'together' },
+            model: { type: 'string', example: 'meta-llama/Meta-Llama-3.1-8B-Instruct-Turbo' },
+            purpose: { type: 'string', example: 'classification' },
+            requests: { type: 'integer' },
+            cachedResponses: { type: 'integer' },
+            failures: { type: 'integer' },
+            promptTokens: { type: 'integer' },
+            completionTokens: { type: 'integer' },
+            totalTokens: { type: 'integer' }
+          }
+        },
+        StreamEvent: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              example: 42,
+              description: 'Position in your stream; reconnect with it as cursor / Last-Event-ID'
+            },
+            topic: {
+              type: 'string',
+              enum: ['strategy', 'chat', 'transaction', 'stream']
+            },
+            type: {
+              type: 'string',
+              example: 'progress',
+              description: 'strategy: progress/queued/completed/failed/cancelled; chat: stage/token; transaction: submitted/confirmed/reverted/dropped/replaced; stream: gap'
+            },
+            requestId: {
+              type: 'string',
+              nullable: true,
+              description: 'X-Request-Id of the request that caused the event'
+            },
+            data: {
+              type: 'object',
+              description: 'Event payload, e.g. { processingId, layer, percentage } or { index, delta }'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        SpendingPolicy: {
+          type: 'object',
+          properties: {
+            enabled: {
+              type: 'boolean',
+              example: true
+            },
+            maxTransactionUsd: {
+              type: 'number',
+              nullable: true,
+              description: 'Largest USD value of a single transaction',
+              example: 100
+            },
+            dailyLimitUsd: {
+              type: 'number',
+              nullable: true,
+              description: 'USD cap over a rolling 24 hours',
+              example: 500
+            },
+            weeklyLimitUsd: {
+              type: 'number',
+              nullable: true,
+              description: 'USD cap over a rolling 7 days',
+              example: 2000
+            },
+            tokenLimits: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  token: { type: 'string', example: 'TON' },
+                  maxAmount: { type: 'number', nullable: true, description: 'Per transaction, in token units' },
+                  dailyLimitUsd: { type: 'number', nullable: true }
+                }
+              }
+            },
+            allowedTokens: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Tokens that may be traded or sent; empty allows any (stablecoins are always allowed)',
+              example: ['TON', 'DUCK']
+            },
+            contactsOnly: {
+              type: 'boolean',
+              description: 'Transfers only to contacts and allowedRecipients',
+              example: false
+            },
+            allowedRecipients: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Addresses transfers may go to'
+            },
+            maxSlippagePercent: {
+              type: 'number',
+              nullable: true,
+              example: 1
+            },
+            approvalThresholdUsd: {
+              type: 'number',
+              nullable: true,
+              description: 'Transactions worth more than this wait for confirmation with a code',
+              example: 250
+            },
+            approveNewRecipients: {
+              type: 'boolean',
+              description: 'Transfers to addresses not in your contacts wait for confirmation',
+              example: true
+            },
+            quietHours: {
+              type: 'object',
+              properties: {
+                enabled: { type: 'boolean', example: true },
+                start: { type: 'string', example: '22:00' },
+                end: { type: 'string', example: '07:00' },
+                timezone: { type: 'string', example: 'Europe/Berlin' }
+              }
+            }
+          }
+        },
         Error: {
           type: 'object',
           properties: {
@@ -1245,6 +1483,11 @@ const options = {
           type: 'http',
           scheme: 'bearer',
           bearerFormat: 'JWT'
+        },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key'
         }
       }
     },
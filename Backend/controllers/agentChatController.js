@@ -1,19 +1,9 @@
 const { validationResult } = require('express-validator');
-const Together = require('together-ai').default;
+const llmService = require('../services/llmService');
+const { LlmOutputError } = llmService;
 const Memory = require('../models/Memory');
 const { fetchMarketData, formatMarketDataForAI } = require('../utils/marketData');
 
-// Initialize Together AI
-let together;
-try {
-  together = new Together({
-    apiKey: process.env.TOGETHER_API_KEY || 'dummy-key'
-  });
-} catch (error) {
-  console.warn('Together AI not initialized. Please set TOGETHER_API_KEY environment variable.');
-  together = null;
-}
-
 // Helper function to generate session ID
 const getSessionId = (req) => {
   const userAgent = req.headers['user-agent'] || 'unknown';
@@ -68,7 +58,7 @@ CATEGORY: [action/strategy/information/feedback]
 REASON: [brief explanation]`;
 
   try {
-    const response = await together.chat.completions.create({
+    const response = await llmService.chat('classification', {
       model: 'meta-llama/Meta-Llama-3.1-70B-Instruct-Turbo',
       messages: [{ role: 'user', content: classificationPrompt }],
       temperature: 0.3,
@@ -90,7 +80,7 @@ REASON: [brief explanation]`;
 };
 
 // Action demand handler
-const handleActionDemand = async (userMessage, sessionId, marketDataArray) => {
+const handleActionDemand = async (userMessage, userId, sessionId, marketDataArray) => {
   // Convert array back to the format expected by the prompts
   const marketData = marketDataArray;
   console.log('🎯 PROCESSING ACTION DEMAND');
@@ -121,18 +111,16 @@ Format as JSON:
 }`;
 
   try {
-    const paramResponse = await together.chat.completions.create({
-      model: 'meta-llama/Meta-Llama-3.1-70B-Instruct-Turbo',
-      messages: [{ role: 'user', content: parameterExtractionPrompt }],
-      temperature: 0.4,
-      max_tokens: 300
-    });
-
     let extractedParams;
     try {
-      const paramContent = paramResponse.choices[0]?.message?.content || '{}';
-      extractedParams = JSON.parse(paramContent.match(/\{[\s\S]*\}/)?.[0] || '{}');
-    } catch {
+      ({ data: extractedParams } = await llmService.chatJson('argument_extraction', 'chatActionParameters', {
+        model: 'meta-llama/Meta-Llama-3.1-70B-Instruct-Turbo',
+        messages: [{ role: 'user', content: parameterExtractionPrompt }],
+        temperature: 0.4,
+        max_tokens: 300
+      }));
+    } catch (error) {
+      if (!(error instanceof LlmOutputError)) throw error;
       extractedParams = { actionType: 'unknown', needsWalletAccess: true };
     }
 
@@ -153,7 +141,7 @@ Provide:
 
 Be specific about wallet connections, gas fees, slippage, timing, and any risks.`;
 
-    const planResponse = await together.chat.completions.create({
+    const planResponse = await llmService.chat('argument_extraction', {
       model: 'meta-llama/Meta-Llama-3.1-70B-Instruct-Turbo',
       messages: [{ role: 'user', content: actionPlanPrompt }],
       temperature: 0.6,
@@ -164,7 +152,7 @@ Be specific about wallet connections, gas fees, slippage, timing, and any risks.
 
     // Save to memory
     await Memory.create({
-      userId: 'anonymous',
+      userId,
       sessionId,
       agentId: 'agent-chat-system',
       userMessage,
@@ -214,7 +202,7 @@ Be specific about wallet connections, gas fees, slippage, timing, and any risks.
 };
 
 // Strategy demand handler
-const handleStrategyDemand = async (userMessage, sessionId, marketDataArray) => {
+const handleStrategyDemand = async (userMessage, userId, sessionId, marketDataArray) => {
   // Convert array back to the format expected by the prompts
   const marketData = marketDataArray;
   console.log('📊 PROCESSING STRATEGY DEMAND');
@@ -245,18 +233,16 @@ Format as JSON:
 }`;
 
   try {
-    const strategyResponse = await together.chat.completions.create({
-      model: 'meta-llama/Meta-Llama-3.1-70B-Instruct-Turbo',
-      messages: [{ role: 'user', content: strategyExtractionPrompt }],
-      temperature: 0.4,
-      max_tokens: 300
-    });
-
     let strategyParams;
     try {
-      const strategyContent = strategyResponse.choices[0]?.message?.content || '{}';
-      strategyParams = JSON.parse(strategyContent.match(/\{[\s\S]*\}/)?.[0] || '{}');
-    } catch {
+      ({ data: strategyParams } = await llmService.chatJson('strategy', 'chatStrategyParameters', {
+        model: 'meta-llama/Meta-Llama-3.1-70B-Instruct-Turbo',
+        messages: [{ role: 'user', content: strategyExtractionPrompt }],
+        temperature: 0.4,
+        max_tokens: 300
+      }));
+    } catch (error) {
+      if (!(error instanceof LlmOutputError)) throw error;
       strategyParams = { riskTolerance: 'moderate', timeHorizon: 'medium' };
     }
 
@@ -279,7 +265,7 @@ Provide a comprehensive strategy including:
 
 Focus on SEI network tokens and provide specific percentages for allocations.`;
 
-    const strategyGenResponse = await together.chat.completions.create({
+    const strategyGenResponse = await llmService.chat('strategy', {
       model: 'meta-llama/Meta-Llama-3.1-70B-Instruct-Turbo',
       messages: [{ role: 'user', content: strategyGenerationPrompt }],
       temperature: 0.6,
@@ -298,7 +284,7 @@ Focus on SEI network tokens and provide specific percentages for allocations.`;
 
     // Save to memory
     await Memory.create({
-      userId: 'anonymous',
+      userId,
       sessionId,
       agentId: 'agent-chat-system',
       userMessage,
@@ -346,7 +332,7 @@ Focus on SEI network tokens and provide specific percentages for allocations.`;
 };
 
 // Information demand handler
-const handleInformationDemand = async (userMessage, sessionId, marketDataArray) => {
+const handleInformationDemand = async (userMessage, userId, sessionId, marketDataArray) => {
   // Convert array back to the format expected by the prompts
   const marketData = marketDataArray;
   console.log('📚 PROCESSING INFORMATION DEMAND');
@@ -370,7 +356,7 @@ CATEGORY: [category]
 DATA_NEEDED: [specific information required]`;
 
   try {
-    const categoryResponse = await together.chat.completions.create({
+    const categoryResponse = await llmService.chat('classification', {
       model: 'meta-llama/Meta-Llama-3.1-70B-Instruct-Turbo',
       messages: [{ role: 'user', content: infoCategoryPrompt }],
       temperature: 0.3,
@@ -404,7 +390,7 @@ Provide:
 
 Be thorough but concise. Include specific numbers, percentages, and examples where relevant.`;
 
-    const infoResponse = await together.chat.completions.create({
+    const infoResponse = await llmService.chat('information', {
       model: 'meta-llama/Meta-Llama-3.1-70B-Instruct-Turbo',
       messages: [{ role: 'user', content: informationPrompt }],
       temperature: 0.5,
@@ -415,7 +401,7 @@ Be thorough but concise. Include specific numbers, percentages, and examples whe
 
     // Save to memory
     await Memory.create({
-      userId: 'anonymous',
+      userId,
       sessionId,
       agentId: 'agent-chat-system',
       userMessage,
@@ -458,7 +444,7 @@ Be thorough but concise. Include specific numbers, percentages, and examples whe
 };
 
 // Feedback demand handler
-const handleFeedbackDemand = async (userMessage, sessionId, marketDataArray) => {
+const handleFeedbackDemand = async (userMessage, userId, sessionId, marketDataArray) => {
   // Convert array back to the format expected by the prompts
   const marketData = marketDataArray;
   console.log('💭 PROCESSING FEEDBACK DEMAND');
@@ -487,18 +473,16 @@ Format as JSON:
 }`;
 
   try {
-    const feedbackResponse = await together.chat.completions.create({
-      model: 'meta-llama/Meta-Llama-3.1-70B-Instruct-Turbo',
-      messages: [{ role: 'user', content: feedbackExtractionPrompt }],
-      temperature: 0.4,
-      max_tokens: 300
-    });
-
     let feedbackParams;
     try {
-      const feedbackContent = feedbackResponse.choices[0]?.message?.content || '{}';
-      feedbackParams = JSON.parse(feedbackContent.match(/\{[\s\S]*\}/)?.[0] || '{}');
-    } catch {
+      ({ data: feedbackParams } = await llmService.chatJson('feedback', 'chatFeedbackContext', {
+        model: 'meta-llama/Meta-Llama-3.1-70B-Instruct-Turbo',
+        messages: [{ role: 'user', content: feedbackExtractionPrompt }],
+        temperature: 0.4,
+        max_tokens: 300
+      }));
+    } catch (error) {
+      if (!(error instanceof LlmOutputError)) throw error;
       feedbackParams = { sentiment: 'neutral', wantsAdvice: true };
     }
 
@@ -520,7 +504,7 @@ Provide:
 
 Be supportive but honest. Include specific market data and percentages where relevant.`;
 
-    const analysisResponse = await together.chat.completions.create({
+    const analysisResponse = await llmService.chat('feedback', {
       model: 'meta-llama/Meta-Llama-3.1-70B-Instruct-Turbo',
       messages: [{ role: 'user', content: feedbackAnalysisPrompt }],
       temperature: 0.6,
@@ -531,7 +515,7 @@ Be supportive but honest. Include specific market data and percentages where rel
 
     // Save to memory
     await Memory.create({
-      userId: 'anonymous',
+      userId,
       sessionId,
       agentId: 'agent-chat-system',
       userMessage,
@@ -586,6 +570,7 @@ const agentChat = async (req, res) => {
     }
 
     const { message } = req.body;
+    const userId = req.user.id;
     const sessionId = getSessionId(req);
 
     console.log('\n🤖 AGENT-CHAT REQUEST');
@@ -593,11 +578,11 @@ const agentChat = async (req, res) => {
     console.log('📱 Session ID:', sessionId);
     console.log('💬 Message:', message);
 
-    // Check if Together AI is initialized
-    if (!together || !process.env.TOGETHER_API_KEY) {
+    // Check if an LLM provider is configured
+    if (!llmService.isAvailable('chat')) {
       return res.status(500).json({
         success: false,
-        message: 'AI service not configured. Please set TOGETHER_API_KEY environment variable.'
+        message: 'AI service not configured. Set TOGETHER_API_KEY or another LLM_PROVIDER.'
       });
     }
 
@@ -619,19 +604,19 @@ const agentChat = async (req, res) => {
     let result;
     switch (category) {
       case 'action':
-        result = await handleActionDemand(message, sessionId, marketData);
+        result = await handleActionDemand(message, userId, sessionId, marketData);
         break;
       case 'strategy':
-        result = await handleStrategyDemand(message, sessionId, marketData);
+        result = await handleStrategyDemand(message, userId, sessionId, marketData);
         break;
       case 'information':
-        result = await handleInformationDemand(message, sessionId, marketData);
+        result = await handleInformationDemand(message, userId, sessionId, marketData);
         break;
       case 'feedback':
-        result = await handleFeedbackDemand(message, sessionId, marketData);
+        result = await handleFeedbackDemand(message, userId, sessionId, marketData);
         break;
       default:
-        result = await handleInformationDemand(message, sessionId, marketData);
+        result = await handleInformationDemand(message, userId, sessionId, marketData);
     }
 
     console.log('✅ AGENT-CHAT COMPLETED');
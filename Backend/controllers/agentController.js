@@ -6,9 +6,11 @@ const WalletService = require('../services/walletService');
 const SeiMarketDataService = require('../services/seiMarketDataService');
 const seiAgentService = require('../services/seiAgentService');
 const axios = require('axios');
-const Together = require('together-ai').default;
+const llmService = require('../services/llmService');
+const { LlmOutputError } = llmService;
 const { v4: uuidv4 } = require('uuid');
 const mongoose = require('mongoose');
+const { isAdmin } = require('../middleware/auth');
 
 // @desc    Create a new agent
 // @route   POST /api/agents
@@ -169,7 +171,7 @@ const getAgentTypeConfiguration = (agentType, name, primaryStrategy, userConfig)
 
 // @desc    Create a simple agent with Hedera wallet (minimal configuration)
 // @route   POST /api/agents/simple
-// @access  Public (should be protected in production)
+// @access  Private
 const createSimpleAgent = async (req, res) => {
   const startTime = Date.now();
   
@@ -690,11 +692,11 @@ const createIntelligentAgent = async (req, res) => {
     const { message, userId = 'anonymous' } = req.body;
     const sessionId = getSessionId(req);
 
-    // Check if Together AI is configured
-    if (!process.env.TOGETHER_API_KEY) {
+    // Check if an LLM provider is configured
+    if (!llmService.isAvailable('strategy')) {
       return res.status(500).json({
         success: false,
-        message: 'AI service not configured. Please set TOGETHER_API_KEY environment variable.'
+        message: 'AI service not configured. Set TOGETHER_API_KEY or another LLM_PROVIDER.'
       });
     }
 
@@ -912,13 +914,6 @@ CRITICAL FORMAT REQUIREMENTS:
       console.log(extractionPrompt);
       console.log('-'.repeat(80));
 
-      // Initialize Together AI
-      console.log('\n🔧 INITIALIZING TOGETHER AI...');
-      const together = new Together({
-        apiKey: process.env.TOGETHER_API_KEY
-      });
-      console.log('✅ Together AI initialized successfully');
-
       const messages = [
         {
           role: 'system',
@@ -933,35 +928,26 @@ CRITICAL FORMAT REQUIREMENTS:
       console.log('\n📤 SENDING REQUEST TO AI MODEL: Qwen/Qwen3-235B-A22B-fp8-tput');
       console.log('⚙️  Temperature: 0.3, Max Tokens: 3000');
       
-      // Call Together AI with Qwen model
-      const aiResponse = await together.chat.completions.create({
-        model: 'meta-llama/Llama-3.3-70B-Instruct-Turbo-Free',
-        messages: messages,
-        temperature: 0.3,
-        max_tokens: 3000
-      });
-
-      console.log('✅ AI RESPONSE RECEIVED');
-      console.log('📊 Response Length:', aiResponse.choices[0].message.content.length, 'characters');
-
       let extractedData;
       try {
+        // Parsed and checked against the agentStrategy schema, with one re-ask
+        const { data, response: aiResponse } = await llmService.chatJson('strategy', 'agentStrategy', {
+          model: 'meta-llama/Llama-3.3-70B-Instruct-Turbo-Free',
+          messages: messages,
+          temperature: 0.3,
+          max_tokens: 3000
+        });
+
+        console.log('✅ AI RESPONSE RECEIVED');
         const aiContent = aiResponse.choices[0].message.content;
+        console.log('📊 Response Length:', aiContent.length, 'characters');
         
         console.log('\n📄 RAW AI RESPONSE:');
         console.log('-'.repeat(80));
         console.log(aiContent);
         console.log('-'.repeat(80));
         
-        // Clean the response to extract JSON
-        console.log('\n🔍 PARSING JSON FROM AI RESPONSE...');
-        const jsonMatch = aiContent.match(/\{[\s\S]*\}/);
-        if (!jsonMatch) {
-          throw new Error('No JSON found in AI response');
-        }
-        
-        console.log('📦 JSON EXTRACTED, LENGTH:', jsonMatch[0].length, 'characters');
-        extractedData = JSON.parse(jsonMatch[0]);
+        extractedData = data;
         
         console.log('✅ JSON PARSED SUCCESSFULLY');
         console.log('🎯 EXTRACTED STRATEGY:', extractedData.primaryStrategy);
@@ -976,6 +962,8 @@ CRITICAL FORMAT REQUIREMENTS:
         }
         
       } catch (parseError) {
+        // Provider failures go to the handler below; only unusable answers get the fallback
+        if (!(parseError instanceof LlmOutputError)) throw parseError;
         console.error('❌ FAILED TO PARSE AI RESPONSE:', parseError);
         console.log('🔄 USING FALLBACK STRATEGY...');
         
@@ -1303,7 +1291,7 @@ CRITICAL FORMAT REQUIREMENTS:
       });
 
     } catch (aiError) {
-      console.error('Together AI Error:', aiError.response?.data || aiError.message);
+      console.error('LLM Error:', aiError.response?.data || aiError.message);
       
       // Fallback: Create agent with basic analysis of the user message
       const fallbackData = {
@@ -1371,7 +1359,7 @@ CRITICAL FORMAT REQUIREMENTS:
 
 // @desc    Generate trading strategy using AI (no agent creation)
 // @route   POST /api/agents/generate-strategy
-// @access  Public (should be protected in production)
+// @access  Private
 const generateStrategy = async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -1385,11 +1373,11 @@ const generateStrategy = async (req, res) => {
     const { message, userId, sessionId: providedSessionId } = req.body;
     const sessionId = providedSessionId || getSessionId(req);
 
-    // Check if Together AI is configured
-    if (!process.env.TOGETHER_API_KEY) {
+    // Check if an LLM provider is configured
+    if (!llmService.isAvailable('strategy')) {
       return res.status(500).json({
         success: false,
-        message: 'AI service not configured. Please set TOGETHER_API_KEY environment variable.'
+        message: 'AI service not configured. Set TOGETHER_API_KEY or another LLM_PROVIDER.'
       });
     }
 
@@ -1602,11 +1590,6 @@ CRITICAL FORMAT REQUIREMENTS:
 - Ensure the JSON is valid and properly formatted with no duplicate keys`;
 
     try {
-      console.log('\n🔧 INITIALIZING TOGETHER AI...');
-      const together = new Together({
-        apiKey: process.env.TOGETHER_API_KEY
-      });
-
       const messages = [
         {
           role: 'system',
@@ -1619,29 +1602,20 @@ CRITICAL FORMAT REQUIREMENTS:
       ];
 
       console.log('\n📤 SENDING REQUEST TO AI MODEL...');
-      const aiResponse = await together.chat.completions.create({
-        model: 'meta-llama/Llama-3.3-70B-Instruct-Turbo-Free',
-        messages: messages,
-        temperature: 0.3,
-        max_tokens: 3000
-      });
-
-      console.log('✅ AI RESPONSE RECEIVED');
-
       let extractedData;
       try {
-        const aiContent = aiResponse.choices[0].message.content;
-        console.log('\n🔍 PARSING JSON FROM AI RESPONSE...');
-        
-        const jsonMatch = aiContent.match(/\{[\s\S]*\}/);
-        if (!jsonMatch) {
-          throw new Error('No JSON found in AI response');
-        }
-        
-        extractedData = JSON.parse(jsonMatch[0]);
+        // Parsed and checked against the agentStrategy schema, with one re-ask
+        ({ data: extractedData } = await llmService.chatJson('strategy', 'agentStrategy', {
+          model: 'meta-llama/Llama-3.3-70B-Instruct-Turbo-Free',
+          messages: messages,
+          temperature: 0.3,
+          max_tokens: 3000
+        }));
         console.log('✅ STRATEGY GENERATED SUCCESSFULLY');
         
       } catch (parseError) {
+        // Provider failures go to the handler below; only unusable answers get the fallback
+        if (!(parseError instanceof LlmOutputError)) throw parseError;
         console.error('❌ FAILED TO PARSE AI RESPONSE:', parseError);
         
         // Enhanced fallback with better analysis
@@ -2165,7 +2139,7 @@ const createAgentFromStrategy = async (req, res) => {
 
 // @desc    Modify agent strategy with new prompt
 // @route   PUT /api/agents/:id/modify-strategy
-// @access  Public (should be protected in production)
+// @access  Private
 const modifyAgentStrategy = async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -2242,7 +2216,7 @@ const modifyAgentStrategy = async (req, res) => {
     }
 
          // Verify the agent belongs to the user (skip for memory-based agents)
-     if (!isNewAgentFromMemory && existingAgent.userId !== userId) {
+     if (!isNewAgentFromMemory && String(existingAgent.userId) !== String(userId) && !isAdmin(req)) {
        return res.status(403).json({
          success: false,
          message: 'Unauthorized: Agent belongs to different user'
@@ -2273,7 +2247,7 @@ const modifyAgentStrategy = async (req, res) => {
      }
 
      // Generate new strategy using the same AI model
-    if (!process.env.TOGETHER_API_KEY) {
+    if (!llmService.isAvailable('strategy')) {
       return res.status(500).json({
         success: false,
         message: 'AI service not configured'
@@ -2468,10 +2442,6 @@ CRITICAL FORMAT REQUIREMENTS:
 
     try {
       console.log('\n🤖 GENERATING NEW STRATEGY...');
-      const together = new Together({
-        apiKey: process.env.TOGETHER_API_KEY
-      });
-
       const messages = [
         {
           role: 'system',
@@ -2483,24 +2453,20 @@ CRITICAL FORMAT REQUIREMENTS:
         }
       ];
 
-      const aiResponse = await together.chat.completions.create({
-        model: 'meta-llama/Llama-3.3-70B-Instruct-Turbo-Free',
-        messages: messages,
-        temperature: 0.3,
-        max_tokens: 3000
-      });
-
       let newStrategy;
       try {
-        const aiContent = aiResponse.choices[0].message.content;
-        const jsonMatch = aiContent.match(/\{[\s\S]*\}/);
-        if (!jsonMatch) {
-          throw new Error('No JSON found in AI response');
-        }
-        newStrategy = JSON.parse(jsonMatch[0]);
+        // Parsed and checked against the agentStrategy schema, with one re-ask
+        ({ data: newStrategy } = await llmService.chatJson('strategy', 'agentStrategy', {
+          model: 'meta-llama/Llama-3.3-70B-Instruct-Turbo-Free',
+          messages: messages,
+          temperature: 0.3,
+          max_tokens: 3000
+        }));
         console.log('✅ NEW STRATEGY GENERATED');
       } catch (parseError) {
-        console.error('❌ Failed to parse AI response, using fallback');
+        // Provider failures go to the handler below; only unusable answers get the fallback
+        if (!(parseError instanceof LlmOutputError)) throw parseError;
+        console.error('❌ Failed to parse AI response, using fallback:', parseError.message);
         // Fallback strategy based on existing agent
         newStrategy = {
           agentName: `${existingAgent.name} (Modified)`,
@@ -2772,7 +2738,7 @@ CRITICAL FORMAT REQUIREMENTS:
 
 // @desc    Approve agent to begin work
 // @route   PUT /api/agents/:id/approve
-// @access  Public (should be protected in production)
+// @access  Private
 const approveAgent = async (req, res) => {
   try {
     const { id } = req.params;
@@ -2792,15 +2758,7 @@ const approveAgent = async (req, res) => {
       });
     }
 
-    // Verify the agent belongs to the user
-    if (agent.userId !== userId) {
-      return res.status(403).json({
-        success: false,
-        message: 'Unauthorized: Agent belongs to different user'
-      });
-    }
-
-    // Update approval status
+    // Update approval status (ownership is checked by the route's ownsAgent guard)
     agent.isApproved = isApproved;
     agent.canBeginWork = isApproved;
     agent.updatedAt = new Date();
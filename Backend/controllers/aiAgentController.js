@@ -1,20 +1,10 @@
 const { validationResult } = require('express-validator');
-const Together = require('together-ai').default;
+const llmService = require('../services/llmService');
+const { LlmOutputError } = llmService;
 const Memory = require('../models/Memory');
 const Agent = require('../models/Agent');
 const { fetchMarketData, formatMarketDataForAI } = require('../utils/marketData');
 
-// Initialize Together AI
-let together;
-try {
-  together = new Together({
-    apiKey: process.env.TOGETHER_API_KEY || 'dummy-key'
-  });
-} catch (error) {
-  console.warn('Together AI not initialized. Please set TOGETHER_API_KEY environment variable.');
-  together = null;
-}
-
 // Helper function to generate or get session ID
 const getSessionId = (req) => {
   // For now, we'll use a combination of IP and User-Agent for session identification
@@ -119,7 +109,7 @@ const extractEnhancedContext = (userMessage, strategy, agent) => {
 
 // @desc    Chat with crypto DCA expert agent
 // @route   POST /api/agent/chat
-// @access  Public
+// @access  Private
 const chatWithAgent = async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -132,11 +122,11 @@ const chatWithAgent = async (req, res) => {
 
     const { message, agentId } = req.body;
 
-    // Check if Together AI is initialized
-    if (!together || !process.env.TOGETHER_API_KEY) {
+    // Check if an LLM provider is configured
+    if (!llmService.isAvailable('chat')) {
       return res.status(500).json({
         success: false,
-        message: 'AI service not configured. Please set TOGETHER_API_KEY environment variable.'
+        message: 'AI service not configured. Set TOGETHER_API_KEY or another LLM_PROVIDER.'
       });
     }
 
@@ -160,10 +150,9 @@ const chatWithAgent = async (req, res) => {
       { role: 'user', content: message }
     ];
 
-    const stream = await together.chat.completions.create({
+    const stream = llmService.streamChat('chat', {
       model: 'lgai/exaone-deep-32b',
       messages,
-      stream: true,
       temperature: 0.7,
       max_tokens: 1000
     });
@@ -302,11 +291,11 @@ const generateDCAStrategy = async (req, res) => {
     const { message, agentId } = req.body;
     const sessionId = getSessionId(req);
 
-    // Check if Together AI is initialized
-    if (!together || !process.env.TOGETHER_API_KEY) {
+    // Check if an LLM provider is configured
+    if (!llmService.isAvailable('strategy')) {
       return res.status(500).json({
         success: false,
-        message: 'AI service not configured. Please set TOGETHER_API_KEY environment variable.'
+        message: 'AI service not configured. Set TOGETHER_API_KEY or another LLM_PROVIDER.'
       });
     }
 
@@ -420,31 +409,17 @@ ${!isNewConversation ? 'Build upon the previous conversation naturally while cre
       { role: 'user', content: strategyPrompt }
     ];
 
-    const stream = await together.chat.completions.create({
-      model: 'meta-llama/Meta-Llama-3.1-8B-Instruct-Turbo',
-      messages,
-      stream: true,
-      temperature: 0.5,
-      max_tokens: 4000
-    });
-
-    let fullResponse = '';
-    
-    for await (const chunk of stream) {
-      const content = chunk.choices[0]?.delta?.content || '';
-      fullResponse += content;
-    }
-
-    // Parse the JSON response
     let parsedResponse;
     try {
-      const jsonMatch = fullResponse.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        parsedResponse = JSON.parse(jsonMatch[0]);
-      } else {
-        throw new Error('No JSON found in response');
-      }
+      ({ data: parsedResponse } = await llmService.chatJson('strategy', 'agentChatStrategy', {
+        model: 'meta-llama/Meta-Llama-3.1-8B-Instruct-Turbo',
+        messages,
+        temperature: 0.5,
+        max_tokens: 4000
+      }));
     } catch (parseError) {
+      if (!(parseError instanceof LlmOutputError)) throw parseError;
+
       // Improved fallback response with percentage allocations and budget proposals
       const memoryNote = memoryContext !== "NEW_CONVERSATION" ? 
         "Building upon previous interactions with this agent. " : "";
@@ -1,11 +1,14 @@
 const duckAgentService = require('../services/duckAgentService');
+const duckSwapService = require('../services/duckSwapService');
+const actionLedgerService = require('../services/actionLedgerService');
 const Agent = require('../models/Agent');
 const User = require('../models/User');
+const { isAdmin } = require('../middleware/auth');
 
 /**
  * Create a new DUCK agent
  * @route POST /api/agents/duck
- * @access Public (should be protected in production)
+ * @access Private
  */
 exports.createDuckAgent = async (req, res) => {
   try {
@@ -17,44 +20,53 @@ exports.createDuckAgent = async (req, res) => {
       configuration = {}
     } = req.body;
 
-    console.log(`🦆 Creating DUCK agent: ${name} for email: ${email}`);
+    console.log(`🦆 Creating DUCK agent: ${name} for email: ${email || req.user.email}`);
 
-    // Validate required fields - email is required for DUCK agents
-    if (!name || !email) {
+    // Validate required fields
+    if (!name) {
       return res.status(400).json({
         success: false,
-        message: 'Name and email are required'
+        message: 'Name is required'
       });
     }
 
-    // Validate email format
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid email format'
-      });
-    }
+    // Agents are created for the authenticated user; admins may name another user by email
+    let user = req.user;
 
-    // Find existing user or create new one based on email
-    let user;
-    
-    console.log(`🔍 Looking for user by email: ${email}`);
-    user = await User.findOne({ email: email });
-    
-    if (!user) {
-      // Create new user with email
-      console.log(`👤 Creating new user for email: ${email}`);
-      user = await User.create({
-        name: email.split('@')[0],
-        email: email,
-        userType: 'human',
-        isActive: true,
-        createdAt: new Date()
-      });
-      console.log(`✅ User created with ID: ${user._id}`);
-    } else {
-      console.log(`✅ Found existing user: ${user._id}`);
+    if (email && email !== req.user.email) {
+      if (!isAdmin(req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to create agents for another user'
+        });
+      }
+
+      // Validate email format
+      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+      if (!emailRegex.test(email)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid email format'
+        });
+      }
+
+      console.log(`🔍 Looking for user by email: ${email}`);
+      user = await User.findOne({ email: email });
+
+      if (!user) {
+        // Create new user with email
+        console.log(`👤 Creating new user for email: ${email}`);
+        user = await User.create({
+          name: email.split('@')[0],
+          email: email,
+          userType: 'human',
+          isActive: true,
+          createdAt: new Date()
+        });
+        console.log(`✅ User created with ID: ${user._id}`);
+      } else {
+        console.log(`✅ Found existing user: ${user._id}`);
+      }
     }
 
     // Use the actual user._id for agent creation
@@ -124,7 +136,7 @@ exports.createDuckAgent = async (req, res) => {
 /**
  * Get all DUCK agents for a user
  * @route GET /api/agents/duck
- * @access Public
+ * @access Private
  */
 exports.getDuckAgents = async (req, res) => {
   try {
@@ -169,7 +181,7 @@ exports.getDuckAgents = async (req, res) => {
 /**
  * Get a single DUCK agent by ID
  * @route GET /api/agents/duck/:id
- * @access Public
+ * @access Private
  */
 exports.getDuckAgent = async (req, res) => {
   try {
@@ -209,7 +221,7 @@ exports.getDuckAgent = async (req, res) => {
 /**
  * Execute a token swap
  * @route POST /api/agents/duck/:id/swap
- * @access Public
+ * @access Private
  */
 exports.executeSwap = async (req, res) => {
   try {
@@ -218,8 +230,9 @@ exports.executeSwap = async (req, res) => {
       fromToken,
       toToken,
       amount,
-      slippageTolerance = 15
+      slippageTolerance = 0.5
     } = req.body;
+    const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey;
 
     console.log(`🔄 Swap request for DUCK agent ${agentId}: ${amount} ${fromToken} → ${toToken}`);
 
@@ -247,26 +260,36 @@ exports.executeSwap = async (req, res) => {
       });
     }
 
-    // Execute the swap
-    const result = await duckAgentService.executeSwap(agentId, {
+    // Execute the swap; retried requests with the same key get the original result
+    const swapParams = {
       fromToken,
       toToken,
       amount: parseFloat(amount),
       slippageTolerance
-    });
+    };
+    const { result, replayed } = await actionLedgerService.execute({
+      scope: 'duck_swap',
+      key: idempotencyKey,
+      userId: agent.userId,
+      agentId,
+      params: swapParams
+    }, () => duckAgentService.executeSwap(agentId, swapParams));
 
     res.json({
       success: true,
-      message: 'Swap executed successfully',
-      data: result
+      message: replayed ? 'Swap already submitted' : 'Swap submitted',
+      data: result,
+      replayed
     });
 
   } catch (error) {
     console.error('❌ Error executing swap:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      message: 'Failed to execute swap',
-      error: error.message
+      message: error.approval ? 'Approval required' : 'Failed to execute swap',
+      error: error.message,
+      violations: error.violations,
+      approval: error.approval
     });
   }
 };
@@ -274,7 +297,7 @@ exports.executeSwap = async (req, res) => {
 /**
  * Execute a token transfer
  * @route POST /api/agents/duck/:id/transfer
- * @access Public
+ * @access Private
  */
 exports.executeTransfer = async (req, res) => {
   try {
@@ -326,10 +349,12 @@ exports.executeTransfer = async (req, res) => {
 
   } catch (error) {
     console.error('❌ Error executing transfer:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      message: 'Failed to execute transfer',
-      error: error.message
+      message: error.approval ? 'Approval required' : 'Failed to execute transfer',
+      error: error.message,
+      violations: error.violations,
+      approval: error.approval
     });
   }
 };
@@ -337,19 +362,19 @@ exports.executeTransfer = async (req, res) => {
 /**
  * Get agent balance using email
  * @route GET /api/agents/duck/balance?email=user@example.com
- * @access Public
+ * @access Private
  */
 exports.getAgentBalance = async (req, res) => {
   try {
-    const { email } = req.query;
+    const email = req.query.email || req.user.email;
 
     console.log(`💰 Balance request for DUCK agent with email: ${email}`);
 
-    // Validate email parameter
-    if (!email) {
-      return res.status(400).json({
+    // Other users' balances need admin
+    if (email !== req.user.email && !isAdmin(req)) {
+      return res.status(403).json({
         success: false,
-        message: 'Email parameter is required'
+        message: 'Not authorized to view another user\'s balance'
       });
     }
 
@@ -363,7 +388,7 @@ exports.getAgentBalance = async (req, res) => {
     }
 
     // Find user by email
-    const user = await User.findOne({ email: email });
+    const user = email === req.user.email ? req.user : await User.findOne({ email: email });
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -448,10 +473,43 @@ exports.getSupportedTokens = async (req, res) => {
   }
 };
 
+/**
+ * Quote a swap along the best single- or multi-hop route
+ * @route GET /api/agents/duck/quote
+ * @access Public
+ */
+exports.getSwapQuote = async (req, res) => {
+  try {
+    const { fromToken, toToken, amount, slippage = 0.5, from } = req.query;
+
+    if (!fromToken || !toToken || !amount) {
+      return res.status(400).json({
+        success: false,
+        message: 'fromToken, toToken, and amount are required'
+      });
+    }
+
+    const quote = await duckSwapService.getSwapQuote(fromToken, toToken, amount, slippage, { from });
+
+    res.json({
+      success: true,
+      data: quote
+    });
+
+  } catch (error) {
+    console.error('❌ Error getting swap quote:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: 'Failed to get swap quote',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Update a DUCK agent
  * @route PUT /api/agents/duck/:id
- * @access Public
+ * @access Private
  */
 exports.updateDuckAgent = async (req, res) => {
   try {
@@ -514,7 +572,7 @@ exports.updateDuckAgent = async (req, res) => {
 /**
  * Delete a DUCK agent
  * @route DELETE /api/agents/duck/:id
- * @access Public
+ * @access Private
  */
 exports.deleteDuckAgent = async (req, res) => {
   try {
@@ -1,5 +1,6 @@
 const EnhancedTransferService = require('../services/enhancedTransferService');
 const ContactsService = require('../services/contactsService');
+const actionLedgerService = require('../services/actionLedgerService');
 const { validationResult } = require('express-validator');
 
 class EnhancedTransferController {
@@ -74,7 +75,8 @@ class EnhancedTransferController {
       // Process the complete transfer
       const result = await this.transferService.processTransferRequest(completeMessage, userId);
 
-      res.json({
+      // Held for approval: the user confirms with POST /api/approvals/:id/confirm
+      res.status(result.approval ? 202 : 200).json({
         success: result.success,
         status: result.status,
         data: result,
@@ -98,20 +100,28 @@ class EnhancedTransferController {
   executeTransfer = async (req, res) => {
     try {
       const { userId, transferDetails } = req.body;
+      const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey;
 
       console.log('💸 Executing confirmed transfer...');
 
-      const result = await this.transferService.executeTransfer(transferDetails, userId);
+      // Retried requests with the same key get the original result, not a second transfer
+      const { result, replayed } = await actionLedgerService.execute({
+        scope: 'transfer',
+        key: idempotencyKey,
+        userId,
+        params: transferDetails
+      }, () => this.transferService.executeTransfer(transferDetails, userId));
 
-      res.json({
+      res.status(result.approval ? 202 : 200).json({
         success: result.success,
         execution: result,
+        replayed,
         timestamp: new Date().toISOString()
       });
 
     } catch (error) {
       console.error('❌ Transfer execution error:', error);
-      res.status(500).json({
+      res.status(error.status || 500).json({
         success: false,
         error: error.message,
         status: 'execution_error'
@@ -95,7 +95,7 @@ const getProductById = async (req, res) => {
 
 // @desc    Create new product
 // @route   POST /api/products
-// @access  Private (simplified for demo)
+// @access  Private/Admin
 const createProduct = async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -106,7 +106,7 @@ const createProduct = async (req, res) => {
       });
     }
 
-    const product = await Product.create(req.body);
+    const product = await Product.create({ ...req.body, createdBy: req.user.id });
     const populatedProduct = await Product.findById(product._id).populate('createdBy', 'name email');
 
     res.status(201).json({
@@ -123,7 +123,7 @@ const createProduct = async (req, res) => {
 
 // @desc    Update product
 // @route   PUT /api/products/:id
-// @access  Private (simplified for demo)
+// @access  Private/Admin
 const updateProduct = async (req, res) => {
   try {
     const product = await Product.findByIdAndUpdate(
@@ -156,7 +156,7 @@ const updateProduct = async (req, res) => {
 
 // @desc    Delete product
 // @route   DELETE /api/products/:id
-// @access  Private (simplified for demo)
+// @access  Private/Admin
 const deleteProduct = async (req, res) => {
   try {
     const product = await Product.findByIdAndDelete(req.params.id);
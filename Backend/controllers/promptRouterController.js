@@ -4,36 +4,17 @@ const actionsProcessingService = require('../services/actionsProcessingService')
 const seiAgentService = require('../services/seiAgentService');
 const EnhancedIntentService = require('../services/enhancedIntentService');
 const enhancedSwapIntentService = require('../services/enhancedSwapIntentService');
-const strategyProcessingService = require('../services/strategyProcessingService');
+const policyService = require('../services/policyService');
+const strategyJobService = require('../services/strategyJobService');
+const eventStreamService = require('../services/eventStreamService');
+const llmService = require('../services/llmService');
+const { getRequestContext } = require('../utils/requestContext');
 const Agent = require('../models/Agent');
 const { fetchMarketData } = require('../utils/marketData');
 const MCPMarketDataService = require('../services/mcpMarketDataService');
 
-// Initialize Together AI for information processing
-let Together;
-try {
-  Together = require('together-ai').default;
-} catch (error) {
-  console.warn('Together AI package not available - install with: npm install together-ai');
-}
-
-let together;
-if (Together && process.env.TOGETHER_API_KEY) {
-  try {
-    together = new Together({
-      apiKey: process.env.TOGETHER_API_KEY
-    });
-    
-    // Set global instance for use in other services
-    global.togetherAI = together;
-    
-    console.log('✅ TogetherAI initialized successfully and set globally');
-  } catch (error) {
-    console.error('❌ Together AI initialization failed:', error.message);
-  }
-} else {
-  console.warn('⚠️ TogetherAI not configured. Set TOGETHER_API_KEY environment variable.');
-}
+// Partial LLM output is pushed to the user's stream at most this often
+const TOKEN_FLUSH_INTERVAL_MS = 250;
 
 // Initialize Enhanced Intent Service
 const enhancedIntentService = new EnhancedIntentService();
@@ -394,13 +375,13 @@ class PromptRouterController {
       
       // Use AI for comprehensive strategy analysis with actionable tasks
       let strategyAnalysis = {};
-      if (together) {
+      if (llmService.isAvailable('strategy')) {
         try {
           console.log('🤖 Using TogetherAI for dynamic strategy analysis...');
           
           const strategyPrompt = this.buildEnhancedStrategyPrompt(message, tokenMentions, marketData);
           
-          const aiResponse = await together.chat.completions.create({
+          const { data } = await llmService.chatJson('strategy', 'strategyPlan', {
             model: 'meta-llama/Meta-Llama-3.1-70B-Instruct-Turbo',
             messages: [
               {
@@ -420,8 +401,7 @@ class PromptRouterController {
           
           console.log('✅ TogetherAI strategy response received');
           
-          const responseContent = aiResponse.choices[0].message.content;
-          strategyAnalysis = JSON.parse(responseContent);
+          strategyAnalysis = data;
           
           console.log('🎯 AI strategy analysis completed with action plan');
           
@@ -509,9 +489,9 @@ class PromptRouterController {
           }
         },
         status: 'completed',
-        processingMethod: together ? 'ai_powered_dynamic_strategy_analysis' : 'basic_strategy_analysis',
+        processingMethod: llmService.isAvailable('strategy') ? 'ai_powered_dynamic_strategy_analysis' : 'basic_strategy_analysis',
         confidence: strategyAnalysis.confidence || 'medium',
-        aiEnhanced: !!together
+        aiEnhanced: llmService.isAvailable('strategy')
       };
       
     } catch (error) {
@@ -549,23 +529,9 @@ class PromptRouterController {
       console.log('📝 Original message:', message);
       console.log('🏷️ Classification:', classification.type, '-', classification.actionSubtype);
       
-      // Initialize Together AI if not already done
-      if (!together && process.env.TOGETHER_API_KEY) {
-        try {
-          const Together = require('together-ai').default;
-          together = new Together({
-            apiKey: process.env.TOGETHER_API_KEY
-          });
-          console.log('🔄 TogetherAI re-initialized for information processing');
-        } catch (error) {
-          console.error('❌ Together AI re-initialization failed:', error.message);
-          throw new Error(`AI service initialization failed: ${error.message}`);
-        }
-      }
-
-      if (!together) {
-        console.error('❌ TogetherAI not available');
-        throw new Error('AI service not available. Please set TOGETHER_API_KEY environment variable and install together-ai package.');
+      if (!llmService.isAvailable('information')) {
+        console.error('❌ LLM not available');
+        throw new Error('AI service not available. Set TOGETHER_API_KEY or another LLM_PROVIDER.');
       }
 
       // Extract token queries from message
@@ -926,7 +892,7 @@ class PromptRouterController {
       
       let aiAnalysis;
       try {
-        const aiResponse = await together.chat.completions.create({
+        ({ data: aiAnalysis } = await this.streamCompletionJson('information', 'marketInformation', {
           model: 'meta-llama/Meta-Llama-3.1-70B-Instruct-Turbo',
           messages: [
             {
@@ -942,38 +908,9 @@ class PromptRouterController {
           temperature: 0.4,
           top_p: 0.9,
           response_format: { type: 'json_object' }
-        });
+        }));
 
         console.log('✅ TogetherAI response received');
-        
-        if (!aiResponse.choices || !aiResponse.choices[0] || !aiResponse.choices[0].message) {
-          throw new Error('Invalid AI response format - no choices or message');
-        }
-        
-        const responseContent = aiResponse.choices[0].message.content;
-        if (!responseContent) {
-          throw new Error('Empty AI response content');
-        }
-        
-        console.log('🔍 Parsing AI response...');
-        try {
-          aiAnalysis = JSON.parse(responseContent);
-        } catch (parseError) {
-          console.error('❌ JSON parsing failed:', parseError.message);
-          console.log('📝 Raw response:', responseContent);
-          
-          // Attempt to extract JSON from response if it's wrapped in text
-          const jsonMatch = responseContent.match(/\{[\s\S]*\}/);
-          if (jsonMatch) {
-            aiAnalysis = JSON.parse(jsonMatch[0]);
-          } else {
-            throw new Error(`Failed to parse AI response as JSON: ${parseError.message}`);
-          }
-        }
-        
-        // Validate response structure and provide defaults if needed
-        aiAnalysis = this.validateAndEnhanceAIResponse(aiAnalysis, marketData, requestType, tokenMentions);
-        
       } catch (aiError) {
         console.error('❌ TogetherAI API call failed:', aiError.message);
         
@@ -1084,13 +1021,13 @@ class PromptRouterController {
       
       // Use AI for comprehensive feedback analysis if available
       let feedbackAnalysis = {};
-      if (together) {
+      if (llmService.isAvailable('feedback')) {
         try {
           console.log('🤖 Using TogetherAI for feedback analysis...');
           
           const feedbackPrompt = this.buildFeedbackPrompt(message, feedbackType, tokenMentions, marketData);
           
-          const aiResponse = await together.chat.completions.create({
+          const aiResponse = await llmService.chat('feedback', {
             model: 'meta-llama/Meta-Llama-3.1-70B-Instruct-Turbo',
             messages: [
               {
@@ -1141,9 +1078,9 @@ class PromptRouterController {
           improvementSuggestions: feedbackAnalysis.improvementSuggestions || []
         },
         status: 'completed',
-        processingMethod: together ? 'ai_powered_feedback_analysis' : 'basic_feedback_analysis',
+        processingMethod: llmService.isAvailable('feedback') ? 'ai_powered_feedback_analysis' : 'basic_feedback_analysis',
         analysisDepth: 'comprehensive',
-        aiEnhanced: !!together
+        aiEnhanced: llmService.isAvailable('feedback')
       };
       
     } catch (error) {
@@ -1988,76 +1925,6 @@ CRITICAL: Every recommendation MUST use the real data provided above. NO ZERO VA
     };
   }
 
-  /**
-   * Validate and enhance AI response structure
-   * @param {Object} aiAnalysis - Raw AI response
-   * @param {Object} marketData - Market data used
-   * @param {string} requestType - Type of request
-   * @param {Array} tokenMentions - Mentioned tokens
-   * @returns {Object} Enhanced AI analysis
-   */
-  validateAndEnhanceAIResponse(aiAnalysis, marketData, requestType, tokenMentions) {
-    // Ensure required structure exists
-    if (!aiAnalysis.analysis) {
-      aiAnalysis.analysis = {};
-    }
-    
-    if (!aiAnalysis.recommendations) {
-      aiAnalysis.recommendations = [];
-    }
-    
-    // Provide defaults for missing analysis fields
-    if (!aiAnalysis.analysis.marketOverview) {
-      aiAnalysis.analysis.marketOverview = `Market ecosystem analysis based on ${marketData.topTokens?.length || 0} tokens with total market cap of $${marketData.marketCap ? (marketData.marketCap / 1000000).toFixed(1) + 'M' : 'N/A'}.`;
-    }
-    
-    if (!aiAnalysis.analysis.keyInsights || !Array.isArray(aiAnalysis.analysis.keyInsights)) {
-      aiAnalysis.analysis.keyInsights = [
-        `Network showing ${marketData.totalVolume > 50000000 ? 'high' : 'moderate'} trading activity`,
-        `${marketData.activeTokens || 0} tokens actively trading with established liquidity`,
-        `Market focus on ${tokenMentions.length > 0 ? tokenMentions.join(', ') : 'general ecosystem development'}`
-      ];
-    }
-    
-    if (!aiAnalysis.actionableInsights || !Array.isArray(aiAnalysis.actionableInsights)) {
-      aiAnalysis.actionableInsights = [
-        'Monitor network ecosystem developments and protocol updates',
-        'Consider dollar-cost averaging for long-term positions',
-        'Set up price alerts for key support and resistance levels'
-      ];
-    }
-    
-    if (!aiAnalysis.riskWarnings || !Array.isArray(aiAnalysis.riskWarnings)) {
-      aiAnalysis.riskWarnings = [
-        'Cryptocurrency investments carry high volatility and risk of total loss',
-        'Some tokens may have limited liquidity compared to major cryptocurrencies',
-        'Regulatory changes could impact token availability and trading'
-      ];
-    }
-    
-    if (!aiAnalysis.nextSteps || !Array.isArray(aiAnalysis.nextSteps)) {
-      aiAnalysis.nextSteps = [
-        'Research specific tokens mentioned in analysis',
-        'Review your risk tolerance and investment timeline',
-        'Consider starting with small position sizes'
-      ];
-    }
-    
-    if (!aiAnalysis.confidence) {
-      aiAnalysis.confidence = marketData.topTokens?.length > 10 ? 'high' : 'medium';
-    }
-    
-    if (!aiAnalysis.marketSentiment) {
-      aiAnalysis.marketSentiment = marketData.totalVolume > 100000000 ? 'bullish' : 'neutral';
-    }
-    
-    if (!aiAnalysis.disclaimer) {
-      aiAnalysis.disclaimer = 'This analysis is for informational purposes only and should not be considered financial advice. Always conduct your own research and consult with financial professionals before making investment decisions.';
-    }
-    
-    return aiAnalysis;
-  }
-
   /**
    * Generate intelligent fallback analysis when AI fails
    * @param {string} message - Original user message
@@ -3676,10 +3543,12 @@ Create a strategy that can be immediately saved to database and executed by an A
           console.error('❌ Action execution failed:', actionError);
           return res.json({
             success: false,
-            type: 'actionError',
+            type: actionError.approval ? 'approvalRequired' : actionError.violations ? 'policyViolation' : 'actionError',
             data: {
               intent: intentResult,
-              error: actionError.message
+              error: actionError.message,
+              interactive: actionError.violations ? policyService.toInteractive(actionError.violations) : undefined,
+              approval: actionError.approval
             },
             timestamp: new Date().toISOString()
           });
@@ -3707,18 +3576,9 @@ Create a strategy that can be immediately saved to database and executed by an A
         // Return immediate acknowledgment for strategy processing
         console.log('🎯 Starting async 3-layer strategy processing');
         
-        // Generate unique processing ID
-        const processingId = `strategy_${userId}_${Date.now()}`;
-        
-        // Start async strategy processing (don't await)
-        strategyProcessingService.processStrategyAsync(message, userId, processingId)
-          .then(result => {
-            console.log(`✅ Strategy processing completed for ${processingId}`);
-            // Here we could store the result or send via WebSocket
-          })
-          .catch(error => {
-            console.error(`❌ Strategy processing failed for ${processingId}:`, error);
-          });
+        // Queue it as a persisted job; progress is polled with the processing ID
+        const job = await strategyJobService.enqueue(message, userId);
+        const processingId = job.processingId;
         
         // Return immediate response
         return res.json({
@@ -3848,10 +3708,12 @@ Create a strategy that can be immediately saved to database and executed by an A
           console.error('❌ Action execution failed:', actionError);
           return res.json({
             success: false,
-            type: 'actionError',
+            type: actionError.approval ? 'approvalRequired' : actionError.violations ? 'policyViolation' : 'actionError',
             data: {
               intent: updatedIntent,
-              error: actionError.message
+              error: actionError.message,
+              interactive: actionError.violations ? policyService.toInteractive(actionError.violations) : undefined,
+              approval: actionError.approval
             },
             timestamp: new Date().toISOString()
           });
@@ -4938,6 +4800,67 @@ CRITICAL: The user specifically requested ${marketData.allTokensAnalysis?.riskPr
     };
   }
 
+  /**
+   * Chat completion whose output is pushed to the caller's event stream as it is
+   * generated (topic `chat`, type `token`), batched every TOKEN_FLUSH_INTERVAL_MS.
+   * Without an authenticated caller it is a plain completion.
+   * @param {string} purpose - LLM route (see llmConfig)
+   * @param {Object} request - Chat completion request
+   * @returns {Object} Completion with the full content in choices[0].message
+   */
+  async streamCompletion(purpose, request) {
+    const context = getRequestContext();
+    const userId = context && context.user ? context.user.id : null;
+    if (!userId) {
+      return await llmService.chat(purpose, request);
+    }
+
+    const stream = llmService.streamChat(purpose, request);
+    let content = '';
+    let pending = '';
+    let index = 0;
+    let lastFlush = Date.now();
+
+    const flush = async () => {
+      if (!pending) return;
+      await eventStreamService.publish(userId, 'chat', 'token', { index: index++, delta: pending });
+      pending = '';
+      lastFlush = Date.now();
+    };
+
+    for await (const chunk of stream) {
+      const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta
+        ? chunk.choices[0].delta.content || ''
+        : '';
+      content += delta;
+      pending += delta;
+      if (Date.now() - lastFlush >= TOKEN_FLUSH_INTERVAL_MS) {
+        await flush();
+      }
+    }
+    await flush();
+    await eventStreamService.publish(userId, 'chat', 'stage', { stage: 'completed', length: content.length });
+
+    return { choices: [{ message: { role: 'assistant', content } }] };
+  }
+
+  /**
+   * streamCompletion answered with JSON matching a schema. The streamed answer is
+   * checked once complete and, if invalid, re-asked once like llmService.chatJson.
+   * @param {string} schemaName - Key of LLM_SCHEMAS
+   * @returns {Object} { data, response, corrected }
+   * @throws {LlmOutputError} When the corrected answer is still invalid
+   */
+  async streamCompletionJson(purpose, schemaName, request) {
+    const context = getRequestContext();
+    if (!context || !context.user) {
+      return await llmService.chatJson(purpose, schemaName, request);
+    }
+
+    const response = await this.streamCompletion(purpose, request);
+    return await llmService.checkJson('chat', purpose, schemaName, request, response);
+  }
+
   /**
    * Process information with ALL tokens analysis and risk/profit scoring
    * @param {string} message - User message
@@ -4953,23 +4876,9 @@ CRITICAL: The user specifically requested ${marketData.allTokensAnalysis?.riskPr
       console.log('🌐 Network:', network);
       console.log('📊 All Tokens Analysis Available:', !!allTokensAnalysis);
       
-      // Initialize Together AI if not already done
-      if (!together && process.env.TOGETHER_API_KEY) {
-        try {
-          const Together = require('together-ai').default;
-          together = new Together({
-            apiKey: process.env.TOGETHER_API_KEY
-          });
-          console.log('🔄 TogetherAI re-initialized for comprehensive token analysis');
-        } catch (error) {
-          console.error('❌ Together AI re-initialization failed:', error.message);
-          throw new Error(`AI service initialization failed: ${error.message}`);
-        }
-      }
-
-      if (!together) {
-        console.error('❌ TogetherAI not available');
-        throw new Error('AI service not available. Please set TOGETHER_API_KEY environment variable and install together-ai package.');
+      if (!llmService.isAvailable('information')) {
+        console.error('❌ LLM not available');
+        throw new Error('AI service not available. Set TOGETHER_API_KEY or another LLM_PROVIDER.');
       }
 
       // Extract token queries from message
@@ -5010,7 +4919,7 @@ CRITICAL: The user specifically requested ${marketData.allTokensAnalysis?.riskPr
       
       let aiAnalysis;
       try {
-        const aiResponse = await together.chat.completions.create({
+        ({ data: aiAnalysis } = await this.streamCompletionJson('information', 'marketInformation', {
           model: 'meta-llama/Meta-Llama-3.1-70B-Instruct-Turbo',
           messages: [
             {
@@ -5026,38 +4935,9 @@ CRITICAL: The user specifically requested ${marketData.allTokensAnalysis?.riskPr
           temperature: 0.4,
           top_p: 0.9,
           response_format: { type: 'json_object' }
-        });
+        }));
 
         console.log('✅ TogetherAI response received with comprehensive token analysis');
-        
-        if (!aiResponse.choices || !aiResponse.choices[0] || !aiResponse.choices[0].message) {
-          throw new Error('Invalid AI response format - no choices or message');
-        }
-        
-        const responseContent = aiResponse.choices[0].message.content;
-        if (!responseContent) {
-          throw new Error('Empty AI response content');
-        }
-        
-        console.log('🔍 Parsing comprehensive AI token analysis...');
-        try {
-          aiAnalysis = JSON.parse(responseContent);
-        } catch (parseError) {
-          console.error('❌ JSON parsing failed:', parseError.message);
-          console.log('📝 Raw response:', responseContent);
-          
-          // Attempt to extract JSON from response if it's wrapped in text
-          const jsonMatch = responseContent.match(/\{[\s\S]*\}/);
-          if (jsonMatch) {
-            aiAnalysis = JSON.parse(jsonMatch[0]);
-          } else {
-            throw new Error(`Failed to parse AI response as JSON: ${parseError.message}`);
-          }
-        }
-        
-        // Validate response structure and provide defaults if needed
-        aiAnalysis = this.validateAndEnhanceAIResponse(aiAnalysis, enhancedMarketData, requestType, tokenMentions);
-        
       } catch (aiError) {
         console.error('❌ Comprehensive TogetherAI API call failed:', aiError.message);
         
@@ -5131,23 +5011,9 @@ CRITICAL: The user specifically requested ${marketData.allTokensAnalysis?.riskPr
       console.log('🌐 Network:', network);
       console.log('📊 Market Intelligence Available:', !!marketIntelligence);
       
-      // Initialize Together AI if not already done
-      if (!together && process.env.TOGETHER_API_KEY) {
-        try {
-          const Together = require('together-ai').default;
-          together = new Together({
-            apiKey: process.env.TOGETHER_API_KEY
-          });
-          console.log('🔄 TogetherAI re-initialized for enhanced processing');
-        } catch (error) {
-          console.error('❌ Together AI re-initialization failed:', error.message);
-          throw new Error(`AI service initialization failed: ${error.message}`);
-        }
-      }
-
-      if (!together) {
-        console.error('❌ TogetherAI not available');
-        throw new Error('AI service not available. Please set TOGETHER_API_KEY environment variable and install together-ai package.');
+      if (!llmService.isAvailable('information')) {
+        console.error('❌ LLM not available');
+        throw new Error('AI service not available. Set TOGETHER_API_KEY or another LLM_PROVIDER.');
       }
 
       // Extract token queries from message
@@ -5184,7 +5050,7 @@ CRITICAL: The user specifically requested ${marketData.allTokensAnalysis?.riskPr
       
       let aiAnalysis;
       try {
-        const aiResponse = await together.chat.completions.create({
+        ({ data: aiAnalysis } = await this.streamCompletionJson('information', 'marketInformation', {
           model: 'meta-llama/Meta-Llama-3.1-70B-Instruct-Turbo',
           messages: [
             {
@@ -5200,38 +5066,9 @@ CRITICAL: The user specifically requested ${marketData.allTokensAnalysis?.riskPr
           temperature: 0.4,
           top_p: 0.9,
           response_format: { type: 'json_object' }
-        });
+        }));
 
         console.log('✅ TogetherAI response received with enhanced data');
-        
-        if (!aiResponse.choices || !aiResponse.choices[0] || !aiResponse.choices[0].message) {
-          throw new Error('Invalid AI response format - no choices or message');
-        }
-        
-        const responseContent = aiResponse.choices[0].message.content;
-        if (!responseContent) {
-          throw new Error('Empty AI response content');
-        }
-        
-        console.log('🔍 Parsing enhanced AI response...');
-        try {
-          aiAnalysis = JSON.parse(responseContent);
-        } catch (parseError) {
-          console.error('❌ JSON parsing failed:', parseError.message);
-          console.log('📝 Raw response:', responseContent);
-          
-          // Attempt to extract JSON from response if it's wrapped in text
-          const jsonMatch = responseContent.match(/\{[\s\S]*\}/);
-          if (jsonMatch) {
-            aiAnalysis = JSON.parse(jsonMatch[0]);
-          } else {
-            throw new Error(`Failed to parse AI response as JSON: ${parseError.message}`);
-          }
-        }
-        
-        // Validate response structure and provide defaults if needed
-        aiAnalysis = this.validateAndEnhanceAIResponse(aiAnalysis, enhancedMarketData, requestType, tokenMentions);
-        
       } catch (aiError) {
         console.error('❌ Enhanced TogetherAI API call failed:', aiError.message);
         
@@ -1,11 +1,12 @@
 const seiAgentService = require('../services/seiAgentService');
+const actionLedgerService = require('../services/actionLedgerService');
 const Agent = require('../models/Agent');
 const User = require('../models/User');
 
 /**
  * Create a new SEI agent
  * @route POST /api/agents/sei
- * @access Public (should be protected in production)
+ * @access Private
  */
 exports.createSeiAgent = async (req, res) => {
   try {
@@ -127,7 +128,7 @@ exports.createSeiAgent = async (req, res) => {
 /**
  * Get all SEI agents for a user
  * @route GET /api/agents/sei
- * @access Public
+ * @access Private
  */
 exports.getSeiAgents = async (req, res) => {
   try {
@@ -172,7 +173,7 @@ exports.getSeiAgents = async (req, res) => {
 /**
  * Get a single SEI agent by ID
  * @route GET /api/agents/sei/:id
- * @access Public
+ * @access Private
  */
 exports.getSeiAgent = async (req, res) => {
   try {
@@ -212,7 +213,7 @@ exports.getSeiAgent = async (req, res) => {
 /**
  * Execute a token swap
  * @route POST /api/agents/sei/:id/swap
- * @access Public
+ * @access Private
  */
 exports.executeSwap = async (req, res) => {
   try {
@@ -223,6 +224,7 @@ exports.executeSwap = async (req, res) => {
       amount,
       slippageTolerance = 15
     } = req.body;
+    const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey;
 
     console.log(`🔄 Swap request for agent ${agentId}: ${amount} ${fromToken} → ${toToken}`);
 
@@ -250,26 +252,36 @@ exports.executeSwap = async (req, res) => {
       });
     }
 
-    // Execute the swap
-    const result = await seiAgentService.executeSwap(agentId, {
+    // Execute the swap; retried requests with the same key get the original result
+    const swapParams = {
       fromToken,
       toToken,
       amount: parseFloat(amount),
       slippageTolerance
-    });
+    };
+    const { result, replayed } = await actionLedgerService.execute({
+      scope: 'sei_swap',
+      key: idempotencyKey,
+      userId: agent.userId,
+      agentId,
+      params: swapParams
+    }, () => seiAgentService.executeSwap(agentId, swapParams));
 
     res.json({
       success: true,
-      message: 'Swap executed successfully',
-      data: result
+      message: replayed ? 'Swap already executed' : 'Swap executed successfully',
+      data: result,
+      replayed
     });
 
   } catch (error) {
     console.error('❌ Error executing swap:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      message: 'Failed to execute swap',
-      error: error.message
+      message: error.approval ? 'Approval required' : 'Failed to execute swap',
+      error: error.message,
+      violations: error.violations,
+      approval: error.approval
     });
   }
 };
@@ -277,7 +289,7 @@ exports.executeSwap = async (req, res) => {
 /**
  * Execute a token transfer
  * @route POST /api/agents/sei/:id/transfer
- * @access Public
+ * @access Private
  */
 exports.executeTransfer = async (req, res) => {
   try {
@@ -329,10 +341,12 @@ exports.executeTransfer = async (req, res) => {
 
   } catch (error) {
     console.error('❌ Error executing transfer:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      message: 'Failed to execute transfer',
-      error: error.message
+      message: error.approval ? 'Approval required' : 'Failed to execute transfer',
+      error: error.message,
+      violations: error.violations,
+      approval: error.approval
     });
   }
 };
@@ -340,7 +354,7 @@ exports.executeTransfer = async (req, res) => {
 /**
  * Get agent balance
  * @route GET /api/agents/sei/:id/balance
- * @access Public
+ * @access Private
  */
 exports.getAgentBalance = async (req, res) => {
   try {
@@ -410,7 +424,7 @@ exports.getSupportedTokens = async (req, res) => {
 /**
  * Update a SEI agent
  * @route PUT /api/agents/sei/:id
- * @access Public
+ * @access Private
  */
 exports.updateSeiAgent = async (req, res) => {
   try {
@@ -473,7 +487,7 @@ exports.updateSeiAgent = async (req, res) => {
 /**
  * Delete a SEI agent
  * @route DELETE /api/agents/sei/:id
- * @access Public
+ * @access Private
  */
 exports.deleteSeiAgent = async (req, res) => {
   try {
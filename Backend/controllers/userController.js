@@ -4,6 +4,7 @@ const Wallet = require('../models/Wallet');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const WalletService = require('../services/walletService');
+const { isAdmin } = require('../middleware/auth');
 
 // Helper function to generate JWT token
 const generateToken = (id) => {
@@ -120,7 +121,7 @@ const loginUser = async (req, res) => {
 
 // @desc    Get all users
 // @route   GET /api/users
-// @access  Public (should be protected in production)
+// @access  Private/Admin
 const getUsers = async (req, res) => {
   try {
     const users = await User.find().select('-password');
@@ -139,7 +140,7 @@ const getUsers = async (req, res) => {
 
 // @desc    Get user by ID
 // @route   GET /api/users/:id
-// @access  Public (should be protected in production)
+// @access  Private (own user or admin)
 const getUserById = async (req, res) => {
   try {
     const user = await User.findById(req.params.id).select('-password');
@@ -163,12 +164,18 @@ const getUserById = async (req, res) => {
 
 // @desc    Update user
 // @route   PUT /api/users/:id
-// @access  Public (should be protected in production)
+// @access  Private (own user or admin)
 const updateUser = async (req, res) => {
   try {
+    // Only admins change roles
+    const updates = { ...req.body };
+    if (!isAdmin(req)) {
+      delete updates.role;
+    }
+
     const user = await User.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      updates,
       {
         new: true,
         runValidators: true
@@ -196,7 +203,7 @@ const updateUser = async (req, res) => {
 
 // @desc    Delete user
 // @route   DELETE /api/users/:id
-// @access  Public (should be protected in production)
+// @access  Private (own user or admin)
 const deleteUser = async (req, res) => {
   try {
     const user = await User.findByIdAndDelete(req.params.id);
@@ -572,7 +579,7 @@ const registerUserWithWallet = async (req, res) => {
 
 // @desc    Get user with wallet information
 // @route   GET /api/users/:id/wallet
-// @access  Public (should be protected in production)
+// @access  Private (own user or admin)
 const getUserWithWallet = async (req, res) => {
   try {
     const { id } = req.params;
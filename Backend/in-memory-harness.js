@@ -0,0 +1,197 @@
+// Shared by the test-*.js scripts that run without MongoDB: in-memory stand-ins for
+// the Mongoose models a service touches, and the runner that reports each test
+
+const mongoose = require('mongoose');
+
+// Yield between steps so concurrent calls interleave like database round trips
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+const isOperator = (condition) => isPlainObject(condition) && Object.keys(condition).length > 0 &&
+  Object.keys(condition).every(key => key.startsWith('$'));
+
+// Copy nested objects and arrays, keeping ObjectIds and Dates as they are
+const clone = (value) => {
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  return value;
+};
+
+const valueAt = (document, path) => path.split('.').reduce((value, key) => (value == null ? value : value[key]), document);
+const setAt = (document, path, value) => {
+  const keys = path.split('.');
+  const parent = keys.slice(0, -1).reduce((object, key) => object[key], document);
+  parent[keys[keys.length - 1]] = value;
+};
+
+// null matches a missing field, Dates compare by time and ObjectIds by their string
+const equals = (value, expected) => {
+  if (expected == null) return value == null;
+  if (expected instanceof Date) return value instanceof Date && value.getTime() === expected.getTime();
+  return String(value) === String(expected);
+};
+
+const OPERATORS = {
+  $in: (value, options) => options.some(option => equals(value, option)),
+  $ne: (value, expected) => !equals(value, expected),
+  $gt: (value, bound) => value != null && value > bound,
+  $gte: (value, bound) => value != null && value >= bound,
+  $lt: (value, bound) => value != null && value < bound,
+  $lte: (value, bound) => value != null && value <= bound,
+  $not: (value, condition) => !satisfies(value, condition)
+};
+
+function satisfies(value, condition) {
+  if (!isOperator(condition)) return equals(value, condition);
+  return Object.entries(condition).every(([operator, argument]) => {
+    if (!OPERATORS[operator]) throw new Error(`The in-memory models do not support ${operator}`);
+    return OPERATORS[operator](value, argument);
+  });
+}
+
+/**
+ * Whether a stored document matches a query filter: equality, dotted paths, $or,
+ * and the comparison operators above
+ */
+const matches = (document, filter) => Object.entries(filter).every(([field, condition]) => {
+  if (field === '$or') return condition.some(option => matches(document, option));
+  return satisfies(valueAt(document, field), condition);
+});
+
+// Apply an update of plain fields, $set and $inc; undefined fields are dropped as Mongoose does
+const applyUpdate = (document, update) => {
+  const { $inc = {}, $set = {}, ...fields } = update;
+  Object.entries({ ...fields, ...$set }).forEach(([field, value]) => {
+    if (value !== undefined) setAt(document, field, clone(value));
+  });
+  Object.entries($inc).forEach(([field, amount]) => setAt(document, field, (valueAt(document, field) || 0) + amount));
+};
+
+// Thenable standing in for a Mongoose query; projections and lean() don't change the result
+const query = (run) => {
+  const chain = {
+    select: () => chain,
+    lean: () => chain,
+    then: (resolve, reject) => run().then(resolve, reject)
+  };
+  return chain;
+};
+
+/**
+ * Replace a model's query methods with an in-memory collection. Unique indexes,
+ * timestamps and instance methods are read from the model's schema; returned
+ * documents are copies with save() and toObject().
+ * @param {mongoose.Model} Model - Model to stand in for
+ * @param {Object} options - { defaults } - fields every created document starts with, or a function returning them
+ * @returns {Object} { documents, reset() } - the stored documents, which tests may read and change
+ */
+function memoryModel(Model, { defaults = {} } = {}) {
+  const { schema } = Model;
+  const timestamps = Boolean(schema.options.timestamps);
+  const uniqueKeys = schema.indexes()
+    .filter(([, options]) => options && options.unique)
+    .map(([fields]) => Object.keys(fields));
+  const store = {
+    documents: [],
+    reset() {
+      store.documents.length = 0;
+    }
+  };
+
+  const toDocument = (stored) => {
+    const document = clone(stored);
+    Object.entries(schema.methods).forEach(([name, method]) => Object.defineProperty(document, name, { value: method }));
+    Object.defineProperties(document, {
+      save: {
+        value: async () => {
+          await tick();
+          const stored = store.documents.find(item => equals(item._id, document._id));
+          Object.assign(stored, clone(document), timestamps && { updatedAt: new Date() });
+          return document;
+        }
+      },
+      toObject: { value: () => clone(document) }
+    });
+    return document;
+  };
+  const find = (filter) => store.documents.find(item => matches(item, filter));
+  const update = (stored, changes) => {
+    applyUpdate(stored, changes);
+    if (timestamps) stored.updatedAt = new Date();
+  };
+
+  Model.create = async (fields) => {
+    await tick();
+    const now = new Date();
+    const stored = { _id: new mongoose.Types.ObjectId(), ...(typeof defaults === 'function' ? defaults() : clone(defaults)), ...(timestamps && { createdAt: now, updatedAt: now }), ...clone(fields) };
+    const duplicate = uniqueKeys.find(keys => find(Object.fromEntries(keys.map(key => [key, valueAt(stored, key)]))));
+    if (duplicate) {
+      throw Object.assign(new Error(`E11000 duplicate key error on ${duplicate.join(', ')}`), { code: 11000 });
+    }
+    store.documents.push(stored);
+    return toDocument(stored);
+  };
+  Model.find = (filter = {}) => query(async () => {
+    await tick();
+    return store.documents.filter(item => matches(item, filter)).map(toDocument);
+  });
+  Model.findOne = (filter = {}) => query(async () => {
+    await tick();
+    const stored = find(filter);
+    return stored ? toDocument(stored) : null;
+  });
+  Model.findById = (id) => Model.findOne({ _id: id });
+  Model.findOneAndUpdate = async (filter, changes, options = {}) => {
+    await tick();
+    const stored = find(filter);
+    if (!stored) return null;
+    const previous = toDocument(stored);
+    update(stored, changes);
+    return options.new ? toDocument(stored) : previous;
+  };
+  Model.updateOne = async (filter, changes) => {
+    await tick();
+    const stored = find(filter);
+    if (stored) update(stored, changes);
+    return { matchedCount: stored ? 1 : 0, modifiedCount: stored ? 1 : 0 };
+  };
+  Model.updateMany = async (filter, changes) => {
+    await tick();
+    const matched = store.documents.filter(item => matches(item, filter));
+    matched.forEach(stored => update(stored, changes));
+    return { matchedCount: matched.length, modifiedCount: matched.length };
+  };
+  Model.deleteOne = async (filter) => {
+    await tick();
+    const index = store.documents.findIndex(item => matches(item, filter));
+    if (index !== -1) store.documents.splice(index, 1);
+    return { deletedCount: index === -1 ? 0 : 1 };
+  };
+
+  return store;
+}
+
+/**
+ * Run each test in turn, report it, and exit with the result
+ * @param {string} title - Printed before the results
+ * @param {Object} tests - Test name to async function
+ */
+async function runTests(title, tests) {
+  console.log(`🧪 ${title}\n`);
+  let failed = 0;
+
+  for (const [name, test] of Object.entries(tests)) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`❌ ${name}\n   ${error.stack}`);
+    }
+  }
+
+  console.log(`\n${Object.keys(tests).length - failed}/${Object.keys(tests).length} passed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+module.exports = { tick, matches, memoryModel, runTests };
@@ -14,6 +14,13 @@ const connectDB = require('./config/database');
 
 // Import pipeline execution service
 const pipelineExecutionService = require('./services/pipelineExecutionService');
+const strategyJobService = require('./services/strategyJobService');
+
+// Import price history service
+const priceHistoryService = require('./services/priceHistoryService');
+
+// Import transaction tracker service
+const transactionTrackerService = require('./services/transactionTrackerService');
 
 // Initialize MCP Market Data Service early
 let mcpService = null;
@@ -41,6 +48,14 @@ const mcpMarketDataRoutes = require('./routes/mcpMarketDataRoutes');
 const agentExecuteRoutes = require('./routes/agentExecuteRoutes');
 const pipelineRoutes = require('./routes/pipelineRoutes');
 const strategyRoutes = require('./routes/strategyRoutes');
+const transactionRoutes = require('./routes/transactionRoutes');
+const apiKeyRoutes = require('./routes/apiKeyRoutes');
+const policyRoutes = require('./routes/policyRoutes');
+const approvalRoutes = require('./routes/approvalRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const streamRoutes = require('./routes/streamRoutes');
+const llmRoutes = require('./routes/llmRoutes');
+const { attachStreamSocket } = require('./routes/streamSocket');
 
 // Initialize Express app
 const app = express();
@@ -80,6 +95,13 @@ app.use('/api/transfer', enhancedTransferRoutes);
 app.use('/api/mcp', mcpMarketDataRoutes);
 app.use('/api/pipelines', pipelineRoutes);
 app.use('/api/strategy', strategyRoutes);
+app.use('/api/transactions', transactionRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/policies', policyRoutes);
+app.use('/api/approvals', approvalRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/stream', streamRoutes);
+app.use('/api/llm', llmRoutes);
 
 // Swagger documentation
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpecs));
@@ -152,7 +174,7 @@ app.use('*', (req, res) => {
 
 // Start server
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, async () => {
+const server = app.listen(PORT, async () => {
   console.log(`🚀 Server running in ${process.env.NODE_ENV || 'development'} mode on port ${PORT}`);
   console.log(`📚 Documentation available at http://localhost:${PORT}/api-docs`);
   console.log(`🤖 Multi-Agent System available at /api/agents`);
@@ -165,6 +187,9 @@ app.listen(PORT, async () => {
   console.log(`🌐 SEI Market Data available at /api/mcp/sei/summary`);
   console.log(`🔧 Pipeline Management available at /api/pipelines`);
   console.log(`🧠 AI Strategy Recommendations available at /api/strategy`);
+  console.log(`📋 Strategy jobs available at /api/strategy/jobs`);
+  console.log(`📡 Transaction status available at /api/transactions/:id`);
+  console.log(`🔴 Live event stream available at /api/stream (SSE) and /api/stream/ws (WebSocket)`);
   console.log(`❤️  Health check available at http://localhost:${PORT}/health`);
   
   // Start pipeline execution service
@@ -174,6 +199,27 @@ app.listen(PORT, async () => {
   } catch (error) {
     console.error('Failed to start pipeline execution service:', error);
   }
+
+  // Start strategy job processing
+  try {
+    await strategyJobService.startAgenda();
+  } catch (error) {
+    console.error('Failed to start strategy job service:', error);
+  }
+
+  // Start price history collection (set PRICE_HISTORY_INTERVAL_MINUTES=0 to disable)
+  const priceHistoryInterval = parseInt(process.env.PRICE_HISTORY_INTERVAL_MINUTES ?? '5');
+  if (priceHistoryInterval > 0) {
+    priceHistoryService.startCollector(priceHistoryInterval);
+  }
+
+  // Watch submitted transactions until they are mined, reverted, dropped or replaced
+  transactionTrackerService.startWatcher(parseInt(process.env.TX_TRACKER_INTERVAL_SECONDS) || 15);
 });
 
+// Event stream over WebSocket, on the same port
+if (process.env.ENABLE_WEBSOCKET !== 'false') {
+  attachStreamSocket(server);
+}
+
 module.exports = app;
\ No newline at end of file
@@ -1,45 +1,107 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const apiKeyService = require('../services/apiKeyService');
+const { runWithContext } = require('../utils/requestContext');
 
-// Protect routes
-const protect = async (req, res, next) => {
-  let token;
+// API key from X-API-Key, or a Bearer token in API key format
+const getApiKeyFromRequest = (req, bearerToken) => {
+  if (req.headers['x-api-key']) return req.headers['x-api-key'];
+  return apiKeyService.isApiKey(bearerToken) ? bearerToken : null;
+};
+
+class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+/**
+ * Caller holding a JWT, or an API key with one of apiKeyScopes (API keys are
+ * refused when apiKeyScopes is null)
+ * @param {Object} credentials - { token: Bearer token, rawApiKey, ip }
+ * @returns {Object} { user, apiKey }
+ * @throws {AuthError} 401 or 403
+ */
+const resolveCaller = async ({ token = null, rawApiKey = null, ip = null }, apiKeyScopes = null) => {
+  let user;
+  let apiKey = null;
+
+  if (rawApiKey) {
+    if (!apiKeyScopes) {
+      throw new AuthError('API keys are not accepted on this route', 403);
+    }
 
-  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
     try {
-      // Get token from header
-      token = req.headers.authorization.split(' ')[1];
+      apiKey = await apiKeyService.authenticate(rawApiKey, { ip });
+    } catch (error) {
+      throw new AuthError('Not authorized, API key failed');
+    }
+    if (!apiKey) {
+      throw new AuthError('Not authorized, invalid or expired API key');
+    }
+    if (!apiKeyService.hasScope(apiKey, apiKeyScopes)) {
+      throw new AuthError(`API key requires one of the scopes: ${apiKeyScopes.join(', ')}`, 403);
+    }
 
+    try {
+      user = await User.findById(apiKey.userId).select('-password');
+    } catch (error) {
+      throw new AuthError('Not authorized, API key failed');
+    }
+  } else if (token) {
+    try {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
       // Get user from the token
-      req.user = await User.findById(decoded.id).select('-password');
-
-      if (!req.user) {
-        return res.status(401).json({
-          success: false,
-          message: 'Not authorized, user not found'
-        });
-      }
-
-      next();
+      user = await User.findById(decoded.id).select('-password');
     } catch (error) {
-      return res.status(401).json({
-        success: false,
-        message: 'Not authorized, token failed'
-      });
+      throw new AuthError('Not authorized, token failed');
     }
+  } else {
+    throw new AuthError('Not authorized, no token');
+  }
+
+  if (!user) {
+    throw new AuthError('Not authorized, user not found');
   }
+  return { user, apiKey };
+};
 
-  if (!token) {
-    return res.status(401).json({
+// Authenticate with a JWT, or with an API key when apiKeyScopes is given
+const authenticate = (apiKeyScopes = null) => async (req, res, next) => {
+  const authorization = req.headers.authorization;
+  const token = authorization && authorization.startsWith('Bearer') ? authorization.split(' ')[1] : null;
+
+  try {
+    const { user, apiKey } = await resolveCaller({ token, rawApiKey: getApiKeyFromRequest(req, token), ip: req.ip }, apiKeyScopes);
+    req.user = user;
+    if (apiKey) req.apiKey = apiKey;
+  } catch (error) {
+    return res.status(error.status || 401).json({
       success: false,
-      message: 'Not authorized, no token'
+      message: error.message
     });
   }
+
+  // Groups the request's audit log entries; callers may pass their own id
+  const requestId = req.get('X-Request-Id');
+  const traceId = requestId && /^[\w.:-]{1,128}$/.test(requestId) ? requestId : crypto.randomUUID();
+  res.set('X-Request-Id', traceId);
+
+  // Services check per-key trade limits through the request context
+  runWithContext({ user: req.user, apiKey: req.apiKey || null, traceId }, next);
 };
 
+// Protect routes (JWT only)
+const protect = authenticate();
+
+// Protect routes, also accepting API keys that hold one of `scopes`
+const protectWithApiKey = (...scopes) => authenticate(scopes);
+
 // Grant access to specific roles
 const authorize = (...roles) => {
   return (req, res, next) => {
@@ -53,4 +115,19 @@ const authorize = (...roles) => {
   };
 };
 
-module.exports = { protect, authorize }; 
\ No newline at end of file
+const isAdmin = (req) => Boolean(req.user && req.user.role === 'admin');
+
+// Act as the authenticated user: body and query userId are set from the token.
+// Admins may pass a userId to act for another user.
+const bindUserId = (req, res, next) => {
+  const userId = req.user.id;
+
+  [req.body, req.query].forEach(source => {
+    if (!source || typeof source !== 'object') return;
+    if (isAdmin(req) && source.userId) return;
+    source.userId = userId;
+  });
+  next();
+};
+
+module.exports = { protect, protectWithApiKey, authorize, isAdmin, bindUserId, resolveCaller, getApiKeyFromRequest }; 
\ No newline at end of file
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const Agent = require('../models/Agent');
+const ExecutorAgent = require('../models/ExecutorAgent');
+const Pipeline = require('../models/Pipeline');
+const Wallet = require('../models/Wallet');
+const ApprovalRequest = require('../models/ApprovalRequest');
+const StrategyJob = require('../models/StrategyJob');
+const ContactsService = require('../services/contactsService');
+const { isAdmin } = require('./auth');
+
+let contactsService = null;
+
+// Agents are addressed by ObjectId or agentUuid
+const findAgentOwner = async (id) => {
+  const query = mongoose.Types.ObjectId.isValid(id) ? { _id: id } : { agentUuid: id };
+  const agent = await Agent.findOne(query).select('userId').lean();
+  return agent ? agent.userId : null;
+};
+
+// User wallets belong to their user, agent wallets to the agent's user
+const findWalletOwner = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+
+  const wallet = await Wallet.findById(id).select('ownerType ownerId').lean();
+  if (!wallet) return null;
+  return wallet.ownerType === 'user' ? wallet.ownerId : findAgentOwner(wallet.ownerId);
+};
+
+const findOwnerById = (Model) => async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+
+  const doc = await Model.findById(id).select('userId').lean();
+  return doc ? doc.userId : null;
+};
+
+// Strategy jobs are addressed by processingId
+const findStrategyJobOwner = async (processingId) => {
+  const job = await StrategyJob.findOne({ processingId: String(processingId) }).select('userId').lean();
+  return job ? job.userId : null;
+};
+
+const findContactOwner = async (id) => {
+  if (!contactsService) {
+    contactsService = new ContactsService();
+  }
+  return contactsService.getContactOwner(id);
+};
+
+/**
+ * Guard a route on a resource belonging to the caller (use after protect).
+ * The resource id is read from req[source][key]; unknown resources get a 404,
+ * other users' a 403. Admins pass.
+ * @param {string} resourceName - Name used in error messages
+ * @param {Function} findOwnerId - async (id) => owner user id, or null if not found
+ * @param {string} key - Request field holding the resource id
+ * @param {Object} options - { source: 'params' | 'body' | 'query', optional: skip when the id is missing, except: ids not to check }
+ */
+const requireOwnership = (resourceName, findOwnerId, key = 'id', { source = 'params', optional = false, except = [] } = {}) => {
+  return async (req, res, next) => {
+    const id = req[source] && req[source][key];
+
+    if (!id) {
+      if (optional) return next();
+      return res.status(400).json({
+        success: false,
+        message: `${resourceName} ID is required`
+      });
+    }
+    if (except.includes(id) || isAdmin(req)) {
+      return next();
+    }
+
+    try {
+      const ownerId = await findOwnerId(id);
+
+      if (!ownerId) {
+        return res.status(404).json({
+          success: false,
+          message: `${resourceName} not found`
+        });
+      }
+
+      if (String(ownerId) !== String(req.user.id)) {
+        return res.status(403).json({
+          success: false,
+          message: `Not authorized to access this ${resourceName.toLowerCase()}`
+        });
+      }
+
+      next();
+    } catch (error) {
+      return res.status(500).json({
+        success: false,
+        message: `Failed to check ${resourceName.toLowerCase()} ownership`,
+        error: error.message
+      });
+    }
+  };
+};
+
+const ownsAgent = (key, options) => requireOwnership('Agent', findAgentOwner, key, options);
+const ownsExecutorAgent = (key, options) => requireOwnership('Executor agent', findOwnerById(ExecutorAgent), key, options);
+const ownsWallet = (key, options) => requireOwnership('Wallet', findWalletOwner, key, options);
+const ownsPipeline = (key, options) => requireOwnership('Pipeline', findOwnerById(Pipeline), key, options);
+const ownsContact = (key, options) => requireOwnership('Contact', findContactOwner, key, options);
+const ownsApproval = (key, options) => requireOwnership('Approval request', findOwnerById(ApprovalRequest), key, options);
+const ownsStrategyJob = (key, options) => requireOwnership('Strategy job', findStrategyJobOwner, key, options);
+// A user record belongs to that user
+const ownsUser = (key, options) => requireOwnership('User', async (id) => id, key, options);
+
+module.exports = {
+  requireOwnership,
+  ownsAgent,
+  ownsExecutorAgent,
+  ownsWallet,
+  ownsPipeline,
+  ownsContact,
+  ownsApproval,
+  ownsStrategyJob,
+  ownsUser
+};
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// How long idempotency keys are remembered
+const RETENTION_DAYS = parseInt(process.env.ACTION_LEDGER_RETENTION_DAYS) || 30;
+
+const ActionLedgerSchema = new mongoose.Schema({
+  // transfer, duck_swap, sei_swap or pipeline_action
+  scope: {
+    type: String,
+    required: true
+  },
+  idempotencyKey: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: String,
+    default: null
+  },
+  agentId: {
+    type: String,
+    default: null
+  },
+  // sha256 of the action parameters; a key may only be reused with the same parameters
+  requestHash: {
+    type: String,
+    required: true
+  },
+  params: mongoose.Schema.Types.Mixed,
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  result: mongoose.Schema.Types.Mixed,
+  error: String,
+  // Recorded as soon as it is broadcast, before the action returns
+  transactionHash: String,
+  // Set when an attempt started signing; an interrupted entry with it may have sent a transaction
+  signingAt: Date,
+  lastAttemptAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Keys are per user, so one user's key can't collide with (or replay) another's
+ActionLedgerSchema.index({ userId: 1, scope: 1, idempotencyKey: 1 }, { unique: true });
+ActionLedgerSchema.index({ userId: 1, createdAt: -1 });
+ActionLedgerSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ActionLedger', ActionLedgerSchema);
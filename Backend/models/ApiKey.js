@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+const API_KEY_SCOPES = [
+  'market:read',     // market data, prices and analysis
+  'portfolio:read',  // agents, balances, wallets and transactions
+  'trade',           // swaps and transfers, each up to tradeLimitUsd
+  'pipeline:manage'  // create, run and schedule pipelines; ones that trade also need trade, and scheduled runs keep the key's limit
+];
+
+const apiKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please provide a key name'],
+    trim: true,
+    maxlength: [100, 'Key name cannot be more than 100 characters']
+  },
+  // Public part of the key, used to look it up and shown in listings
+  prefix: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // SHA-256 of the secret part; the full key is only returned when created
+  keyHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: API_KEY_SCOPES
+    }],
+    validate: {
+      validator: scopes => scopes.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+  // USD cap per swap/transfer, required with the trade scope
+  tradeLimitUsd: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  // null: never expires
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+apiKeySchema.pre('validate', function(next) {
+  if (this.scopes.includes('trade') && this.tradeLimitUsd == null) {
+    this.invalidate('tradeLimitUsd', 'A trade limit (USD) is required for keys with the trade scope');
+  }
+  next();
+});
+
+// Neither revoked nor expired
+apiKeySchema.methods.isUsable = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+apiKeySchema.statics.SCOPES = API_KEY_SCOPES;
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// How long settled requests are kept before MongoDB expires them
+const RETENTION_DAYS = 90;
+
+// A transaction or pipeline action held until the user confirms it with the code sent to them
+const approvalRequestSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  agentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Agent',
+    default: null
+  },
+  action: {
+    type: String,
+    enum: ['swap', 'transfer', 'stake', 'unstake', 'add_liquidity', 'remove_liquidity', 'pipeline_action'],
+    required: true
+  },
+  // What is being approved, as shown to the user: { token, toToken, amount, recipient, network, valueUsd, pipelineId, nodeId }
+  summary: mongoose.Schema.Types.Mixed,
+  // Why approval is needed: [{ code, message }]
+  reasons: [{
+    _id: false,
+    code: String,
+    message: String
+  }],
+  // Carried out on confirm: { type, params } (see approvalService). null when the
+  // caller has to resubmit the transaction after confirming.
+  operation: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Hash of the transaction details, to match a resubmitted transaction
+  fingerprint: {
+    type: String,
+    required: true
+  },
+  codeHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  failedAttempts: {
+    type: Number,
+    default: 0
+  },
+  // pending -> executing -> executed/failed, or pending -> confirmed -> executed (resubmitted),
+  // or rejected/expired
+  status: {
+    type: String,
+    enum: ['pending', 'confirmed', 'executing', 'executed', 'failed', 'rejected', 'expired'],
+    default: 'pending'
+  },
+  // Code deadline while pending; resubmission deadline once confirmed
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  result: mongoose.Schema.Types.Mixed,
+  error: String,
+  confirmedAt: Date,
+  settledAt: Date
+}, {
+  timestamps: true
+});
+
+approvalRequestSchema.index({ userId: 1, status: 1, createdAt: -1 });
+approvalRequestSchema.index({ userId: 1, fingerprint: 1, status: 1 });
+approvalRequestSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ApprovalRequest', approvalRequestSchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const AUDIT_TYPES = [
+  // An LLM or rule-based classifier decided what a message is
+  'classification',
+  // Arguments (amounts, tokens, recipients, pipeline steps) extracted from a message
+  'argument_extraction',
+  // A transaction checked against the spending policies
+  'policy_check',
+  // Approval requested, confirmed or rejected
+  'approval',
+  // A transaction was signed and submitted
+  'transaction',
+  // A submitted transaction became final
+  'transaction_status'
+];
+
+// One step of the trail from a user message to an on-chain transaction. Entries
+// are append-only: they are never updated or deleted through the application.
+const auditLogSchema = new mongoose.Schema({
+  // Shared by every entry of one request (or pipeline run)
+  traceId: {
+    type: String,
+    default: null
+  },
+  type: {
+    type: String,
+    enum: AUDIT_TYPES,
+    required: true
+  },
+  userId: {
+    type: String,
+    default: null
+  },
+  agentId: {
+    type: String,
+    default: null
+  },
+  // Set when the request was made with an API key
+  apiKeyId: {
+    type: String,
+    default: null
+  },
+  // The user's original message
+  message: String,
+  // LLM that made the decision (null for rule-based fallbacks) and a SHA-256 of its prompt
+  model: String,
+  promptHash: String,
+  // Classifier or extractor output
+  output: mongoose.Schema.Types.Mixed,
+  // Resolved transaction arguments: { action, token, toToken, amount, recipient, slippage }
+  arguments: mongoose.Schema.Types.Mixed,
+  // Policy evaluation: { allowed, violations, approvalReasons, valueUsd }
+  policy: mongoose.Schema.Types.Mixed,
+  network: String,
+  transactionHash: String,
+  // success, failure, blocked, held, approved, rejected, submitted, confirmed, reverted, dropped, replaced, ...
+  outcome: String,
+  error: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ userId: 1, createdAt: -1 });
+auditLogSchema.index({ traceId: 1, createdAt: 1 });
+auditLogSchema.index({ transactionHash: 1 });
+
+const refuseChange = function(next) {
+  next(new Error('Audit log entries are append-only'));
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove']
+  .forEach(operation => auditLogSchema.pre(operation, refuseChange));
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return refuseChange(next);
+  }
+  next();
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
+module.exports.AUDIT_TYPES = AUDIT_TYPES;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { PIPELINE_SCHEMA_VERSION, validatePipelineDefinition } = require('../utils/pipelineSchema');
 
 const EventSchema = new mongoose.Schema({
   id: { type: String, required: true },
@@ -20,6 +21,24 @@ const ActionSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.Mixed,
     default: {}
   },
+  // Live runs stop here until the owner confirms the action (see approvalService)
+  requiresApproval: { type: Boolean, default: false },
+  position: {
+    x: Number,
+    y: Number
+  }
+});
+
+// AND/OR group of trigger checks gating the nodes after it
+const ConditionSchema = new mongoose.Schema({
+  id: { type: String, required: true },
+  name: { type: String, required: true },
+  type: { type: String, default: 'condition' },
+  description: String,
+  config: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
   position: {
     x: Number,
     y: Number
@@ -29,6 +48,7 @@ const ActionSchema = new mongoose.Schema({
 const ConnectionSchema = new mongoose.Schema({
   from: { type: String, required: true },
   to: { type: String, required: true },
+  // default, on_success or on_failure (see CONNECTION_TYPES)
   type: { type: String, default: 'default' }
 });
 
@@ -43,14 +63,41 @@ const PipelineSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  schemaVersion: {
+    type: Number,
+    default: PIPELINE_SCHEMA_VERSION
+  },
+  // API key that created or last scheduled the pipeline; scheduled runs act with
+  // its scopes and trade limit. null when set up with a JWT.
+  apiKeyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null
+  },
   status: {
     type: String,
     enum: ['active', 'inactive', 'paused', 'error'],
     default: 'active'
   },
   events: [EventSchema],
+  conditions: [ConditionSchema],
   actions: [ActionSchema],
   connections: [ConnectionSchema],
+  // Retries of transient action failures within a run (like ExecutorAgent.executionSettings.retryPolicy)
+  retryPolicy: {
+    maxRetries: {
+      type: Number,
+      default: 3
+    },
+    retryDelay: {
+      type: Number,
+      default: 10000 // 10 seconds, doubled on each retry
+    },
+    backoffMultiplier: {
+      type: Number,
+      default: 2
+    }
+  },
   lastExecuted: {
     type: Date,
     default: null
@@ -62,17 +109,30 @@ const PipelineSchema = new mongoose.Schema({
   metadata: {
     agendaJobId: String,
     nextExecution: Date,
-    executionHistory: [{
-      timestamp: Date,
-      status: String,
-      result: mongoose.Schema.Types.Mixed,
-      error: String
-    }]
+    schedule: {
+      kind: { type: String, enum: ['cron', 'interval'] },
+      expression: String,
+      timezone: String
+    },
+    // Runs are stored in the PipelineRun collection
+    lastRunId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PipelineRun'
+    }
   }
 }, {
   timestamps: true
 });
 
+// Reject nodes the executor cannot run
+PipelineSchema.pre('validate', function(next) {
+  const { isValid, errors } = validatePipelineDefinition(this);
+  if (!isValid) {
+    this.invalidate('events', errors.join('; '));
+  }
+  next();
+});
+
 // Index for efficient queries
 PipelineSchema.index({ userId: 1, status: 1 });
 PipelineSchema.index({ 'metadata.agendaJobId': 1 });
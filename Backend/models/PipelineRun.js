@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// How long runs are kept before MongoDB expires them
+const RETENTION_DAYS = parseInt(process.env.PIPELINE_RUN_RETENTION_DAYS) || 30;
+
+// One record per event, condition or action reached during a run
+const NodeRecordSchema = new mongoose.Schema({
+  nodeId: { type: String, required: true },
+  kind: { type: String, enum: ['event', 'condition', 'action'], required: true },
+  type: String,
+  // Event that led to this node
+  eventId: String,
+  status: {
+    type: String,
+    enum: ['fired', 'not_fired', 'passed', 'not_passed', 'success', 'error', 'awaiting_approval'],
+    required: true
+  },
+  inputs: mongoose.Schema.Types.Mixed,
+  output: mongoose.Schema.Types.Mixed,
+  txHash: String,
+  error: String,
+  startedAt: Date,
+  durationMs: Number
+}, { _id: false });
+
+const PipelineRunSchema = new mongoose.Schema({
+  pipelineId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pipeline',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // approval: resumed at an action once its approval request was confirmed
+  trigger: {
+    type: String,
+    enum: ['schedule', 'rerun', 'approval'],
+    default: 'schedule'
+  },
+  // success: every reached node succeeded; failed: an action errored; error: the run aborted;
+  // awaiting_approval: actions are held for approval and nothing errored
+  status: {
+    type: String,
+    enum: ['running', 'success', 'failed', 'error', 'awaiting_approval'],
+    default: 'running'
+  },
+  // Set on re-runs and approval resumes: the run being resumed and the node it resumed from
+  rerunOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PipelineRun',
+    default: null
+  },
+  resumedFromNode: {
+    type: String,
+    default: null
+  },
+  // Prefix of the action ledger keys; re-runs share it with the run they resume
+  idempotencyKey: String,
+  nodes: [NodeRecordSchema],
+  error: String,
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date,
+  durationMs: Number
+});
+
+PipelineRunSchema.index({ pipelineId: 1, startedAt: -1 });
+PipelineRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// First action that errored, where a re-run resumes
+PipelineRunSchema.methods.getFailedNode = function() {
+  return this.nodes.find(node => node.kind === 'action' && node.status === 'error') || null;
+};
+
+module.exports = mongoose.model('PipelineRun', PipelineRunSchema);
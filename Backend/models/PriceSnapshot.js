@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// How long snapshots are kept before MongoDB expires them
+const RETENTION_DAYS = parseInt(process.env.PRICE_HISTORY_RETENTION_DAYS) || 30;
+
+const priceSnapshotSchema = new mongoose.Schema({
+  token: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  tokenAddress: {
+    type: String,
+    lowercase: true,
+    default: null
+  },
+  // GeckoTerminal network id, or null for aggregated (e.g. CoinGecko) prices
+  network: {
+    type: String,
+    default: null
+  },
+  priceUsd: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  source: {
+    type: String,
+    default: 'unknown'
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Windowed lookups: latest snapshot for a token at or before a point in time
+priceSnapshotSchema.index({ token: 1, network: 1, timestamp: -1 });
+priceSnapshotSchema.index({ timestamp: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('PriceSnapshot', priceSnapshotSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Kept a little longer than the longest spending window (weekly)
+const RETENTION_DAYS = 8;
+
+// A swap, transfer, stake or liquidity deposit counted against spending policy caps: reserved when it passes
+// the policy check, marked sent once broadcast and deleted if it never goes out
+const spendRecordSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // null when signed with the user's own wallet (pipelines)
+  agentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Agent',
+    default: null
+  },
+  action: {
+    type: String,
+    enum: ['swap', 'transfer', 'stake', 'add_liquidity'],
+    required: true
+  },
+  // Token spent (for swaps, the token sold; for liquidity deposits, the first token)
+  token: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  // null when no price was available
+  valueUsd: {
+    type: Number,
+    default: null
+  },
+  network: String,
+  transactionHash: String,
+  // Reserved spends count towards the caps like sent ones
+  status: {
+    type: String,
+    enum: ['reserved', 'sent'],
+    default: 'sent'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+spendRecordSchema.index({ userId: 1, createdAt: -1 });
+spendRecordSchema.index({ agentId: 1, createdAt: -1 });
+spendRecordSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('SpendRecord', spendRecordSchema);
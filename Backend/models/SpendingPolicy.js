@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const isTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const tokenLimitSchema = new mongoose.Schema({
+  token: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  // Largest amount of the token per transaction, in token units
+  maxAmount: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  // USD cap on the token per rolling 24 hours
+  dailyLimitUsd: {
+    type: Number,
+    min: 0,
+    default: null
+  }
+}, { _id: false });
+
+const spendingPolicySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // null: the user-wide policy, covering every agent and the user's own wallet
+  agentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Agent',
+    default: null
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // USD caps; null means no cap. Daily/weekly are rolling 24h/7d windows.
+  maxTransactionUsd: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  dailyLimitUsd: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  weeklyLimitUsd: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  tokenLimits: [tokenLimitSchema],
+  // Tokens that may be sent, sold or bought; empty allows any
+  allowedTokens: [{
+    type: String,
+    uppercase: true,
+    trim: true
+  }],
+  // Transfers only to the user's contacts and allowedRecipients
+  contactsOnly: {
+    type: Boolean,
+    default: false
+  },
+  // Addresses transfers may go to; when set, other recipients are refused
+  allowedRecipients: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  maxSlippagePercent: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: null
+  },
+  // Transactions worth more than this (USD) wait for the user to confirm a code; null: never
+  approvalThresholdUsd: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  // Transfers to addresses not in the user's contacts wait for confirmation
+  approveNewRecipients: {
+    type: Boolean,
+    default: false
+  },
+  // No transactions between start and end (local time), e.g. 22:00-07:00
+  quietHours: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    start: {
+      type: String,
+      match: [TIME_OF_DAY, 'Quiet hours start must be HH:MM'],
+      default: '22:00'
+    },
+    end: {
+      type: String,
+      match: [TIME_OF_DAY, 'Quiet hours end must be HH:MM'],
+      default: '07:00'
+    },
+    timezone: {
+      type: String,
+      default: 'UTC',
+      validate: {
+        validator: isTimeZone,
+        message: 'Unknown timezone'
+      }
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// One user-wide policy and at most one policy per agent
+spendingPolicySchema.index({ userId: 1, agentId: 1 }, { unique: true });
+
+module.exports = mongoose.model('SpendingPolicy', spendingPolicySchema);
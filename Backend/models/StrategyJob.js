@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// How long strategy jobs are kept before MongoDB expires them
+const RETENTION_DAYS = parseInt(process.env.STRATEGY_JOB_RETENTION_DAYS) || 30;
+
+// Layers in the order they run: request validation, the 4 strategist LLMs, master consolidation
+const STRATEGY_LAYERS = ['validation', 'strategies', 'consolidation'];
+
+const LayerSchema = new mongoose.Schema({
+  // skipped: validation found the request doesn't need a full strategy
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed', 'skipped'],
+    default: 'pending'
+  },
+  // Kept so a retry resumes at the failed layer instead of calling the LLMs again
+  output: mongoose.Schema.Types.Mixed,
+  error: String,
+  startedAt: Date,
+  completedAt: Date
+}, { _id: false });
+
+// One strategy generation request, run as an Agenda job
+const StrategyJobSchema = new mongoose.Schema({
+  processingId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  // Progress shown while it runs
+  stage: String,
+  percentage: {
+    type: Number,
+    default: 0
+  },
+  currentStep: String,
+  layers: {
+    validation: { type: LayerSchema, default: () => ({}) },
+    strategies: { type: LayerSchema, default: () => ({}) },
+    consolidation: { type: LayerSchema, default: () => ({}) }
+  },
+  // Final strategy, or the fallback strategy when it failed
+  result: mongoose.Schema.Types.Mixed,
+  error: String,
+  // Times it was started, retries included
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Worker running the job and until when; a job whose lease ran out can be taken over
+  leaseId: String,
+  leaseExpiresAt: Date,
+  startedAt: Date,
+  finishedAt: Date
+}, {
+  timestamps: true
+});
+
+StrategyJobSchema.index({ userId: 1, createdAt: -1 });
+StrategyJobSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// First layer that hasn't completed, where a run or retry starts
+StrategyJobSchema.methods.getResumeLayer = function() {
+  return STRATEGY_LAYERS.find(layer => !['completed', 'skipped'].includes(this.layers[layer].status)) || null;
+};
+
+module.exports = mongoose.model('StrategyJob', StrategyJobSchema);
+module.exports.STRATEGY_LAYERS = STRATEGY_LAYERS;
@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// Last stream event sequence number of each user (_id is the user id)
+const StreamCounterSchema = new mongoose.Schema({
+  _id: String,
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  versionKey: false
+});
+
+module.exports = mongoose.model('StreamCounter', StreamCounterSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// How long events stay available for reconnecting clients to catch up on
+const RETENTION_MINUTES = parseInt(process.env.STREAM_EVENT_RETENTION_MINUTES) || 60;
+
+const STREAM_TOPICS = [
+  // Strategy job progress, layer by layer
+  'strategy',
+  // Prompt router stages and partial LLM output
+  'chat',
+  // Submitted transactions and their final status
+  'transaction',
+  // Stream bookkeeping, e.g. events a client missed for good
+  'stream'
+];
+
+// One event pushed to a user's SSE / WebSocket stream. `seq` increases by one per
+// event of the user and is the cursor clients resume from.
+const StreamEventSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    required: true
+  },
+  topic: {
+    type: String,
+    enum: STREAM_TOPICS,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  // Id of the request that caused the event (X-Request-Id), when there was one
+  requestId: {
+    type: String,
+    default: null
+  },
+  data: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+StreamEventSchema.index({ userId: 1, seq: 1 }, { unique: true });
+StreamEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_MINUTES * 60 });
+
+module.exports = mongoose.model('StreamEvent', StreamEventSchema);
+module.exports.STREAM_TOPICS = STREAM_TOPICS;
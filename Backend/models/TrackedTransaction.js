@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const TrackedTransactionSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    default: null
+  },
+  agentId: {
+    type: String,
+    default: null
+  },
+  // Audit trace of the request that submitted it
+  traceId: {
+    type: String,
+    default: null
+  },
+  // transfer, swap, approval, ...
+  kind: {
+    type: String,
+    required: true
+  },
+  network: {
+    type: String,
+    default: 'duckchain'
+  },
+  hash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Sender, lowercased
+  from: {
+    type: String,
+    required: true
+  },
+  to: String,
+  nonce: {
+    type: Number,
+    required: true
+  },
+  // pending until mined (confirmed/reverted) or gone (dropped, or replaced by another tx with its nonce)
+  status: {
+    type: String,
+    enum: ['pending', 'confirmed', 'reverted', 'dropped', 'replaced'],
+    default: 'pending'
+  },
+  // Transfer/swap details shown to the client
+  details: mongoose.Schema.Types.Mixed,
+  blockNumber: Number,
+  confirmations: {
+    type: Number,
+    default: 0
+  },
+  gasUsed: String,
+  effectiveGasPrice: String,
+  // Hash of the transaction that took this one's nonce, when known
+  replacedBy: String,
+  // Set while an earlier nonce of the sender is still unmined
+  nonceGap: {
+    expectedNonce: Number,
+    detectedAt: Date
+  },
+  error: String,
+  // Wallet.tradingHistory entry mirroring this transaction
+  walletId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Wallet',
+    default: null
+  },
+  tradeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  checks: {
+    type: Number,
+    default: 0
+  },
+  lastCheckedAt: Date,
+  finalizedAt: Date
+}, {
+  timestamps: true
+});
+
+TrackedTransactionSchema.index({ status: 1, lastCheckedAt: 1 });
+TrackedTransactionSchema.index({ network: 1, from: 1, nonce: 1 });
+TrackedTransactionSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('TrackedTransaction', TrackedTransactionSchema);
@@ -1,5 +1,5 @@
 const mongoose = require('mongoose');
-const CryptoJS = require('crypto-js');
+const keyVault = require('../utils/keyVault');
 
 const walletSchema = new mongoose.Schema({
   // Owner can be either an agent or a user
@@ -174,7 +174,7 @@ const walletSchema = new mongoose.Schema({
 });
 
 // Validation and setup before saving
-walletSchema.pre('save', function(next) {
+walletSchema.pre('save', async function() {
   // Set legacy fields based on owner type for backward compatibility
   if (this.ownerType === 'agent') {
     this.agentId = this.ownerId;
@@ -188,24 +188,16 @@ walletSchema.pre('save', function(next) {
     this.agentName = null;
   }
 
-  // Encrypt private key before saving
-  if (this.isModified('encryptedPrivateKey') && !this.encryptedPrivateKey.startsWith('encrypted:')) {
-    const encryptionKey = process.env.WALLET_ENCRYPTION_KEY || 'default-key-change-in-production';
-    this.encryptedPrivateKey = 'encrypted:' + CryptoJS.AES.encrypt(this.encryptedPrivateKey, encryptionKey).toString();
+  // Encrypt private key before saving (plaintext or legacy values go into the key vault)
+  if (this.isModified('encryptedPrivateKey') && !keyVault.isEnvelope(this.encryptedPrivateKey)) {
+    this.encryptedPrivateKey = await keyVault.reencrypt(this.encryptedPrivateKey);
   }
   this.updatedAt = Date.now();
-  next();
 });
 
 // Method to decrypt private key
-walletSchema.methods.getPrivateKey = function() {
-  const encryptionKey = process.env.WALLET_ENCRYPTION_KEY || 'default-key-change-in-production';
-  if (this.encryptedPrivateKey.startsWith('encrypted:')) {
-    const encryptedData = this.encryptedPrivateKey.replace('encrypted:', '');
-    const bytes = CryptoJS.AES.decrypt(encryptedData, encryptionKey);
-    return bytes.toString(CryptoJS.enc.Utf8);
-  }
-  return this.encryptedPrivateKey; // Fallback for unencrypted (shouldn't happen)
+walletSchema.methods.getPrivateKey = async function() {
+  return await keyVault.decrypt(this.encryptedPrivateKey);
 };
 
 // Method to update portfolio value
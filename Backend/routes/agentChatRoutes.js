@@ -1,6 +1,7 @@
 const express = require('express');
 const { body } = require('express-validator');
 const { agentChat } = require('../controllers/agentChatController');
+const { protectWithApiKey } = require('../middleware/auth');
 const router = express.Router();
 
 /**
@@ -206,6 +207,8 @@ const router = express.Router();
  *       - Session-based context continuity
  *       - Specialized handlers for each demand type
  *     tags: [Agent Chat]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -308,6 +311,10 @@ const router = express.Router();
  *               errors:
  *                 - msg: "Message is required"
  *                   param: "message"
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: API key lacks the market:read scope
  *       500:
  *         description: Server error or AI service not configured
  *         content:
@@ -335,7 +342,7 @@ const router = express.Router();
  *                   message: "Failed to process agent chat request"
  *                   error: "Detailed error message"
  */
-router.post('/', [
+router.post('/', protectWithApiKey('market:read'), [
   body('message')
     .notEmpty()
     .withMessage('Message is required')
@@ -3,13 +3,15 @@ const { body, validationResult } = require('express-validator');
 const Agent = require('../models/Agent');
 const { SimpleAgent } = require('@mariposa-plus/agent-sdk');
 const seiAgentService = require('../services/seiAgentService');
+const policyService = require('../services/policyService');
+const { protectWithApiKey, bindUserId } = require('../middleware/auth');
 const router = express.Router();
 
 /**
  * Execute transfer using Agent SDK
  * POST /api/agents/execute-transfer
  */
-router.post('/execute-transfer', [
+router.post('/execute-transfer', protectWithApiKey('trade'), bindUserId, [
   body('transferDetails')
     .exists()
     .withMessage('Transfer details are required'),
@@ -33,6 +35,7 @@ router.post('/execute-transfer', [
     .isString()
     .withMessage('User ID must be a string')
 ], async (req, res) => {
+  let approval = null;
   try {
     // Check for validation errors
     const errors = validationResult(req);
@@ -100,8 +103,17 @@ router.post('/execute-transfer', [
       });
     }
 
+    approval = await policyService.enforce({
+      agentId: agent._id,
+      action: 'transfer',
+      token: transferDetails.token,
+      amount: transferDetails.amount,
+      recipient: transferDetails.to,
+      network: 'sei-evm'
+    });
+
     // Decrypt the private key (seiAgentService handles encryption/decryption)
-    const decryptedPrivateKey = seiAgentService.decryptPrivateKey(agent.seiPrivateKey);
+    const decryptedPrivateKey = await seiAgentService.decryptPrivateKey(agent.seiPrivateKey);
     
     // Initialize the SimpleAgent with the agent's configuration
     const agentConfig = {
@@ -143,6 +155,7 @@ router.post('/execute-transfer', [
     }
 
     console.log('✅ Transfer completed with hash:', txHash);
+    await policyService.recordSpend(approval, txHash);
 
     // Disconnect the agent
     await simpleAgent.disconnect();
@@ -157,11 +170,14 @@ router.post('/execute-transfer', [
 
   } catch (error) {
     console.error('❌ Transfer execution error:', error);
+    await policyService.releaseSpend(approval);
     
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: error.message,
-      details: 'Transfer execution failed',
+      violations: error.violations,
+      approval: error.approval,
+      details: error.approval ? 'Transfer awaiting approval' : 'Transfer execution failed',
       timestamp: new Date().toISOString()
     });
   }
@@ -8,6 +8,8 @@ const {
 } = require('../controllers/agentController');
 
 const { createSeiAgent } = require('../controllers/seiAgentController');
+const { protect, bindUserId } = require('../middleware/auth');
+const { ownsAgent } = require('../middleware/ownership');
 
 const router = express.Router();
 
@@ -410,7 +412,7 @@ const router = express.Router();
  *                   type: string
  *                   example: "Failed to create simple agent"
  */
-router.post('/simple', [
+router.post('/simple', protect, bindUserId, [
   body('name')
     .notEmpty()
     .withMessage('Agent name is required')
@@ -817,7 +819,7 @@ router.post('/simple', [
  *                   description: True if agent was deleted due to wallet creation failure in strict mode
  *                   example: true
  */
-router.post('/sei', [
+router.post('/sei', protect, bindUserId, [
   body('name')
     .notEmpty()
     .withMessage('Agent name is required')
@@ -848,7 +850,7 @@ router.post('/sei', [
     .withMessage('Risk tolerance must be conservative, moderate, or aggressive')
 ], createSeiAgent);
 
-router.post('/generate-strategy', [
+router.post('/generate-strategy', protect, bindUserId, [
   body('message')
     .notEmpty()
     .withMessage('Message is required')
@@ -974,7 +976,7 @@ router.post('/generate-strategy', [
  *       500:
  *         description: Server error
  */
-router.put('/:id/modify-strategy', [
+router.put('/:id/modify-strategy', protect, bindUserId, [
   param('id').custom((value) => {
     // Accept both MongoDB ObjectId and UUID formats
     const isMongoId = /^[0-9a-fA-F]{24}$/.test(value);
@@ -1058,7 +1060,7 @@ router.put('/:id/modify-strategy', [
  *       500:
  *         description: Server error
  */
-router.put('/:id/approve', [
+router.put('/:id/approve', protect, ownsAgent('id'), bindUserId, [
   param('id').isMongoId().withMessage('Invalid agent ID'),
   body('userId')
     .notEmpty()
@@ -5,6 +5,8 @@ const {
   getCryptoPrices
 } = require('../controllers/aiAgentController');
 const promptRouterController = require('../controllers/promptRouterController');
+const { protectWithApiKey, bindUserId } = require('../middleware/auth');
+const { ownsAgent } = require('../middleware/ownership');
 const router = express.Router();
 
 /**
@@ -79,7 +81,7 @@ const router = express.Router();
  *       500:
  *         description: Server error
  */
-router.post('/chat', [
+router.post('/chat', protectWithApiKey('market:read', 'portfolio:read', 'trade'), ownsAgent('agentId', { source: 'body', optional: true }), [
   body('message').notEmpty().withMessage('Message is required'),
   body('agentId').optional().isMongoId().withMessage('Invalid agent ID')
 ], chatWithAgent);
@@ -526,7 +528,8 @@ router.get('/prices', getCryptoPrices);
  *                   type: string
  *                   example: "Internal server error"
  */
-router.post('/route', [
+// "default" and "master-agent" stand for the caller's own agent
+router.post('/route', protectWithApiKey('market:read', 'portfolio:read', 'trade'), bindUserId, ownsAgent('agentId', { source: 'body', optional: true, except: ['default', 'master-agent'] }), [
   body('message').notEmpty().withMessage('Message is required')
     .isLength({ min: 3, max: 1000 }).withMessage('Message must be between 3 and 1000 characters'),
   body('userId').optional().isString().withMessage('User ID must be a string'),
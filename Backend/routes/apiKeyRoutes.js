@@ -0,0 +1,195 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const ApiKey = require('../models/ApiKey');
+const apiKeyService = require('../services/apiKeyService');
+
+// Keys are managed with a login session only, never with another API key
+router.use(protect);
+
+const formatApiKey = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  tradeLimitUsd: apiKey.tradeLimitUsd,
+  expiresAt: apiKey.expiresAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  usageCount: apiKey.usageCount,
+  revokedAt: apiKey.revokedAt,
+  active: apiKey.isUsable(),
+  createdAt: apiKey.createdAt
+});
+
+/**
+ * @swagger
+ * tags:
+ *   - name: API Keys
+ *     description: Scoped API keys for bots and agents
+ */
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   post:
+ *     summary: Create an API key
+ *     description: |
+ *       Returns the key once; only its hash is stored. Send it as `X-API-Key: <key>`
+ *       or `Authorization: Bearer <key>`.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, scopes]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Trading bot
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [market:read, portfolio:read, trade, pipeline:manage]
+ *               tradeLimitUsd:
+ *                 type: number
+ *                 description: USD cap per swap or transfer, required with the trade scope
+ *                 example: 100
+ *               expiresInDays:
+ *                 type: integer
+ *                 description: Days until the key expires; omit for no expiry
+ *                 example: 90
+ *     responses:
+ *       201:
+ *         description: Key created; `key` is not shown again
+ *       400:
+ *         description: Validation error
+ */
+router.post('/', [
+  body('name').trim().notEmpty().withMessage('Key name is required'),
+  body('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+  body('scopes.*').isIn(ApiKey.SCOPES).withMessage(`Scopes must be among: ${ApiKey.SCOPES.join(', ')}`),
+  body('tradeLimitUsd').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('tradeLimitUsd must be a positive number'),
+  body('expiresInDays').optional({ nullable: true }).isInt({ min: 1 }).withMessage('expiresInDays must be a positive integer')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const { name, scopes, tradeLimitUsd, expiresInDays } = req.body;
+    const { apiKey, key } = await apiKeyService.createKey(req.user.id, {
+      name,
+      scopes,
+      tradeLimitUsd: tradeLimitUsd != null ? parseFloat(tradeLimitUsd) : null,
+      expiresInDays: expiresInDays != null ? parseInt(expiresInDays) : null
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Store it now, it will not be shown again.',
+      data: { ...formatApiKey(apiKey), key }
+    });
+  } catch (error) {
+    const status = error.status || (error.name === 'ValidationError' ? 400 : 500);
+    if (status === 500) {
+      console.error('Error creating API key:', error);
+    }
+    res.status(status).json({
+      success: false,
+      message: status === 500 ? 'Error creating API key' : error.message,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   get:
+ *     summary: List your API keys
+ *     description: Lists keys with their scopes, expiry and last use. Secrets are never returned.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: API keys
+ */
+router.get('/', async (req, res) => {
+  try {
+    const apiKeys = await apiKeyService.listKeys(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      count: apiKeys.length,
+      data: apiKeys.map(formatApiKey)
+    });
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching API keys',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     description: The key stops working immediately. The record is kept for its usage history.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Key revoked
+ *       404:
+ *         description: Key not found
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const apiKey = await apiKeyService.revokeKey(req.user.id, req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked',
+      data: formatApiKey(apiKey)
+    });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking API key',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,231 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const router = express.Router();
+const { protect, protectWithApiKey } = require('../middleware/auth');
+const { ownsApproval } = require('../middleware/ownership');
+const approvalService = require('../services/approvalService');
+
+const APPROVAL_STATUSES = ['pending', 'confirmed', 'executing', 'executed', 'failed', 'rejected', 'expired'];
+
+// Requests can be read and rejected with an API key, but only confirmed with a
+// login session, so an agent holding a key can't approve its own transactions
+const canRead = protectWithApiKey('portfolio:read', 'trade');
+const canReject = protectWithApiKey('trade');
+
+const sendError = (res, error, message) => {
+  if (!error.status) {
+    console.error(`${message}:`, error);
+  }
+  res.status(error.status || 500).json({
+    success: false,
+    message: error.status ? error.message : message,
+    error: error.message
+  });
+};
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Approvals
+ *     description: Transactions and pipeline actions held until you confirm them with a code
+ */
+
+/**
+ * @swagger
+ * /api/approvals:
+ *   get:
+ *     summary: List your approval requests
+ *     description: Newest first. Requests whose code has run out are reported as expired.
+ *     tags: [Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, confirmed, executing, executed, failed, rejected, expired]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Approval requests
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApprovalRequest'
+ */
+router.get('/', canRead, [
+  query('status').optional().isIn(APPROVAL_STATUSES).withMessage('Invalid status'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const approvals = await approvalService.list(req.user.id, {
+      status: req.query.status,
+      limit: parseInt(req.query.limit) || 50
+    });
+
+    res.status(200).json({
+      success: true,
+      count: approvals.length,
+      data: approvals
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching approval requests');
+  }
+});
+
+/**
+ * @swagger
+ * /api/approvals/{id}:
+ *   get:
+ *     summary: Get an approval request
+ *     tags: [Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Approval request
+ *       404:
+ *         description: Approval request not found
+ */
+router.get('/:id', canRead, ownsApproval('id'), async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: await approvalService.get(req.params.id)
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching approval request');
+  }
+});
+
+/**
+ * @swagger
+ * /api/approvals/{id}/confirm:
+ *   post:
+ *     summary: Confirm an approval request with its code
+ *     description: |
+ *       The held transaction or pipeline action runs right away and its result is
+ *       returned. Requests with `executesOnConfirm: false` instead let the same
+ *       transaction be resubmitted once before `expiresAt`. Too many wrong codes
+ *       reject the request.
+ *     tags: [Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: '482913'
+ *     responses:
+ *       200:
+ *         description: Confirmed; `data.status` is executed, failed or confirmed
+ *       403:
+ *         description: Wrong code
+ *       409:
+ *         description: Request is no longer pending
+ *       410:
+ *         description: Code expired
+ */
+router.post('/:id/confirm', protect, ownsApproval('id'), [
+  body('code').isString().trim().notEmpty().withMessage('Approval code is required')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const approval = await approvalService.confirm(req.params.id, req.body.code);
+
+    res.status(200).json({
+      success: approval.status !== 'failed',
+      message: {
+        executed: 'Approved and executed',
+        failed: 'Approved, but execution failed',
+        confirmed: 'Approved; resubmit the transaction to execute it'
+      }[approval.status],
+      data: approval
+    });
+  } catch (error) {
+    sendError(res, error, 'Error confirming approval request');
+  }
+});
+
+/**
+ * @swagger
+ * /api/approvals/{id}/reject:
+ *   post:
+ *     summary: Reject an approval request
+ *     description: The held transaction or pipeline action is dropped.
+ *     tags: [Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rejected
+ *       409:
+ *         description: Request is no longer pending
+ */
+router.post('/:id/reject', canReject, ownsApproval('id'), async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      message: 'Approval request rejected',
+      data: await approvalService.reject(req.params.id)
+    });
+  } catch (error) {
+    sendError(res, error, 'Error rejecting approval request');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,217 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const router = express.Router();
+const { protectWithApiKey, bindUserId } = require('../middleware/auth');
+const { AUDIT_TYPES } = require('../models/AuditLog');
+const auditService = require('../services/auditService');
+
+const canRead = protectWithApiKey('portfolio:read', 'trade');
+
+const filterValidators = [
+  query('type').optional().isIn(AUDIT_TYPES).withMessage(`Type must be one of: ${AUDIT_TYPES.join(', ')}`),
+  query('agentId').optional().isString().trim(),
+  query('traceId').optional().isString().trim(),
+  query('outcome').optional().isString().trim(),
+  query('transactionHash').optional().isString().trim().toLowerCase(),
+  query('from').optional().isISO8601().withMessage('From must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('To must be an ISO 8601 date')
+];
+
+const getFilters = (req) => {
+  const { userId, type, agentId, traceId, outcome, transactionHash, from, to, before } = req.query;
+  return { userId, type, agentId, traceId, outcome, transactionHash, from, to, before };
+};
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    errors: errors.array()
+  });
+  return true;
+};
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Audit
+ *     description: Append-only record of AI decisions and on-chain actions
+ */
+
+/**
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     summary: List your audit log entries
+ *     description: |
+ *       Newest first. Entries of one request share its `traceId` (returned in the
+ *       X-Request-Id response header; pipeline runs use `pipeline-run:<runId>`), so
+ *       filtering on it gives the trail from message to transaction. Page with
+ *       `before` set to the previous page's `nextCursor`. Admins may pass `userId`.
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [classification, argument_extraction, policy_check, approval, transaction, transaction_status]
+ *       - in: query
+ *         name: agentId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: traceId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *           example: blocked
+ *       - in: query
+ *         name: transactionHash
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: before
+ *         description: Cursor from a previous page
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Audit log entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditLogEntry'
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ */
+router.get('/', canRead, bindUserId, [
+  ...filterValidators,
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500')
+], async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const { entries, nextCursor } = await auditService.query(getFilters(req), parseInt(req.query.limit) || 50);
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      data: entries,
+      nextCursor
+    });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching audit log',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/audit/export:
+ *   get:
+ *     summary: Export your audit log as CSV or JSON
+ *     description: |
+ *       Oldest first, with the same filters as GET /api/audit. At most
+ *       AUDIT_EXPORT_LIMIT entries are exported; X-Audit-Truncated is true when
+ *       there were more, narrow the date range to get the rest.
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *           default: csv
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Audit log file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/AuditLogEntry'
+ */
+router.get('/export', canRead, bindUserId, [
+  ...filterValidators,
+  query('format').optional().isIn(['csv', 'json']).withMessage('Format must be csv or json')
+], async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const format = req.query.format || 'csv';
+    const { body, count, truncated } = await auditService.export(getFilters(req), format);
+
+    res.set({
+      'Content-Type': format === 'json' ? 'application/json' : 'text/csv',
+      'Content-Disposition': `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.${format}"`,
+      'X-Audit-Count': String(count),
+      'X-Audit-Truncated': String(truncated)
+    });
+    res.status(200).send(body);
+  } catch (error) {
+    console.error('Error exporting audit log:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting audit log',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const duckAgentController = require('../controllers/duckAgentController');
+const { protect, protectWithApiKey, bindUserId } = require('../middleware/auth');
+const { ownsAgent } = require('../middleware/ownership');
 
 /**
  * @swagger
@@ -10,7 +12,6 @@ const duckAgentController = require('../controllers/duckAgentController');
  *       type: object
  *       required:
  *         - name
- *         - email
  *       properties:
  *         name:
  *           type: string
@@ -21,7 +22,7 @@ const duckAgentController = require('../controllers/duckAgentController');
  *         email:
  *           type: string
  *           format: email
- *           description: User email (required for DUCK agents)
+ *           description: Email of the user to create the agent for (admins only; defaults to the authenticated user)
  *         agentType:
  *           type: string
  *           enum: [general, trading, defi, nft]
@@ -48,8 +49,8 @@ const duckAgentController = require('../controllers/duckAgentController');
  *           description: Amount to swap
  *         slippageTolerance:
  *           type: number
- *           default: 15
- *           description: Slippage tolerance percentage
+ *           default: 0.5
+ *           description: Slippage tolerance percentage, more than 0 and at most 50
  *     DuckTransferRequest:
  *       type: object
  *       required:
@@ -118,7 +119,7 @@ const duckAgentController = require('../controllers/duckAgentController');
  *       500:
  *         description: Server error
  */
-router.post('/', duckAgentController.createDuckAgent);
+router.post('/', protect, duckAgentController.createDuckAgent);
 
 /**
  * @swagger
@@ -138,7 +139,7 @@ router.post('/', duckAgentController.createDuckAgent);
  *       500:
  *         description: Server error
  */
-router.get('/', duckAgentController.getDuckAgents);
+router.get('/', protectWithApiKey('portfolio:read'), bindUserId, duckAgentController.getDuckAgents);
 
 /**
  * @swagger
@@ -156,85 +157,49 @@ router.get('/tokens', duckAgentController.getSupportedTokens);
 
 /**
  * @swagger
- * /api/agents/duck/{id}:
+ * /api/agents/duck/quote:
  *   get:
- *     summary: Get a specific DUCK agent by ID
+ *     summary: Quote a swap along the best single- or multi-hop iZiSwap route
  *     tags: [DUCK Agents]
  *     parameters:
- *       - in: path
- *         name: id
+ *       - in: query
+ *         name: fromToken
  *         required: true
  *         schema:
  *           type: string
- *         description: Agent ID
- *     responses:
- *       200:
- *         description: DUCK agent details
- *       404:
- *         description: Agent not found
- *       500:
- *         description: Server error
- */
-router.get('/:id', duckAgentController.getDuckAgent);
-
-/**
- * @swagger
- * /api/agents/duck/{id}:
- *   put:
- *     summary: Update a DUCK agent
- *     tags: [DUCK Agents]
- *     parameters:
- *       - in: path
- *         name: id
+ *         description: Source token symbol or address
+ *       - in: query
+ *         name: toToken
  *         required: true
  *         schema:
  *           type: string
- *         description: Agent ID
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               name:
- *                 type: string
- *               description:
- *                 type: string
- *               configuration:
- *                 type: object
- *     responses:
- *       200:
- *         description: Agent updated successfully
- *       404:
- *         description: Agent not found
- *       500:
- *         description: Server error
- */
-router.put('/:id', duckAgentController.updateDuckAgent);
-
-/**
- * @swagger
- * /api/agents/duck/{id}:
- *   delete:
- *     summary: Delete a DUCK agent
- *     tags: [DUCK Agents]
- *     parameters:
- *       - in: path
- *         name: id
+ *         description: Target token symbol or address
+ *       - in: query
+ *         name: amount
  *         required: true
  *         schema:
+ *           type: number
+ *         description: Amount to swap
+ *       - in: query
+ *         name: slippage
+ *         schema:
+ *           type: number
+ *           default: 0.5
+ *         description: Slippage tolerance percentage, more than 0 and at most 50
+ *       - in: query
+ *         name: from
+ *         schema:
  *           type: string
- *         description: Agent ID
+ *         description: Sender address, used to estimate gas
  *     responses:
  *       200:
- *         description: Agent deleted successfully
- *       404:
- *         description: Agent not found
+ *         description: Quote with route, per-hop fees, minimum output and price impact
+ *       400:
+ *         description: Bad request - missing parameters
  *       500:
- *         description: Server error
+ *         description: Server error or no route found
  */
-router.delete('/:id', duckAgentController.deleteDuckAgent);
+router.get('/quote', duckAgentController.getSwapQuote);
 
 /**
  * @swagger
@@ -245,11 +210,11 @@ router.delete('/:id', duckAgentController.deleteDuckAgent);
  *     parameters:
  *       - in: query
  *         name: email
- *         required: true
+ *         required: false
  *         schema:
  *           type: string
  *           format: email
- *         description: User email address
+ *         description: User email address (defaults to the authenticated user; other users' need admin)
  *         example: user@example.com
  *     responses:
  *       200:
@@ -297,13 +262,97 @@ router.delete('/:id', duckAgentController.deleteDuckAgent);
  *                         email:
  *                           type: string
  *       400:
- *         description: Bad request - email parameter required or invalid format
+ *         description: Bad request - invalid email format
+ *       403:
+ *         description: Email belongs to another user
  *       404:
  *         description: User or agent not found
  *       500:
  *         description: Server error
  */
-router.get('/balance', duckAgentController.getAgentBalance);
+router.get('/balance', protectWithApiKey('portfolio:read'), duckAgentController.getAgentBalance);
+
+/**
+ * @swagger
+ * /api/agents/duck/{id}:
+ *   get:
+ *     summary: Get a specific DUCK agent by ID
+ *     tags: [DUCK Agents]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Agent ID
+ *     responses:
+ *       200:
+ *         description: DUCK agent details
+ *       404:
+ *         description: Agent not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', protectWithApiKey('portfolio:read'), ownsAgent('id'), duckAgentController.getDuckAgent);
+
+/**
+ * @swagger
+ * /api/agents/duck/{id}:
+ *   put:
+ *     summary: Update a DUCK agent
+ *     tags: [DUCK Agents]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Agent ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               configuration:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: Agent updated successfully
+ *       404:
+ *         description: Agent not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id', protect, ownsAgent('id'), duckAgentController.updateDuckAgent);
+
+/**
+ * @swagger
+ * /api/agents/duck/{id}:
+ *   delete:
+ *     summary: Delete a DUCK agent
+ *     tags: [DUCK Agents]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Agent ID
+ *     responses:
+ *       200:
+ *         description: Agent deleted successfully
+ *       404:
+ *         description: Agent not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', protect, ownsAgent('id'), duckAgentController.deleteDuckAgent);
 
 /**
  * @swagger
@@ -326,7 +375,7 @@ router.get('/balance', duckAgentController.getAgentBalance);
  *             $ref: '#/components/schemas/DuckSwapRequest'
  *     responses:
  *       200:
- *         description: Swap executed successfully
+ *         description: Swap submitted; poll /api/transactions/{trackingId} for its status
  *       400:
  *         description: Bad request - validation error
  *       404:
@@ -334,7 +383,7 @@ router.get('/balance', duckAgentController.getAgentBalance);
  *       500:
  *         description: Server error
  */
-router.post('/:id/swap', duckAgentController.executeSwap);
+router.post('/:id/swap', protectWithApiKey('trade'), ownsAgent('id'), duckAgentController.executeSwap);
 
 /**
  * @swagger
@@ -365,6 +414,6 @@ router.post('/:id/swap', duckAgentController.executeSwap);
  *       500:
  *         description: Server error
  */
-router.post('/:id/transfer', duckAgentController.executeTransfer);
+router.post('/:id/transfer', protectWithApiKey('trade'), ownsAgent('id'), duckAgentController.executeTransfer);
 
 module.exports = router;
\ No newline at end of file
@@ -2,6 +2,7 @@ const express = require('express');
 const { body } = require('express-validator');
 const router = express.Router();
 const promptRouterController = require('../controllers/promptRouterController');
+const { protectWithApiKey, bindUserId } = require('../middleware/auth');
 
 // The controller is already an instance, no need to instantiate
 const controller = promptRouterController;
@@ -234,7 +235,7 @@ const controller = promptRouterController;
  * Enhanced message processing with intent validation
  * POST /api/enhanced-intent/process
  */
-router.post('/process', [
+router.post('/process', protectWithApiKey('market:read', 'portfolio:read', 'trade'), bindUserId, [
   body('message')
     .notEmpty()
     .trim()
@@ -254,7 +255,7 @@ router.post('/process', [
  * Process interactive response from user
  * POST /api/enhanced-intent/interactive-response
  */
-router.post('/interactive-response', [
+router.post('/interactive-response', protectWithApiKey('market:read', 'portfolio:read', 'trade'), bindUserId, [
   body('originalIntent')
     .exists()
     .withMessage('Original intent is required'),
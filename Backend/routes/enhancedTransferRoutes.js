@@ -1,9 +1,17 @@
 const express = require('express');
 const { body, query, param } = require('express-validator');
 const enhancedTransferController = require('../controllers/enhancedTransferController');
+const { protect, protectWithApiKey, bindUserId } = require('../middleware/auth');
+const { ownsAgent, ownsContact } = require('../middleware/ownership');
 
 const router = express.Router();
 
+// Every transfer and contact route acts for the authenticated user. API keys
+// may transfer (trade scope) and read balances and contacts, but not edit contacts.
+const canTrade = [protectWithApiKey('trade'), bindUserId];
+const canRead = [protectWithApiKey('portfolio:read', 'trade'), bindUserId];
+const sessionOnly = [protect, bindUserId];
+
 // Validation middleware
 const validateTransferRequest = [
   body('message')
@@ -86,29 +94,33 @@ const validateBalanceCheck = [
 ];
 
 // Transfer processing routes
-router.post('/process', validateTransferRequest, enhancedTransferController.processTransfer);
-router.post('/complete', validateCompleteTransfer, enhancedTransferController.completeTransfer);
-router.post('/execute', enhancedTransferController.executeTransfer);
+router.post('/process', canTrade, validateTransferRequest, ownsAgent('agentId', { source: 'body', optional: true }), enhancedTransferController.processTransfer);
+router.post('/complete', canTrade, validateCompleteTransfer, enhancedTransferController.completeTransfer);
+router.post('/execute', canTrade, enhancedTransferController.executeTransfer);
 
 // Balance and funding routes
-router.get('/balance', validateBalanceCheck, enhancedTransferController.checkBalance);
-router.post('/funding-qr', enhancedTransferController.generateFundingQR);
+router.get('/balance', canRead, validateBalanceCheck, enhancedTransferController.checkBalance);
+router.post('/funding-qr', canRead, enhancedTransferController.generateFundingQR);
 
 // Contact management routes
-router.post('/contacts', validateAddContact, enhancedTransferController.addContact);
-router.get('/contacts', validateUserQuery, enhancedTransferController.getContacts);
-router.get('/contacts/search', validateUserQuery, enhancedTransferController.searchContacts);
-router.put('/contacts/:contactId', 
+router.post('/contacts', sessionOnly, validateAddContact, enhancedTransferController.addContact);
+router.get('/contacts', canRead, validateUserQuery, enhancedTransferController.getContacts);
+router.get('/contacts/search', canRead, validateUserQuery, enhancedTransferController.searchContacts);
+router.put('/contacts/:contactId',
+  sessionOnly,
+  ownsContact('contactId'),
   param('contactId').isInt().withMessage('Invalid contact ID'),
   enhancedTransferController.updateContact
 );
 router.delete('/contacts/:contactId',
+  sessionOnly,
+  ownsContact('contactId'),
   param('contactId').isInt().withMessage('Invalid contact ID'),
   enhancedTransferController.deleteContact
 );
 
 // Import/Export routes
-router.post('/contacts/import', enhancedTransferController.importContacts);
-router.get('/contacts/export', validateUserQuery, enhancedTransferController.exportContacts);
+router.post('/contacts/import', sessionOnly, enhancedTransferController.importContacts);
+router.get('/contacts/export', canRead, validateUserQuery, enhancedTransferController.exportContacts);
 
 module.exports = router;
@@ -3,6 +3,8 @@ const router = express.Router();
 const ExecutorAgent = require('../models/ExecutorAgent');
 const Strategy = require('../models/Strategy');
 const actionExecutionService = require('../services/actionExecutionService');
+const { protect, protectWithApiKey, bindUserId } = require('../middleware/auth');
+const { ownsExecutorAgent } = require('../middleware/ownership');
 
 /**
  * @swagger
@@ -31,7 +33,7 @@ const actionExecutionService = require('../services/actionExecutionService');
  *       500:
  *         description: Server error
  */
-router.get('/', async (req, res) => {
+router.get('/', protectWithApiKey('portfolio:read'), bindUserId, async (req, res) => {
   try {
     const { userId, status } = req.query;
     
@@ -89,7 +91,7 @@ router.get('/', async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', protectWithApiKey('portfolio:read'), ownsExecutorAgent('id'), async (req, res) => {
   try {
     const agent = await ExecutorAgent.findById(req.params.id)
       .populate('linkedStrategyId')
@@ -151,7 +153,7 @@ router.get('/:id', async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.patch('/:id/status', async (req, res) => {
+router.patch('/:id/status', protect, ownsExecutorAgent('id'), async (req, res) => {
   try {
     const { status, autoExecute } = req.body;
     const agentId = req.params.id;
@@ -222,7 +224,7 @@ router.patch('/:id/status', async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.post('/:id/execute-task', async (req, res) => {
+router.post('/:id/execute-task', protect, ownsExecutorAgent('id'), async (req, res) => {
   try {
     const { taskId, dryRun = true } = req.body;
     const agentId = req.params.id;
@@ -273,7 +275,7 @@ router.post('/:id/execute-task', async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.post('/:id/monitor', async (req, res) => {
+router.post('/:id/monitor', protect, ownsExecutorAgent('id'), async (req, res) => {
   try {
     const agentId = req.params.id;
     
@@ -316,7 +318,7 @@ router.post('/:id/monitor', async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/:id/strategy', async (req, res) => {
+router.get('/:id/strategy', protectWithApiKey('portfolio:read'), ownsExecutorAgent('id'), async (req, res) => {
   try {
     const agent = await ExecutorAgent.findById(req.params.id)
       .populate('linkedStrategyId');
@@ -391,7 +393,7 @@ router.get('/:id/strategy', async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/:id/performance', async (req, res) => {
+router.get('/:id/performance', protectWithApiKey('portfolio:read'), ownsExecutorAgent('id'), async (req, res) => {
   try {
     const agent = await ExecutorAgent.findById(req.params.id)
       .select('performance executionState.metrics name status');
@@ -459,7 +461,7 @@ router.get('/:id/performance', async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/:id/tasks', async (req, res) => {
+router.get('/:id/tasks', protectWithApiKey('portfolio:read'), ownsExecutorAgent('id'), async (req, res) => {
   try {
     const { status } = req.query;
     
@@ -540,7 +542,7 @@ router.get('/:id/tasks', async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', protect, ownsExecutorAgent('id'), async (req, res) => {
   try {
     const agent = await ExecutorAgent.findByIdAndDelete(req.params.id);
 
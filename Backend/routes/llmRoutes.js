@@ -0,0 +1,60 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const llmService = require('../services/llmService');
+
+/**
+ * @swagger
+ * tags:
+ *   - name: LLM
+ *     description: LLM provider routing and token usage
+ */
+
+/**
+ * @swagger
+ * /api/llm/usage:
+ *   get:
+ *     summary: LLM calls and tokens used by this instance since it started (admin)
+ *     description: Counted per provider, model and purpose (the route in config/llmConfig). Cached responses count as requests without tokens.
+ *     tags: [LLM]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Usage
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     since:
+ *                       type: string
+ *                       format: date-time
+ *                     defaultProvider:
+ *                       type: string
+ *                       example: together
+ *                     cacheEntries:
+ *                       type: integer
+ *                     totals:
+ *                       $ref: '#/components/schemas/LlmUsage'
+ *                     routes:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/LlmUsage'
+ *       403:
+ *         description: Not an admin
+ */
+router.get('/usage', protect, authorize('admin'), (req, res) => {
+  res.json({
+    success: true,
+    data: llmService.getUsage()
+  });
+});
+
+module.exports = router;
@@ -5,6 +5,7 @@
 
 const express = require('express');
 const MCPMarketDataController = require('../controllers/mcpMarketDataController');
+const { protectWithApiKey } = require('../middleware/auth');
 
 const router = express.Router();
 const mcpController = new MCPMarketDataController();
@@ -87,9 +88,9 @@ router.get('/ohlcv/:network/:address', async (req, res) => {
  * @desc Get current token prices
  * @body {string[]} tokenAddresses - Array of token addresses
  * @body {string} network - Network ID (optional)
- * @access Public
+ * @access Private (JWT or API key with market:read)
  */
-router.post('/prices', async (req, res) => {
+router.post('/prices', protectWithApiKey('market:read'), async (req, res) => {
     await mcpController.getTokenPrices(req, res);
 });
 
@@ -140,9 +141,9 @@ router.get('/context/llm', async (req, res) => {
  * @body {string} agentType - Type of agent (trading, analysis, discovery)
  * @body {string} focusArea - Focus area (conservative, aggressive, general)
  * @body {string} network - Network ID (optional)
- * @access Public
+ * @access Private (JWT or API key with market:read)
  */
-router.post('/agent/context', async (req, res) => {
+router.post('/agent/context', protectWithApiKey('market:read'), async (req, res) => {
     await mcpController.getAgentMarketContext(req, res);
 });
 
@@ -1,29 +1,64 @@
 const express = require('express');
 const router = express.Router();
 const Pipeline = require('../models/Pipeline');
-const { protect } = require('../middleware/auth');
+const PipelineRun = require('../models/PipelineRun');
+const { protectWithApiKey } = require('../middleware/auth');
+const { ownsPipeline } = require('../middleware/ownership');
 const pipelineExecutionService = require('../services/pipelineExecutionService');
+const pipelineSimulationService = require('../services/pipelineSimulationService');
+const apiKeyService = require('../services/apiKeyService');
+const { validatePipelineDefinition, buildPipelineFromExtraction, TRADE_ACTION_TYPES } = require('../utils/pipelineSchema');
+
+// Scheduled runs act with the API key that set them up, so a key needs the trade
+// scope for pipelines that trade. Returns the refusal message, or null.
+const missingTradeScope = (req, actions = []) => {
+  if (!req.apiKey || apiKeyService.hasScope(req.apiKey, ['trade'])) return null;
+
+  const tradeTypes = [...new Set(actions.map(action => action.type).filter(type => TRADE_ACTION_TYPES.includes(type)))];
+  return tradeTypes.length > 0
+    ? `API key requires the trade scope for pipelines with ${tradeTypes.join(', ')} actions`
+    : null;
+};
 
 // Create a new pipeline
-router.post('/', async (req, res) => {  // Removed protect middleware for testing
+router.post('/', protectWithApiKey('pipeline:manage'), async (req, res) => {
   try {
     const {
-      name,
-      events,
-      actions,
-      connections,
-      status = 'active',
-      userId
+      extractedPipeline,
+      status = 'active'
     } = req.body;
 
-    // For testing: use provided userId or default test user
-    const finalUserId = userId || '507f1f77bcf86cd799439011';  // Default ObjectId for testing
+    // Accept the raw extractor output ({ trigger, conditions, actions }) as well as explicit nodes
+    const definition = extractedPipeline
+      ? buildPipelineFromExtraction(extractedPipeline, { name: req.body.name })
+      : req.body;
+    const { name, events, conditions, actions, connections } = definition;
+
+    const { errors } = validatePipelineDefinition(definition);
+    errors.push(...pipelineExecutionService.findUnsupportedActions(definition));
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid pipeline definition',
+        errors
+      });
+    }
+
+    const scopeError = missingTradeScope(req, actions);
+    if (scopeError) {
+      return res.status(403).json({
+        success: false,
+        message: scopeError
+      });
+    }
 
     const pipeline = new Pipeline({
       name,
-      userId: finalUserId,
+      userId: req.user.id,
+      apiKeyId: req.apiKey ? req.apiKey._id : null,
       status,
       events,
+      conditions,
       actions,
       connections
     });
@@ -37,7 +72,7 @@ router.post('/', async (req, res) => {  // Removed protect middleware for testin
     });
   } catch (error) {
     console.error('Error creating pipeline:', error);
-    res.status(500).json({
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
       success: false,
       message: 'Error creating pipeline',
       error: error.message
@@ -46,23 +81,45 @@ router.post('/', async (req, res) => {  // Removed protect middleware for testin
 });
 
 // Schedule pipeline execution
-router.post('/schedule', async (req, res) => {  // Removed protect middleware for testing
+router.post('/schedule', protectWithApiKey('pipeline:manage'), ownsPipeline('pipelineId', { source: 'body' }), async (req, res) => {
   try {
-    const { pipelineId, pipeline } = req.body;
+    const { pipelineId } = req.body;
+    const pipeline = await Pipeline.findById(pipelineId);
 
-    // Schedule pipeline with Agenda
-    const jobId = await pipelineExecutionService.schedulePipeline(pipelineId, pipeline);
-    
-    // Update pipeline with job ID
-    await Pipeline.findByIdAndUpdate(pipelineId, {
-      'metadata.agendaJobId': jobId,
-      'metadata.nextExecution': new Date()
-    });
+    if (!pipeline) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pipeline not found'
+      });
+    }
+
+    const { errors } = validatePipelineDefinition(pipeline);
+    errors.push(...pipelineExecutionService.findUnsupportedActions(pipeline));
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid pipeline definition',
+        errors
+      });
+    }
+
+    const scopeError = missingTradeScope(req, pipeline.actions);
+    if (scopeError) {
+      return res.status(403).json({
+        success: false,
+        message: scopeError
+      });
+    }
+
+    // Schedule pipeline with Agenda (also stores job ID and next run on the pipeline)
+    const { jobId, nextExecution, schedule } = await pipelineExecutionService.schedulePipeline(pipelineId, pipeline);
 
     res.status(200).json({
       success: true,
       message: 'Pipeline scheduled successfully',
-      jobId
+      jobId,
+      nextExecution,
+      schedule
     });
   } catch (error) {
     console.error('Error scheduling pipeline:', error);
@@ -75,10 +132,9 @@ router.post('/schedule', async (req, res) => {  // Removed protect middleware fo
 });
 
 // Get user's pipelines
-router.get('/', async (req, res) => {  // Removed protect middleware for testing
+router.get('/', protectWithApiKey('pipeline:manage'), async (req, res) => {
   try {
-    // For testing: get all pipelines
-    const pipelines = await Pipeline.find({})
+    const pipelines = await Pipeline.find({ userId: req.user.id })
       .sort({ createdAt: -1 });
 
     res.status(200).json({
@@ -97,12 +153,9 @@ router.get('/', async (req, res) => {  // Removed protect middleware for testing
 });
 
 // Get specific pipeline
-router.get('/:id', protect, async (req, res) => {
+router.get('/:id', protectWithApiKey('pipeline:manage'), ownsPipeline('id'), async (req, res) => {
   try {
-    const pipeline = await Pipeline.findOne({
-      _id: req.params.id,
-      userId: req.user.id
-    });
+    const pipeline = await Pipeline.findById(req.params.id);
 
     if (!pipeline) {
       return res.status(404).json({
@@ -126,11 +179,23 @@ router.get('/:id', protect, async (req, res) => {
 });
 
 // Update pipeline status
-router.patch('/:id/status', protect, async (req, res) => {
+router.patch('/:id/status', protectWithApiKey('pipeline:manage'), ownsPipeline('id'), async (req, res) => {
   try {
     const { status } = req.body;
+
+    // Resuming re-schedules it to act with the caller's API key
+    if (status === 'active') {
+      const scopeError = missingTradeScope(req, (await Pipeline.findById(req.params.id).select('actions') || {}).actions);
+      if (scopeError) {
+        return res.status(403).json({
+          success: false,
+          message: scopeError
+        });
+      }
+    }
+
     const pipeline = await Pipeline.findOneAndUpdate(
-      { _id: req.params.id, userId: req.user.id },
+      { _id: req.params.id },
       { status },
       { new: true }
     );
@@ -144,9 +209,10 @@ router.patch('/:id/status', protect, async (req, res) => {
 
     // Handle agenda job based on status
     if (status === 'paused' && pipeline.metadata.agendaJobId) {
-      await pipelineExecutionService.pausePipeline(pipeline.metadata.agendaJobId);
-    } else if (status === 'active' && pipeline.metadata.agendaJobId) {
-      await pipelineExecutionService.resumePipeline(pipeline.metadata.agendaJobId);
+      await pipelineExecutionService.pausePipeline(pipeline);
+    } else if (status === 'active' && pipeline.metadata.schedule) {
+      // Scheduled before being paused: re-create its job
+      await pipelineExecutionService.resumePipeline(pipeline);
     }
 
     res.status(200).json({
@@ -164,13 +230,198 @@ router.patch('/:id/status', protect, async (req, res) => {
   }
 });
 
-// Delete pipeline
-router.delete('/:id', protect, async (req, res) => {
+// List a pipeline's runs, newest first (node inputs/outputs omitted)
+router.get('/:id/runs', protectWithApiKey('pipeline:manage'), ownsPipeline('id'), async (req, res) => {
+  try {
+    const pipeline = await Pipeline.findById(req.params.id);
+
+    if (!pipeline) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pipeline not found'
+      });
+    }
+
+    const { status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const query = { pipelineId: pipeline._id };
+    if (status) query.status = status;
+
+    const [runs, total] = await Promise.all([
+      PipelineRun.find(query)
+        .select('-nodes.inputs -nodes.output')
+        .sort({ startedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      PipelineRun.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: runs,
+      count: runs.length,
+      pagination: { page, limit, total }
+    });
+  } catch (error) {
+    console.error('Error fetching pipeline runs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching pipeline runs',
+      error: error.message
+    });
+  }
+});
+
+// Get one run with its per-node records
+router.get('/:id/runs/:runId', protectWithApiKey('pipeline:manage'), ownsPipeline('id'), async (req, res) => {
+  try {
+    const run = await PipelineRun.findOne({
+      _id: req.params.runId,
+      pipelineId: req.params.id
+    });
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: 'Run not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: run
+    });
+  } catch (error) {
+    console.error('Error fetching pipeline run:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching pipeline run',
+      error: error.message
+    });
+  }
+});
+
+// Re-run a failed run from its failing node (or body.fromNodeId)
+router.post('/:id/runs/:runId/rerun', protectWithApiKey('pipeline:manage'), ownsPipeline('id'), async (req, res) => {
+  try {
+    const pipeline = await Pipeline.findById(req.params.id);
+    const run = pipeline && await PipelineRun.findOne({
+      _id: req.params.runId,
+      pipelineId: pipeline._id
+    });
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: 'Run not found'
+      });
+    }
+
+    if (run.status !== 'failed') {
+      return res.status(400).json({
+        success: false,
+        message: `Only failed runs can be re-run (run is ${run.status})`
+      });
+    }
+
+    const newRun = await pipelineExecutionService.rerunFromFailure(pipeline, run, req.body.fromNodeId);
+
+    res.status(201).json({
+      success: true,
+      data: newRun,
+      message: `Pipeline re-run from ${newRun.resumedFromNode}`
+    });
+  } catch (error) {
+    const status = error.status || 500;
+    if (status === 500) {
+      console.error('Error re-running pipeline:', error);
+    }
+    res.status(status).json({
+      success: false,
+      message: status === 500 ? 'Error re-running pipeline' : error.message,
+      error: error.message
+    });
+  }
+});
+
+// Dry-run a pipeline once against current prices with a mocked agent
+router.post('/:id/dry-run', protectWithApiKey('pipeline:manage'), ownsPipeline('id'), async (req, res) => {
+  try {
+    const pipeline = await Pipeline.findById(req.params.id);
+
+    if (!pipeline) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pipeline not found'
+      });
+    }
+
+    const { balances, prices } = req.body;
+    const result = await pipelineSimulationService.dryRun(pipeline, { balances, prices });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    const status = error.status || 500;
+    if (status === 500) {
+      console.error('Error running pipeline dry-run:', error);
+    }
+    res.status(status).json({
+      success: false,
+      message: status === 500 ? 'Error running pipeline dry-run' : error.message,
+      error: error.message
+    });
+  }
+});
+
+// Backtest a pipeline over historical OHLCV candles
+router.post('/:id/backtest', protectWithApiKey('pipeline:manage'), ownsPipeline('id'), async (req, res) => {
   try {
-    const pipeline = await Pipeline.findOneAndDelete({
-      _id: req.params.id,
-      userId: req.user.id
+    const pipeline = await Pipeline.findById(req.params.id);
+
+    if (!pipeline) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pipeline not found'
+      });
+    }
+
+    const { token, poolAddress, network, timeframe, aggregate, limit, balances } = req.body;
+    const result = await pipelineSimulationService.backtest(pipeline, {
+      token,
+      poolAddress,
+      network,
+      timeframe,
+      aggregate,
+      // GeckoTerminal returns at most 1000 candles per request
+      limit: Math.min(Math.max(parseInt(limit) || 500, 2), 1000),
+      balances
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    const status = error.status || 500;
+    if (status === 500) {
+      console.error('Error running pipeline backtest:', error);
+    }
+    res.status(status).json({
+      success: false,
+      message: status === 500 ? 'Error running pipeline backtest' : error.message,
+      error: error.message
     });
+  }
+});
+
+// Delete pipeline
+router.delete('/:id', protectWithApiKey('pipeline:manage'), ownsPipeline('id'), async (req, res) => {
+  try {
+    const pipeline = await Pipeline.findOneAndDelete({ _id: req.params.id });
 
     if (!pipeline) {
       return res.status(404).json({
@@ -183,6 +434,7 @@ router.delete('/:id', protect, async (req, res) => {
     if (pipeline.metadata.agendaJobId) {
       await pipelineExecutionService.cancelPipeline(pipeline.metadata.agendaJobId);
     }
+    await PipelineRun.deleteMany({ pipelineId: pipeline._id });
 
     res.status(200).json({
       success: true,
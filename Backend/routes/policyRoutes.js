@@ -0,0 +1,379 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const router = express.Router();
+const { protect, protectWithApiKey } = require('../middleware/auth');
+const { ownsAgent } = require('../middleware/ownership');
+const Agent = require('../models/Agent');
+const SpendingPolicy = require('../models/SpendingPolicy');
+const policyService = require('../services/policyService');
+
+// Settable policy fields; anything else in the body is ignored
+const POLICY_FIELDS = [
+  'enabled',
+  'maxTransactionUsd',
+  'dailyLimitUsd',
+  'weeklyLimitUsd',
+  'tokenLimits',
+  'allowedTokens',
+  'contactsOnly',
+  'allowedRecipients',
+  'maxSlippagePercent',
+  'approvalThresholdUsd',
+  'approveNewRecipients',
+  'quietHours'
+];
+
+// Policies can be read with an API key, but only changed with a login session
+const canRead = protectWithApiKey('portfolio:read', 'trade');
+
+const findAgent = (id) => Agent.findOne(mongoose.Types.ObjectId.isValid(id) ? { _id: id } : { agentUuid: id }).select('_id userId');
+
+// Resolve :agentId (ObjectId or agentUuid) to req.agent, after ownsAgent
+const loadAgent = async (req, res, next) => {
+  try {
+    req.agent = await findAgent(req.params.agentId);
+    if (!req.agent) {
+      return res.status(404).json({
+        success: false,
+        message: 'Agent not found'
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Create or replace the policy for (userId, agentId) with the fields in the body
+const savePolicy = async (userId, agentId, fields) => {
+  const update = {};
+  POLICY_FIELDS.forEach(field => {
+    if (fields[field] !== undefined) update[field] = fields[field];
+  });
+
+  return await SpendingPolicy.findOneAndUpdate(
+    { userId, agentId },
+    { $set: update },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+const sendSaveError = (res, error) => {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid policy',
+      error: error.message
+    });
+  }
+
+  console.error('Error saving spending policy:', error);
+  res.status(500).json({
+    success: false,
+    message: 'Error saving spending policy',
+    error: error.message
+  });
+};
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Spending Policies
+ *     description: Limits checked before any swap or transfer is signed
+ */
+
+/**
+ * @swagger
+ * /api/policies:
+ *   get:
+ *     summary: Get your spending policies
+ *     description: The account-wide policy and every agent policy, with USD spent in the last 24 hours and 7 days.
+ *     tags: [Spending Policies]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Policies and usage
+ */
+router.get('/', canRead, async (req, res) => {
+  try {
+    const [policies, usage] = await Promise.all([
+      SpendingPolicy.find({ userId: req.user.id }).lean(),
+      policyService.getUsage({ userId: req.user.id })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        account: policies.find(policy => !policy.agentId) || null,
+        agents: policies.filter(policy => policy.agentId),
+        usage
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching spending policies:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching spending policies',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/policies:
+ *   put:
+ *     summary: Set your account-wide spending policy
+ *     description: |
+ *       Applies to every agent and to pipelines. Fields left out keep their value;
+ *       null removes a cap.
+ *     tags: [Spending Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SpendingPolicy'
+ *     responses:
+ *       200:
+ *         description: Policy saved
+ *       400:
+ *         description: Invalid policy
+ */
+router.put('/', protect, async (req, res) => {
+  try {
+    const policy = await savePolicy(req.user.id, null, req.body);
+
+    res.status(200).json({
+      success: true,
+      data: policy
+    });
+  } catch (error) {
+    sendSaveError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/policies/evaluate:
+ *   post:
+ *     summary: Check a transaction against the spending policies
+ *     description: |
+ *       Dry check, nothing is signed or recorded. Violations come with an
+ *       `interactive` payload naming the arguments to change.
+ *     tags: [Spending Policies]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [action, token, amount]
+ *             properties:
+ *               agentId:
+ *                 type: string
+ *               action:
+ *                 type: string
+ *                 enum: [swap, transfer]
+ *               token:
+ *                 type: string
+ *                 example: TON
+ *               toToken:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *                 example: 10
+ *               recipient:
+ *                 type: string
+ *               slippage:
+ *                 type: number
+ *                 description: Percent
+ *               network:
+ *                 type: string
+ *                 default: duckchain
+ *     responses:
+ *       200:
+ *         description: Evaluation with violations (empty when allowed) and the reasons the transaction would need approval
+ */
+router.post('/evaluate', canRead, ownsAgent('agentId', { source: 'body', optional: true }), [
+  body('action').isIn(['swap', 'transfer']).withMessage('Action must be swap or transfer'),
+  body('token').isString().notEmpty().withMessage('Token is required'),
+  body('amount').isFloat({ gt: 0 }).withMessage('Amount must be a positive number'),
+  body('slippage').optional().isFloat({ min: 0 }).withMessage('Slippage must be a positive number')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const { agentId, action, token, toToken, amount, recipient, slippage, network } = req.body;
+    const agent = agentId ? await findAgent(agentId) : null;
+
+    const evaluation = await policyService.evaluate({
+      agentId: agent ? agent._id : null,
+      userId: req.user.id,
+      action,
+      token,
+      toToken,
+      amount,
+      recipient,
+      slippage,
+      network
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        allowed: evaluation.allowed,
+        valueUsd: evaluation.valueUsd,
+        violations: evaluation.violations,
+        approvalReasons: evaluation.approvalReasons,
+        interactive: evaluation.allowed ? null : policyService.toInteractive(evaluation.violations)
+      }
+    });
+  } catch (error) {
+    console.error('Error evaluating spending policy:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error evaluating spending policy',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/policies/agents/{agentId}:
+ *   get:
+ *     summary: Get an agent's spending policy
+ *     description: The agent's own policy (null if none) and its USD spending in the current windows.
+ *     tags: [Spending Policies]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: agentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Policy and usage
+ *       404:
+ *         description: Agent not found
+ */
+router.get('/agents/:agentId', canRead, ownsAgent('agentId'), loadAgent, async (req, res) => {
+  try {
+    const { agent } = req;
+    const [policy, usage] = await Promise.all([
+      SpendingPolicy.findOne({ userId: agent.userId, agentId: agent._id }).lean(),
+      policyService.getUsage({ agentId: agent._id })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: { policy, usage }
+    });
+  } catch (error) {
+    console.error('Error fetching agent spending policy:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching agent spending policy',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/policies/agents/{agentId}:
+ *   put:
+ *     summary: Set an agent's spending policy
+ *     description: Applies on top of the account-wide policy; both must pass.
+ *     tags: [Spending Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: agentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SpendingPolicy'
+ *     responses:
+ *       200:
+ *         description: Policy saved
+ *       400:
+ *         description: Invalid policy
+ */
+router.put('/agents/:agentId', protect, ownsAgent('agentId'), loadAgent, async (req, res) => {
+  try {
+    const { agent } = req;
+    const policy = await savePolicy(agent.userId, agent._id, req.body);
+
+    res.status(200).json({
+      success: true,
+      data: policy
+    });
+  } catch (error) {
+    sendSaveError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/policies/agents/{agentId}:
+ *   delete:
+ *     summary: Remove an agent's spending policy
+ *     description: The account-wide policy still applies to the agent.
+ *     tags: [Spending Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: agentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Policy removed
+ */
+router.delete('/agents/:agentId', protect, ownsAgent('agentId'), loadAgent, async (req, res) => {
+  try {
+    const { agent } = req;
+    await SpendingPolicy.deleteOne({ userId: agent.userId, agentId: agent._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Agent spending policy removed'
+    });
+  } catch (error) {
+    console.error('Error removing agent spending policy:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing agent spending policy',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
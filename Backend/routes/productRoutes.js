@@ -9,6 +9,7 @@ const {
   getProductsByCategory,
   getFeaturedProducts
 } = require('../controllers/productController');
+const { protect, authorize } = require('../middleware/auth');
 const router = express.Router();
 
 /**
@@ -113,26 +114,25 @@ router.get('/:id', getProductById);
 
 // @desc    Create new product
 // @route   POST /api/products
-// @access  Private (simplified for demo)
-router.post('/', [
+// @access  Private/Admin
+router.post('/', protect, authorize('admin'), [
   body('name').notEmpty().withMessage('Product name is required'),
   body('description').notEmpty().withMessage('Description is required'),
   body('price').isNumeric().withMessage('Price must be a number'),
   body('category').notEmpty().withMessage('Category is required'),
   body('brand').notEmpty().withMessage('Brand is required'),
-  body('countInStock').isNumeric().withMessage('Stock count must be a number'),
-  body('createdBy').notEmpty().withMessage('Created by user ID is required')
+  body('countInStock').isNumeric().withMessage('Stock count must be a number')
 ], createProduct);
 
 // @desc    Update product
 // @route   PUT /api/products/:id
-// @access  Private (simplified for demo)
-router.put('/:id', updateProduct);
+// @access  Private/Admin
+router.put('/:id', protect, authorize('admin'), updateProduct);
 
 // @desc    Delete product
 // @route   DELETE /api/products/:id
-// @access  Private (simplified for demo)
-router.delete('/:id', deleteProduct);
+// @access  Private/Admin
+router.delete('/:id', protect, authorize('admin'), deleteProduct);
 
 // @desc    Get products by category
 // @route   GET /api/products/category/:category
@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const seiAgentController = require('../controllers/seiAgentController');
+const { protect, protectWithApiKey, bindUserId } = require('../middleware/auth');
+const { ownsAgent } = require('../middleware/ownership');
 
 /**
  * @swagger
@@ -89,7 +91,7 @@ const seiAgentController = require('../controllers/seiAgentController');
  *       500:
  *         description: Server error
  */
-router.post('/', seiAgentController.createSeiAgent);
+router.post('/', protect, bindUserId, seiAgentController.createSeiAgent);
 
 /**
  * @swagger
@@ -109,7 +111,7 @@ router.post('/', seiAgentController.createSeiAgent);
  *       500:
  *         description: Server error
  */
-router.get('/', seiAgentController.getSeiAgents);
+router.get('/', protectWithApiKey('portfolio:read'), bindUserId, seiAgentController.getSeiAgents);
 
 /**
  * @swagger
@@ -146,7 +148,7 @@ router.get('/tokens', seiAgentController.getSupportedTokens);
  *       500:
  *         description: Server error
  */
-router.get('/:id', seiAgentController.getSeiAgent);
+router.get('/:id', protectWithApiKey('portfolio:read'), ownsAgent('id'), seiAgentController.getSeiAgent);
 
 /**
  * @swagger
@@ -182,7 +184,7 @@ router.get('/:id', seiAgentController.getSeiAgent);
  *       500:
  *         description: Server error
  */
-router.put('/:id', seiAgentController.updateSeiAgent);
+router.put('/:id', protect, ownsAgent('id'), seiAgentController.updateSeiAgent);
 
 /**
  * @swagger
@@ -205,7 +207,7 @@ router.put('/:id', seiAgentController.updateSeiAgent);
  *       500:
  *         description: Server error
  */
-router.delete('/:id', seiAgentController.deleteSeiAgent);
+router.delete('/:id', protect, ownsAgent('id'), seiAgentController.deleteSeiAgent);
 
 /**
  * @swagger
@@ -228,7 +230,7 @@ router.delete('/:id', seiAgentController.deleteSeiAgent);
  *       500:
  *         description: Server error
  */
-router.get('/:id/balance', seiAgentController.getAgentBalance);
+router.get('/:id/balance', protectWithApiKey('portfolio:read'), ownsAgent('id'), seiAgentController.getAgentBalance);
 
 /**
  * @swagger
@@ -259,7 +261,7 @@ router.get('/:id/balance', seiAgentController.getAgentBalance);
  *       500:
  *         description: Server error
  */
-router.post('/:id/swap', seiAgentController.executeSwap);
+router.post('/:id/swap', protectWithApiKey('trade'), ownsAgent('id'), seiAgentController.executeSwap);
 
 /**
  * @swagger
@@ -290,6 +292,6 @@ router.post('/:id/swap', seiAgentController.executeSwap);
  *       500:
  *         description: Server error
  */
-router.post('/:id/transfer', seiAgentController.executeTransfer);
+router.post('/:id/transfer', protectWithApiKey('trade'), ownsAgent('id'), seiAgentController.executeTransfer);
 
 module.exports = router;
@@ -1,9 +1,13 @@
 const express = require('express');
 const router = express.Router();
+const { query, validationResult } = require('express-validator');
 const MCPMarketDataService = require('../services/mcpMarketDataService');
+const strategyJobService = require('../services/strategyJobService');
+const { protect, protectWithApiKey } = require('../middleware/auth');
+const { ownsStrategyJob } = require('../middleware/ownership');
 
 // Test strategy recommendation endpoint
-router.post('/recommend', async (req, res) => {
+router.post('/recommend', protectWithApiKey('market:read'), async (req, res) => {
   try {
     const { budget, duration, riskTolerance } = req.body;
     
@@ -275,42 +279,123 @@ function getGridLevels(budget) {
   return 12;
 }
 
+const FINISHED_STATUSES = ['completed', 'failed'];
+
+const sendJobError = (res, error, message) => {
+  if (!error.status) {
+    console.error(`${message}:`, error);
+  }
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.message
+  });
+};
+
+/**
+ * List your strategy jobs, newest first
+ * GET /api/strategy/jobs?status=failed&limit=20&before=<processingId>
+ */
+router.get('/jobs', protect, [
+  query('status').optional().isIn(['queued', 'running', 'completed', 'failed', 'cancelled']).withMessage('Invalid status'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const jobs = await strategyJobService.list(req.user.id, {
+      status: req.query.status,
+      limit: parseInt(req.query.limit) || 20,
+      before: req.query.before
+    });
+
+    res.json({
+      success: true,
+      count: jobs.length,
+      data: jobs
+    });
+  } catch (error) {
+    sendJobError(res, error, 'Error listing strategy jobs');
+  }
+});
+
+/**
+ * Get a strategy job with its layers and result
+ * GET /api/strategy/jobs/:processingId
+ */
+router.get('/jobs/:processingId', protect, ownsStrategyJob('processingId'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await strategyJobService.get(req.params.processingId)
+    });
+  } catch (error) {
+    sendJobError(res, error, 'Error fetching strategy job');
+  }
+});
+
+/**
+ * Cancel a queued or running strategy job
+ * POST /api/strategy/jobs/:processingId/cancel
+ */
+router.post('/jobs/:processingId/cancel', protect, ownsStrategyJob('processingId'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      message: 'Strategy job cancelled',
+      data: await strategyJobService.cancel(req.params.processingId)
+    });
+  } catch (error) {
+    sendJobError(res, error, 'Error cancelling strategy job');
+  }
+});
+
+/**
+ * Retry a failed or cancelled strategy job from the layer that didn't complete
+ * POST /api/strategy/jobs/:processingId/retry
+ */
+router.post('/jobs/:processingId/retry', protect, ownsStrategyJob('processingId'), async (req, res) => {
+  try {
+    res.status(202).json({
+      success: true,
+      message: 'Strategy job queued for retry',
+      data: await strategyJobService.retry(req.params.processingId)
+    });
+  } catch (error) {
+    sendJobError(res, error, 'Error retrying strategy job');
+  }
+});
+
 /**
  * Get strategy processing progress
  * GET /api/strategy/progress/:processingId
  */
-router.get('/progress/:processingId', (req, res) => {
+router.get('/progress/:processingId', protect, ownsStrategyJob('processingId'), async (req, res) => {
   try {
     const { processingId } = req.params;
-    
-    if (!global.strategyProgress) {
-      return res.status(404).json({
-        success: false,
-        error: 'No progress tracking available'
-      });
-    }
-    
-    const progress = global.strategyProgress.get(processingId);
-    
-    if (!progress) {
-      return res.status(404).json({
-        success: false,
-        error: 'Processing ID not found'
-      });
-    }
+    const job = await strategyJobService.get(processingId);
     
     res.json({
       success: true,
       processingId: processingId,
-      progress: progress
+      progress: {
+        status: job.status,
+        stage: job.stage,
+        percentage: job.percentage,
+        currentStep: job.currentStep,
+        layers: job.layers,
+        completed: job.status !== 'queued' && job.status !== 'running',
+        timestamp: job.updatedAt
+      }
     });
     
   } catch (error) {
-    console.error('Error fetching strategy progress:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    sendJobError(res, error, 'Error fetching strategy progress');
   }
 });
 
@@ -318,40 +403,30 @@ router.get('/progress/:processingId', (req, res) => {
  * Get completed strategy result
  * GET /api/strategy/result/:processingId
  */
-router.get('/result/:processingId', (req, res) => {
+router.get('/result/:processingId', protect, ownsStrategyJob('processingId'), async (req, res) => {
   try {
     const { processingId } = req.params;
+    const job = await strategyJobService.get(processingId);
     
-    if (!global.strategyResults) {
-      return res.status(404).json({
-        success: false,
-        error: 'No results available'
-      });
-    }
-    
-    const strategyResult = global.strategyResults.get(processingId);
-    
-    if (!strategyResult) {
+    if (!FINISHED_STATUSES.includes(job.status)) {
       return res.status(404).json({
         success: false,
-        error: 'Result not found - processing may still be in progress'
+        error: job.status === 'cancelled'
+          ? 'Result not found - processing was cancelled'
+          : 'Result not found - processing may still be in progress'
       });
     }
     
     res.json({
       success: true,
       processingId: processingId,
-      completedAt: strategyResult.completedAt,
-      status: strategyResult.status,
-      result: strategyResult.result
+      completedAt: job.finishedAt,
+      status: job.status,
+      result: job.result
     });
     
   } catch (error) {
-    console.error('Error fetching strategy result:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    sendJobError(res, error, 'Error fetching strategy result');
   }
 });
 
@@ -359,48 +434,31 @@ router.get('/result/:processingId', (req, res) => {
  * Check if strategy processing is complete
  * GET /api/strategy/status/:processingId
  */
-router.get('/status/:processingId', (req, res) => {
+router.get('/status/:processingId', protect, ownsStrategyJob('processingId'), async (req, res) => {
   try {
     const { processingId } = req.params;
+    const job = await strategyJobService.get(processingId);
     
-    const hasProgress = global.strategyProgress && global.strategyProgress.has(processingId);
-    const hasResult = global.strategyResults && global.strategyResults.has(processingId);
-    
-    if (!hasProgress && !hasResult) {
-      return res.status(404).json({
-        success: false,
-        error: 'Processing ID not found'
-      });
-    }
-    
-    if (hasResult) {
-      const result = global.strategyResults.get(processingId);
+    if (FINISHED_STATUSES.includes(job.status)) {
       return res.json({
         success: true,
         processingId: processingId,
         status: 'completed',
-        completedAt: result.completedAt,
-        resultStatus: result.status
+        completedAt: job.finishedAt,
+        resultStatus: job.status
       });
     }
     
-    if (hasProgress) {
-      const progress = global.strategyProgress.get(processingId);
-      return res.json({
-        success: true,
-        processingId: processingId,
-        status: progress.completed ? 'completed' : 'processing',
-        currentStage: progress.stage,
-        percentage: progress.percentage
-      });
-    }
+    res.json({
+      success: true,
+      processingId: processingId,
+      status: job.status === 'cancelled' ? 'cancelled' : 'processing',
+      currentStage: job.stage,
+      percentage: job.percentage
+    });
     
   } catch (error) {
-    console.error('Error checking strategy status:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    sendJobError(res, error, 'Error checking strategy status');
   }
 });
 
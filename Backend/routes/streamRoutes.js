@@ -0,0 +1,112 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const router = express.Router();
+const { protectWithApiKey } = require('../middleware/auth');
+const { STREAM_TOPICS } = require('../models/StreamEvent');
+const eventStreamService = require('../services/eventStreamService');
+
+// Comment line sent this often so proxies don't close an idle stream
+const HEARTBEAT_MS = parseInt(process.env.STREAM_HEARTBEAT_SECONDS || '25') * 1000;
+
+// Reconnect delay suggested to EventSource clients
+const RETRY_MS = 3000;
+
+const canRead = protectWithApiKey('portfolio:read', 'trade');
+
+// Comma-separated topic list; null means all topics
+const parseTopics = (value) => (value ? String(value).split(',').map(topic => topic.trim()).filter(Boolean) : null);
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Stream
+ *     description: Live strategy progress, chat output and transaction status
+ */
+
+/**
+ * @swagger
+ * /api/stream:
+ *   get:
+ *     summary: Follow your event stream (server-sent events)
+ *     description: |
+ *       Each event's SSE `event` is its topic and its `id` is the cursor. A
+ *       reconnecting EventSource sends `Last-Event-ID` and gets every event it
+ *       missed (kept for STREAM_EVENT_RETENTION_MINUTES); other clients can pass
+ *       `cursor`. Without either, only new events are sent. Events that expired
+ *       before the client came back are reported as one `stream` `gap` event.
+ *
+ *       Topics:
+ *       - `strategy`: `progress`, `completed`, `failed`, `cancelled`, `queued` for strategy jobs
+ *       - `chat`: `stage` (classified, arguments extracted) and `token` (partial LLM output) for
+ *         prompt router requests, matched by `requestId` (the X-Request-Id of the request)
+ *       - `transaction`: `submitted`, then `confirmed`, `reverted`, `dropped` or `replaced`
+ *
+ *       The same stream is available over WebSocket at `/api/stream/ws`, with the
+ *       same query parameters; browsers that can't set headers there pass
+ *       `access_token`. Events are sent as JSON text messages.
+ *     tags: [Stream]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: topics
+ *         description: Comma-separated topics to receive (default all)
+ *         schema:
+ *           type: string
+ *           example: strategy,transaction
+ *       - in: query
+ *         name: cursor
+ *         description: Id of the last event received
+ *         schema:
+ *           type: integer
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: text/event-stream of StreamEvent
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               $ref: '#/components/schemas/StreamEvent'
+ */
+router.get('/', canRead, [
+  query('topics').optional().custom(value => parseTopics(value).every(topic => STREAM_TOPICS.includes(topic)))
+    .withMessage(`Topics must be among: ${STREAM_TOPICS.join(', ')}`),
+  query('cursor').optional().isInt({ min: 0 }).withMessage('Cursor must be a non-negative integer')
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Keep nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const subscription = eventStreamService.subscribe(req.user.id, {
+    cursor: eventStreamService.parseCursor(req.get('Last-Event-ID') ?? req.query.cursor),
+    topics: parseTopics(req.query.topics),
+    onEvent: event => res.write(`id: ${event.id}\nevent: ${event.topic}\ndata: ${JSON.stringify(event)}\n\n`)
+  });
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    subscription.close();
+  });
+});
+
+module.exports = router;
+module.exports.parseTopics = parseTopics;
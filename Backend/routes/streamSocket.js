@@ -0,0 +1,105 @@
+/**
+ * WebSocket endpoint for the event stream (/api/stream/ws). Same events,
+ * topics and cursor as GET /api/stream, sent as JSON text messages. The
+ * handshake authenticates like protectWithApiKey('portfolio:read', 'trade');
+ * browsers, which can't set headers on a WebSocket, pass `access_token`.
+ */
+
+const http = require('http');
+const { WebSocketServer } = require('ws');
+const { resolveCaller, getApiKeyFromRequest } = require('../middleware/auth');
+const { STREAM_TOPICS } = require('../models/StreamEvent');
+const eventStreamService = require('../services/eventStreamService');
+const { parseTopics } = require('./streamRoutes');
+
+const PATH = '/api/stream/ws';
+
+// Unanswered pings close the connection after this long
+const HEARTBEAT_MS = parseInt(process.env.STREAM_HEARTBEAT_SECONDS || '25') * 1000;
+
+const API_KEY_SCOPES = ['portfolio:read', 'trade'];
+
+// Refuse the upgrade with a plain HTTP response
+const reject = (socket, status, message) => {
+  const body = JSON.stringify({ success: false, message });
+  socket.write(
+    `HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\n` +
+    'Content-Type: application/json\r\n' +
+    `Content-Length: ${Buffer.byteLength(body)}\r\n` +
+    'Connection: close\r\n\r\n' +
+    body
+  );
+  socket.destroy();
+};
+
+const authenticate = async (req, url) => {
+  const authorization = req.headers.authorization;
+  const token = authorization && authorization.startsWith('Bearer')
+    ? authorization.split(' ')[1]
+    : url.searchParams.get('access_token');
+
+  return await resolveCaller({
+    token,
+    rawApiKey: getApiKeyFromRequest(req, token),
+    ip: req.socket.remoteAddress
+  }, API_KEY_SCOPES);
+};
+
+/**
+ * Serve the event stream over WebSocket on an HTTP server
+ * @param {http.Server} server - Server returned by app.listen
+ * @returns {WebSocketServer}
+ */
+const attachStreamSocket = (server) => {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== PATH) {
+      return socket.destroy();
+    }
+
+    const topics = parseTopics(url.searchParams.get('topics'));
+    if (topics && !topics.every(topic => STREAM_TOPICS.includes(topic))) {
+      return reject(socket, 400, `Topics must be among: ${STREAM_TOPICS.join(', ')}`);
+    }
+
+    let caller;
+    try {
+      caller = await authenticate(req, url);
+    } catch (error) {
+      return reject(socket, error.status || 401, error.message);
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      const subscription = eventStreamService.subscribe(caller.user.id, {
+        cursor: eventStreamService.parseCursor(req.headers['last-event-id'] ?? url.searchParams.get('cursor')),
+        topics,
+        onEvent: event => ws.send(JSON.stringify(event))
+      });
+
+      ws.isAlive = true;
+      ws.on('pong', () => { ws.isAlive = true; });
+      ws.on('close', () => subscription.close());
+      ws.on('error', (error) => {
+        console.error(`❌ Stream socket error for user ${caller.user.id}:`, error.message);
+      });
+    });
+  });
+
+  const heartbeat = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }, HEARTBEAT_MS);
+  wss.on('close', () => clearInterval(heartbeat));
+
+  return wss;
+};
+
+module.exports = { attachStreamSocket };
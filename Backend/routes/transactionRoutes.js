@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+const { protectWithApiKey } = require('../middleware/auth');
+const transactionTrackerService = require('../services/transactionTrackerService');
+
+// Get a tracked transaction by tracking id or hash
+router.get('/:id', protectWithApiKey('portfolio:read', 'trade'), async (req, res) => {
+  try {
+    const transaction = await transactionTrackerService.getTransaction(req.params.id);
+
+    if (!transaction || transaction.userId !== String(req.user.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        id: transaction._id,
+        hash: transaction.hash,
+        kind: transaction.kind,
+        network: transaction.network,
+        status: transaction.status,
+        details: transaction.details,
+        from: transaction.from,
+        to: transaction.to,
+        nonce: transaction.nonce,
+        blockNumber: transaction.blockNumber,
+        confirmations: transaction.confirmations,
+        gasUsed: transaction.gasUsed,
+        effectiveGasPrice: transaction.effectiveGasPrice,
+        replacedBy: transaction.replacedBy,
+        nonceGap: transaction.nonceGap,
+        error: transaction.error,
+        submittedAt: transaction.createdAt,
+        lastCheckedAt: transaction.lastCheckedAt,
+        finalizedAt: transaction.finalizedAt
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching transaction:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching transaction',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
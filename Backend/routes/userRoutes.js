@@ -12,6 +12,8 @@ const {
   getUserWithWallet,
   getUserByEmail
 } = require('../controllers/userController');
+const { protect, authorize } = require('../middleware/auth');
+const { ownsUser } = require('../middleware/ownership');
 const router = express.Router();
 
 /**
@@ -207,23 +209,23 @@ router.post('/login', [
  */
 // @desc    Get all users
 // @route   GET /api/users
-// @access  Public (should be protected in production)
-router.get('/', getUsers);
+// @access  Private/Admin
+router.get('/', protect, authorize('admin'), getUsers);
 
 // @desc    Get user by ID
 // @route   GET /api/users/:id
-// @access  Public (should be protected in production)
-router.get('/:id', getUserById);
+// @access  Private (own user or admin)
+router.get('/:id', protect, ownsUser('id'), getUserById);
 
 // @desc    Update user
 // @route   PUT /api/users/:id
-// @access  Public (should be protected in production)
-router.put('/:id', updateUser);
+// @access  Private (own user or admin)
+router.put('/:id', protect, ownsUser('id'), updateUser);
 
 // @desc    Delete user
 // @route   DELETE /api/users/:id
-// @access  Public (should be protected in production)
-router.delete('/:id', deleteUser);
+// @access  Private (own user or admin)
+router.delete('/:id', protect, ownsUser('id'), deleteUser);
 
 /**
  * @swagger
@@ -545,8 +547,8 @@ router.post('/create-with-hedera-wallet', [
  */
 // @desc    Get user with wallet information
 // @route   GET /api/users/:id/wallet
-// @access  Public (should be protected in production)
-router.get('/:id/wallet', getUserWithWallet);
+// @access  Private (own user or admin)
+router.get('/:id/wallet', protect, ownsUser('id'), getUserWithWallet);
 
 // @desc    Get user by email
 // @route   GET /api/users/by-email/:email
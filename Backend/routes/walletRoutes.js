@@ -2,6 +2,9 @@ const express = require('express');
 const { param, query } = require('express-validator');
 const WalletService = require('../services/walletService');
 const Wallet = require('../models/Wallet');
+const Agent = require('../models/Agent');
+const { protect, protectWithApiKey, isAdmin } = require('../middleware/auth');
+const { ownsAgent, ownsWallet } = require('../middleware/ownership');
 
 const router = express.Router();
 
@@ -102,7 +105,7 @@ const router = express.Router();
  *       500:
  *         description: Server error
  */
-router.get('/agent/:agentId', [
+router.get('/agent/:agentId', protectWithApiKey('portfolio:read'), ownsAgent('agentId'), [
   param('agentId').isMongoId().withMessage('Invalid agent ID')
 ], async (req, res) => {
   try {
@@ -179,7 +182,7 @@ router.get('/agent/:agentId', [
  *       500:
  *         description: Server error
  */
-router.put('/:walletId/balance', [
+router.put('/:walletId/balance', protect, ownsWallet('walletId'), [
   param('walletId').isMongoId().withMessage('Invalid wallet ID')
 ], async (req, res) => {
   try {
@@ -257,7 +260,7 @@ router.put('/:walletId/balance', [
  *       500:
  *         description: Server error
  */
-router.post('/:walletId/trade', [
+router.post('/:walletId/trade', protect, ownsWallet('walletId'), [
   param('walletId').isMongoId().withMessage('Invalid wallet ID')
 ], async (req, res) => {
   try {
@@ -338,7 +341,7 @@ router.post('/:walletId/trade', [
  *       500:
  *         description: Server error
  */
-router.get('/:walletId/performance', [
+router.get('/:walletId/performance', protectWithApiKey('portfolio:read'), ownsWallet('walletId'), [
   param('walletId').isMongoId().withMessage('Invalid wallet ID')
 ], async (req, res) => {
   try {
@@ -409,11 +412,19 @@ router.get('/:walletId/performance', [
  *       500:
  *         description: Server error
  */
-router.get('/', async (req, res) => {
+router.get('/', protectWithApiKey('portfolio:read'), async (req, res) => {
   try {
     const { walletClass, network, limit = 10 } = req.query;
     
     let filter = { isActive: true };
+    // Admins see every wallet, users their own and their agents'
+    if (!isAdmin(req)) {
+      const agentIds = await Agent.find({ userId: req.user.id }).distinct('_id');
+      filter.$or = [
+        { ownerType: 'user', ownerId: req.user._id },
+        { ownerType: 'agent', ownerId: { $in: agentIds } }
+      ];
+    }
     if (walletClass) filter.walletClass = walletClass;
     if (network) filter.network = network;
     
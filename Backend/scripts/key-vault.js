@@ -0,0 +1,209 @@
+/**
+ * Key Vault Maintenance Script
+ *
+ * Moves stored private keys into the key vault and rotates master keys.
+ *
+ *   node scripts/key-vault.js status
+ *   node scripts/key-vault.js migrate [--dry-run]
+ *   node scripts/key-vault.js rotate [--new-master-key] [--reencrypt] [--dry-run]
+ *
+ * Rotation without downtime: make the new master key current while keeping the
+ * old one readable (prepend it to KEY_VAULT_MASTER_KEYS, update the key file, or
+ * pass --new-master-key for the local KMS), roll that out, then run `rotate`.
+ * Records are updated one at a time and only if they still hold the value that was
+ * read, so running services keep reading and writing keys throughout. Once
+ * `status` shows nothing left on an old master key, it can be retired.
+ */
+
+require("dotenv").config();
+const mongoose = require('mongoose');
+const keyVault = require('../utils/keyVault');
+const AgentModel = require('../models/Agent');
+const Wallet = require('../models/Wallet');
+
+// Collections and fields holding vault-managed private keys
+const KEY_FIELDS = [
+  { model: AgentModel, field: 'seiPrivateKey' },
+  { model: AgentModel, field: 'duckPrivateKey' },
+  { model: Wallet, field: 'encryptedPrivateKey' }
+];
+
+class KeyVaultManager {
+  constructor({ dryRun = false } = {}) {
+    this.dryRun = dryRun;
+    this.connected = false;
+  }
+
+  /**
+   * Initialize database connection
+   */
+  async initialize() {
+    if (this.connected) return;
+
+    try {
+      const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/meraposa';
+      await mongoose.connect(mongoUri);
+
+      console.log('✅ Connected to MongoDB');
+      this.connected = true;
+    } catch (error) {
+      console.error('❌ Failed to connect to MongoDB:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Apply `transform` to every stored key that `shouldUpdate` selects
+   * @returns {Object} { updated, skipped, failed }
+   */
+  async updateKeys(shouldUpdate, transform) {
+    const totals = { updated: 0, skipped: 0, failed: 0 };
+
+    for (const { model, field } of KEY_FIELDS) {
+      const label = `${model.modelName}.${field}`;
+      const cursor = model.find({ [field]: { $nin: [null, ''] } }).select(`+${field}`).lean().cursor();
+
+      for await (const doc of cursor) {
+        const value = doc[field];
+        if (!shouldUpdate(value)) continue;
+
+        try {
+          const next = await transform(value);
+          if (this.dryRun) {
+            totals.updated += 1;
+            continue;
+          }
+
+          // Skip the record if it changed since it was read
+          const result = await model.updateOne({ _id: doc._id, [field]: value }, { $set: { [field]: next } });
+          if (result.modifiedCount === 1) {
+            totals.updated += 1;
+          } else {
+            totals.skipped += 1;
+            console.warn(`⚠️ ${label} of ${doc._id} changed while updating, skipped`);
+          }
+        } catch (error) {
+          totals.failed += 1;
+          console.error(`❌ ${label} of ${doc._id}:`, error.message);
+        }
+      }
+    }
+
+    return totals;
+  }
+
+  /**
+   * Count stored keys by format and master key
+   */
+  async status() {
+    const currentKeyId = keyVault.getMasterKeyProvider().currentKeyId();
+    console.log(`\n🔐 Current master key: ${currentKeyId}`);
+
+    for (const { model, field } of KEY_FIELDS) {
+      const counts = {};
+      const cursor = model.find({ [field]: { $nin: [null, ''] } }).select(`+${field}`).lean().cursor();
+
+      for await (const doc of cursor) {
+        const value = doc[field];
+        const bucket = keyVault.isEnvelope(value)
+          ? `master key ${value.slice(keyVault.ENVELOPE_PREFIX.length).split(':')[0]}`
+          : value.startsWith('encrypted:') ? 'legacy encrypted' : 'plaintext';
+        counts[bucket] = (counts[bucket] || 0) + 1;
+      }
+
+      console.log(`\n${model.modelName}.${field}`);
+      if (Object.keys(counts).length === 0) {
+        console.log('  (none)');
+      }
+      Object.entries(counts).forEach(([bucket, count]) => console.log(`  ${bucket}: ${count}`));
+    }
+  }
+
+  /**
+   * Encrypt plaintext and legacy-encrypted keys into the vault
+   */
+  async migrate() {
+    console.log(`\n🔐 Migrating stored private keys into the key vault${this.dryRun ? ' (dry run)' : ''}`);
+    const totals = await this.updateKeys(
+      value => !keyVault.isEnvelope(value),
+      value => keyVault.reencrypt(value)
+    );
+    this.printTotals(totals);
+    return totals;
+  }
+
+  /**
+   * Re-wrap every key whose data key is wrapped by an older master key
+   * @param {Object} options - { newMasterKey, reencrypt } - reencrypt: also replace the data keys
+   */
+  async rotate({ newMasterKey = false, reencrypt = false } = {}) {
+    const provider = keyVault.getMasterKeyProvider();
+
+    if (newMasterKey) {
+      if (typeof provider.rotateMasterKey !== 'function') {
+        throw new Error(`The ${provider.name || 'configured'} provider can't create master keys; add the new key to its keyring instead`);
+      }
+      if (this.dryRun) {
+        console.log('🔑 Dry run: not creating a new master key');
+      } else {
+        console.log(`🔑 New master key: ${await provider.rotateMasterKey()}`);
+      }
+    }
+
+    console.log(`\n🔐 Rotating stored private keys to master key ${provider.currentKeyId()}${this.dryRun ? ' (dry run)' : ''}`);
+    const totals = await this.updateKeys(
+      value => reencrypt || keyVault.needsRotation(value),
+      value => (reencrypt || !keyVault.isEnvelope(value)) ? keyVault.reencrypt(value) : keyVault.rewrap(value)
+    );
+    this.printTotals(totals);
+    return totals;
+  }
+
+  printTotals({ updated, skipped, failed }) {
+    console.log(`\n${this.dryRun ? 'Would update' : 'Updated'}: ${updated}, skipped: ${skipped}, failed: ${failed}`);
+  }
+
+  async close() {
+    if (this.connected) {
+      await mongoose.connection.close();
+      this.connected = false;
+    }
+  }
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const command = args[0];
+  const manager = new KeyVaultManager({ dryRun: args.includes('--dry-run') });
+
+  manager.initialize().then(async () => {
+    let failed = 0;
+
+    switch (command) {
+      case 'status':
+        await manager.status();
+        break;
+      case 'migrate':
+        ({ failed } = await manager.migrate());
+        break;
+      case 'rotate':
+        ({ failed } = await manager.rotate({
+          newMasterKey: args.includes('--new-master-key'),
+          reencrypt: args.includes('--reencrypt')
+        }));
+        break;
+      default:
+        console.log('❌ Unknown command. Available commands:');
+        console.log('  status, migrate [--dry-run], rotate [--new-master-key] [--reencrypt] [--dry-run]');
+    }
+
+    await manager.close();
+    process.exit(failed > 0 ? 1 : 0);
+  }).catch(async error => {
+    console.error('💥 Script failed:', error);
+    await manager.close();
+    process.exit(1);
+  });
+}
+
+module.exports = KeyVaultManager;
@@ -0,0 +1,302 @@
+/**
+ * Action Ledger Service
+ * Runs on-chain actions (transfers, swaps, pipeline actions) at most once per
+ * idempotency key. The first call executes and persists its outcome; replays
+ * with the same key get the stored result instead of a second transaction.
+ *
+ * Each attempt runs with a ledger marker in the request context: policyService
+ * flags it when the transaction is about to be signed and records the hash once
+ * it is broadcast, so neither a retry nor a takeover after a crash sends it again.
+ */
+
+const crypto = require('crypto');
+const ActionLedger = require('../models/ActionLedger');
+const TrackedTransaction = require('../models/TrackedTransaction');
+const { extractTxHash, toStorable } = require('../utils/actionResults');
+const { getRequestContext, runWithContext } = require('../utils/requestContext');
+
+// Retry policy for HTTP-triggered actions; pipelines pass their own (see Pipeline.retryPolicy)
+const DEFAULT_RETRY_POLICY = {
+  maxRetries: parseInt(process.env.ACTION_RETRY_MAX) || 2,
+  retryDelay: parseInt(process.env.ACTION_RETRY_DELAY_MS) || 1000,
+  backoffMultiplier: 2
+};
+
+// Failures where the request never reached the node, so nothing can have been sent.
+// Timeouts and dropped connections are not among them: a transaction may have
+// gone out before the reply was lost.
+const RETRYABLE_ERROR_PATTERN = /ECONNREFUSED|ENOTFOUND|EAI_AGAIN|rate limit|too many requests|\b429\b/i;
+
+// A pending entry not attempted for this long belongs to a process that died
+const STALE_PENDING_MS = (parseInt(process.env.ACTION_LEDGER_STALE_PENDING_MINUTES) || 15) * 60 * 1000;
+
+// Outcome of a broadcast transaction, by its tracked status (see transactionTrackerService)
+const TRACKED_OUTCOMES = {
+  confirmed: 'succeeded',
+  reverted: 'failed',
+  dropped: 'failed',
+  replaced: 'failed'
+};
+
+class IdempotencyConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'IdempotencyConflictError';
+    this.status = 409;
+  }
+}
+
+// Key-order independent JSON, so equal params always hash the same
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+class ActionLedgerService {
+  hashParams(params) {
+    return crypto.createHash('sha256').update(stableStringify(toStorable(params))).digest('hex');
+  }
+
+  /**
+   * Whether a failure may be retried: raised before the attempt started signing,
+   * with no transaction hash attached, and of a kind that never reached the node
+   * @param {Object} failure - Error or failed result ({ error, transactionHash })
+   * @param {Object} attempt - Ledger marker of the attempt ({ signing, transactionHash })
+   */
+  isRetryable(failure, attempt = {}) {
+    if (attempt.signing || attempt.transactionHash || extractTxHash(failure)) return false;
+    const message = `${failure.code || ''} ${failure.message || failure.error || ''}`;
+    return RETRYABLE_ERROR_PATTERN.test(message);
+  }
+
+  /**
+   * Execute `action` at most once for (user, scope, key), retrying transient failures
+   * @param {Object} options - { scope, key, params, userId, agentId, retryPolicy: { maxRetries, retryDelay, backoffMultiplier } }
+   * @param {Function} action - async () => result; results with `success: false` count as failures
+   * @returns {Object} { result, replayed, key, attempts }
+   * @throws {IdempotencyConflictError} Key reused with other params, or its first call is still running
+   */
+  async execute({ scope, key, params = {}, userId = null, agentId = null, retryPolicy = {} }, action) {
+    const idempotencyKey = key || crypto.randomUUID();
+    const requestHash = this.hashParams(params);
+
+    const owner = userId ? String(userId) : null;
+
+    // A second insert only when the entry that blocked the first one is gone by the time it is read
+    let entry = null;
+    for (let insert = 1; !entry; insert++) {
+      try {
+        entry = await ActionLedger.create({
+          scope,
+          idempotencyKey,
+          userId: owner,
+          agentId: agentId ? String(agentId) : null,
+          requestHash,
+          params: toStorable(params)
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+
+        const claim = await this.reclaim({ userId: owner, scope, idempotencyKey }, requestHash, toStorable(params));
+        if (claim.replay) {
+          return this.replay(claim.replay);
+        }
+        if (!claim.entry && insert >= 2) {
+          throw new IdempotencyConflictError('An action with this idempotency key is already in progress');
+        }
+        entry = claim.entry;
+      }
+    }
+
+    const policy = { ...DEFAULT_RETRY_POLICY };
+    Object.entries(retryPolicy || {}).forEach(([name, value]) => {
+      if (value !== undefined && value !== null) policy[name] = value;
+    });
+
+    for (let attempt = 1; ; attempt++) {
+      await ActionLedger.updateOne({ _id: entry._id }, { $inc: { attempts: 1 }, lastAttemptAt: new Date() });
+      const marker = { entryId: entry._id, signing: false, transactionHash: null };
+
+      try {
+        const result = await runWithContext({ ...getRequestContext(), ledgerAttempt: marker }, action);
+        const failed = Boolean(result && result.success === false);
+
+        if (failed && attempt <= policy.maxRetries && this.isRetryable(result, marker)) {
+          await this.backoff(policy, attempt, scope, idempotencyKey);
+          continue;
+        }
+
+        await this.complete(entry, failed ? 'failed' : 'succeeded', {
+          result: toStorable(result),
+          error: failed ? result.error : undefined,
+          transactionHash: extractTxHash(result) || marker.transactionHash
+        });
+        return { result, replayed: false, key: idempotencyKey, attempts: attempt };
+      } catch (error) {
+        if (attempt <= policy.maxRetries && this.isRetryable(error, marker)) {
+          await this.backoff(policy, attempt, scope, idempotencyKey);
+          continue;
+        }
+
+        await this.complete(entry, 'failed', {
+          error: error.message,
+          transactionHash: extractTxHash(error) || marker.transactionHash
+        });
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Mark the current attempt as signing: its failures are no longer retried and a
+   * takeover after a crash won't run it again. Called right before a transaction is signed.
+   */
+  async markSigning() {
+    const marker = (getRequestContext() || {}).ledgerAttempt;
+    if (!marker || marker.signing) return;
+
+    marker.signing = true;
+    await ActionLedger.updateOne({ _id: marker.entryId }, { signingAt: new Date() });
+  }
+
+  /**
+   * Store the hash of the transaction the current attempt broadcast, before the
+   * action returns. Never throws: the transaction is already out.
+   */
+  async recordBroadcast(transactionHash) {
+    const marker = (getRequestContext() || {}).ledgerAttempt;
+    if (!marker || !transactionHash) return;
+
+    marker.transactionHash = transactionHash;
+    try {
+      await ActionLedger.updateOne({ _id: marker.entryId }, { transactionHash });
+    } catch (error) {
+      console.error(`❌ Failed to record transaction ${transactionHash} in the action ledger:`, error.message);
+    }
+  }
+
+  // Pending, but not attempted for STALE_PENDING_MS: its process died mid-action
+  isStale(entry) {
+    const lastActive = entry.lastAttemptAt || entry.updatedAt || entry.createdAt;
+    return Boolean(lastActive) && Date.now() - new Date(lastActive).getTime() > STALE_PENDING_MS;
+  }
+
+  // An entry already exists for the user's key: replay it, or take it over if it failed before
+  // signing (then with possibly corrected params, since nothing reached the chain).
+  // Returns { replay }, { entry } to run, or {} when the entry is gone and can be inserted again.
+  async reclaim(identity, requestHash, params) {
+    let existing = await ActionLedger.findOne(identity);
+    if (!existing) {
+      return {};
+    }
+
+    if (existing.status === 'pending') {
+      if (!this.isStale(existing)) {
+        throw new IdempotencyConflictError('An action with this idempotency key is already in progress');
+      }
+      existing = await this.settleInterrupted(existing);
+    }
+
+    const maySendTwice = existing.status === 'succeeded' || Boolean(existing.transactionHash) || Boolean(existing.signingAt);
+    if (maySendTwice && existing.requestHash !== requestHash) {
+      throw new IdempotencyConflictError('Idempotency key was already used with different parameters');
+    }
+    if (maySendTwice) {
+      return { replay: existing };
+    }
+
+    const entry = await ActionLedger.findOneAndUpdate(
+      { _id: existing._id, status: 'failed' },
+      { status: 'pending', requestHash, params, error: null, completedAt: null },
+      { new: true }
+    );
+    if (!entry) {
+      throw new IdempotencyConflictError('An action with this idempotency key is already in progress');
+    }
+    return { entry };
+  }
+
+  /**
+   * Settle an entry whose attempt was interrupted. One that broadcast is reconciled
+   * with its tracked transaction; any other fails, and reclaim takes it over only
+   * if it never started signing.
+   * @throws {IdempotencyConflictError} The broadcast transaction is still pending, or another caller settled the entry
+   */
+  async settleInterrupted(existing) {
+    let update;
+    if (existing.transactionHash) {
+      const tracked = await TrackedTransaction.findOne({ hash: existing.transactionHash }).select('status');
+      if (tracked && tracked.status === 'pending') {
+        throw new IdempotencyConflictError(`An action with this idempotency key is waiting for transaction ${existing.transactionHash}`);
+      }
+
+      const status = tracked ? TRACKED_OUTCOMES[tracked.status] : 'failed';
+      update = {
+        status,
+        result: status === 'succeeded' ? { success: true, transactionHash: existing.transactionHash, status: tracked.status } : undefined,
+        error: status === 'succeeded' ? undefined : (tracked
+          ? `Interrupted; transaction ${existing.transactionHash} was ${tracked.status}`
+          : `Interrupted after sending transaction ${existing.transactionHash}; check it on chain before retrying with a new key`),
+        completedAt: new Date()
+      };
+    } else {
+      update = {
+        status: 'failed',
+        error: existing.signingAt
+          ? 'Interrupted while sending the transaction; check the wallet before retrying with a new key'
+          : 'Interrupted before sending',
+        completedAt: new Date()
+      };
+    }
+
+    // Only the caller that still sees it as it was read settles it
+    const settled = await ActionLedger.findOneAndUpdate(
+      { _id: existing._id, status: 'pending', lastAttemptAt: existing.lastAttemptAt || null },
+      update,
+      { new: true }
+    );
+    if (!settled) {
+      throw new IdempotencyConflictError('An action with this idempotency key is already in progress');
+    }
+    console.log(`♻️ Settled interrupted ${settled.scope} action for idempotency key ${settled.idempotencyKey} as ${settled.status}`);
+    return settled;
+  }
+
+  replay(entry) {
+    console.log(`♻️ Replaying ${entry.scope} action for idempotency key ${entry.idempotencyKey}`);
+
+    if (entry.result !== undefined && entry.result !== null) {
+      return { result: entry.result, replayed: true, key: entry.idempotencyKey, attempts: entry.attempts };
+    }
+
+    const error = new Error(entry.transactionHash
+      ? `Action already broadcast (tx ${entry.transactionHash}) and failed: ${entry.error}`
+      : entry.error);
+    error.transactionHash = entry.transactionHash;
+    throw error;
+  }
+
+  async complete(entry, status, { result, error, transactionHash }) {
+    await ActionLedger.updateOne({ _id: entry._id }, {
+      status,
+      result,
+      error,
+      transactionHash,
+      completedAt: new Date()
+    });
+  }
+
+  async backoff(policy, attempt, scope, idempotencyKey) {
+    const delay = policy.retryDelay * Math.pow(policy.backoffMultiplier, attempt - 1);
+    console.log(`⏳ Retrying ${scope} action ${idempotencyKey} in ${delay}ms (attempt ${attempt + 1})`);
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+}
+
+module.exports = new ActionLedgerService();
+module.exports.IdempotencyConflictError = IdempotencyConflictError;
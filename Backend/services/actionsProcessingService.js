@@ -1,24 +1,15 @@
-const Together = require('together-ai').default;
+const llmService = require('./llmService');
 const seiAgentService = require('./seiAgentService');
 const seiMarketDataService = require('./seiMarketDataService');
 const ContactsTokensService = require('./contactsTokensService');
 const Agent = require('../models/Agent');
+const policyService = require('./policyService');
+const auditService = require('./auditService');
 const { SimpleAgent } = require('@mariposa-plus/agent-sdk');
 
 // Create service instances
 const contactsTokensService = new ContactsTokensService();
 
-// Initialize Together AI for actions processing
-let together;
-try {
-  together = new Together({
-    apiKey: process.env.TOGETHER_API_KEY || 'dummy-key'
-  });
-} catch (error) {
-  console.warn('Together AI not initialized for actions processing. Please set TOGETHER_API_KEY environment variable.');
-  together = null;
-}
-
 class ActionsProcessingService {
   constructor() {
     this.supportedActions = [
@@ -40,7 +31,7 @@ class ActionsProcessingService {
     // Generate immediate user response
     const userMessage = this.generateActionMessage(message, classification, execute);
     
-    if (!together) {
+    if (!llmService.isAvailable('argument_extraction')) {
       return {
         userMessage,
         actionPlan: this.generateBasicActionPlan(message, classification),
@@ -59,27 +50,27 @@ class ActionsProcessingService {
       const actionSubtype = classification.actionSubtype || 'other';
       const actionPrompt = this.buildActionPrompt(message, actionSubtype, execute);
       
-      const response = await together.chat.completions.create({
+      const messages = [
+        {
+          role: 'system',
+          content: actionPrompt.system
+        },
+        {
+          role: 'user',
+          content: actionPrompt.user
+        }
+      ];
+      const { data: actionResult, response } = await llmService.chatJson('argument_extraction', 'actionPlan', {
         model: 'meta-llama/Meta-Llama-3.1-70B-Instruct-Turbo',
-        messages: [
-          {
-            role: 'system',
-            content: actionPrompt.system
-          },
-          {
-            role: 'user',
-            content: actionPrompt.user
-          }
-        ],
+        messages,
         max_tokens: 1000,
         temperature: 0.2,
         response_format: { type: 'json_object' }
       });
-
-      const actionResult = JSON.parse(response.choices[0].message.content);
       
       // Validate and enhance the action result
       const validatedResult = this.validateActionResult(actionResult, message, classification);
+      await auditService.recordDecision('argument_extraction', { message, model: response.model, prompt: messages, output: actionResult, agentId });
       
       // Check if execution is requested and supported
       if (options.execute && options.agentId) {
@@ -674,6 +665,7 @@ Response format:
    * @returns {Object} Execution result
    */
   async executeSwapAction(message, agentId, actionResult) {
+    let approval = null;
     try {
       console.log('🔍 Parsing swap request for execution...');
       console.log('📝 Original message:', message);
@@ -730,8 +722,18 @@ Response format:
         throw new Error('Agent does not have a private key configured');
       }
       
+      approval = await policyService.enforce({
+        agentId,
+        action: 'swap',
+        token: swapParams.fromToken,
+        toToken: swapParams.toToken,
+        amount: swapParams.amount,
+        slippage: slippageTolerance,
+        network: 'sei-evm'
+      });
+
       // Decrypt the private key
-      const decryptedPrivateKey = seiAgentService.decryptPrivateKey(agent.seiPrivateKey);
+      const decryptedPrivateKey = await seiAgentService.decryptPrivateKey(agent.seiPrivateKey);
       
       const agentConfig = {
         privateKey: decryptedPrivateKey,
@@ -812,6 +814,8 @@ Response format:
         });
       }
       
+      await policyService.recordSpend(approval, swapResult);
+
       // Disconnect the agent
       await simpleAgent.disconnect();
 
@@ -842,6 +846,7 @@ Response format:
 
     } catch (error) {
       console.error('❌ Swap execution failed:', error);
+      await policyService.releaseSpend(approval);
       throw error;
     }
   }
@@ -853,7 +858,7 @@ Response format:
    */
   async parseSwapIntentWithAI(message) {
     try {
-      if (!together) {
+      if (!llmService.isAvailable('argument_extraction')) {
         // Fallback parsing without AI
         return this.parseSwapIntentBasic(message);
       }
@@ -875,25 +880,27 @@ Return JSON:
 
 Only return the JSON, no explanation.`;
 
-      const response = await together.chat.completions.create({
-        messages: [{ role: 'user', content: prompt }],
+      const messages = [{ role: 'user', content: prompt }];
+      const { data: result, response } = await llmService.chatJson('argument_extraction', 'swapIntent', {
+        messages,
         model: 'meta-llama/Meta-Llama-3.1-8B-Instruct-Turbo',
         max_tokens: 200,
         temperature: 0.1
       });
-
-      const result = JSON.parse(response.choices[0].message.content.trim());
       
       // Validate result
       if (result.isSwap && (!result.fromToken || !result.toToken)) {
         result.isSwap = false;
       }
       
+      await auditService.recordDecision('argument_extraction', { message, model: response.model, prompt: messages, output: result });
       return result;
       
     } catch (error) {
       console.error('Error parsing swap intent with AI:', error);
-      return this.parseSwapIntentBasic(message);
+      const result = this.parseSwapIntentBasic(message);
+      await auditService.recordDecision('argument_extraction', { message, output: result, outcome: 'fallback', error: error.message });
+      return result;
     }
   }
 
@@ -1340,11 +1347,10 @@ Only return the JSON, no explanation.`;
         throw new Error('Agent not found');
       }
 
-      // Decrypt private key
-      const privateKey = agent.seiPrivateKey;
-      if (!privateKey) {
+      if (!agent.seiPrivateKey) {
         throw new Error('Agent private key not found');
       }
+      const privateKey = await seiAgentService.decryptPrivateKey(agent.seiPrivateKey);
 
       // Check if agent has address
       if (!agent.seiAddress) {
@@ -1437,7 +1443,7 @@ Only return the JSON, no explanation.`;
       service: 'ActionsProcessingService',
       version: '1.0.0',
       supportedActions: this.supportedActions,
-      llmEnabled: !!together,
+      llmEnabled: llmService.isAvailable('argument_extraction'),
       fallbackEnabled: true,
       specializedPrompts: this.supportedActions.length
     };
@@ -0,0 +1,156 @@
+/**
+ * API Key Service
+ * Scoped API keys for bots and agents calling the backend. A key reads
+ * `mrp_<prefix>_<secret>`: the prefix finds the record, only a hash of the
+ * secret is stored, so the key is shown once at creation and cannot be recovered.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+const { getRequestContext } = require('../utils/requestContext');
+const { getTokenPriceUsd } = require('../utils/marketData');
+
+const KEY_PREFIX = 'mrp_';
+const KEY_PATTERN = /^mrp_([a-f0-9]{12})_([A-Za-z0-9_-]{43})$/;
+
+// Longest lifetime a key can be created with
+const MAX_EXPIRY_DAYS = parseInt(process.env.API_KEY_MAX_EXPIRY_DAYS) || 365;
+
+class ApiKeyError extends Error {
+  constructor(message, status = 403) {
+    super(message);
+    this.name = 'ApiKeyError';
+    this.status = status;
+  }
+}
+
+class ApiKeyService {
+  hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  isApiKey(token) {
+    return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+  }
+
+  /**
+   * Create a key for a user
+   * @param {string} userId - Owner
+   * @param {Object} options - { name, scopes, tradeLimitUsd, expiresInDays }
+   * @returns {Object} { apiKey, key } - key is the plaintext, returned only here
+   */
+  async createKey(userId, { name, scopes, tradeLimitUsd = null, expiresInDays = null }) {
+    if (expiresInDays != null && !(expiresInDays > 0 && expiresInDays <= MAX_EXPIRY_DAYS)) {
+      throw new ApiKeyError(`expiresInDays must be between 1 and ${MAX_EXPIRY_DAYS}`, 400);
+    }
+
+    const prefix = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(32).toString('base64url');
+
+    const apiKey = await ApiKey.create({
+      userId,
+      name,
+      prefix,
+      keyHash: this.hashSecret(secret),
+      scopes: [...new Set(scopes)],
+      tradeLimitUsd,
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null
+    });
+
+    return { apiKey, key: `${KEY_PREFIX}${prefix}_${secret}` };
+  }
+
+  async listKeys(userId) {
+    return await ApiKey.find({ userId }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Revoke one of a user's keys
+   * @returns {Object|null} Revoked key, or null if the user has no such key
+   */
+  async revokeKey(userId, keyId) {
+    if (!mongoose.Types.ObjectId.isValid(keyId)) return null;
+
+    const apiKey = await ApiKey.findOne({ _id: keyId, userId });
+    if (!apiKey) return null;
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+    }
+    return apiKey;
+  }
+
+  /**
+   * Resolve a presented key and record its use
+   * @param {string} rawKey - Key from the request
+   * @param {Object} options - { ip }
+   * @returns {Object|null} ApiKey, or null if unknown, revoked or expired
+   */
+  async authenticate(rawKey, { ip = null } = {}) {
+    const match = KEY_PATTERN.exec(rawKey || '');
+    if (!match) return null;
+
+    const [, prefix, secret] = match;
+    const apiKey = await ApiKey.findOne({ prefix }).select('+keyHash');
+    if (!apiKey) return null;
+
+    const expected = Buffer.from(apiKey.keyHash, 'hex');
+    const actual = Buffer.from(this.hashSecret(secret), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual) || !apiKey.isUsable()) {
+      return null;
+    }
+
+    // Usage tracking must not slow down or fail the request
+    ApiKey.updateOne(
+      { _id: apiKey._id },
+      { $set: { lastUsedAt: new Date(), lastUsedIp: ip }, $inc: { usageCount: 1 } }
+    ).catch(error => console.error(`❌ Failed to record API key use for ${prefix}:`, error.message));
+
+    return apiKey;
+  }
+
+  /**
+   * Whether a key holds at least one of `scopes`
+   */
+  hasScope(apiKey, scopes) {
+    return scopes.some(scope => apiKey.scopes.includes(scope));
+  }
+
+  /**
+   * Check a transaction against the API key of the current request: it needs
+   * the trade scope, and the USD value of what it spends must be within the key's limit.
+   * Requests authenticated with a JWT, and background jobs, are not limited.
+   * @param {Object} trade - { token, amount, network, valueUsd, spends } - token/amount being sent;
+   *   valueUsd if already known; spends false for withdrawals, which only need the scope
+   * @throws {ApiKeyError} 403 when the key may not make this trade
+   */
+  async assertTradeAllowed({ token, amount, network = 'duckchain', valueUsd = null, spends = true }) {
+    const context = getRequestContext();
+    const apiKey = context && context.apiKey;
+    if (!apiKey) return;
+
+    if (!apiKey.scopes.includes('trade')) {
+      throw new ApiKeyError(`API key "${apiKey.name}" does not have the trade scope`);
+    }
+    if (!spends) return;
+
+    if (valueUsd === null) {
+      const price = await getTokenPriceUsd(token, network);
+      if (price === null) {
+        throw new ApiKeyError(`Could not price ${token} in USD to check the API key trade limit`);
+      }
+      valueUsd = parseFloat(amount) * price;
+    }
+
+    if (!Number.isFinite(valueUsd) || valueUsd > apiKey.tradeLimitUsd) {
+      throw new ApiKeyError(
+        `Trade of ${amount} ${token} (~$${Number.isFinite(valueUsd) ? valueUsd.toFixed(2) : '?'}) exceeds the API key limit of $${apiKey.tradeLimitUsd}`
+      );
+    }
+  }
+}
+
+module.exports = new ApiKeyService();
+module.exports.ApiKeyError = ApiKeyError;
@@ -0,0 +1,384 @@
+/**
+ * Approval Service
+ * Two-step approval for transactions the spending policy marks as needing one
+ * (over the approval threshold, new recipients) and for pipeline actions flagged
+ * `requiresApproval`. The transaction is held as an approval request and a
+ * short-lived code is sent to the user; it only executes once the code is
+ * confirmed with POST /api/approvals/:id/confirm.
+ *
+ * Requests carry the operation to run on confirm. Call sites that can't describe
+ * one get a request without it: after confirming, the same transaction can be
+ * resubmitted once within the code lifetime.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ApprovalRequest = require('../models/ApprovalRequest');
+const notificationService = require('./notificationService');
+const actionLedgerService = require('./actionLedgerService');
+const auditService = require('./auditService');
+const { getRequestContext, runWithContext } = require('../utils/requestContext');
+const { toStorable } = require('../utils/actionResults');
+
+const CODE_LENGTH = parseInt(process.env.OTP_LENGTH) || 6;
+const CODE_TTL_MINUTES = parseInt(process.env.OTP_EXPIRY_MINUTES) || 5;
+const MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS) || 3;
+
+// How each operation type is carried out on confirm. Required lazily: these
+// services reach this one through policyService.
+const EXECUTORS = {
+  transfer: ({ transferDetails, userId }) => {
+    const EnhancedTransferService = require('./enhancedTransferService');
+    return new EnhancedTransferService().executeTransfer(transferDetails, userId);
+  },
+  duck_user_swap: ({ userId, fromToken, toToken, amount, slippage }) =>
+    require('./duckSwapService').executeSwap(userId, fromToken, toToken, amount, slippage),
+  duck_swap: ({ agentId, swapParams }) => require('./duckAgentService').executeSwap(agentId, swapParams),
+  duck_transfer: ({ agentId, transferParams }) => require('./duckAgentService').executeTransfer(agentId, transferParams),
+  sei_swap: ({ agentId, swapParams }) => require('./seiAgentService').executeSwap(agentId, swapParams),
+  sei_transfer: ({ agentId, transferParams }) => require('./seiAgentService').executeTransfer(agentId, transferParams),
+  pipeline_action: async ({ pipelineId, runId, nodeId }) => {
+    const Pipeline = require('../models/Pipeline');
+    const PipelineRun = require('../models/PipelineRun');
+    const pipelineExecutionService = require('./pipelineExecutionService');
+
+    const pipeline = await Pipeline.findById(pipelineId);
+    const run = pipeline && await PipelineRun.findOne({ _id: runId, pipelineId });
+    if (!run) {
+      throw new Error('Pipeline run no longer exists');
+    }
+    return await pipelineExecutionService.resumeApprovedAction(pipeline, run, nodeId);
+  }
+};
+
+class ApprovalRequiredError extends Error {
+  constructor(approval) {
+    super(`Approval required: ${approval.reasons.map(reason => reason.message).join('; ')}. Confirm with the code sent to you.`);
+    this.name = 'ApprovalRequiredError';
+    this.status = 202;
+    this.approval = approval;
+  }
+}
+
+class ApprovalError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ApprovalError';
+    this.status = status;
+  }
+}
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+const generateCode = () => Array.from({ length: CODE_LENGTH }, () => crypto.randomInt(10)).join('');
+
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60 * 1000);
+
+class ApprovalService {
+  /**
+   * Hash of the transaction details an approval covers
+   * @param {Object} transaction - { action, token, toToken, amount, recipient, agentId, network }
+   */
+  fingerprint({ action, token, toToken = null, amount, recipient = null, agentId = null, network = 'duckchain' }) {
+    return actionLedgerService.hashParams({
+      action,
+      token: token ? String(token).toUpperCase() : null,
+      toToken: toToken ? String(toToken).toUpperCase() : null,
+      amount: parseFloat(amount),
+      recipient: recipient ? String(recipient).toLowerCase() : null,
+      agentId: agentId ? String(agentId) : null,
+      network
+    });
+  }
+
+  // Pipeline approvals cover the node, whatever run resumes it
+  isSameOperation(approved, operation) {
+    if (!approved || !operation || approved.type !== operation.type) return false;
+    if (operation.type === 'pipeline_action') {
+      return String(approved.params.pipelineId) === String(operation.params.pipelineId) &&
+        approved.params.nodeId === operation.params.nodeId;
+    }
+    return actionLedgerService.hashParams(approved.params) === actionLedgerService.hashParams(operation.params);
+  }
+
+  /**
+   * Whether `operation` is being carried out for a confirmed approval
+   * @param {Object} operation - { type, params }
+   */
+  isApproved(operation) {
+    const context = getRequestContext();
+    return Boolean(context && context.approval && this.isSameOperation(context.approval.operation, operation));
+  }
+
+  /**
+   * Let a transaction through if it has been approved, otherwise hold it as an
+   * approval request and notify the user
+   * @param {Object} request - { userId, agentId, action, transaction, reasons: [{ code, message }], valueUsd, operation }
+   * @throws {ApprovalRequiredError} 202 with the pending request
+   * @throws {ApprovalError} 503/502 when the code can't be sent to the user
+   */
+  async requireApproval({ userId, agentId = null, action, transaction = {}, reasons, valueUsd = null, operation = null }) {
+    if (operation && this.isApproved(operation)) {
+      return;
+    }
+
+    const fingerprint = this.fingerprint({ ...transaction, action, agentId });
+    if (!operation) {
+      // A confirmed request without an operation lets the same transaction through once
+      const confirmed = await ApprovalRequest.findOneAndUpdate(
+        { userId, fingerprint, status: 'confirmed', operation: null, expiresAt: { $gt: new Date() } },
+        { status: 'executed', settledAt: new Date() },
+        { new: true }
+      );
+      if (confirmed) return;
+    }
+
+    if (!notificationService.isConfigured()) {
+      throw new ApprovalError('This transaction needs approval, but no notification channel is configured to send the approval code', 503);
+    }
+
+    const code = generateCode();
+    const request = await ApprovalRequest.create({
+      userId,
+      agentId: agentId && mongoose.Types.ObjectId.isValid(String(agentId)) ? agentId : null,
+      action,
+      summary: toStorable({
+        token: transaction.token,
+        toToken: transaction.toToken,
+        amount: transaction.amount,
+        recipient: transaction.recipient,
+        network: transaction.network,
+        valueUsd,
+        ...(operation && operation.type === 'pipeline_action' && {
+          pipelineId: operation.params.pipelineId,
+          nodeId: operation.params.nodeId,
+          name: operation.params.name
+        })
+      }),
+      reasons,
+      operation: operation ? toStorable(operation) : null,
+      fingerprint,
+      codeHash: hashCode(code),
+      expiresAt: minutesFromNow(CODE_TTL_MINUTES)
+    });
+
+    const delivery = await notificationService.notify(userId, {
+      type: 'approval_requested',
+      title: 'Approval needed',
+      message: `${this.describe(request)} needs your approval (${reasons.map(reason => reason.message).join('; ')}). Code: ${code}, valid for ${CODE_TTL_MINUTES} minutes.`,
+      data: {
+        approvalId: request._id.toString(),
+        code,
+        expiresAt: request.expiresAt
+      }
+    });
+
+    if (!delivery.delivered) {
+      request.status = 'rejected';
+      request.error = 'The approval code could not be delivered';
+      request.settledAt = new Date();
+      await request.save();
+      await this.audit(request, 'rejected');
+      throw new ApprovalError('The approval code could not be delivered, try again later', 502);
+    }
+
+    await this.audit(request, 'requested');
+
+    throw new ApprovalRequiredError(this.toPublic(request));
+  }
+
+  async audit(request, outcome) {
+    await auditService.record({
+      type: 'approval',
+      userId: request.userId,
+      agentId: request.agentId,
+      arguments: { approvalId: request._id.toString(), action: request.action, ...request.summary },
+      policy: { reasons: request.reasons },
+      outcome,
+      error: request.error
+    });
+  }
+
+  describe(request) {
+    const { token, toToken, amount, recipient, name } = request.summary || {};
+    if (request.action === 'pipeline_action') return `Pipeline action "${name || request.summary.nodeId}"`;
+    if (request.action === 'swap') return `Swap of ${amount} ${token} to ${toToken}`;
+    if (request.action === 'transfer') return `Transfer of ${amount} ${token} to ${recipient}`;
+    // Staking and liquidity actions only come from pipelines
+    return `Pipeline action "${name || request.summary.nodeId}" (${request.action.replace('_', ' ')})`;
+  }
+
+  /**
+   * Confirm a request with its code. Requests with an operation run it right
+   * away; the others let the transaction be resubmitted once.
+   * @returns {Object} The request, with its result when executed
+   * @throws {ApprovalError} Wrong or expired code, or the request is no longer pending
+   */
+  async confirm(id, code) {
+    const request = await ApprovalRequest.findById(id).select('+codeHash');
+    if (!request) {
+      throw new ApprovalError('Approval request not found', 404);
+    }
+    if (request.status !== 'pending') {
+      throw new ApprovalError(`Approval request is ${request.status}`, 409);
+    }
+    if (request.expiresAt < new Date()) {
+      request.status = 'expired';
+      await request.save();
+      throw new ApprovalError('Approval code has expired', 410);
+    }
+
+    const expected = Buffer.from(request.codeHash, 'hex');
+    const given = Buffer.from(hashCode(String(code || '')), 'hex');
+    // Counted atomically, so concurrent guesses can't share one attempt
+    if (!crypto.timingSafeEqual(expected, given)) {
+      const attempted = await ApprovalRequest.findOneAndUpdate(
+        { _id: request._id, status: 'pending' },
+        { $inc: { failedAttempts: 1 } },
+        { new: true }
+      );
+      if (!attempted) {
+        throw new ApprovalError('Approval request is no longer pending', 409);
+      }
+      if (attempted.failedAttempts < MAX_ATTEMPTS) {
+        throw new ApprovalError('Wrong approval code', 403);
+      }
+
+      const rejected = await ApprovalRequest.findOneAndUpdate(
+        { _id: request._id, status: 'pending' },
+        { status: 'rejected', error: 'Too many wrong codes', settledAt: new Date() },
+        { new: true }
+      );
+      if (rejected) {
+        await this.audit(rejected, 'rejected');
+      }
+      throw new ApprovalError('Too many wrong codes, the request was rejected', 403);
+    }
+
+    // Only while attempts remain: a right code racing the last wrong one loses
+    const pending = { _id: request._id, status: 'pending', failedAttempts: { $lt: MAX_ATTEMPTS } };
+
+    if (!request.operation) {
+      const confirmed = await ApprovalRequest.findOneAndUpdate(
+        pending,
+        { status: 'confirmed', confirmedAt: new Date(), expiresAt: minutesFromNow(CODE_TTL_MINUTES) },
+        { new: true }
+      );
+      if (!confirmed) {
+        throw new ApprovalError('Approval request is no longer pending', 409);
+      }
+      await this.audit(confirmed, 'approved');
+      return this.toPublic(confirmed);
+    }
+
+    // Claim it, so a double submit doesn't execute twice
+    const claimed = await ApprovalRequest.findOneAndUpdate(
+      pending,
+      { status: 'executing', confirmedAt: new Date() },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new ApprovalError('Approval request is no longer pending', 409);
+    }
+    await this.audit(claimed, 'approved');
+
+    const executor = EXECUTORS[claimed.operation.type];
+    try {
+      if (!executor) {
+        throw new Error(`Unknown operation: ${claimed.operation.type}`);
+      }
+
+      const result = await runWithContext(
+        { ...getRequestContext(), approval: claimed.toObject() },
+        () => executor(claimed.operation.params)
+      );
+      const failed = Boolean(result && result.success === false);
+      claimed.status = failed ? 'failed' : 'executed';
+      claimed.result = toStorable(result);
+      claimed.error = failed ? result.error : undefined;
+    } catch (error) {
+      console.error(`❌ Approved ${claimed.action} ${claimed._id} failed:`, error.message);
+      claimed.status = 'failed';
+      claimed.error = error.message;
+      claimed.result = toStorable({ violations: error.violations, approval: error.approval });
+    }
+
+    claimed.settledAt = new Date();
+    await claimed.save();
+    await this.audit(claimed, claimed.status);
+    return this.toPublic(claimed);
+  }
+
+  /**
+   * Reject a pending request; nothing is executed
+   * @throws {ApprovalError} The request is no longer pending
+   */
+  async reject(id) {
+    const request = await ApprovalRequest.findOneAndUpdate(
+      { _id: id, status: 'pending' },
+      { status: 'rejected', settledAt: new Date() },
+      { new: true }
+    );
+    if (!request) {
+      throw new ApprovalError('Approval request is not pending', 409);
+    }
+    await this.audit(request, 'rejected');
+    return this.toPublic(request);
+  }
+
+  /**
+   * A user's approval requests, newest first
+   * @param {Object} filters - { status, limit }
+   */
+  async list(userId, { status = null, limit = 50 } = {}) {
+    await this.expireStale(userId);
+
+    const query = { userId };
+    if (status) query.status = status;
+    const requests = await ApprovalRequest.find(query).sort({ createdAt: -1 }).limit(limit);
+    return requests.map(request => this.toPublic(request));
+  }
+
+  async get(id) {
+    const request = await ApprovalRequest.findById(id);
+    if (!request) {
+      throw new ApprovalError('Approval request not found', 404);
+    }
+    if (['pending', 'confirmed'].includes(request.status) && request.expiresAt < new Date()) {
+      request.status = 'expired';
+      await request.save();
+    }
+    return this.toPublic(request);
+  }
+
+  async expireStale(userId) {
+    await ApprovalRequest.updateMany(
+      { userId, status: { $in: ['pending', 'confirmed'] }, expiresAt: { $lt: new Date() } },
+      { status: 'expired', settledAt: new Date() }
+    );
+  }
+
+  // Request as returned by the API; the code and operation params stay server-side
+  toPublic(request) {
+    return {
+      id: request._id.toString(),
+      action: request.action,
+      agentId: request.agentId,
+      summary: request.summary,
+      reasons: (request.reasons || []).map(({ code, message }) => ({ code, message })),
+      status: request.status,
+      // false: once confirmed, resubmit the same transaction to execute it
+      executesOnConfirm: Boolean(request.operation),
+      expiresAt: request.expiresAt,
+      result: request.result,
+      error: request.error,
+      createdAt: request.createdAt,
+      confirmedAt: request.confirmedAt,
+      settledAt: request.settledAt
+    };
+  }
+}
+
+module.exports = new ApprovalService();
+module.exports.ApprovalRequiredError = ApprovalRequiredError;
+module.exports.ApprovalError = ApprovalError;
@@ -0,0 +1,147 @@
+/**
+ * Audit Service
+ * Append-only trail of AI-driven decisions and on-chain actions: message
+ * classification, argument extraction, policy checks, approvals, submitted
+ * transactions and their final status. Entries of one request share the trace
+ * id from the request context, so a trail reads message → classification →
+ * arguments → transaction.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { getRequestContext } = require('../utils/requestContext');
+const { toStorable } = require('../utils/actionResults');
+
+// Most entries a single export returns
+const EXPORT_LIMIT = parseInt(process.env.AUDIT_EXPORT_LIMIT) || 10000;
+
+const CSV_COLUMNS = [
+  'createdAt', 'traceId', 'type', 'userId', 'agentId', 'apiKeyId', 'message', 'model', 'promptHash',
+  'outcome', 'network', 'transactionHash', 'error', 'output', 'arguments', 'policy'
+];
+
+// Spreadsheets run cells starting with these as formulas (messages and LLM output are user-influenced)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const toCsvValue = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (typeof value !== 'number' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+class AuditService {
+  /**
+   * SHA-256 of an LLM prompt, to tell which prompt produced a decision without storing it
+   * @param {Array<Object>|string} messages - Chat messages or prompt text
+   */
+  hashPrompt(messages) {
+    return crypto.createHash('sha256').update(typeof messages === 'string' ? messages : JSON.stringify(messages)).digest('hex');
+  }
+
+  /**
+   * Append an entry. User, API key and trace id default to the request context.
+   * Never throws: a failed write is logged, the action itself goes on.
+   * @param {Object} entry - See AuditLog
+   * @returns {Object|null} Saved entry
+   */
+  async record(entry) {
+    const context = getRequestContext();
+
+    try {
+      return await AuditLog.create({
+        ...toStorable(entry),
+        traceId: entry.traceId || (context && context.traceId) || null,
+        userId: entry.userId ? String(entry.userId) : (context && context.user ? String(context.user.id) : null),
+        agentId: entry.agentId ? String(entry.agentId) : null,
+        apiKeyId: context && context.apiKey ? String(context.apiKey.id) : null
+      });
+    } catch (error) {
+      console.error(`❌ Failed to write ${entry.type} audit entry:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Record an LLM (or rule-based fallback) decision about a message
+   * @param {string} type - classification or argument_extraction
+   * @param {Object} decision - { message, model, prompt (messages, hashed), output, agentId, outcome,
+   *   error: why a fallback was used, e.g. an LLM answer that failed its schema }
+   */
+  async recordDecision(type, { message, model = null, prompt = null, output, agentId = null, outcome = 'success', error = null }) {
+    return await this.record({
+      type,
+      agentId,
+      message,
+      model,
+      promptHash: prompt ? this.hashPrompt(prompt) : null,
+      output,
+      outcome,
+      error
+    });
+  }
+
+  buildQuery({ userId = null, type, agentId, traceId, outcome, transactionHash, from, to, before } = {}) {
+    const query = {};
+    if (userId) query.userId = String(userId);
+    if (type) query.type = type;
+    if (agentId) query.agentId = String(agentId);
+    if (traceId) query.traceId = traceId;
+    if (outcome) query.outcome = outcome;
+    if (transactionHash) query.transactionHash = transactionHash;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+    // Cursor: entries older than this entry id
+    if (before && mongoose.Types.ObjectId.isValid(before)) {
+      query._id = { $lt: new mongoose.Types.ObjectId(before) };
+    }
+    return query;
+  }
+
+  /**
+   * Entries matching the filters, newest first
+   * @param {Object} filters - { userId, type, agentId, traceId, outcome, transactionHash, from, to, before }
+   * @param {number} limit - Page size
+   * @returns {Object} { entries, nextCursor }
+   */
+  async query(filters, limit = 50) {
+    const entries = await AuditLog.find(this.buildQuery(filters))
+      .sort({ _id: -1 })
+      .limit(limit)
+      .lean();
+
+    return {
+      entries,
+      nextCursor: entries.length === limit ? String(entries[entries.length - 1]._id) : null
+    };
+  }
+
+  /**
+   * Entries matching the filters as CSV or JSON, oldest first, up to AUDIT_EXPORT_LIMIT
+   * @param {Object} filters - As for query
+   * @param {string} format - csv or json
+   * @returns {Object} { body, count, truncated }
+   */
+  async export(filters, format = 'csv') {
+    const entries = await AuditLog.find(this.buildQuery(filters))
+      .sort({ _id: 1 })
+      .limit(EXPORT_LIMIT + 1)
+      .lean();
+    const truncated = entries.length > EXPORT_LIMIT;
+    if (truncated) entries.pop();
+
+    const body = format === 'json'
+      ? JSON.stringify(entries, null, 2)
+      : [CSV_COLUMNS.join(','), ...entries.map(entry => CSV_COLUMNS.map(column => toCsvValue(entry[column])).join(','))].join('\n');
+
+    return { body, count: entries.length, truncated };
+  }
+}
+
+module.exports = new AuditService();
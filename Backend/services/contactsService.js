@@ -394,6 +394,35 @@ class ContactsService {
     }
   }
 
+  /**
+   * Owner of an active contact
+   * @param {number} contactId - Contact ID
+   * @returns {string|null} User ID, or null if there is no such contact
+   */
+  async getContactOwner(contactId) {
+    const contact = await this.db.get(`
+      SELECT userId FROM contacts
+      WHERE id = ? AND isActive = 1
+    `, [contactId]);
+
+    return contact ? contact.userId : null;
+  }
+
+  /**
+   * Whether an address belongs to one of the user's contacts
+   * @param {string} userId - User ID
+   * @param {string} walletAddress - Address to look up
+   * @returns {boolean}
+   */
+  async isContactAddress(userId, walletAddress) {
+    const contact = await this.db.get(`
+      SELECT id FROM contacts
+      WHERE userId = ? AND LOWER(walletAddress) = LOWER(?) AND isActive = 1
+    `, [String(userId), walletAddress]);
+
+    return Boolean(contact);
+  }
+
   /**
    * Get contact statistics for a user
    * @param {string} userId - User ID
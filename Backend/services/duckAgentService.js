@@ -1,6 +1,9 @@
 const { SimpleAgent, Utils } = require('@mariposa-plus/agent-sdk');
 const Agent = require('../models/Agent');
+const keyVault = require('../utils/keyVault');
 const { ethers } = require('ethers');
+const duckSwapService = require('./duckSwapService');
+const policyService = require('./policyService');
 
 class DuckAgentService {
   constructor() {
@@ -54,7 +57,7 @@ class DuckAgentService {
           address: address
         },
         duckAddress: address,
-        duckPrivateKey: this.encryptPrivateKey(privateKey), // Should be encrypted in production
+        duckPrivateKey: await this.encryptPrivateKey(privateKey),
         isActive: true,
         lastInteraction: new Date(),
         createdAt: new Date()
@@ -102,8 +105,8 @@ class DuckAgentService {
         throw new Error('Agent does not have DUCK credentials');
       }
 
-      // Decrypt private key (in production, use proper encryption)
-      const privateKey = this.decryptPrivateKey(agentDoc.duckPrivateKey);
+      // Decrypt private key
+      const privateKey = await this.decryptPrivateKey(agentDoc.duckPrivateKey);
 
       // Create agent configuration
       const agentConfig = {
@@ -135,84 +138,63 @@ class DuckAgentService {
   }
 
   /**
-   * Execute a token swap
+   * Execute a token swap along the best iZiSwap route (single- or multi-hop).
+   * As in transfers and balances, DUCK is the agent's native coin, so it is swapped
+   * natively (wrapped or unwrapped by the router); the DUCK ERC20 can still be
+   * swapped by its address.
    * @param {string} agentId - Agent ID
    * @param {Object} swapParams - Swap parameters
    * @returns {Object} Swap result
    */
   async executeSwap(agentId, swapParams) {
     try {
-      const agent = await this.getAgentInstance(agentId);
-      
       const {
         fromToken,
         toToken,
         amount,
-        slippageTolerance = 15
+        slippageTolerance = 0.5
       } = swapParams;
 
-      console.log(`🔄 Executing DUCK swap: ${amount} ${fromToken} → ${toToken}`);
-
-      let result;
-
-      if (fromToken.toLowerCase() === 'duck') {
-        // DUCK to Token swap
-        const tokenAddress = this.getTokenAddress(toToken);
-        if (!tokenAddress) {
-          throw new Error(`Unsupported token: ${toToken}`);
-        }
-
-        result = await agent.swapNativeToToken({
-          tokenOut: tokenAddress,
-          amountIn: amount.toString(),
-          slippageTolerance: slippageTolerance
-        });
-
-      } else if (toToken.toLowerCase() === 'duck') {
-        // Token to DUCK swap
-        const tokenAddress = this.getTokenAddress(fromToken);
-        if (!tokenAddress) {
-          throw new Error(`Unsupported token: ${fromToken}`);
-        }
-
-        result = await agent.swapTokenToNative({
-          tokenIn: tokenAddress,
-          amountIn: amount.toString(),
-          slippageTolerance: slippageTolerance
-        });
+      const agentDoc = await Agent.findById(agentId).select('+duckPrivateKey');
+      if (!agentDoc) {
+        throw new Error('Agent not found');
+      }
+      if (!agentDoc.duckAddress || !agentDoc.duckPrivateKey) {
+        throw new Error('Agent does not have DUCK credentials');
+      }
 
-      } else {
-        // Token to Token swap
-        const tokenInAddress = this.getTokenAddress(fromToken);
-        const tokenOutAddress = this.getTokenAddress(toToken);
-        
-        if (!tokenInAddress || !tokenOutAddress) {
-          throw new Error(`Unsupported token pair: ${fromToken}/${toToken}`);
-        }
+      console.log(`🔄 Executing DUCK swap: ${amount} ${fromToken} → ${toToken}`);
 
-        result = await agent.swapTokenToToken({
-          tokenIn: tokenInAddress,
-          tokenOut: tokenOutAddress,
-          amountIn: amount.toString(),
-          slippageTolerance: slippageTolerance
-        });
-      }
+      const wallet = new ethers.Wallet(await this.decryptPrivateKey(agentDoc.duckPrivateKey), duckSwapService.provider);
+      const result = await duckSwapService.swapWithWallet(wallet, this.toSwapToken(fromToken), this.toSwapToken(toToken), amount, slippageTolerance, {
+        approve: true,
+        userId: agentDoc.userId,
+        agentId: agentDoc._id,
+        operation: { type: 'duck_swap', params: { agentId, swapParams } }
+      });
 
-      console.log(`✅ DUCK Swap completed: ${result.txHash}`);
+      console.log(`✅ DUCK Swap submitted: ${result.transactionHash}`);
 
       return {
         success: true,
-        transactionHash: result.txHash,
-        amountIn: result.amountIn,
-        amountOut: result.amountOut,
-        gasUsed: result.gasUsed,
+        transactionHash: result.transactionHash,
+        trackingId: result.trackingId,
+        transactionStatus: result.transactionStatus,
+        amountIn: amount.toString(),
+        estimatedAmountOut: result.swapDetails.quote.estimatedAmount,
+        minimumAmountOut: result.swapDetails.quote.minimumOutput,
+        route: result.swapDetails.quote.route,
         fromToken,
         toToken
       };
 
     } catch (error) {
       console.error('❌ DUCK Swap execution failed:', error);
-      throw new Error(`DUCK Swap failed: ${error.message}`);
+      const swapError = new Error(`DUCK Swap failed: ${error.message}`);
+      swapError.status = error.status;
+      swapError.violations = error.violations;
+      swapError.approval = error.approval;
+      throw swapError;
     }
   }
 
@@ -223,6 +205,16 @@ class DuckAgentService {
    * @returns {Object} Transfer result
    */
   async executeTransfer(agentId, transferParams) {
+    const approval = await policyService.enforce({
+      agentId,
+      action: 'transfer',
+      token: transferParams.token,
+      amount: transferParams.amount,
+      recipient: transferParams.to,
+      network: 'duckchain',
+      operation: { type: 'duck_transfer', params: { agentId, transferParams } }
+    });
+
     try {
       const agent = await this.getAgentInstance(agentId);
       
@@ -250,6 +242,7 @@ class DuckAgentService {
       }
 
       console.log(`✅ DUCK Transfer completed: ${result}`);
+      await policyService.recordSpend(approval, result);
 
       return {
         success: true,
@@ -261,6 +254,7 @@ class DuckAgentService {
 
     } catch (error) {
       console.error('❌ DUCK Transfer execution failed:', error);
+      await policyService.releaseSpend(approval);
       throw new Error(`DUCK Transfer failed: ${error.message}`);
     }
   }
@@ -282,7 +276,7 @@ class DuckAgentService {
 
       // Get DUCK native balance directly using ethers v6
       const provider = new ethers.JsonRpcProvider(this.rpcUrl);
-      const wallet = new ethers.Wallet(this.decryptPrivateKey(agentDoc.duckPrivateKey), provider);
+      const wallet = new ethers.Wallet(await this.decryptPrivateKey(agentDoc.duckPrivateKey), provider);
       
       console.log(`🔍 Debug - Agent Address: ${wallet.address}`);
       console.log(`🔍 Debug - RPC URL: ${this.rpcUrl}`);
@@ -369,6 +363,11 @@ class DuckAgentService {
     return this.tokenAddresses[symbol.toUpperCase()] || null;
   }
 
+  // Token as duckSwapService names it: the agent's DUCK is the native coin (TON there)
+  toSwapToken(symbol) {
+    return symbol.toString().toUpperCase() === 'DUCK' ? 'TON' : symbol;
+  }
+
   /**
    * Register agent with AgenticRouter contract
    * @param {string} agentId - Agent ID
@@ -409,16 +408,12 @@ class DuckAgentService {
     return require('uuid').v4();
   }
 
-  encryptPrivateKey(privateKey) {
-    // In production, use proper encryption
-    // For now, just return as-is (should be encrypted!)
-    return privateKey;
+  async encryptPrivateKey(privateKey) {
+    return await keyVault.encrypt(privateKey);
   }
 
-  decryptPrivateKey(encryptedKey) {
-    // In production, use proper decryption
-    // For now, just return as-is
-    return encryptedKey;
+  async decryptPrivateKey(encryptedKey) {
+    return await keyVault.decrypt(encryptedKey);
   }
 }
 
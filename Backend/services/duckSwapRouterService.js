@@ -0,0 +1,261 @@
+/**
+ * DuckSwap Router Service
+ * Finds the best iZiSwap route on DuckChain for a token pair. Pools are found
+ * through factory lookups between hub tokens and the market MCP pool list;
+ * the route is the single- or multi-hop path through them with the largest output.
+ */
+
+const { ethers } = require('ethers');
+const duckSwapService = require('./duckSwapService');
+const MCPMarketDataService = require('./mcpMarketDataService');
+
+const FACTORY_ABI = [
+  "function pool(address tokenX, address tokenY, uint24 fee) view returns (address)"
+];
+
+// Pool states are read this many at a time to stay under RPC rate limits
+const POOL_READ_BATCH_SIZE = 10;
+
+// Upper bound on candidate paths quoted per request
+const MAX_ROUTE_CANDIDATES = 100;
+
+class DuckSwapRouterService {
+  constructor() {
+    // iZiSwap fee tiers (3000 = 0.3%)
+    this.FEE_TIERS = [100, 400, 500, 2000, 3000, 10000];
+    this.maxHops = parseInt(process.env.DUCK_ROUTER_MAX_HOPS) || 3;
+    this.graphTtl = (parseInt(process.env.DUCK_ROUTER_GRAPH_TTL_MINUTES) || 10) * 60 * 1000;
+    this.useMarketPools = process.env.DUCK_ROUTER_MCP_DISCOVERY !== 'false';
+
+    this.graph = null;
+    this.graphBuiltAt = 0;
+    this.graphBuilding = null;
+  }
+
+  // Tokens most DuckChain pools pair against; every pair of them is looked up on the factory
+  getHubTokens() {
+    const { WTON_ADDRESS, DUCK_ADDRESS, USDT_ADDRESS } = duckSwapService.CONTRACTS;
+    return [WTON_ADDRESS, DUCK_ADDRESS, USDT_ADDRESS].map(address => address.toLowerCase());
+  }
+
+  async discoverFactoryPools() {
+    const factory = new ethers.Contract(duckSwapService.CONTRACTS.FACTORY_ADDRESS, FACTORY_ABI, duckSwapService.provider);
+    const hubs = this.getHubTokens();
+
+    const lookups = [];
+    hubs.forEach((tokenA, i) => {
+      hubs.slice(i + 1).forEach(tokenB => {
+        this.FEE_TIERS.forEach(fee => lookups.push(
+          factory.pool(tokenA, tokenB, fee).catch(() => ethers.ZeroAddress)
+        ));
+      });
+    });
+
+    const addresses = await Promise.all(lookups);
+    return addresses.filter(address => address !== ethers.ZeroAddress);
+  }
+
+  async discoverMarketPools() {
+    const mcpService = new MCPMarketDataService();
+    try {
+      await mcpService.initialize();
+      const pools = await mcpService.getNetworkPoolList('duckchain');
+      return pools.map(pool => pool.address).filter(Boolean);
+    } finally {
+      await mcpService.disconnect();
+    }
+  }
+
+  /**
+   * Read every discoverable pool and index it as a token graph
+   * @returns {Object} { pools: Map(address → state), edges: Map(token → [{ pool, tokenOut }]), tokens: Map(address → { symbol, decimals }) }
+   */
+  async buildGraph() {
+    const addresses = new Set([duckSwapService.CONTRACTS.WTON_DUCK_POOL.toLowerCase()]);
+
+    try {
+      (await this.discoverFactoryPools()).forEach(address => addresses.add(address.toLowerCase()));
+    } catch (error) {
+      console.warn('⚠️ iZiSwap factory pool discovery failed:', error.message);
+    }
+
+    if (this.useMarketPools) {
+      try {
+        (await this.discoverMarketPools()).forEach(address => addresses.add(address.toLowerCase()));
+      } catch (error) {
+        console.warn('⚠️ Market MCP pool discovery failed:', error.message);
+      }
+    }
+
+    // Pools of other DEXes don't answer the iZiSwap pool interface and are skipped
+    const pools = new Map();
+    const candidates = [...addresses];
+    for (let i = 0; i < candidates.length; i += POOL_READ_BATCH_SIZE) {
+      const states = await Promise.all(candidates.slice(i, i + POOL_READ_BATCH_SIZE).map(address =>
+        duckSwapService.getPoolState(address).catch(() => null)
+      ));
+      states
+        .filter(state => state && state.liquidity > 0)
+        .forEach(state => pools.set(state.address.toLowerCase(), state));
+    }
+
+    const edges = new Map();
+    const addEdge = (tokenIn, tokenOut, pool) => {
+      if (!edges.has(tokenIn)) edges.set(tokenIn, []);
+      edges.get(tokenIn).push({ pool, tokenOut });
+    };
+    pools.forEach(pool => {
+      addEdge(pool.tokenX, pool.tokenY, pool);
+      addEdge(pool.tokenY, pool.tokenX, pool);
+    });
+
+    const tokens = new Map();
+    await Promise.all([...edges.keys()].map(async address => {
+      try {
+        const info = await duckSwapService.getTokenInfo(address);
+        tokens.set(address, { symbol: info.symbol, decimals: info.decimals });
+      } catch (error) {
+        tokens.set(address, { symbol: null, decimals: 18 });
+      }
+    }));
+
+    console.log(`🗺️ DuckChain swap graph: ${pools.size} pools, ${tokens.size} tokens`);
+    return { pools, edges, tokens };
+  }
+
+  /**
+   * Token graph, rebuilt once it is older than the graph TTL
+   * @param {Object} options - { refresh } - force a rebuild
+   */
+  async getGraph({ refresh = false } = {}) {
+    const fresh = this.graph && Date.now() - this.graphBuiltAt < this.graphTtl;
+    if (fresh && !refresh) {
+      return this.graph;
+    }
+
+    // Concurrent callers share one rebuild
+    if (!this.graphBuilding) {
+      this.graphBuilding = this.buildGraph()
+        .then(graph => {
+          this.graph = graph;
+          this.graphBuiltAt = Date.now();
+          return graph;
+        })
+        .finally(() => {
+          this.graphBuilding = null;
+        });
+    }
+    return this.graphBuilding;
+  }
+
+  /**
+   * Address of a token known to the graph by its symbol
+   * @param {string} symbol - Token symbol
+   * @returns {string|null} Token address
+   */
+  async findTokenBySymbol(symbol) {
+    const { tokens } = await this.getGraph();
+    const wanted = symbol.toUpperCase();
+    for (const [address, info] of tokens) {
+      if (info.symbol && info.symbol.toUpperCase() === wanted) return address;
+    }
+    return null;
+  }
+
+  /**
+   * Every simple path of up to maxHops pools between two tokens, shortest first
+   * @returns {Array<Array<Object>>} Paths as hops [{ pool, tokenIn, tokenOut }]
+   */
+  findPaths(edges, fromToken, toToken) {
+    const paths = [];
+
+    const walk = (token, hops, visited, length) => {
+      if (paths.length >= MAX_ROUTE_CANDIDATES) return;
+      if (hops.length === length) {
+        if (token === toToken) paths.push(hops);
+        return;
+      }
+
+      for (const { pool, tokenOut } of edges.get(token) || []) {
+        // Intermediate hops may not pass through the target or revisit a token
+        const isLast = hops.length === length - 1;
+        if (visited.has(tokenOut) || (tokenOut === toToken) !== isLast) continue;
+
+        visited.add(tokenOut);
+        walk(tokenOut, [...hops, { pool, tokenIn: token, tokenOut }], visited, length);
+        visited.delete(tokenOut);
+      }
+    };
+
+    for (let length = 1; length <= this.maxHops; length++) {
+      walk(fromToken, [], new Set([fromToken]), length);
+    }
+    return paths;
+  }
+
+  /**
+   * Simulate a path hop by hop on current pool state
+   * @param {Array<Object>} hops - From findPaths
+   * @param {number} amountIn - Raw input amount
+   * @returns {Object|null} { hops, amountOut, idealAmountOut, midPrice }, or null when a pool can't fill it
+   */
+  quotePath(hops, amountIn) {
+    let amount = amountIn;
+    let idealAmount = amountIn;
+    let midPrice = 1;
+
+    try {
+      const quotedHops = hops.map(({ pool, tokenIn, tokenOut }) => {
+        const xToY = tokenIn === pool.tokenX;
+        const swap = duckSwapService.computePoolSwap(pool, xToY, amount);
+        const hop = { pool: pool.address, tokenIn, tokenOut, fee: pool.fee, amountIn: amount, amountOut: swap.amountOut, feeAmount: swap.feeAmount };
+
+        // Output at mid prices after fees, the reference for price impact
+        idealAmount = idealAmount * (1 - pool.fee / 1e6) * swap.midPrice;
+        midPrice *= swap.midPrice;
+        amount = swap.amountOut;
+        return hop;
+      });
+
+      if (!(amount > 0)) return null;
+      return { hops: quotedHops, amountOut: amount, idealAmountOut: idealAmount, midPrice };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Best route for swapping `amountIn` of one token into another
+   * @param {string} fromToken - Token address
+   * @param {string} toToken - Token address
+   * @param {bigint|number} amountIn - Raw input amount
+   * @returns {Object} { tokens, fees, pools, hops, path, amountOut, idealAmountOut, midPrice, priceImpact } - raw units
+   */
+  async findBestRoute(fromToken, toToken, amountIn) {
+    const from = fromToken.toLowerCase();
+    const to = toToken.toLowerCase();
+    const { edges } = await this.getGraph();
+
+    const best = this.findPaths(edges, from, to)
+      .map(path => this.quotePath(path, Number(amountIn)))
+      .filter(Boolean)
+      .sort((a, b) => b.amountOut - a.amountOut)[0];
+
+    if (!best) {
+      throw new Error(`No swap route found for ${fromToken} → ${toToken}`);
+    }
+
+    const tokens = [from, ...best.hops.map(hop => hop.tokenOut)];
+    const fees = best.hops.map(hop => hop.fee);
+    return {
+      ...best,
+      tokens,
+      fees,
+      pools: best.hops.map(hop => hop.pool),
+      path: duckSwapService.encodePath(tokens.map(token => ethers.getAddress(token)), fees),
+      priceImpact: Math.max(0, (1 - best.amountOut / best.idealAmountOut) * 100)
+    };
+  }
+}
+
+module.exports = new DuckSwapRouterService();
@@ -1,5 +1,19 @@
 const { ethers } = require('ethers');
 const Agent = require('../models/Agent');
+const keyVault = require('../utils/keyVault');
+const transactionTrackerService = require('./transactionTrackerService');
+const policyService = require('./policyService');
+
+// Slippage above this many percent is refused outright; DUCK_MAX_SLIPPAGE_PERCENT can lower it
+const MAX_SLIPPAGE_PERCENT = 50;
+
+class SwapParameterError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SwapParameterError';
+    this.status = status;
+  }
+}
 
 class DuckSwapService {
   constructor() {
@@ -12,7 +26,10 @@ class DuckSwapService {
       WTON_DUCK_POOL: '0xe14364f158c30fC322F59528ff6CBaC4a6005048', // iZiSwap WTON/DUCK Pool
       WTON_ADDRESS: '0x7F9308E8d724e724EC31395f3af52e0593BB2e3f',
       DUCK_ADDRESS: '0xdA65892eA771d3268610337E9964D916028B7dAD',
-      FACTORY_ADDRESS: '0x8c1A3cF8f83074169FE5D7aD50B978e1cD6b37c7'
+      USDT_ADDRESS: process.env.DUCK_USDT_ADDRESS || '0xbE138aD5D41FDc392AE0B61b09421987C1966CC3',
+      FACTORY_ADDRESS: '0x8c1A3cF8f83074169FE5D7aD50B978e1cD6b37c7',
+      // Optional iZiSwap Quoter; without it quotes are computed from pool state
+      QUOTER: process.env.DUCK_IZISWAP_QUOTER || null
     };
 
     // Pool fee tiers (typical for Uniswap-style DEXs)
@@ -22,6 +39,11 @@ class DuckSwapService {
       HIGH: 10000   // 1%
     };
 
+    // Gas limit sent with swaps, also the estimate when estimateGas can't run
+    this.SWAP_GAS_LIMIT = 500000n;
+
+    this.MAX_SLIPPAGE = Math.min(parseFloat(process.env.DUCK_MAX_SLIPPAGE_PERCENT) || MAX_SLIPPAGE_PERCENT, MAX_SLIPPAGE_PERCENT);
+
     // iZiSwap Pool ABI (based on actual contract)
     this.IZISWAP_POOL_ABI = [
       // swapY2X - swap token Y for token X
@@ -118,9 +140,22 @@ class DuckSwapService {
         "outputs": [{"name": "", "type": "address"}],
         "stateMutability": "view",
         "type": "function"
+      },
+      // Fee in hundredths of a basis point (3000 = 0.3%)
+      {
+        "inputs": [],
+        "name": "fee",
+        "outputs": [{"name": "", "type": "uint24"}],
+        "stateMutability": "view",
+        "type": "function"
       }
     ];
 
+    // iZiSwap Quoter: simulates router.swapAmount (call it with staticCall)
+    this.QUOTER_ABI = [
+      "function swapAmount(uint128 amount, bytes path) returns (uint256 acquire, int24[] pointAfterList)"
+    ];
+
     // Router ABI for swapAmount function
     this.SWAP_ABI = [
       // SwapAmount function
@@ -145,9 +180,30 @@ class DuckSwapService {
         ],
         "stateMutability": "payable",
         "type": "function"
+      },
+      // Native TON out: swap to the router, then unwrap its WTON to the wallet in one multicall
+      {
+        "inputs": [{"name": "data", "type": "bytes[]"}],
+        "name": "multicall",
+        "outputs": [{"name": "results", "type": "bytes[]"}],
+        "stateMutability": "payable",
+        "type": "function"
+      },
+      {
+        "inputs": [
+          {"name": "minAmount", "type": "uint256"},
+          {"name": "recipient", "type": "address"}
+        ],
+        "name": "unwrapWETH9",
+        "outputs": [],
+        "stateMutability": "payable",
+        "type": "function"
       }
     ];
 
+    // Native TON as quoted; pools route it as WTON
+    this.NATIVE_TOKEN = { symbol: 'TON', name: 'TON', decimals: 18, address: 'native' };
+
     // Additional individual swap functions (removed - not needed for current implementation)
     /*
       {
@@ -265,6 +321,7 @@ class DuckSwapService {
 
   /**
    * Encode swap path for multi-hop swaps
+   * iZiSwap format: token0 + fee0 (uint24) + token1 [+ fee1 + token2 ...]
    */
   encodePath(tokens, fees) {
     let path = '0x';
@@ -278,44 +335,162 @@ class DuckSwapService {
   }
 
   /**
-   * Get swap quote (estimate output amount)
+   * Read an iZiSwap pool's tokens, fee and current state
+   * @param {string} poolAddress - Pool address
+   * @returns {Object} { address, tokenX, tokenY, fee, sqrtPrice, currentPoint, liquidity }
+   */
+  async getPoolState(poolAddress) {
+    const pool = new ethers.Contract(poolAddress, this.IZISWAP_POOL_ABI, this.provider);
+    const [tokenX, tokenY, fee, state] = await Promise.all([
+      pool.tokenX(),
+      pool.tokenY(),
+      pool.fee(),
+      pool.state()
+    ]);
+
+    return {
+      address: poolAddress,
+      tokenX: tokenX.toLowerCase(),
+      tokenY: tokenY.toLowerCase(),
+      fee: Number(fee),
+      // sqrt(price of X in Y, raw units) as a plain number
+      sqrtPrice: Number(state.sqrtPrice_96) / 2 ** 96,
+      currentPoint: Number(state.currentPoint),
+      liquidity: Number(state.liquidity)
+    };
+  }
+
+  /**
+   * Output of a swap through one pool, assuming the trade stays within the
+   * current liquidity range (liquidity constant). Amounts are raw token units.
+   * @param {Object} poolState - From getPoolState
+   * @param {boolean} xToY - Swapping tokenX for tokenY
+   * @param {number} amountIn - Raw input amount, fee included
+   * @returns {Object} { amountOut, feeAmount, midPrice, executionPrice, priceImpact }
    */
-  async getSwapQuote(fromToken, toToken, amountIn, slippage = 0.5) {
+  computePoolSwap(poolState, xToY, amountIn) {
+    const { sqrtPrice, liquidity, fee } = poolState;
+    if (!liquidity || !sqrtPrice) {
+      throw new Error(`Pool ${poolState.address} has no liquidity at the current price`);
+    }
+
+    const feeAmount = amountIn * fee / 1e6;
+    const amountInAfterFee = amountIn - feeAmount;
+
+    let amountOut;
+    if (xToY) {
+      const sqrtPriceAfter = 1 / (1 / sqrtPrice + amountInAfterFee / liquidity);
+      amountOut = liquidity * (sqrtPrice - sqrtPriceAfter);
+    } else {
+      const sqrtPriceAfter = sqrtPrice + amountInAfterFee / liquidity;
+      amountOut = liquidity * (1 / sqrtPrice - 1 / sqrtPriceAfter);
+    }
+
+    // Output per unit of input, raw units
+    const midPrice = xToY ? sqrtPrice ** 2 : 1 / sqrtPrice ** 2;
+    const executionPrice = amountOut / amountInAfterFee;
+
+    return {
+      amountOut,
+      feeAmount,
+      midPrice,
+      executionPrice,
+      priceImpact: (1 - executionPrice / midPrice) * 100
+    };
+  }
+
+  /**
+   * Get swap quote along the best route through DuckChain's iZiSwap pools
+   * (re-quoted by the iZiSwap quoter when configured)
+   * @param {string} fromToken - Symbol or address; TON (or 'native') is the native coin
+   * @param {string} toToken - Symbol or address; TON (or 'native') is the native coin
+   * @param {number|string} amountIn - Input amount in token units
+   * @param {number} slippage - Slippage tolerance in percent
+   * @param {Object} options - { from } - sender address, used to estimate gas
+   * @returns {Object} Quote incl. route, estimated/minimum output, price impact, per-hop fees and gas estimate
+   */
+  async getSwapQuote(fromToken, toToken, amountIn, slippage = 0.5, options = {}) {
     try {
+      slippage = this.validateSlippage(slippage);
       console.log('🔄 Getting swap quote:', { fromToken, toToken, amountIn, slippage });
 
+      // Required lazily: the router builds on this service's pool helpers
+      const duckSwapRouterService = require('./duckSwapRouterService');
+
       // Determine token addresses
-      const fromAddress = this.getTokenAddress(fromToken);
-      const toAddress = this.getTokenAddress(toToken);
+      const fromAddress = await this.resolveTokenAddress(fromToken);
+      const toAddress = await this.resolveTokenAddress(toToken);
 
-      if (fromAddress === toAddress) {
+      // iZiSwap pools hold WTON, so native TON is routed as WTON; the router wraps
+      // TON sent with the swap and unwraps WTON it receives (see swapWithWallet)
+      const nativeIn = fromAddress === 'native';
+      const nativeOut = toAddress === 'native';
+      const fromPoolToken = nativeIn ? this.CONTRACTS.WTON_ADDRESS : fromAddress;
+      const toPoolToken = nativeOut ? this.CONTRACTS.WTON_ADDRESS : toAddress;
+
+      if (fromPoolToken.toLowerCase() === toPoolToken.toLowerCase()) {
         throw new Error('Cannot swap identical tokens');
       }
 
       // Get token info
-      const fromTokenInfo = await this.getTokenInfo(fromAddress);
-      const toTokenInfo = await this.getTokenInfo(toAddress);
+      const fromTokenInfo = nativeIn ? this.NATIVE_TOKEN : await this.getTokenInfo(fromAddress);
+      const toTokenInfo = nativeOut ? this.NATIVE_TOKEN : await this.getTokenInfo(toAddress);
 
       // Convert amount to wei
       const amountInWei = ethers.parseUnits(amountIn.toString(), fromTokenInfo.decimals);
 
-      // For now, return a mock quote (in production, you'd query the pool or use a quoter contract)
-      // This is a simplified version - you should implement proper price calculation
-      const mockExchangeRate = fromToken === 'WTON' && toToken === 'DUCK' ? 1000 : 
-                              fromToken === 'DUCK' && toToken === 'WTON' ? 0.001 : 1;
-      
-      const estimatedOutput = parseFloat(amountIn) * mockExchangeRate;
-      const minimumOutput = estimatedOutput * (1 - slippage / 100);
+      const route = await duckSwapRouterService.findBestRoute(fromPoolToken, toPoolToken, amountInWei);
+
+      // The quoter walks every crossed liquidity range, so prefer it when available
+      let amountOutWei = BigInt(Math.floor(route.amountOut));
+      let source = 'pool_state';
+      if (this.CONTRACTS.QUOTER) {
+        try {
+          const quoter = new ethers.Contract(this.CONTRACTS.QUOTER, this.QUOTER_ABI, this.provider);
+          const [acquire] = await quoter.swapAmount.staticCall(amountInWei, route.path);
+          amountOutWei = acquire;
+          source = 'quoter';
+        } catch (error) {
+          console.warn('⚠️ iZiSwap quoter failed, using pool state:', error.message);
+        }
+      }
+
+      // Slippage in basis points keeps the math in BigInt
+      const minimumOutputWei = amountOutWei * BigInt(Math.floor((100 - slippage) * 100)) / 10000n;
+      const priceImpact = Math.max(0, (1 - Number(amountOutWei) / route.idealAmountOut) * 100);
+      // estimateSwapGas simulates a plain token swap; native swaps use the default limit
+      const gas = nativeIn || nativeOut ? this.SWAP_GAS_LIMIT : await this.estimateSwapGas(route.path, amountInWei, minimumOutputWei, options.from);
+      const feeData = await this.provider.getFeeData();
+      const gasPrice = feeData.gasPrice || ethers.parseUnits('20', 'gwei');
+
+      const { tokens } = await duckSwapRouterService.getGraph();
+      const decimalsOf = address => (tokens.get(address) || { decimals: 18 }).decimals;
 
       return {
         fromToken: { ...fromTokenInfo, amount: amountIn },
-        toToken: { ...toTokenInfo, estimatedAmount: estimatedOutput.toString() },
-        route: [fromAddress, toAddress],
-        fees: [this.FEE_TIERS.MEDIUM],
-        priceImpact: '0.1', // Mock value
-        minimumOutput: minimumOutput.toString(),
+        toToken: { ...toTokenInfo, estimatedAmount: ethers.formatUnits(amountOutWei, toTokenInfo.decimals) },
+        route: route.tokens.map(token => ethers.getAddress(token)),
+        pools: route.pools,
+        path: route.path,
+        fees: route.fees,
+        hops: route.hops.map(hop => ({
+          pool: hop.pool,
+          tokenIn: ethers.getAddress(hop.tokenIn),
+          tokenOut: ethers.getAddress(hop.tokenOut),
+          fee: hop.fee,
+          // Charged in the hop's input token
+          feeAmount: ethers.formatUnits(BigInt(Math.floor(hop.feeAmount)), decimalsOf(hop.tokenIn)),
+          estimatedAmountOut: ethers.formatUnits(BigInt(Math.floor(hop.amountOut)), decimalsOf(hop.tokenOut))
+        })),
+        // Output per input in token units, before price impact
+        midPrice: (route.midPrice * 10 ** (fromTokenInfo.decimals - toTokenInfo.decimals)).toString(),
+        priceImpact: priceImpact.toFixed(4),
+        minimumOutput: ethers.formatUnits(minimumOutputWei, toTokenInfo.decimals),
+        minimumOutputWei: minimumOutputWei.toString(),
         slippage: slippage.toString(),
-        gasEstimate: '150000' // Mock gas estimate
+        gasEstimate: gas.toString(),
+        gasCost: ethers.formatEther(gas * gasPrice),
+        source
       };
     } catch (error) {
       console.error('❌ Error getting swap quote:', error);
@@ -324,9 +499,42 @@ class DuckSwapService {
   }
 
   /**
-   * Execute token swap
+   * Check a slippage tolerance before it sets a swap's minimum output
+   * @param {number|string} slippage - Percent
+   * @returns {number} The slippage as a number
+   * @throws {SwapParameterError} Not a number, zero or less, or over MAX_SLIPPAGE
    */
-  async executeSwap(userId, fromToken, toToken, amount, slippage = 0.5, isExactOutput = false) {
+  validateSlippage(slippage) {
+    const percent = typeof slippage === 'string' ? parseFloat(slippage) : slippage;
+    if (typeof percent !== 'number' || !Number.isFinite(percent) || percent <= 0 || percent > this.MAX_SLIPPAGE) {
+      throw new SwapParameterError(`Slippage must be more than 0% and at most ${this.MAX_SLIPPAGE}% (got ${slippage})`);
+    }
+    return percent;
+  }
+
+  // Gas for router.swapAmount from `from`; needs balance and allowance, else the default limit
+  async estimateSwapGas(path, amountInWei, minAcquired, from) {
+    if (!from) return this.SWAP_GAS_LIMIT;
+
+    try {
+      const router = new ethers.Contract(this.CONTRACTS.SWAP_ROUTER, this.SWAP_ABI, this.provider);
+      return await router.swapAmount.estimateGas({
+        path,
+        recipient: from,
+        amount: amountInWei,
+        minAcquired,
+        deadline: Math.floor(Date.now() / 1000) + 1800
+      }, { from });
+    } catch (error) {
+      return this.SWAP_GAS_LIMIT;
+    }
+  }
+
+  /**
+   * Execute token swap with the user's active DuckChain agent
+   * @param {Object} options - { quote } - a quote from getSwapQuote to execute instead of re-quoting
+   */
+  async executeSwap(userId, fromToken, toToken, amount, slippage = 0.5, isExactOutput = false, options = {}) {
     try {
       console.log('🔄 Executing swap:', { userId, fromToken, toToken, amount, slippage, isExactOutput });
 
@@ -336,36 +544,73 @@ class DuckSwapService {
         throw new Error('No active DuckChain agent found for user');
       }
 
-      // Create wallet instance - use router for swaps
-      const wallet = new ethers.Wallet(agent.duckPrivateKey, this.provider);
-      const routerContract = new ethers.Contract(this.CONTRACTS.SWAP_ROUTER, this.SWAP_ABI, wallet);
+      const wallet = new ethers.Wallet(await keyVault.decrypt(agent.duckPrivateKey), this.provider);
+      return await this.swapWithWallet(wallet, fromToken, toToken, amount, slippage, {
+        ...options,
+        userId,
+        agentId: agent._id,
+        operation: { type: 'duck_user_swap', params: { userId, fromToken, toToken, amount, slippage } }
+      });
 
-      // Get token addresses
-      const fromAddress = this.getTokenAddress(fromToken);
-      const toAddress = this.getTokenAddress(toToken);
+    } catch (error) {
+      console.error('❌ Swap execution error:', error);
+      return {
+        success: false,
+        error: error.message,
+        violations: error.violations,
+        approval: error.approval,
+        status: error.approval ? 'approval_required' : 'failed'
+      };
+    }
+  }
 
-      // Get token info
-      const fromTokenInfo = await this.getTokenInfo(fromAddress);
-      const toTokenInfo = await this.getTokenInfo(toAddress);
+  /**
+   * Swap from a wallet along the best route via the iZiSwap router. Returns once the
+   * transaction is submitted; the transaction tracker follows it until it is final.
+   * @param {ethers.Wallet} wallet - Signer holding the input token
+   * @param {Object} options - { quote, approve, userId, agentId, operation } - approve the router for `amount` when its allowance is short;
+   *   operation is run on confirm if the swap is held for approval
+   * @returns {Object} Swap result with transaction hash, tracking id and route details
+   * @throws {Error} Insufficient balance, no route, or the transaction could not be submitted
+   */
+  async swapWithWallet(wallet, fromToken, toToken, amount, slippage = 0.5, { quote = null, approve = false, userId = null, agentId = null, operation = null } = {}) {
+    slippage = this.validateSlippage(slippage);
+    const approval = await policyService.enforce({ agentId, userId, action: 'swap', token: fromToken, toToken, amount, slippage, network: 'duckchain', operation });
+
+    try {
+      const routerContract = new ethers.Contract(this.CONTRACTS.SWAP_ROUTER, this.SWAP_ABI, wallet);
+
+      // The routed quote supplies token addresses, path and minAcquired
+      const swapQuote = quote || await this.getSwapQuote(fromToken, toToken, amount, slippage, { from: wallet.address });
+      const fromAddress = swapQuote.fromToken.address;
+      const toAddress = swapQuote.toToken.address;
 
       // Check balance
-      const balance = await this.getTokenBalance(agent.duckAddress, fromAddress);
+      const balance = await this.getTokenBalance(wallet.address, fromAddress);
       if (parseFloat(balance.balance) < parseFloat(amount)) {
         throw new Error(`Insufficient ${fromToken} balance. Available: ${balance.balance}, Required: ${amount}`);
       }
 
+      const amountInWei = ethers.parseUnits(amount.toString(), swapQuote.fromToken.decimals);
+      const nativeIn = fromAddress === 'native';
+      const nativeOut = toAddress === 'native';
+      if (approve && !nativeIn) {
+        const tokenContract = new ethers.Contract(fromAddress, this.ERC20_ABI, wallet);
+        const allowance = await tokenContract.allowance(wallet.address, this.CONTRACTS.SWAP_ROUTER);
+        if (allowance < amountInWei) {
+          console.log(`🔓 Approving router for ${amount} ${fromToken}`);
+          const approveTx = await tokenContract.approve(this.CONTRACTS.SWAP_ROUTER, amountInWei, { gasLimit: 100000 });
+          await approveTx.wait();
+        }
+      }
+
       // Prepare swap parameters
-      const amountInWei = ethers.parseUnits(amount.toString(), fromTokenInfo.decimals);
       const deadline = Math.floor(Date.now() / 1000) + 1800; // 30 minutes from now
-      const minAmountOut = this.calculateMinAmountOut(amount, slippage, fromTokenInfo.decimals, toTokenInfo.decimals);
+      const minAmountOut = BigInt(swapQuote.minimumOutputWei);
 
-      // Encode the path that will route through the iZiSwap pool
-      // Path format for iZiSwap: fromToken + poolAddress + fee + toToken
-      const path = this.encodeIZiSwapPath(fromAddress, toAddress, this.CONTRACTS.WTON_DUCK_POOL);
-      
       const swapParams = {
-        path: path,
-        recipient: agent.duckAddress,
+        path: swapQuote.path,
+        recipient: nativeOut ? this.CONTRACTS.SWAP_ROUTER : wallet.address,
         amount: amountInWei,
         minAcquired: minAmountOut,
         deadline: deadline
@@ -375,73 +620,82 @@ class DuckSwapService {
         fromToken,
         toToken,
         amount: amount.toString(),
-        minAmountOut: ethers.formatUnits(minAmountOut, toTokenInfo.decimals),
-        poolUsed: this.CONTRACTS.WTON_DUCK_POOL
+        estimatedAmount: swapQuote.toToken.estimatedAmount,
+        minAmountOut: swapQuote.minimumOutput,
+        priceImpact: swapQuote.priceImpact,
+        route: swapQuote.route
       });
 
-      let tx;
-      let swapResult;
+      // TON sent with the call pays for a swap starting at WTON
+      const overrides = {
+        gasLimit: this.SWAP_GAS_LIMIT,
+        gasPrice: ethers.parseUnits('20', 'gwei'),
+        ...(nativeIn && { value: amountInWei })
+      };
 
+      let tx;
       try {
-        tx = await routerContract.swapAmount(swapParams, {
-          gasLimit: 500000,
-          gasPrice: ethers.parseUnits('20', 'gwei')
-        });
-
-        const txHash = tx.hash;
-        console.log('Swap transaction submitted:', txHash);
-        
-        // Always return success with hash, regardless of revert
-        try {
-          swapResult = await tx.wait();
-          console.log('Transaction confirmed:', swapResult.status === 1 ? 'SUCCESS' : 'REVERTED');
-        } catch (waitError) {
-          console.log('Transaction reverted, but we have the hash:', txHash);
-          // Create a mock result for reverted transactions
-          swapResult = {
-            status: 0,
-            transactionHash: txHash,
-            blockNumber: null,
-            gasUsed: null
-          };
-        }
-        
+        tx = nativeOut
+          ? await routerContract.multicall([
+            routerContract.interface.encodeFunctionData('swapAmount', [swapParams]),
+            routerContract.interface.encodeFunctionData('unwrapWETH9', [minAmountOut, wallet.address])
+          ], overrides)
+          : await routerContract.swapAmount(swapParams, overrides);
+        console.log('Swap transaction submitted:', tx.hash);
       } catch (error) {
         console.error('Failed to submit swap transaction:', error);
         throw new Error(`Failed to submit transaction: ${error.message}`);
       }
-
-      // Get final balances
-      const finalFromBalance = await this.getTokenBalance(agent.duckAddress, fromAddress);
-      const finalToBalance = await this.getTokenBalance(agent.duckAddress, toAddress);
+      await policyService.recordSpend(approval, tx);
+
+      // Reverts, drops and replacements are picked up by the tracker, not reported here
+      const tracked = await transactionTrackerService.track(tx, {
+        kind: 'swap',
+        userId,
+        agentId,
+        details: {
+          fromToken,
+          toToken,
+          amount,
+          estimatedAmount: swapQuote.toToken.estimatedAmount,
+          minimumOutput: swapQuote.minimumOutput,
+          route: swapQuote.route
+        },
+        trade: {
+          action: 'SWAP',
+          tokenPair: `${fromToken}/${toToken}`,
+          amount: parseFloat(amount),
+          price: parseFloat(swapQuote.toToken.estimatedAmount) / parseFloat(amount),
+          contractAddress: this.CONTRACTS.SWAP_ROUTER
+        }
+      });
 
       return {
         success: true,
         transactionHash: tx.hash,
-        transactionStatus: swapResult.status === 1 ? 'success' : 'reverted',
+        trackingId: tracked ? tracked._id.toString() : null,
+        transactionStatus: 'pending',
         swapDetails: {
           fromToken: { symbol: fromToken, amount: amount, address: fromAddress },
           toToken: { symbol: toToken, address: toAddress },
           slippage: slippage,
-          gasUsed: swapResult.gasUsed?.toString(),
-          effectiveGasPrice: swapResult.effectiveGasPrice?.toString(),
-          blockNumber: swapResult.blockNumber?.toString()
-        },
-        balances: {
-          [fromToken]: finalFromBalance.balance,
-          [toToken]: finalToBalance.balance
+          quote: {
+            estimatedAmount: swapQuote.toToken.estimatedAmount,
+            minimumOutput: swapQuote.minimumOutput,
+            priceImpact: swapQuote.priceImpact,
+            route: swapQuote.route,
+            pools: swapQuote.pools,
+            fees: swapQuote.fees,
+            source: swapQuote.source
+          }
         },
         timestamp: new Date().toISOString(),
-        status: 'executed'
+        status: 'submitted'
       };
-
     } catch (error) {
-      console.error('❌ Swap execution error:', error);
-      return {
-        success: false,
-        error: error.message,
-        status: 'failed'
-      };
+      // Gives back the reserved spend unless the swap was already sent
+      await policyService.releaseSpend(approval);
+      throw error;
     }
   }
 
@@ -455,6 +709,8 @@ class DuckSwapService {
         return this.CONTRACTS.WTON_ADDRESS;
       case 'DUCK':
         return this.CONTRACTS.DUCK_ADDRESS;
+      case 'USDT':
+        return this.CONTRACTS.USDT_ADDRESS;
       case 'TON':
       case 'NATIVE':
         return 'native'; // For native TON
@@ -468,83 +724,19 @@ class DuckSwapService {
   }
 
   /**
-   * Encode path for iZiSwap router swapAmount function
-   * Path format for iZiSwap: tokenA + pool + fee + tokenB
+   * Like getTokenAddress, but also knows tokens found in the router's discovered pools
    */
-  encodeIZiSwapPath(tokenA, tokenB, poolAddress) {
+  async resolveTokenAddress(tokenSymbol) {
     try {
-      // Remove 0x prefix from addresses
-      const tokenA_clean = tokenA.replace('0x', '');
-      const tokenB_clean = tokenB.replace('0x', '');
-      const pool_clean = poolAddress.replace('0x', '');
-      
-      // Convert fee to 3-byte hex (24 bits) - using medium fee tier
-      const fee = this.FEE_TIERS.MEDIUM.toString(16).padStart(6, '0');
-      
-      // For iZiSwap router, the path should be: tokenA + pool + tokenB
-      // The router will figure out the fee from the pool
-      const pathHex = '0x' + tokenA_clean + pool_clean + tokenB_clean;
-      
-      console.log('Encoded iZiSwap path:', {
-        tokenA: tokenA,
-        tokenB: tokenB,
-        pool: poolAddress,
-        fee: this.FEE_TIERS.MEDIUM,
-        encoded: pathHex
-      });
-      
-      return pathHex;
+      return this.getTokenAddress(tokenSymbol);
     } catch (error) {
-      console.error('Error encoding iZiSwap path:', error);
-      throw error;
+      // Required lazily: the router builds on this service's pool helpers
+      const address = await require('./duckSwapRouterService').findTokenBySymbol(tokenSymbol.toString());
+      if (!address) throw error;
+      return ethers.getAddress(address);
     }
   }
 
-  /**
-   * Legacy encode path function (kept for compatibility)
-   */
-  encodePath(tokens, fees) {
-    try {
-      if (tokens.length !== 2 || fees.length !== 1) {
-        throw new Error('Only single-hop swaps supported currently');
-      }
-
-      // Convert addresses to bytes without 0x prefix
-      const token0 = tokens[0].replace('0x', '');
-      const token1 = tokens[1].replace('0x', '');
-      
-      // Convert fee to 3-byte hex (24 bits)
-      const fee = fees[0].toString(16).padStart(6, '0');
-      
-      // Concatenate: token0 + fee + token1
-      const pathHex = '0x' + token0 + fee + token1;
-      
-      console.log('Encoded path:', {
-        token0: tokens[0],
-        fee: fees[0],
-        token1: tokens[1],
-        encoded: pathHex
-      });
-      
-      return pathHex;
-    } catch (error) {
-      console.error('Error encoding path:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Calculate minimum amount out with slippage
-   */
-  calculateMinAmountOut(amountIn, slippage, fromDecimals, toDecimals) {
-    // This is a simplified calculation
-    // In production, you should get the actual price from the pool
-    const mockExchangeRate = 1000; // WTON to DUCK rate
-    const estimatedOut = parseFloat(amountIn) * mockExchangeRate;
-    const minOut = estimatedOut * (1 - slippage / 100);
-    return ethers.parseUnits(minOut.toString(), toDecimals);
-  }
-
   /**
    * Check if user needs to approve token spending
    */
@@ -555,7 +747,7 @@ class DuckSwapService {
         throw new Error('No active agent found');
       }
 
-      const tokenAddress = this.getTokenAddress(tokenSymbol);
+      const tokenAddress = await this.resolveTokenAddress(tokenSymbol);
       if (tokenAddress === 'native') {
         return { needsApproval: false, currentAllowance: 'unlimited' };
       }
@@ -586,8 +778,8 @@ class DuckSwapService {
         throw new Error('No active agent found');
       }
 
-      const tokenAddress = this.getTokenAddress(tokenSymbol);
-      const wallet = new ethers.Wallet(agent.duckPrivateKey, this.provider);
+      const tokenAddress = await this.resolveTokenAddress(tokenSymbol);
+      const wallet = new ethers.Wallet(await keyVault.decrypt(agent.duckPrivateKey), this.provider);
       const tokenContract = new ethers.Contract(tokenAddress, this.ERC20_ABI, wallet);
 
       // Use max approval if no specific amount provided
@@ -616,4 +808,5 @@ class DuckSwapService {
   }
 }
 
-module.exports = new DuckSwapService();
\ No newline at end of file
+module.exports = new DuckSwapService();
+module.exports.SwapParameterError = SwapParameterError;
\ No newline at end of file
@@ -1,19 +1,13 @@
-const Together = require('together-ai').default;
+const llmService = require('./llmService');
 const ContactsTokensService = require('./contactsTokensService');
+const auditService = require('./auditService');
+const eventStreamService = require('./eventStreamService');
+const { validatePipelineDefinition, buildPipelineFromExtraction } = require('../utils/pipelineSchema');
+const { SCHEDULE_FORMATS } = require('../utils/pipelineSchedule');
 
 class EnhancedIntentService {
   constructor() {
     this.contactsTokensService = new ContactsTokensService();
-    
-    // Initialize Together AI
-    try {
-      this.together = new Together({
-        apiKey: process.env.TOGETHER_API_KEY || 'dummy-key'
-      });
-    } catch (error) {
-      console.warn('Together AI not initialized. Please set TOGETHER_API_KEY environment variable.');
-      this.together = null;
-    }
   }
 
   /**
@@ -25,6 +19,12 @@ class EnhancedIntentService {
 
       // Step 1: Classify the message type
       const classification = await this.classifyMessage(message);
+      await eventStreamService.publish(userId, 'chat', 'stage', {
+        stage: 'classified',
+        type: classification.type,
+        actionSubtype: classification.actionSubtype,
+        confidence: classification.confidence
+      });
       
       // Step 2: Extract arguments based on classification
       const extraction = classification.type === 'pipeline' 
@@ -38,6 +38,12 @@ class EnhancedIntentService {
       
       // Step 4: Generate interactive UI data for missing arguments
       const interactiveData = this.generateInteractiveData(validation.missing, classification.type);
+      await eventStreamService.publish(userId, 'chat', 'stage', {
+        stage: 'arguments_extracted',
+        type: classification.type,
+        isValid: validation.isValid,
+        missing: validation.missing
+      });
 
       const result = {
         classification,
@@ -69,8 +75,8 @@ class EnhancedIntentService {
    * Classify message type using LLM
    */
   async classifyMessage(message) {
-    if (!this.together) {
-      return this.fallbackClassification(message);
+    if (!llmService.isAvailable('classification')) {
+      return await this.fallbackClassify(message);
     }
 
     try {
@@ -132,7 +138,7 @@ Respond with JSON:
   "reasoning": "detailed explanation of classification decision and key indicators found"
 }`;
 
-      const response = await this.together.chat.completions.create({
+      return await this.completeJson('classification', 'intentClassification', message, {
         model: 'meta-llama/Meta-Llama-3.1-8B-Instruct-Turbo',
         messages: [
           { role: 'system', content: systemPrompt },
@@ -143,19 +149,39 @@ Respond with JSON:
         response_format: { type: 'json_object' }
       });
 
-      return JSON.parse(response.choices[0].message.content);
-
     } catch (error) {
       console.error('Classification error:', error);
-      return this.fallbackClassification(message);
+      return await this.fallbackClassify(message, error);
     }
   }
 
+  // Rule-based classification, recorded in the audit log
+  async fallbackClassify(message, error = null) {
+    const classification = this.fallbackClassification(message);
+    await auditService.recordDecision('classification', { message, output: classification, outcome: 'fallback', error: error && error.message });
+    return classification;
+  }
+
+  /**
+   * JSON chat completion, recorded in the audit log
+   * @param {string} auditType - classification or argument_extraction, also the LLM route
+   * @param {string} schemaName - LLM_SCHEMAS entry the answer must match
+   * @param {string} message - User's message the completion decides on
+   * @param {Object} request - Chat completion request
+   * @returns {Object} Parsed completion
+   * @throws {LlmOutputError} When the answer doesn't match the schema
+   */
+  async completeJson(auditType, schemaName, message, request) {
+    const { data: output, response } = await llmService.chatJson(auditType, schemaName, request);
+    await auditService.recordDecision(auditType, { message, model: response.model, prompt: request.messages, output });
+    return output;
+  }
+
   /**
    * Extract arguments from message using LLM
    */
   async extractArguments(message, classification) {
-    if (!this.together || classification.type !== 'actions') {
+    if (!llmService.isAvailable('argument_extraction') || classification.type !== 'actions') {
       return { args: {} };
     }
 
@@ -163,7 +189,7 @@ Respond with JSON:
       const actionType = classification.actionSubtype || 'other';
       const systemPrompt = this.buildExtractionPrompt(actionType);
 
-      const response = await this.together.chat.completions.create({
+      const extracted = await this.completeJson('argument_extraction', 'actionArguments', message, {
         model: 'meta-llama/Meta-Llama-3.1-8B-Instruct-Turbo',
         messages: [
           { role: 'system', content: systemPrompt },
@@ -173,8 +199,6 @@ Respond with JSON:
         temperature: 0.1,
         response_format: { type: 'json_object' }
       });
-
-      const extracted = JSON.parse(response.choices[0].message.content);
       console.log(`🤖 LLM extracted arguments for ${actionType}:`, JSON.stringify(extracted.args, null, 2));
       return {
         actionType,
@@ -281,7 +305,7 @@ Examples:
 
 Respond with JSON: {"args": {extracted_arguments}}`;
 
-      const response = await this.together.chat.completions.create({
+      const extracted = await this.completeJson('argument_extraction', 'portfolioArguments', message, {
         model: 'meta-llama/Meta-Llama-3.1-8B-Instruct-Turbo',
         messages: [
           { role: 'system', content: systemPrompt },
@@ -291,8 +315,6 @@ Respond with JSON: {"args": {extracted_arguments}}`;
         temperature: 0.1,
         response_format: { type: 'json_object' }
       });
-
-      const extracted = JSON.parse(response.choices[0].message.content);
       console.log(`🤖 LLM extracted portfolio arguments for ${actionType}:`, JSON.stringify(extracted.args, null, 2));
       
       return {
@@ -404,7 +426,7 @@ Respond with JSON: {"args": {extracted_arguments}}`;
    * Extract pipeline actions from user prompts for workflow automation
    */
   async extractPipelineActions(message, classification) {
-    if (!this.together) {
+    if (!llmService.isAvailable('argument_extraction')) {
       return { 
         type: 'pipeline',
         pipeline: {
@@ -431,7 +453,8 @@ TRIGGER TYPES & PARAMETERS:
 - price_target: {type, token, target_price: number, direction: "above"/"below", comparison_type?: "crosses"/"reaches"}
 - balance_threshold: {type, threshold_amount: number, asset?: string, comparison: "above"/"below"}
 - portfolio_value: {type, target_value: number, currency: "USD", comparison: "above"/"below"}
-- time_based: {type, schedule: string, interval?: string}
+- time_based: {type, schedule: string, timezone?: string (IANA name, default "UTC")}
+  schedule must be one of: ${SCHEDULE_FORMATS}
 - technical_indicator: {type, indicator: string, token: string, condition: string, value: number}
 
 ACTION TYPES & PARAMETERS:
@@ -447,8 +470,9 @@ ACTION TYPES & PARAMETERS:
 
 CONDITION LOGIC:
 - Simple: single condition matching trigger
-- Complex: multiple conditions with AND/OR logic
-- Nested: conditions within conditions for advanced logic
+- Complex: multiple conditions with AND/OR logic; set metadata.condition_logic to "and" or "or" for the top level
+- Nested: conditions within conditions for advanced logic, as {"operator": "and"/"or", "conditions": [...]}
+- Condition objects use the trigger types and parameters above (time_based excluded)
 
 ADVANCED EXAMPLES:
 
@@ -551,7 +575,7 @@ Extract the complete pipeline structure and respond with JSON:
   }
 }`;
 
-      const response = await this.together.chat.completions.create({
+      const extracted = await this.completeJson('argument_extraction', 'pipelineExtraction', message, {
         model: 'meta-llama/Meta-Llama-3.1-8B-Instruct-Turbo',
         messages: [
           { role: 'system', content: systemPrompt },
@@ -561,8 +585,6 @@ Extract the complete pipeline structure and respond with JSON:
         temperature: 0.1,
         response_format: { type: 'json_object' }
       });
-
-      const extracted = JSON.parse(response.choices[0].message.content);
       console.log('🤖 LLM extracted pipeline:', JSON.stringify(extracted.pipeline, null, 2));
       
       return {
@@ -727,6 +749,17 @@ Extract the complete pipeline structure and respond with JSON:
     const consistencyCheck = this.validatePipelineConsistency(resolved);
     warnings.push(...consistencyCheck.warnings);
 
+    // Check the pipeline can be saved through /api/pipelines and run by the executor
+    if (resolved.trigger && resolved.actions) {
+      const definition = buildPipelineFromExtraction(resolved);
+      const schemaCheck = validatePipelineDefinition(definition);
+      if (schemaCheck.isValid) {
+        resolved.pipelineDefinition = definition;
+      } else {
+        errors.push(...schemaCheck.errors);
+      }
+    }
+
     const isValid = missing.length === 0 && errors.length === 0;
     
     console.log(`🔍 Advanced pipeline validation: ${isValid ? '✅ VALID' : '❌ INVALID'}`);
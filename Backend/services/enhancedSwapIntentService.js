@@ -1,21 +1,12 @@
-const Together = require('together-ai').default;
+const llmService = require('./llmService');
 const duckSwapService = require('./duckSwapService');
+const policyService = require('./policyService');
+const auditService = require('./auditService');
 const Agent = require('../models/Agent');
 
-// Initialize Together AI for swap intent processing
-let together;
-try {
-  together = new Together({
-    apiKey: process.env.TOGETHER_API_KEY || 'dummy-key'
-  });
-} catch (error) {
-  console.warn('Together AI not initialized for enhanced swap intent service.');
-  together = null;
-}
-
 class EnhancedSwapIntentService {
   constructor() {
-    this.supportedTokens = ['WTON', 'DUCK', 'TON'];
+    this.supportedTokens = ['WTON', 'DUCK', 'USDT', 'TON'];
     this.swapService = duckSwapService;
   }
 
@@ -139,7 +130,7 @@ class EnhancedSwapIntentService {
         }
       }
 
-      // Get swap quote
+      // Get swap quote along the best (possibly multi-hop) route
       const quote = await this.swapService.getSwapQuote(
         swapArgs.fromToken,
         swapArgs.toToken,
@@ -147,22 +138,23 @@ class EnhancedSwapIntentService {
         swapArgs.slippage || 0.5
       );
 
-      // Execute the swap
+      // Execute the swap along the quoted route
       const swapResult = await this.swapService.executeSwap(
         userId,
         swapArgs.fromToken,
         swapArgs.toToken,
         swapArgs.amount,
-        swapArgs.slippage || 0.5
+        swapArgs.slippage || 0.5,
+        false,
+        { quote }
       );
 
       if (swapResult.transactionHash) {
-        const isSuccess = swapResult.transactionStatus === 'success';
         return {
           success: true,
           type: 'swap',
           data: {
-            status: isSuccess ? 'executed' : 'reverted',
+            status: 'submitted',
             swapDetails: {
               from: { token: swapArgs.fromToken, amount: swapArgs.amount },
               to: { token: swapArgs.toToken, estimatedAmount: quote.toToken.estimatedAmount },
@@ -170,12 +162,10 @@ class EnhancedSwapIntentService {
               quote: quote
             },
             transactionHash: swapResult.transactionHash,
+            trackingId: swapResult.trackingId,
             transactionStatus: swapResult.transactionStatus,
             executionResult: swapResult,
-            balances: swapResult.balances,
-            message: isSuccess 
-              ? `✅ Successfully swapped ${swapArgs.amount} ${swapArgs.fromToken} for ${swapArgs.toToken}!`
-              : `⚠️ Swap transaction submitted but reverted: ${swapArgs.amount} ${swapArgs.fromToken} → ${swapArgs.toToken}`
+            message: `⏳ Swap submitted: ${swapArgs.amount} ${swapArgs.fromToken} → ${swapArgs.toToken}. Waiting for confirmation.`
           }
         };
       } else {
@@ -183,8 +173,10 @@ class EnhancedSwapIntentService {
           success: false,
           type: 'swap',
           data: {
-            status: 'execution_failed',
+            status: swapResult.approval ? 'approval_required' : swapResult.violations ? 'policy_violation' : 'execution_failed',
             error: swapResult.error,
+            interactive: swapResult.violations ? policyService.toInteractive(swapResult.violations) : undefined,
+            approval: swapResult.approval,
             swapDetails: swapArgs
           }
         };
@@ -207,7 +199,7 @@ class EnhancedSwapIntentService {
    * Extract swap arguments from natural language using AI
    */
   async extractSwapArguments(message) {
-    if (!together) {
+    if (!llmService.isAvailable('argument_extraction')) {
       // Fallback pattern matching if AI is not available
       return this.extractSwapArgumentsWithRegex(message);
     }
@@ -216,11 +208,11 @@ class EnhancedSwapIntentService {
       const prompt = `
 Extract swap parameters from this message: "${message}"
 
-Available tokens: WTON, DUCK, TON
+Available tokens: WTON, DUCK, USDT, TON, or any other DuckChain token symbol
 Return ONLY a JSON object with these fields:
 {
-  "fromToken": "source token symbol (WTON/DUCK/TON)",
-  "toToken": "destination token symbol (WTON/DUCK/TON)", 
+  "fromToken": "source token symbol (e.g. WTON/DUCK/USDT)",
+  "toToken": "destination token symbol (e.g. WTON/DUCK/USDT)", 
   "amount": "numeric amount to swap",
   "slippage": "slippage tolerance percentage (default 0.5)",
   "isExactOutput": false
@@ -234,7 +226,7 @@ Examples:
 If any parameter is unclear or missing, set it to null.
 `;
 
-      const response = await together.completions.create({
+      const { data: parsed, response } = await llmService.completeJson('argument_extraction', 'swapArguments', {
         model: "meta-llama/Meta-Llama-3.1-8B-Instruct-Turbo",
         prompt: prompt,
         max_tokens: 200,
@@ -243,31 +235,24 @@ If any parameter is unclear or missing, set it to null.
         top_k: 50,
         repetition_penalty: 1,
         stop: ["\n\n", "```"],
-        stream: false,
       });
 
-      let extractedText = response.choices[0].text.trim();
-      
-      // Clean up the response to extract just the JSON
-      const jsonMatch = extractedText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const parsed = JSON.parse(jsonMatch[0]);
-        
-        // Validate and normalize the extracted data
-        return {
-          fromToken: parsed.fromToken?.toUpperCase() || null,
-          toToken: parsed.toToken?.toUpperCase() || null,
-          amount: parsed.amount ? parseFloat(parsed.amount) : null,
-          slippage: parsed.slippage ? parseFloat(parsed.slippage) : 0.5,
-          isExactOutput: parsed.isExactOutput || false
-        };
-      }
-      
-      throw new Error('Could not parse AI response');
+      // Normalize the extracted data
+      const args = {
+        fromToken: parsed.fromToken?.toUpperCase() || null,
+        toToken: parsed.toToken?.toUpperCase() || null,
+        amount: parsed.amount ? parseFloat(parsed.amount) : null,
+        slippage: parsed.slippage ? parseFloat(parsed.slippage) : 0.5,
+        isExactOutput: parsed.isExactOutput || false
+      };
+      await auditService.recordDecision('argument_extraction', { message, model: response.model, prompt, output: args });
+      return args;
       
     } catch (error) {
       console.error('AI extraction failed, falling back to regex:', error);
-      return this.extractSwapArgumentsWithRegex(message);
+      const args = this.extractSwapArgumentsWithRegex(message);
+      await auditService.recordDecision('argument_extraction', { message, output: args, outcome: 'fallback', error: error.message });
+      return args;
     }
   }
 
@@ -285,7 +270,7 @@ If any parameter is unclear or missing, set it to null.
     let fromToken = null;
     let toToken = null;
     
-    const tokens = ['wton', 'duck', 'ton'];
+    const tokens = ['wton', 'duck', 'usdt', 'ton'];
     const foundTokens = [];
     
     for (const token of tokens) {
@@ -337,11 +322,11 @@ If any parameter is unclear or missing, set it to null.
     if (!args.toToken) missing.push('toToken');
     if (!args.amount || args.amount <= 0) missing.push('amount');
 
-    // Validate token symbols
-    if (args.fromToken && !this.supportedTokens.includes(args.fromToken)) {
+    // Validate token symbols; tokens of any discovered DuckChain pool are routable too
+    if (args.fromToken && !(await this.isSupportedToken(args.fromToken))) {
       errors.push(`Unsupported source token: ${args.fromToken}`);
     }
-    if (args.toToken && !this.supportedTokens.includes(args.toToken)) {
+    if (args.toToken && !(await this.isSupportedToken(args.toToken))) {
       errors.push(`Unsupported destination token: ${args.toToken}`);
     }
 
@@ -363,6 +348,16 @@ If any parameter is unclear or missing, set it to null.
     };
   }
 
+  async isSupportedToken(token) {
+    if (this.supportedTokens.includes(token)) return true;
+    try {
+      await this.swapService.resolveTokenAddress(token);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
   /**
    * Check if user has sufficient balance for swap
    */
@@ -377,7 +372,7 @@ If any parameter is unclear or missing, set it to null.
         };
       }
 
-      const balance = await this.swapService.getTokenBalance(agent.duckAddress, this.swapService.getTokenAddress(token));
+      const balance = await this.swapService.getTokenBalance(agent.duckAddress, await this.swapService.resolveTokenAddress(token));
       const currentBalance = parseFloat(balance.balance);
 
       if (currentBalance < amount) {
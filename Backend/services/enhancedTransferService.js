@@ -1,21 +1,14 @@
-const Together = require('together-ai').default;
 const ethers = require('ethers');
 const mongoose = require('mongoose');
 const Agent = require('../models/Agent');
 const Wallet = require('../models/Wallet');
+const keyVault = require('../utils/keyVault');
 const ContactsService = require('./contactsService');
 const QRCodeService = require('./qrCodeService');
-
-// Initialize Together AI for argument validation
-let together;
-try {
-  together = new Together({
-    apiKey: process.env.TOGETHER_API_KEY || 'dummy-key'
-  });
-} catch (error) {
-  console.warn('Together AI not initialized for enhanced transfer service.');
-  together = null;
-}
+const transactionTrackerService = require('./transactionTrackerService');
+const policyService = require('./policyService');
+const auditService = require('./auditService');
+const llmService = require('./llmService');
 
 class EnhancedTransferService {
   constructor() {
@@ -231,7 +224,7 @@ class EnhancedTransferService {
    * @returns {Object} Analyzed arguments
    */
   async analyzeTransferArguments(message) {
-    if (!together) {
+    if (!llmService.isAvailable('argument_extraction')) {
       // Fallback to basic parsing
       return this.basicArgumentParsing(message);
     }
@@ -274,25 +267,28 @@ Analyze the message and respond with JSON:
 
 IMPORTANT: Set fields to null if not found or unclear. Be conservative with confidence scores.`;
 
-      const response = await together.chat.completions.create({
+      const messages = [
+        { role: 'system', content: 'You are a precise argument extraction expert. Extract transfer parameters accurately.' },
+        { role: 'user', content: prompt }
+      ];
+      const { data: analysis, response } = await llmService.chatJson('argument_extraction', 'transferArguments', {
         model: 'meta-llama/Meta-Llama-3.1-70B-Instruct-Turbo',
-        messages: [
-          { role: 'system', content: 'You are a precise argument extraction expert. Extract transfer parameters accurately.' },
-          { role: 'user', content: prompt }
-        ],
+        messages,
         max_tokens: 800,
         temperature: 0.1,
         response_format: { type: 'json_object' }
       });
-
-      const analysis = JSON.parse(response.choices[0].message.content);
       
       // Validate and clean the analysis
-      return this.validateAnalysis(analysis);
+      const validated = this.validateAnalysis(analysis);
+      await auditService.recordDecision('argument_extraction', { message, model: response.model, prompt: messages, output: validated });
+      return validated;
 
     } catch (error) {
       console.error('❌ LLM argument analysis failed:', error);
-      return this.basicArgumentParsing(message);
+      const parsed = this.basicArgumentParsing(message);
+      await auditService.recordDecision('argument_extraction', { message, output: parsed, outcome: 'fallback', error: error.message });
+      return parsed;
     }
   }
 
@@ -844,6 +840,7 @@ IMPORTANT: Set fields to null if not found or unclear. Be conservative with conf
    * @returns {Object} Execution result
    */
   async executeTransfer(transferDetails, userId) {
+    let approval = null;
     try {
       console.log('💸 Executing enhanced transfer...');
       console.log('📝 Transfer Details:', userId);
@@ -854,23 +851,30 @@ IMPORTANT: Set fields to null if not found or unclear. Be conservative with conf
         throw new Error('No active DuckChain agent found for user');
       }
       
-      // Decrypt private key (for now, assuming it's stored directly)
-      const privateKey = agent.duckPrivateKey; // In production, decrypt this properly
+      const recipient = transferDetails.to || transferDetails.toAddress;
+      approval = await policyService.enforce({
+        agentId: agent._id,
+        action: 'transfer',
+        token: transferDetails.token,
+        amount: transferDetails.amount,
+        recipient,
+        network: 'duckchain',
+        operation: { type: 'transfer', params: { transferDetails, userId } }
+      });
+
+      const privateKey = await keyVault.decrypt(agent.duckPrivateKey);
       const walletInstance = new ethers.Wallet(privateKey, this.provider);
       
-      let txHash;
+      let tx;
       
       if (transferDetails.token === 'TON') {
         // Native TON transfer
-        const tx = await walletInstance.sendTransaction({
-          to: transferDetails.to,
+        tx = await walletInstance.sendTransaction({
+          to: recipient,
           value: ethers.parseEther(transferDetails.amount.toString()),
           gasLimit: 100000
         });
         
-        txHash = tx.hash;
-        await tx.wait(); // Wait for confirmation
-        
       } else {
         // ERC-20 token transfer (DUCK, WTON, USDT)
         const tokenContracts = {
@@ -893,27 +897,39 @@ IMPORTANT: Set fields to null if not found or unclear. Be conservative with conf
         const decimals = await contract.decimals();
         const amount = ethers.parseUnits(transferDetails.amount.toString(), decimals);
         
-        const tx = await contract.transfer(transferDetails.to, amount, {
+        tx = await contract.transfer(recipient, amount, {
           gasLimit: 150000
         });
-        txHash = tx.hash;
-        await tx.wait(); // Wait for confirmation
       }
+      await policyService.recordSpend(approval, tx);
+      
+      // Confirmation is followed in the background; clients poll /api/transactions/:trackingId
+      const tracked = await transactionTrackerService.track(tx, {
+        kind: 'transfer',
+        userId,
+        agentId: agent._id,
+        details: { token: transferDetails.token, amount: transferDetails.amount, to: recipient },
+        trade: { action: 'TRANSFER', tokenPair: transferDetails.token, amount: parseFloat(transferDetails.amount) }
+      });
       
       return {
         success: true,
-        transactionHash: txHash,
+        transactionHash: tx.hash,
+        trackingId: tracked ? tracked._id.toString() : null,
         transferDetails: transferDetails,
         timestamp: new Date().toISOString(),
-        status: 'completed'
+        status: 'pending'
       };
       
     } catch (error) {
       console.error('❌ Transfer execution error:', error);
+      await policyService.releaseSpend(approval);
       return {
         success: false,
         error: error.message,
-        status: 'failed'
+        violations: error.violations,
+        approval: error.approval,
+        status: error.approval ? 'approval_required' : 'failed'
       };
     }
   }
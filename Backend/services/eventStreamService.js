@@ -0,0 +1,183 @@
+/**
+ * Event Stream Service
+ * Per-user event streams, pushed to clients over SSE (GET /api/stream) and
+ * WebSocket (/api/stream/ws): strategy job progress, prompt router stages and
+ * partial LLM output, and transaction status. Events are stored with a per-user
+ * sequence number for STREAM_EVENT_RETENTION_MINUTES, so a client reconnecting
+ * with the last id it saw gets everything it missed. Events published on other
+ * instances are picked up by polling.
+ */
+
+const EventEmitter = require('events');
+const StreamEvent = require('../models/StreamEvent');
+const StreamCounter = require('../models/StreamCounter');
+const { getRequestContext } = require('../utils/requestContext');
+const { toStorable } = require('../utils/actionResults');
+
+// How often subscriptions look for events published on other instances
+const POLL_INTERVAL_MS = parseInt(process.env.STREAM_POLL_INTERVAL_MS) || 2000;
+
+// How long a missing sequence number (an event still being written elsewhere) is
+// waited for before the client is told it was lost
+const GAP_TIMEOUT_MS = 5000;
+
+const BATCH_SIZE = 200;
+
+// Local publishes wake the user's subscriptions without waiting for the next poll
+const published = new EventEmitter();
+published.setMaxListeners(0);
+
+// Event as sent to clients; `id` is the cursor to resume after
+const toPublic = (event) => ({
+  id: event.seq,
+  topic: event.topic,
+  type: event.type,
+  requestId: event.requestId,
+  data: event.data,
+  createdAt: event.createdAt
+});
+
+class Subscription {
+  constructor(userId, { cursor = null, topics = null, onEvent }) {
+    this.userId = String(userId);
+    this.cursor = cursor;
+    this.topics = topics;
+    this.onEvent = onEvent;
+    this.lastSeq = 0;
+    this.closed = false;
+    this.draining = false;
+    this.drainAgain = false;
+    this.wake = () => this.drain();
+  }
+
+  async start() {
+    const counter = await StreamCounter.findById(this.userId).lean();
+    const currentSeq = counter ? counter.seq : 0;
+    // No cursor (or one from the future): only events from now on
+    this.lastSeq = this.cursor === null || this.cursor > currentSeq ? currentSeq : this.cursor;
+    if (this.closed) return;
+
+    published.on(this.userId, this.wake);
+    this.poller = setInterval(this.wake, POLL_INTERVAL_MS);
+    await this.drain();
+  }
+
+  // Deliver stored events after lastSeq, in order
+  async drain() {
+    if (this.closed) return;
+    if (this.draining) {
+      this.drainAgain = true;
+      return;
+    }
+
+    this.draining = true;
+    try {
+      do {
+        this.drainAgain = false;
+        const events = await StreamEvent.find({ userId: this.userId, seq: { $gt: this.lastSeq } })
+          .sort({ seq: 1 })
+          .limit(BATCH_SIZE)
+          .lean();
+
+        for (const event of events) {
+          if (this.closed) return;
+
+          if (event.seq !== this.lastSeq + 1) {
+            if (Date.now() - new Date(event.createdAt).getTime() < GAP_TIMEOUT_MS) break;
+            this.onEvent({
+              id: event.seq - 1,
+              topic: 'stream',
+              type: 'gap',
+              requestId: null,
+              data: { from: this.lastSeq + 1, to: event.seq - 1 },
+              createdAt: new Date()
+            });
+          }
+
+          this.lastSeq = event.seq;
+          if (!this.topics || this.topics.includes(event.topic)) {
+            this.onEvent(toPublic(event));
+          }
+        }
+
+        if (events.length === BATCH_SIZE && events[events.length - 1].seq === this.lastSeq) {
+          this.drainAgain = true;
+        }
+      } while (this.drainAgain && !this.closed);
+    } catch (error) {
+      console.error(`❌ Stream delivery failed for user ${this.userId}:`, error.message);
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  close() {
+    this.closed = true;
+    clearInterval(this.poller);
+    published.removeListener(this.userId, this.wake);
+  }
+}
+
+class EventStreamService {
+  /**
+   * Append an event to a user's stream. Tagged with the current request id,
+   * unless one is given. Never throws: streaming is best effort next to the
+   * action it reports.
+   * @param {string} userId - Stream owner
+   * @param {string} topic - strategy, chat, transaction (see StreamEvent)
+   * @param {string} type - Event type within the topic, e.g. progress, token, confirmed
+   * @param {Object} data - Event payload
+   * @param {Object} options - { requestId } for events published outside the request
+   * @returns {Object|null} Public event
+   */
+  async publish(userId, topic, type, data = {}, { requestId } = {}) {
+    if (!userId) return null;
+
+    try {
+      const { seq } = await StreamCounter.findOneAndUpdate(
+        { _id: String(userId) },
+        { $inc: { seq: 1 } },
+        { upsert: true, new: true }
+      );
+      const context = getRequestContext();
+      const event = await StreamEvent.create({
+        userId: String(userId),
+        seq,
+        topic,
+        type,
+        requestId: requestId || (context && context.traceId) || null,
+        data: toStorable(data)
+      });
+
+      published.emit(String(userId));
+      return toPublic(event);
+    } catch (error) {
+      console.error(`❌ Failed to publish ${topic} ${type} event:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Follow a user's stream. Events after `cursor` are replayed first; without a
+   * cursor only new events are delivered. Missed events that expired are
+   * reported as one `stream` `gap` event.
+   * @param {string} userId - Stream owner
+   * @param {Object} options - { cursor: last event id seen, topics: topics to deliver (all when null), onEvent }
+   * @returns {Subscription} Call close() when the client goes away
+   */
+  subscribe(userId, options) {
+    const subscription = new Subscription(userId, options);
+    subscription.start().catch(error => {
+      console.error(`❌ Failed to start stream for user ${subscription.userId}:`, error.message);
+    });
+    return subscription;
+  }
+
+  // Cursor from Last-Event-ID or a query parameter; null when absent or invalid
+  parseCursor(value) {
+    const cursor = parseInt(value);
+    return Number.isInteger(cursor) && cursor >= 0 ? cursor : null;
+  }
+}
+
+module.exports = new EventStreamService();
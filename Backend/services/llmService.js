@@ -0,0 +1,378 @@
+/**
+ * LLM Service
+ * The one client services use for LLM calls. Each call names its purpose
+ * (classification, argument_extraction, strategy, information, feedback, chat);
+ * config/llmConfig routes it to a provider and model with a time limit. Tokens
+ * used are counted per provider, model and purpose, and responses to
+ * near-deterministic calls are cached for LLM_CACHE_TTL_SECONDS. JSON answers
+ * are checked against their schema in utils/llmSchemas.
+ */
+
+const crypto = require('crypto');
+const llmConfig = require('../config/llmConfig');
+const { createProvider } = require('../utils/llmProviders');
+const { validateSchema } = require('../utils/jsonSchema');
+const { LLM_SCHEMAS } = require('../utils/llmSchemas');
+
+class LlmError extends Error {
+  constructor(message, status = 502) {
+    super(message);
+    this.name = 'LlmError';
+    this.status = status;
+  }
+}
+
+// The model answered, but not with JSON matching the schema, even after a re-ask
+class LlmOutputError extends LlmError {
+  /**
+   * @param {Object} details - { schema, code: invalid_json or schema_mismatch, errors, content }
+   */
+  constructor({ schema, code, errors, content }) {
+    super(`LLM output does not match the ${schema} schema: ${errors.slice(0, 3).join('; ')}`, 502);
+    this.name = 'LlmOutputError';
+    this.schema = schema;
+    this.code = code;
+    this.errors = errors;
+    this.content = content;
+  }
+}
+
+// Most schema errors quoted back to the model in a re-ask
+const MAX_REPORTED_ERRORS = 10;
+
+const outputText = (kind, response) => {
+  const choice = response.choices && response.choices[0];
+  const text = kind === 'chat' ? choice && choice.message && choice.message.content : choice && choice.text;
+  return typeof text === 'string' ? text.trim() : '';
+};
+
+// Models sometimes wrap the object in prose or a code fence; fall back to the outermost braces
+const parseJson = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) throw error;
+    return JSON.parse(text.slice(start, end + 1));
+  }
+};
+
+/**
+ * Parse and validate a JSON answer
+ * @returns {Object} { data, code, errors } - code and errors are null when valid
+ */
+const checkOutput = (schemaName, text) => {
+  let data;
+  try {
+    data = parseJson(text);
+  } catch (error) {
+    return { data: null, code: 'invalid_json', errors: [`not valid JSON (${error.message})`] };
+  }
+
+  const errors = validateSchema(LLM_SCHEMAS[schemaName], data);
+  return errors.length > 0
+    ? { data, code: 'schema_mismatch', errors }
+    : { data, code: null, errors: null };
+};
+
+class LlmService {
+  constructor() {
+    this.providers = new Map();
+    this.cache = new Map();
+    this.usage = new Map();
+    this.since = new Date();
+  }
+
+  getProvider(name) {
+    if (!this.providers.has(name)) {
+      this.providers.set(name, createProvider(name));
+    }
+    return this.providers.get(name);
+  }
+
+  /**
+   * Provider, model and time limit for a call
+   * @param {string} purpose - Route name in llmConfig
+   * @param {string} model - Model the caller would use (a Together model name)
+   */
+  resolveRoute(purpose, model = null) {
+    const route = llmConfig.routes[purpose] || {};
+    const provider = this.getProvider(route.provider || llmConfig.provider);
+    return {
+      purpose,
+      provider,
+      model: route.model || provider.defaultModel || model,
+      timeoutMs: route.timeoutMs || llmConfig.timeoutMs
+    };
+  }
+
+  /**
+   * Whether calls for this purpose can reach a provider; services use their
+   * rule-based fallbacks when not
+   */
+  isAvailable(purpose) {
+    return this.resolveRoute(purpose).provider.isConfigured();
+  }
+
+  /**
+   * Chat completion
+   * @param {string} purpose - Route name in llmConfig
+   * @param {Object} request - { model, messages, max_tokens, temperature, response_format, ... }
+   * @param {Object} options - { timeoutMs, cache: false to skip the response cache }
+   * @returns {Object} { choices: [{ message: { content } }], usage, model, provider, cached }
+   * @throws {LlmError} 503 when the provider isn't configured, 504 on timeout
+   */
+  async chat(purpose, request, options = {}) {
+    return await this.call('chat', purpose, request, options);
+  }
+
+  /**
+   * Text completion
+   * @returns {Object} { choices: [{ text }], usage, model, provider, cached }
+   */
+  async complete(purpose, request, options = {}) {
+    return await this.call('complete', purpose, request, options);
+  }
+
+  /**
+   * Chat completion answered with JSON matching a schema. An invalid answer is
+   * sent back once with its errors for correction.
+   * @param {string} purpose - Route name in llmConfig
+   * @param {string} schemaName - Key of LLM_SCHEMAS
+   * @param {Object} request - Chat completion request
+   * @param {Object} options - As for chat()
+   * @returns {Object} { data: parsed answer, response, corrected: whether the re-ask was needed }
+   * @throws {LlmOutputError} When the corrected answer is still invalid
+   */
+  async chatJson(purpose, schemaName, request, options = {}) {
+    return await this.callJson('chat', purpose, schemaName, request, options);
+  }
+
+  /**
+   * Text completion answered with JSON matching a schema; see chatJson
+   */
+  async completeJson(purpose, schemaName, request, options = {}) {
+    return await this.callJson('complete', purpose, schemaName, request, options);
+  }
+
+  /**
+   * Streamed chat completion; the time limit covers the whole stream
+   * @returns {AsyncIterable} Chunks { choices: [{ delta: { content } }] }
+   */
+  async *streamChat(purpose, request, options = {}) {
+    const route = this.resolveRoute(purpose, request.model);
+    this.assertConfigured(route);
+
+    const body = { ...request, model: route.model };
+    const timeoutMs = options.timeoutMs || route.timeoutMs;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    let usage = null;
+
+    try {
+      const stream = await route.provider.streamChat(body, { signal: controller.signal });
+      for await (const chunk of stream) {
+        if (chunk.usage) usage = chunk.usage;
+        yield chunk;
+      }
+      this.account(route, { usage });
+    } catch (error) {
+      this.account(route, { failed: true });
+      throw controller.signal.aborted
+        ? new LlmError(`LLM ${purpose} stream timed out after ${timeoutMs}ms`, 504)
+        : error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Check an answer received another way (e.g. streamed) against a schema, with
+   * the same single re-ask as chatJson
+   * @param {Object} response - The answer, shaped like a chat() or complete() response
+   * @returns {Object} { data, response, corrected }
+   * @throws {LlmOutputError} When the corrected answer is still invalid
+   */
+  async checkJson(kind, purpose, schemaName, request, response, options = {}) {
+    if (!LLM_SCHEMAS[schemaName]) {
+      throw new Error(`Unknown LLM output schema "${schemaName}"`);
+    }
+    return await this.correctJson(kind, purpose, schemaName, request, response, options);
+  }
+
+  async callJson(kind, purpose, schemaName, request, options) {
+    if (!LLM_SCHEMAS[schemaName]) {
+      throw new Error(`Unknown LLM output schema "${schemaName}"`);
+    }
+
+    // Answers failing the schema are not cached, so a re-run asks the model again
+    const accept = response => !checkOutput(schemaName, outputText(kind, response)).errors;
+    const response = await this.call(kind, purpose, request, { ...options, accept });
+    return await this.correctJson(kind, purpose, schemaName, request, response, options);
+  }
+
+  // The answer's data if it matches the schema, else the data of one corrected answer
+  async correctJson(kind, purpose, schemaName, request, response, options) {
+    const content = outputText(kind, response);
+    const first = checkOutput(schemaName, content);
+    if (!first.errors) {
+      return { data: first.data, response, corrected: false };
+    }
+
+    console.warn(`⚠️ LLM ${purpose} answer failed the ${schemaName} schema (${first.code}), asking again:`, first.errors.slice(0, 3).join('; '));
+    const correction = this.correctionRequest(kind, schemaName, request, content, first.errors);
+    const retried = await this.call(kind, purpose, correction, { ...options, cache: false });
+    const retriedContent = outputText(kind, retried);
+    const second = checkOutput(schemaName, retriedContent);
+    if (!second.errors) {
+      return { data: second.data, response: retried, corrected: true };
+    }
+
+    throw new LlmOutputError({ schema: schemaName, code: second.code, errors: second.errors, content: retriedContent });
+  }
+
+  // The original request followed by the invalid answer and what's wrong with it
+  correctionRequest(kind, schemaName, request, content, errors) {
+    const instruction = 'Your answer was not valid:\n' +
+      errors.slice(0, MAX_REPORTED_ERRORS).map(error => `- ${error}`).join('\n') +
+      `\nReply with only the corrected JSON object, matching this JSON Schema:\n${JSON.stringify(LLM_SCHEMAS[schemaName])}`;
+
+    if (kind === 'chat') {
+      return {
+        ...request,
+        messages: [
+          ...request.messages,
+          { role: 'assistant', content },
+          { role: 'user', content: instruction }
+        ]
+      };
+    }
+    return { ...request, prompt: `${request.prompt}${content}\n\n${instruction}\n` };
+  }
+
+  async call(kind, purpose, request, { timeoutMs = null, cache = true, accept = null } = {}) {
+    const route = this.resolveRoute(purpose, request.model);
+    this.assertConfigured(route);
+
+    const body = { ...request, model: route.model };
+    const cacheKey = cache && this.isCacheable(body) ? this.cacheKey(kind, route, body) : null;
+    const cached = cacheKey && this.getCached(cacheKey);
+    if (cached) {
+      this.account(route, { cached: true });
+      return { ...cached, cached: true };
+    }
+
+    const limit = timeoutMs || route.timeoutMs;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), limit);
+
+    let response;
+    try {
+      response = await route.provider[kind](body, { signal: controller.signal });
+    } catch (error) {
+      this.account(route, { failed: true });
+      if (controller.signal.aborted) {
+        throw new LlmError(`LLM ${purpose} call timed out after ${limit}ms`, 504);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    response = { ...response, model: response.model || route.model, provider: route.provider.name };
+    this.account(route, { usage: response.usage });
+    if (cacheKey && (!accept || accept(response))) this.setCached(cacheKey, response);
+    return { ...response, cached: false };
+  }
+
+  assertConfigured(route) {
+    if (!route.provider.isConfigured()) {
+      throw new LlmError(`LLM provider "${route.provider.name}" is not configured for ${route.purpose}`, 503);
+    }
+  }
+
+  isCacheable(request) {
+    return llmConfig.cache.ttlSeconds > 0 &&
+      typeof request.temperature === 'number' &&
+      request.temperature <= llmConfig.cache.maxTemperature;
+  }
+
+  cacheKey(kind, route, request) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([kind, route.provider.name, request]))
+      .digest('hex');
+  }
+
+  getCached(key) {
+    const entry = this.cache.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.cache.delete(key);
+      return null;
+    }
+    return structuredClone(entry.response);
+  }
+
+  setCached(key, response) {
+    // Map keeps insertion order: the first key is the oldest entry
+    if (this.cache.size >= llmConfig.cache.maxEntries) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(key, {
+      response: structuredClone(response),
+      expiresAt: Date.now() + llmConfig.cache.ttlSeconds * 1000
+    });
+  }
+
+  account(route, { usage = null, cached = false, failed = false }) {
+    const key = `${route.provider.name}|${route.model}|${route.purpose}`;
+    if (!this.usage.has(key)) {
+      this.usage.set(key, {
+        provider: route.provider.name,
+        model: route.model,
+        purpose: route.purpose,
+        requests: 0,
+        cachedResponses: 0,
+        failures: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+        totalTokens: 0
+      });
+    }
+
+    const entry = this.usage.get(key);
+    entry.requests++;
+    if (cached) entry.cachedResponses++;
+    if (failed) entry.failures++;
+    if (usage) {
+      entry.promptTokens += usage.prompt_tokens || 0;
+      entry.completionTokens += usage.completion_tokens || 0;
+      entry.totalTokens += usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0);
+    }
+  }
+
+  /**
+   * Calls and tokens since the process started, per provider, model and purpose
+   */
+  getUsage() {
+    const routes = [...this.usage.values()].map(entry => ({ ...entry }));
+    const totals = routes.reduce((sum, entry) => {
+      ['requests', 'cachedResponses', 'failures', 'promptTokens', 'completionTokens', 'totalTokens']
+        .forEach(field => { sum[field] += entry[field]; });
+      return sum;
+    }, { requests: 0, cachedResponses: 0, failures: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 });
+
+    return {
+      since: this.since,
+      defaultProvider: llmConfig.provider,
+      cacheEntries: this.cache.size,
+      totals,
+      routes
+    };
+  }
+}
+
+module.exports = new LlmService();
+module.exports.LlmError = LlmError;
+module.exports.LlmOutputError = LlmOutputError;
@@ -1,14 +1,33 @@
 /**
  * MCP Market Data Service
- * Connects to the market-mcp server to provide real-time market data for LLMs and agents
+ * Connects to the market-mcp server to provide real-time market data for LLMs and agents.
+ * With MARKET_MCP_URL set it joins a running server over Streamable HTTP; otherwise it
+ * starts its own server over stdio.
  */
 
 const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
 const { StdioClientTransport } = require('@modelcontextprotocol/sdk/client/stdio.js');
+const { StreamableHTTPClientTransport } = require('@modelcontextprotocol/sdk/client/streamableHttp.js');
 const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
 
+// Time limit for connecting to the server
+const CONNECT_TIMEOUT_MS = 15000;
+
+// Wait before reconnecting to MARKET_MCP_URL after a failed attempt, doubling up to the maximum
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = (parseInt(process.env.MARKET_MCP_RECONNECT_MAX_SECONDS) || 60) * 1000;
+
+// Rejects after `ms`; clear() stops the timer once the race is settled
+const connectTimeout = (ms) => {
+    let timer;
+    const promise = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`MCP connection timeout after ${ms / 1000} seconds`)), ms);
+    });
+    return { promise, clear: () => clearTimeout(timer) };
+};
+
 class MCPMarketDataService {
     constructor() {
         this.client = null;
@@ -16,12 +35,18 @@ class MCPMarketDataService {
         this.serverProcess = null;
         this.isConnected = false;
         this.mcpServerPath = path.resolve(__dirname, '../../market-mcp/dist/index.js');
+        // Base URL of a long-running market-mcp server, e.g. http://market-mcp:3001
+        this.mcpServerUrl = process.env.MARKET_MCP_URL || null;
         this.supportedNetworks = [];
         this.seiNetworkId = 'sei-evm'; // Correct GeckoTerminal network ID
         this.useHttpMode = false;
         this.httpBaseUrl = null;
         this.isInitializing = false; // Prevent recursive initialization
         this.httpPort = 3001; // Default HTTP port
+        // Reconnect backoff while MARKET_MCP_URL is unreachable: calls fail fast
+        // until nextReconnectAt instead of each waiting on a connect
+        this.reconnectDelayMs = 0;
+        this.nextReconnectAt = 0;
         
         // Network mapping dictionary - maps user input to GeckoTerminal API network codes
         this.networkMappings = {
@@ -115,8 +140,10 @@ class MCPMarketDataService {
         this.priceCache = new Map();
         this.cacheTimeout = 60000; // 1 minute cache
         
-        // Validate paths before initialization
-        this.validatePaths();
+        // Validate paths before initialization; not needed when connecting over HTTP
+        if (!this.mcpServerUrl) {
+            this.validatePaths();
+        }
         
         // Initialize connection
         this.initialize();
@@ -162,13 +189,26 @@ class MCPMarketDataService {
         this.isInitializing = true;
 
         try {
-            console.log('🚀 Initializing MCP Market Data Service with stdio transport...');
-            await this.connectToMCPServer();
+            const transportName = this.mcpServerUrl ? 'Streamable HTTP' : 'stdio';
+            console.log(`🚀 Initializing MCP Market Data Service with ${transportName} transport...`);
+            if (this.mcpServerUrl) {
+                await this.connectToMCPServerHttp();
+            } else {
+                await this.connectToMCPServer();
+            }
             await this.loadSupportedNetworks();
-            console.log('✅ MCP Market Data Service initialized successfully with stdio transport');
+            this.reconnectDelayMs = 0;
+            this.nextReconnectAt = 0;
+            console.log(`✅ MCP Market Data Service initialized successfully with ${transportName} transport`);
         } catch (error) {
-            console.error('❌ Failed to initialize MCP Market Data Service with stdio:', error.message);
+            console.error('❌ Failed to initialize MCP Market Data Service:', error.message);
             console.error('❌ Full initialization error:', error);
+
+            if (this.mcpServerUrl) {
+                this.reconnectDelayMs = Math.min(this.reconnectDelayMs * 2 || RECONNECT_BASE_DELAY_MS, RECONNECT_MAX_DELAY_MS);
+                this.nextReconnectAt = Date.now() + this.reconnectDelayMs;
+                console.warn(`⚠️ [MCP] ${this.mcpServerUrl} unavailable, next reconnect in ${this.reconnectDelayMs / 1000}s`);
+            }
             
             // Set basic defaults for limited mode
             this.isConnected = false;
@@ -230,13 +270,12 @@ class MCPMarketDataService {
             // Connect to the MCP server with timeout
             console.log('🔗 Connecting to MCP server via stdio...');
             
-            const connectionTimeout = new Promise((_, reject) => {
-                setTimeout(() => reject(new Error('MCP connection timeout after 15 seconds')), 15000);
-            });
-            
-            const connectionPromise = this.client.connect(this.transport);
-            
-            await Promise.race([connectionPromise, connectionTimeout]);
+            const timeout = connectTimeout(CONNECT_TIMEOUT_MS);
+            try {
+                await Promise.race([this.client.connect(this.transport), timeout.promise]);
+            } finally {
+                timeout.clear();
+            }
             
             this.isConnected = true;
             this.useHttpMode = false;
@@ -253,6 +292,48 @@ class MCPMarketDataService {
         }
     }
 
+    /**
+     * Connect to a running market-mcp server's /mcp endpoint over Streamable HTTP.
+     * Tools are called over the MCP protocol exactly as with stdio.
+     */
+    async connectToMCPServerHttp() {
+        const endpoint = new URL('/mcp', this.mcpServerUrl);
+        console.log(`🔧 Connecting to MCP server at ${endpoint.href}...`);
+
+        if (this.client) {
+            await this.client.close().catch(() => {});
+        }
+
+        const headers = process.env.MARKET_MCP_TOKEN
+            ? { Authorization: `Bearer ${process.env.MARKET_MCP_TOKEN}` }
+            : {};
+        this.transport = new StreamableHTTPClientTransport(endpoint, { requestInit: { headers } });
+
+        this.client = new Client({
+            name: 'mariposa-backend',
+            version: '1.0.0'
+        }, {
+            capabilities: {
+                tools: {}
+            }
+        });
+
+        const timeout = connectTimeout(CONNECT_TIMEOUT_MS);
+        try {
+            await Promise.race([this.client.connect(this.transport), timeout.promise]);
+        } catch (error) {
+            // A timed out connect may still be pending; stop it
+            await this.client.close().catch(() => {});
+            throw error;
+        } finally {
+            timeout.clear();
+        }
+
+        this.isConnected = true;
+        this.useHttpMode = false;
+        console.log(`✅ Connected to MCP Market Data Server via Streamable HTTP (session ${this.transport.sessionId})`);
+    }
+
     async initializeHttpMode() {
         console.log('🔧 Initializing HTTP mode...');
         
@@ -487,6 +568,10 @@ class MCPMarketDataService {
     }
 
     async callTool(toolName, args) {
+        if (!this.isConnected && this.mcpServerUrl && !this.isInitializing && Date.now() >= this.nextReconnectAt) {
+            // The server may have been down at startup or since; try again once the backoff allows
+            await this.initialize();
+        }
         if (!this.isConnected) {
             throw new Error('MCP client is not connected');
         }
@@ -499,10 +584,22 @@ class MCPMarketDataService {
                 // Use MCP protocol
                 console.log(`🔧 [MCP] Calling tool: ${toolName} with args:`, args);
                 
-                const response = await this.client.callTool({
-                    name: toolName,
-                    arguments: args || {}
-                });
+                let response;
+                try {
+                    response = await this.client.callTool({
+                        name: toolName,
+                        arguments: args || {}
+                    });
+                } catch (error) {
+                    // 404: the server restarted or closed the idle session; open a new one and retry once
+                    if (!this.mcpServerUrl || error.code !== 404) throw error;
+                    console.warn(`⚠️ [MCP] Session ${this.transport.sessionId} expired, reconnecting...`);
+                    await this.connectToMCPServerHttp();
+                    response = await this.client.callTool({
+                        name: toolName,
+                        arguments: args || {}
+                    });
+                }
                 
                 console.log(`✅ [MCP] Tool ${toolName} completed successfully`);
                 return response;
@@ -637,7 +734,7 @@ class MCPMarketDataService {
 
             switch (toolName) {
                 case 'get_network_pools':
-                    const { network, page = 1 } = args;
+                    const { network, page = 1, format: poolsFormat = 'text' } = args;
                     console.log(`🌊 [MCP] Fetching pools for network: ${network}, page: ${page}`);
                     url = `${baseUrl}/networks/${network}/pools?page=${page}&include=base_token,quote_token,dex`;
                     logGeckoURL(url, `NETWORK_POOLS[${network}][P${page}]`);
@@ -649,6 +746,30 @@ class MCPMarketDataService {
                     
                     data = await response.json();
                     
+                    if (poolsFormat === 'json') {
+                        // Relationship ids look like "<network>_<address>"
+                        const relationshipAddress = relationship => {
+                            const id = relationship?.data?.id;
+                            return id ? id.slice(id.lastIndexOf('_') + 1) : null;
+                        };
+                        return {
+                            content: [{
+                                type: 'text',
+                                text: JSON.stringify({
+                                    pools: data.data.map(pool => ({
+                                        address: pool.attributes.address,
+                                        name: pool.attributes.name,
+                                        network,
+                                        dex: pool.relationships?.dex?.data?.id || null,
+                                        base_token_address: relationshipAddress(pool.relationships?.base_token),
+                                        quote_token_address: relationshipAddress(pool.relationships?.quote_token),
+                                        reserve_in_usd: pool.attributes.reserve_in_usd
+                                    }))
+                                })
+                            }]
+                        };
+                    }
+                    
                     // Format like the MCP server does
                     let result = 'Pools:\n\n';
                     data.data.forEach(pool => {
@@ -724,6 +845,47 @@ class MCPMarketDataService {
                         }]
                     };
 
+                case 'get_ohlcv_data':
+                    const { network: ohlcvNetwork, pool_address, timeframe = 'hour', aggregate = '1', limit, before_timestamp, format = 'text' } = args;
+                    console.log(`📈 [MCP] Fetching OHLCV for pool ${pool_address} on ${ohlcvNetwork}`);
+                    url = `${baseUrl}/networks/${ohlcvNetwork}/pools/${pool_address}/ohlcv/${timeframe}?aggregate=${aggregate}`;
+                    if (limit) url += `&limit=${limit}`;
+                    if (before_timestamp) url += `&before_timestamp=${before_timestamp}`;
+                    logGeckoURL(url, `OHLCV[${pool_address.slice(0, 8)}...]`);
+                    response = await fetch(url, { headers });
+                    
+                    if (!response.ok) {
+                        throw new Error(`Failed to fetch OHLCV data: ${response.statusText}`);
+                    }
+                    
+                    data = await response.json();
+                    
+                    // Same shapes as the MCP server's text/json formats
+                    const candles = [...data.data.attributes.ohlcv_list].sort((a, b) => a[0] - b[0]);
+                    let ohlcvResult;
+                    if (format === 'json') {
+                        ohlcvResult = JSON.stringify({
+                            pool: data.data.id,
+                            timeframe,
+                            aggregate,
+                            base: data.meta?.base?.symbol || null,
+                            quote: data.meta?.quote?.symbol || null,
+                            candles: candles.map(c => ({ timestamp: c[0], open: c[1], high: c[2], low: c[3], close: c[4], volume: c[5] }))
+                        });
+                    } else {
+                        ohlcvResult = `OHLCV Data for Pool: ${data.data.id}\n\n`;
+                        candles.slice(-10).forEach(c => {
+                            ohlcvResult += `${new Date(c[0] * 1000).toISOString()}\t${c[1]}\t${c[2]}\t${c[3]}\t${c[4]}\t${c[5]}\n`;
+                        });
+                    }
+                    
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: ohlcvResult
+                        }]
+                    };
+
                 default:
                     throw new Error(`Unknown tool for direct GeckoTerminal call: ${toolName}`);
             }
@@ -977,6 +1139,50 @@ class MCPMarketDataService {
         }
     }
 
+    /**
+     * Get a network's pools with their token addresses
+     * @param {string} networkId - Network ID, e.g. duckchain
+     * @param {Object} options - { page }
+     * @returns {Array} [{ address, name, network, dex, base_token_address, quote_token_address, reserve_in_usd }]
+     */
+    async getNetworkPoolList(networkId, { page = 1 } = {}) {
+        const response = await this.callTool('get_network_pools', {
+            network: networkId,
+            page,
+            format: 'json'
+        });
+
+        if (response.isError) {
+            throw new Error(response.content[0].text);
+        }
+
+        return JSON.parse(response.content[0].text).pools;
+    }
+
+    /**
+     * Get a full OHLCV candle series (oldest first) for replay and analysis
+     * @param {string} poolAddress - Pool address
+     * @param {Object} options - { timeframe, aggregate, limit, beforeTimestamp, networkId }
+     * @returns {Object} { pool, timeframe, aggregate, base, quote, candles: [{ timestamp, open, high, low, close, volume }] }
+     */
+    async getOHLCVSeries(poolAddress, { timeframe = 'hour', aggregate = '1', limit = 1000, beforeTimestamp, networkId } = {}) {
+        const response = await this.callTool('get_ohlcv_data', {
+            network: networkId || this.seiNetworkId,
+            pool_address: poolAddress,
+            timeframe,
+            aggregate: String(aggregate),
+            limit,
+            before_timestamp: beforeTimestamp,
+            format: 'json'
+        });
+
+        if (response.isError) {
+            throw new Error(response.content[0].text);
+        }
+
+        return JSON.parse(response.content[0].text);
+    }
+
     /**
      * Get current token prices
      */
@@ -1305,7 +1511,8 @@ class MCPMarketDataService {
     getStatus() {
         return {
             connected: this.isConnected,
-            mode: this.useHttpMode ? 'HTTP' : 'stdio',
+            mode: this.useHttpMode ? 'HTTP' : this.mcpServerUrl ? 'streamable-http' : 'stdio',
+            mcpServerUrl: this.mcpServerUrl,
             seiNetworkId: this.seiNetworkId,
             supportedNetworksCount: this.supportedNetworks.length,
             httpBaseUrl: this.httpBaseUrl || null,
@@ -1323,8 +1530,12 @@ class MCPMarketDataService {
     async disconnect() {
         try {
             if (this.client && this.isConnected && !this.useHttpMode) {
+                if (this.mcpServerUrl) {
+                    // End the server-side session rather than leaving it to expire
+                    await this.transport.terminateSession();
+                }
                 await this.client.close();
-                console.log('🔌 Disconnected from MCP Market Data Server (stdio)');
+                console.log(`🔌 Disconnected from MCP Market Data Server (${this.mcpServerUrl ? 'Streamable HTTP' : 'stdio'})`);
             }
             
             if (this.useHttpMode) {
@@ -1,15 +1,7 @@
-const Together = require('together-ai').default;
-
-// Initialize Together AI for message classification
-let together;
-try {
-  together = new Together({
-    apiKey: process.env.TOGETHER_API_KEY || 'dummy-key'
-  });
-} catch (error) {
-  console.warn('Together AI not initialized for message classification. Please set TOGETHER_API_KEY environment variable.');
-  together = null;
-}
+const llmService = require('./llmService');
+const auditService = require('./auditService');
+
+const CLASSIFICATION_MODEL = 'meta-llama/Meta-Llama-3.1-8B-Instruct-Turbo';
 
 class MessageClassificationService {
   /**
@@ -18,40 +10,39 @@ class MessageClassificationService {
    * @returns {Object} Classification result with type and confidence
    */
   async classifyMessage(message) {
-    if (!together) {
-      throw new Error('Together AI not initialized');
-    }
-
     try {
       const classificationPrompt = this.buildClassificationPrompt(message);
+      const messages = [
+        {
+          role: 'system',
+          content: classificationPrompt.system
+        },
+        {
+          role: 'user',
+          content: classificationPrompt.user
+        }
+      ];
       
-      const response = await together.chat.completions.create({
-        model: 'meta-llama/Meta-Llama-3.1-8B-Instruct-Turbo',
-        messages: [
-          {
-            role: 'system',
-            content: classificationPrompt.system
-          },
-          {
-            role: 'user',
-            content: classificationPrompt.user
-          }
-        ],
+      const { data: classification, response } = await llmService.chatJson('classification', 'classification', {
+        model: CLASSIFICATION_MODEL,
+        messages,
         max_tokens: 200,
         temperature: 0.1, // Low temperature for consistent classification
         response_format: { type: 'json_object' }
       });
-
-      const classification = JSON.parse(response.choices[0].message.content);
       
       // Validate and normalize the classification
-      return this.validateClassification(classification, message);
+      const result = this.validateClassification(classification, message);
+      await auditService.recordDecision('classification', { message, model: response.model, prompt: messages, output: result });
+      return result;
 
     } catch (error) {
       console.error('Message classification error:', error);
       
       // Fallback to rule-based classification
-      return await this.fallbackClassification(message);
+      const result = await this.fallbackClassification(message);
+      await auditService.recordDecision('classification', { message, output: result, outcome: 'fallback', error: error.message });
+      return result;
     }
   }
 
@@ -489,7 +480,7 @@ Respond with a JSON object containing:
         'transfer', 'swap', 'stake', 'lend', 'borrow', 'bridge',
         'buy', 'sell', 'mint', 'burn', 'other'
       ],
-      llmEnabled: !!together,
+      llmEnabled: llmService.isAvailable('classification'),
       fallbackEnabled: true
     };
   }
@@ -500,8 +491,8 @@ Respond with a JSON object containing:
    * @returns {Object} Swap intent detection result
    */
   async parseSwapIntentWithLLM(message) {
-    if (!together) {
-      console.log('⚠️ Together AI not available, falling back to regex detection');
+    if (!llmService.isAvailable('classification')) {
+      console.log('⚠️ LLM not available, falling back to regex detection');
       return this.detectSwapIntentRegex(message);
     }
 
@@ -530,37 +521,26 @@ Examples:
 Only return true for actual swap/exchange/convert/trade intentions.
 `;
 
-      const response = await together.completions.create({
+      const { data: parsed } = await llmService.completeJson('classification', 'swapIntent', {
         model: "meta-llama/Meta-Llama-3.1-8B-Instruct-Turbo",
         prompt: prompt,
         max_tokens: 150,
         temperature: 0.1,
         top_p: 0.9,
         stop: ["\n\n", "```"],
-        stream: false,
       });
 
-      let extractedText = response.choices[0].text.trim();
-      
-      // Clean up the response to extract just the JSON
-      const jsonMatch = extractedText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const parsed = JSON.parse(jsonMatch[0]);
-        
-        // Validate and normalize
-        return {
-          isSwap: Boolean(parsed.isSwap),
-          fromToken: parsed.fromToken?.toUpperCase() || null,
-          toToken: parsed.toToken?.toUpperCase() || null,
-          amount: parsed.amount ? parseFloat(parsed.amount) : null,
-          confidence: parsed.confidence || 0.5,
-          parsingMethod: 'llm',
-          reasoning: parsed.reasoning || 'LLM analysis',
-          llmResponse: parsed
-        };
-      }
-      
-      throw new Error('Could not parse LLM response');
+      // Normalize
+      return {
+        isSwap: parsed.isSwap,
+        fromToken: parsed.fromToken?.toUpperCase() || null,
+        toToken: parsed.toToken?.toUpperCase() || null,
+        amount: parsed.amount ? parseFloat(parsed.amount) : null,
+        confidence: parseFloat(parsed.confidence) || 0.5,
+        parsingMethod: 'llm',
+        reasoning: parsed.reasoning || 'LLM analysis',
+        llmResponse: parsed
+      };
       
     } catch (error) {
       console.error('❌ LLM swap parsing failed:', error);
@@ -0,0 +1,56 @@
+/**
+ * Notification Service
+ * Delivers messages meant for a user (approval codes, alerts). Messages are
+ * POSTed as JSON to NOTIFICATION_WEBHOOK_URL, where a mailer or push relay
+ * takes over. Message bodies are never logged: they can carry approval codes.
+ */
+
+const axios = require('axios');
+const User = require('../models/User');
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+class NotificationService {
+  // Whether notifications can reach users at all
+  isConfigured() {
+    return Boolean(process.env.NOTIFICATION_WEBHOOK_URL);
+  }
+
+  /**
+   * Send a notification to a user. Never throws: a failed delivery is logged.
+   * @param {string} userId - Recipient
+   * @param {Object} notification - { type, title, message, data }
+   * @returns {Object} { delivered, channel }
+   */
+  async notify(userId, { type, title, message, data = {} }) {
+    const webhookUrl = process.env.NOTIFICATION_WEBHOOK_URL;
+
+    if (!webhookUrl) {
+      console.warn(`⚠️ No notification channel configured, ${type} notification to user ${userId} not delivered`);
+      return { delivered: false, channel: null };
+    }
+
+    try {
+      const user = await User.findById(userId).select('email name');
+      await axios.post(webhookUrl, {
+        type,
+        title,
+        message,
+        data,
+        user: {
+          id: String(userId),
+          email: user ? user.email : null,
+          name: user ? user.name : null
+        },
+        sentAt: new Date().toISOString()
+      }, { timeout: WEBHOOK_TIMEOUT_MS });
+
+      return { delivered: true, channel: 'webhook' };
+    } catch (error) {
+      console.error(`❌ Failed to deliver ${type} notification to user ${userId}:`, error.message);
+      return { delivered: false, channel: 'webhook', error: error.message };
+    }
+  }
+}
+
+module.exports = new NotificationService();
@@ -1,9 +1,38 @@
 const Agenda = require('agenda');
 const mongoose = require('mongoose');
 const Pipeline = require('../models/Pipeline');
-const User = require('../models/User');
+const PipelineRun = require('../models/PipelineRun');
+const Wallet = require('../models/Wallet');
+const ApiKey = require('../models/ApiKey');
 const { SimpleAgent } = require('@mariposa-plus/agent-sdk');
 const MCPMarketDataService = require('./mcpMarketDataService');
+const priceHistoryService = require('./priceHistoryService');
+const actionLedgerService = require('./actionLedgerService');
+const policyService = require('./policyService');
+const approvalService = require('./approvalService');
+const notificationService = require('./notificationService');
+const { ApprovalRequiredError } = approvalService;
+const { validatePipelineDefinition, OUTPUT_REFERENCE_PATTERN } = require('../utils/pipelineSchema');
+const { getPipelineSchedule } = require('../utils/pipelineSchedule');
+const { findTokenPool, fetchPoolOHLCV } = require('../utils/marketData');
+const { computeIndicator } = require('../utils/technicalIndicators');
+const { extractTxHash, toStorable } = require('../utils/actionResults');
+const { getRequestContext, runWithContext } = require('../utils/requestContext');
+
+// Quote token used by buy/sell actions when none is configured
+const DEFAULT_QUOTE_TOKEN = 'USDC';
+
+// Lookback for price change triggers that don't specify a timeframe
+const DEFAULT_PRICE_CHANGE_TIMEFRAME = '1h';
+
+// A re-run or resume that can't start from the requested node
+class PipelineRunError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PipelineRunError';
+    this.status = status;
+  }
+}
 
 // Initialize Agenda
 const agenda = new Agenda({
@@ -15,42 +44,34 @@ const agenda = new Agenda({
 
 // Define pipeline execution job
 agenda.define('execute pipeline', async (job) => {
-  const { pipelineId, pipeline } = job.attrs.data;
+  const { pipelineId } = job.attrs.data;
+  // Slot this run was scheduled for. Agenda has already moved nextRunAt on when the
+  // job starts, so each run stores the next slot in the job data; a run Agenda
+  // re-executes after a crash keeps its slot, and with it its idempotency key.
+  const scheduledFor = new Date(job.attrs.data.scheduledFor || job.attrs.lastRunAt);
   
   try {
-    console.log(`Executing pipeline: ${pipeline.name} (${pipelineId})`);
-    
-    // Get user details for agent initialization
-    const user = await User.findById(pipeline.userId);
-    if (!user || !user.walletDetails) {
-      throw new Error('User wallet details not found');
+    // Prefer the stored definition so edits apply to already scheduled jobs
+    const pipeline = (await Pipeline.findById(pipelineId)) || job.attrs.data.pipeline;
+    if (!pipeline) {
+      throw new Error('Pipeline not found');
     }
 
-    // Initialize SimpleAgent
-    const agent = new SimpleAgent({
-      privateKey: user.walletDetails.privateKey,
-      address: user.walletDetails.address,
-      rpcUrl: process.env.SEI_RPC_URL || 'https://rpc.sei-apis.com',
-      chainId: 'pacific-1',
-      contractAddresses: {
-        multicall: process.env.MULTICALL_CONTRACT,
-        uniswap: process.env.UNISWAP_CONTRACT
-      }
-    });
+    if (['paused', 'inactive'].includes(pipeline.status)) {
+      console.log(`Skipping ${pipeline.status} pipeline: ${pipeline.name} (${pipelineId})`);
+      return;
+    }
 
-    // Execute pipeline events and actions
-    const executionResult = await executePipelineLogic(agent, pipeline);
+    console.log(`Executing pipeline: ${pipeline.name} (${pipelineId})`);
+    const run = await runPipeline(pipeline, {
+      trigger: 'schedule',
+      idempotencyKey: `agenda:${job.attrs._id}:${scheduledFor.toISOString()}`
+    });
     
-    // Update pipeline execution history
     await Pipeline.findByIdAndUpdate(pipelineId, {
-      $push: {
-        'metadata.executionHistory': {
-          timestamp: new Date(),
-          status: 'success',
-          result: executionResult
-        }
-      },
       lastExecuted: new Date(),
+      'metadata.nextExecution': job.attrs.nextRunAt || null,
+      ...(run && { 'metadata.lastRunId': run._id }),
       $inc: { executionCount: 1 }
     });
 
@@ -61,52 +82,344 @@ agenda.define('execute pipeline', async (job) => {
     
     // Update pipeline with error
     await Pipeline.findByIdAndUpdate(pipelineId, {
-      $push: {
-        'metadata.executionHistory': {
-          timestamp: new Date(),
-          status: 'error',
-          error: error.message
-        }
-      },
+      'metadata.nextExecution': job.attrs.nextRunAt || null,
       status: 'error'
     });
+  } finally {
+    // Saved with the job once it finishes
+    job.attrs.data.scheduledFor = job.attrs.nextRunAt || null;
   }
 });
 
-// Execute pipeline logic based on events and actions
-async function executePipelineLogic(agent, pipeline) {
+/**
+ * Context of a run started by Agenda, which has no request: the API key that
+ * scheduled the pipeline, so its trade scope and limit apply as they would to a
+ * request made with it
+ * @throws When that key has been revoked or has expired
+ */
+async function scheduledRunContext(pipeline) {
+  if (!pipeline.apiKeyId) {
+    return {};
+  }
+
+  const apiKey = await ApiKey.findById(pipeline.apiKeyId);
+  if (!apiKey || !apiKey.isUsable()) {
+    throw new Error('The API key this pipeline was scheduled with is revoked or expired; schedule it again');
+  }
+  return { apiKey };
+}
+
+// Build the owner's SimpleAgent for a pipeline, signing with the owner's wallet key from the vault
+async function createPipelineAgent(pipeline) {
+  const wallet = await Wallet.findOne({ ownerId: pipeline.userId, ownerType: 'user', isActive: true });
+  if (!wallet) {
+    throw new Error('User wallet not found');
+  }
+
+  return new SimpleAgent({
+    privateKey: await wallet.getPrivateKey(),
+    address: wallet.walletAddress,
+    rpcUrl: process.env.SEI_RPC_URL || 'https://rpc.sei-apis.com',
+    chainId: 'pacific-1',
+    contractAddresses: {
+      multicall: process.env.MULTICALL_CONTRACT,
+      uniswap: process.env.UNISWAP_CONTRACT
+    }
+  });
+}
+
+// Agent methods behind action types that not every SimpleAgent release implements
+const OPTIONAL_AGENT_METHODS = {
+  unstake: 'unstake',
+  add_liquidity: 'addLiquidity',
+  remove_liquidity: 'removeLiquidity'
+};
+
+/**
+ * Actions the owner's agent can't run, so a pipeline is refused when it is saved
+ * rather than failing on every run
+ * @param {Object} pipeline - Pipeline document or definition
+ * @returns {Array<string>} One error per unsupported action
+ */
+function findUnsupportedActions(pipeline) {
+  return (pipeline.actions || [])
+    .filter(action => OPTIONAL_AGENT_METHODS[action.type] &&
+      typeof SimpleAgent.prototype[OPTIONAL_AGENT_METHODS[action.type]] !== 'function')
+    .map(action => `Action "${action.name || action.id}": ${action.type} is not supported by the trading agent`);
+}
+
+/**
+ * Run a pipeline once with its owner's agent and store the run with a record per node.
+ * Runs where no event fired are not stored, so polling doesn't flood the history.
+ * @param {Object} pipeline - Pipeline document
+ * @param {Object} options - { trigger: 'schedule'|'rerun', rerunOf: PipelineRun, fromNodeId, idempotencyKey }
+ *   - idempotencyKey identifies the run's actions in the ledger; reruns reuse the original's,
+ *     other runs default to the run id
+ * @returns {Object|null} Saved PipelineRun, or null when nothing fired
+ * @throws When the run aborts (invalid definition, no wallet); the aborted run is stored first
+ */
+async function runPipeline(pipeline, { trigger = 'schedule', rerunOf = null, fromNodeId = null, idempotencyKey = null } = {}) {
+  const startedAt = new Date();
+  const nodes = [];
+  const run = new PipelineRun({
+    pipelineId: pipeline._id,
+    userId: pipeline.userId,
+    trigger,
+    rerunOf: rerunOf ? rerunOf._id : null,
+    resumedFromNode: fromNodeId,
+    startedAt
+  });
+  run.idempotencyKey = rerunOf ? (rerunOf.idempotencyKey || String(rerunOf._id)) : (idempotencyKey || String(run._id));
+
+  try {
+    const { isValid, errors } = validatePipelineDefinition(pipeline);
+    if (!isValid) {
+      throw new Error(`Invalid pipeline definition: ${errors.join('; ')}`);
+    }
+
+    const callerContext = getRequestContext() || await scheduledRunContext(pipeline);
+    const agent = await createPipelineAgent(pipeline);
+    // Audit log entries of the run share its trace
+    await runWithContext({ ...callerContext, traceId: `pipeline-run:${run._id}` }, () =>
+      executePipelineLogic(agent, pipeline, createExecutionContext({
+        recordNode: record => nodes.push(record),
+        idempotencyKey: `pipeline-run:${run.idempotencyKey}`,
+        userId: pipeline.userId,
+        runId: run._id,
+        replay: rerunOf ? { nodes: rerunOf.toObject().nodes, fromNodeId } : null
+      }))
+    );
+
+    if (!rerunOf && !nodes.some(node => node.status === 'fired')) {
+      return null;
+    }
+    if (nodes.some(node => node.status === 'error')) {
+      run.status = 'failed';
+    } else {
+      run.status = nodes.some(node => node.status === 'awaiting_approval') ? 'awaiting_approval' : 'success';
+    }
+  } catch (error) {
+    run.status = 'error';
+    run.error = error.message;
+    throw error;
+  } finally {
+    if (run.status !== 'running') {
+      run.nodes = nodes;
+      run.finishedAt = new Date();
+      run.durationMs = run.finishedAt - startedAt;
+      await saveRun(run);
+    }
+  }
+
+  return run;
+}
+
+async function saveRun(run) {
+  try {
+    await run.save();
+    await pruneRuns(run.pipelineId);
+  } catch (error) {
+    console.error(`Error saving run for pipeline ${run.pipelineId}:`, error.message);
+  }
+}
+
+// Keep the newest PIPELINE_RUN_HISTORY_LIMIT runs per pipeline; older ones also expire by TTL
+async function pruneRuns(pipelineId) {
+  const limit = parseInt(process.env.PIPELINE_RUN_HISTORY_LIMIT) || 100;
+  const stale = await PipelineRun.find({ pipelineId })
+    .sort({ startedAt: -1 })
+    .skip(limit)
+    .select('_id');
+
+  if (stale.length > 0) {
+    await PipelineRun.deleteMany({ _id: { $in: stale.map(run => run._id) } });
+  }
+}
+
+// Data sources used while evaluating a run. Dry-runs and backtests swap these
+// for simulated ones (see pipelineSimulationService).
+function createExecutionContext(overrides = {}) {
+  return {
+    simulated: false,
+    priceHistory: priceHistoryService,
+    getCloses: fetchIndicatorCloses,
+    getPortfolioValue: getWalletPortfolioValue,
+    getMarketConditions: fetchMarketConditions,
+    isScheduledRun: () => true,
+    onEventEvaluated: () => {},
+    // Receives one record per node reached (see PipelineRun)
+    recordNode: () => {},
+    // { nodes, fromNodeId }: resume a previous run at a node instead of evaluating events
+    replay: null,
+    // Prefix of action ledger keys; live runs set it so no action is broadcast twice
+    idempotencyKey: null,
+    // Pipeline owner; live runs hold transfers, swaps, staking and liquidity actions to their spending policy
+    // and deliver notifications to them
+    userId: null,
+    // Run being recorded; actions held for approval resume from it
+    runId: null,
+    ...overrides
+  };
+}
+
+// Execute the pipeline as a DAG: fired events activate their outgoing edges,
+// condition nodes gate what follows them, and actions run in topological order,
+// each at most once per run
+async function executePipelineLogic(agent, pipeline, context = createExecutionContext()) {
   const results = [];
+  // nodeId -> { ok, output, eventId } for every node reached in this run
+  const outcomes = new Map();
+  const replay = context.replay ? prepareReplay(pipeline, context.replay) : null;
 
-  for (const event of pipeline.events) {
-    // Check if event condition is met
-    const shouldExecute = await checkEventCondition(agent, event);
-    
-    if (shouldExecute) {
-      console.log(`Event condition met: ${event.name}`);
+  if (replay) {
+    replay.outcomes.forEach((outcome, nodeId) => outcomes.set(nodeId, outcome));
+  } else {
+    for (const event of pipeline.events) {
+      // Check if event condition is met
+      const startedAt = new Date();
+      const shouldExecute = await checkEventCondition(agent, event, pipeline, context);
+      context.onEventEvaluated(event, shouldExecute);
+      context.recordNode({
+        nodeId: event.id,
+        kind: 'event',
+        type: event.type,
+        eventId: event.id,
+        status: shouldExecute ? 'fired' : 'not_fired',
+        inputs: event.config,
+        startedAt,
+        durationMs: Date.now() - startedAt
+      });
       
-      // Execute connected actions
-      const connectedActions = getConnectedActions(pipeline, event.id);
+      if (shouldExecute) {
+        console.log(`Event condition met: ${event.name}`);
+        outcomes.set(event.id, { ok: true, output: null, eventId: event.id });
+      }
+    }
+  }
+
+  if (outcomes.size === 0) return results;
+
+  const conditions = pipeline.conditions || [];
+  const nodes = new Map([
+    ...conditions.map(condition => [condition.id, { kind: 'condition', node: condition }]),
+    ...pipeline.actions.map(action => [action.id, { kind: 'action', node: action }])
+  ]);
+
+  for (const nodeId of getTopologicalOrder(pipeline)) {
+    const entry = nodes.get(nodeId);
+    if (!entry || (replay && !replay.pending.has(nodeId))) continue;
+
+    const incoming = pipeline.connections.find(conn => conn.to === nodeId && isEdgeTaken(conn, outcomes.get(conn.from)));
+    if (!incoming) continue;
+
+    const source = outcomes.get(incoming.from);
+    const { eventId } = source;
+    const startedAt = new Date();
+
+    if (entry.kind === 'condition') {
+      const passed = await evaluateConditionGroup(agent, entry.node.config || {}, pipeline, context);
+      outcomes.set(nodeId, { ok: passed, output: { passed }, eventId });
+      results.push({ eventId, conditionId: nodeId, result: { passed }, status: 'success' });
+      context.recordNode({
+        nodeId,
+        kind: 'condition',
+        type: entry.node.type,
+        eventId,
+        status: passed ? 'passed' : 'not_passed',
+        inputs: entry.node.config,
+        output: { passed },
+        startedAt,
+        durationMs: Date.now() - startedAt
+      });
+      console.log(`Condition ${entry.node.name} ${passed ? 'passed' : 'not met'}`);
+      continue;
+    }
+
+    const action = entry.node;
+    let inputs = action.config;
+    // Confirming an approval for this action resumes the run here
+    const approvalOperation = {
+      type: 'pipeline_action',
+      params: { pipelineId: pipeline._id, runId: context.runId, nodeId, name: action.name }
+    };
+    try {
+      inputs = resolveOutputReferences(action.config || {}, outcomes, source.output);
+      if (action.requiresApproval && !context.simulated) {
+        await approvalService.requireApproval({
+          userId: pipeline.userId,
+          action: 'pipeline_action',
+          transaction: { token: inputs.token || inputs.from_token, toToken: inputs.to_token, amount: inputs.amount, recipient: inputs.recipient || inputs.destination },
+          reasons: [{ code: 'PIPELINE_ACTION_FLAGGED', message: `"${action.name}" is set to require approval` }],
+          operation: approvalOperation
+        });
+      }
+
+      const actionResult = await executeActionOnce(agent, {
+        id: action.id,
+        name: action.name,
+        type: action.type,
+        config: inputs
+      }, pipeline, { ...context, approvalOperation });
+      outcomes.set(nodeId, { ok: true, output: actionResult, eventId });
+      results.push({
+        eventId,
+        actionId: action.id,
+        result: actionResult,
+        status: 'success'
+      });
+      context.recordNode({
+        nodeId,
+        kind: 'action',
+        type: action.type,
+        eventId,
+        status: 'success',
+        inputs,
+        output: toStorable(actionResult),
+        txHash: extractTxHash(actionResult),
+        startedAt,
+        durationMs: Date.now() - startedAt
+      });
       
-      for (const action of connectedActions) {
-        try {
-          const actionResult = await executeAction(agent, action);
-          results.push({
-            eventId: event.id,
-            actionId: action.id,
-            result: actionResult,
-            status: 'success'
-          });
-          
-          console.log(`Action executed: ${action.name}`);
-        } catch (error) {
-          results.push({
-            eventId: event.id,
-            actionId: action.id,
-            error: error.message,
-            status: 'error'
-          });
-        }
+      console.log(`Action executed: ${action.name}`);
+    } catch (error) {
+      // Held actions take no branch; what follows them runs once they are confirmed
+      if (error instanceof ApprovalRequiredError) {
+        results.push({ eventId, actionId: action.id, approval: error.approval, status: 'awaiting_approval' });
+        context.recordNode({
+          nodeId,
+          kind: 'action',
+          type: action.type,
+          eventId,
+          status: 'awaiting_approval',
+          inputs,
+          output: { approval: error.approval },
+          startedAt,
+          durationMs: Date.now() - startedAt
+        });
+        console.log(`Action ${action.name} awaiting approval ${error.approval.id}`);
+        continue;
       }
+
+      outcomes.set(nodeId, { ok: false, output: { error: error.message }, eventId });
+      results.push({
+        eventId,
+        actionId: action.id,
+        error: error.message,
+        status: 'error'
+      });
+      context.recordNode({
+        nodeId,
+        kind: 'action',
+        type: action.type,
+        eventId,
+        status: 'error',
+        inputs,
+        // Spending policy violations, for the run history
+        output: error.violations ? { violations: error.violations } : undefined,
+        error: error.message,
+        startedAt,
+        durationMs: Date.now() - startedAt
+      });
     }
   }
 
@@ -114,24 +427,38 @@ async function executePipelineLogic(agent, pipeline) {
 }
 
 // Check if event condition is met
-async function checkEventCondition(agent, event) {
+async function checkEventCondition(agent, event, pipeline, context) {
+  const config = event.config || {};
+
   try {
     switch (event.type) {
       case 'price_change':
-        return await checkPriceChange(agent, event.config);
+      case 'price_movement':
+        return await checkPriceChange(agent, config, context);
+      
+      case 'price_target':
+        return await checkPriceTarget(agent, config, context);
       
       case 'wallet_balance':
-        return await checkBalanceThreshold(agent, event.config);
+      case 'balance_threshold':
+        return await checkBalanceThreshold(agent, config);
+      
+      case 'portfolio_value':
+        return await checkPortfolioValue(agent, pipeline, config, context);
       
       case 'time_schedule':
-        return checkTimeSchedule(event.config);
+      case 'time_based':
+        return checkTimeSchedule(config, context);
+      
+      case 'technical_indicator':
+        return await checkTechnicalIndicator(config, context);
       
       case 'market_condition':
-        return await checkMarketCondition(agent, event.config);
+        return await checkMarketCondition(config, context);
       
       default:
-        console.log(`Unknown event type: ${event.type}`);
-        return false;
+        // Unreachable for saved pipelines: the schema rejects unknown types
+        throw new Error(`Unknown event type: ${event.type}`);
     }
   } catch (error) {
     console.error(`Error checking event condition for ${event.name}:`, error);
@@ -139,35 +466,165 @@ async function checkEventCondition(agent, event) {
   }
 }
 
+// Run an action through the action ledger: transient failures are retried per the
+// pipeline's retryPolicy, and re-runs get the stored outcome instead of a second broadcast
+async function executeActionOnce(agent, action, pipeline, context) {
+  if (context.simulated || !context.idempotencyKey) {
+    return await executeAction(agent, action, context);
+  }
+
+  const { maxRetries, retryDelay, backoffMultiplier } = pipeline.retryPolicy || {};
+  const { result } = await actionLedgerService.execute({
+    scope: 'pipeline_action',
+    key: `${context.idempotencyKey}:${action.id}`,
+    userId: pipeline.userId,
+    params: { type: action.type, config: action.config },
+    retryPolicy: { maxRetries, retryDelay, backoffMultiplier }
+  }, () => executeAction(agent, action, context));
+  return result;
+}
+
+// Live runs check the owner's spending policy before signing and count what was sent
+// (see policyService for which actions count against the caps)
+async function withSpendingPolicy(context, transaction, send) {
+  if (context.simulated || !context.userId) {
+    return await send();
+  }
+
+  const approval = await policyService.enforce({
+    ...transaction,
+    userId: context.userId,
+    network: 'sei-evm',
+    operation: context.approvalOperation
+  });
+  let result;
+  try {
+    result = await send();
+  } catch (error) {
+    await policyService.releaseSpend(approval);
+    throw error;
+  }
+  await policyService.recordSpend(approval, result);
+  return result;
+}
+
+async function sendTransfer(agent, transfer, context) {
+  return await withSpendingPolicy(context, {
+    action: 'transfer',
+    token: transfer.token,
+    amount: transfer.amount,
+    recipient: transfer.recipient
+  }, () => agent.transfer(transfer));
+}
+
+async function sendSwap(agent, swap, context) {
+  return await withSpendingPolicy(context, {
+    action: 'swap',
+    token: swap.fromToken,
+    toToken: swap.toToken,
+    amount: swap.amount
+  }, () => agent.swap(swap));
+}
+
 // Execute action using agent-sdk
-async function executeAction(agent, action) {
+async function executeAction(agent, action, context = createExecutionContext()) {
+  const config = action.config || {};
+
+  // Side effects outside the agent are only described when simulating
+  if (context.simulated && ['notify', 'notification', 'strategy'].includes(action.type)) {
+    return { simulated: true, type: action.type, config };
+  }
+
   switch (action.type) {
     case 'transfer':
-      return await agent.transfer({
-        token: action.config.token,
-        amount: action.config.amount,
-        recipient: action.config.recipient
-      });
+      return await sendTransfer(agent, {
+        token: config.token,
+        amount: await resolveAmount(agent, config.token, config.amount),
+        recipient: config.recipient || config.destination
+      }, context);
     
     case 'swap':
-      return await agent.swap({
-        fromToken: action.config.from_token,
-        toToken: action.config.to_token,
-        amount: action.config.amount
-      });
+      return await sendSwap(agent, {
+        fromToken: config.from_token,
+        toToken: config.to_token,
+        amount: await resolveAmount(agent, config.from_token, config.amount)
+      }, context);
     
-    case 'stake':
-      return await agent.stake({
-        token: action.config.token,
-        amount: action.config.amount,
-        validator: action.config.validator
-      });
+    case 'buy':
+      return await sendSwap(agent, {
+        fromToken: config.quote_token || DEFAULT_QUOTE_TOKEN,
+        toToken: config.token,
+        amount: await resolveAmount(agent, config.quote_token || DEFAULT_QUOTE_TOKEN, config.amount)
+      }, context);
+    
+    case 'sell':
+      return await sendSwap(agent, {
+        fromToken: config.token,
+        toToken: config.quote_token || DEFAULT_QUOTE_TOKEN,
+        amount: await resolveAmount(agent, config.token, config.amount)
+      }, context);
     
+    case 'stake': {
+      const stake = {
+        token: config.token,
+        amount: await resolveAmount(agent, config.token, config.amount || 'all'),
+        validator: config.validator
+      };
+      return await withSpendingPolicy(context, {
+        action: 'stake',
+        token: stake.token,
+        amount: stake.amount
+      }, () => agent.stake(stake));
+    }
+    
+    case 'unstake': {
+      const unstake = {
+        token: config.token,
+        amount: config.amount || 'all',
+        validator: config.validator
+      };
+      return await withSpendingPolicy(context, {
+        action: 'unstake',
+        token: unstake.token,
+        amount: unstake.amount
+      }, () => callAgentMethod(agent, OPTIONAL_AGENT_METHODS.unstake, unstake));
+    }
+    
+    case 'add_liquidity': {
+      const deposit = {
+        tokenA: config.token_a,
+        tokenB: config.token_b,
+        amountA: await resolveAmount(agent, config.token_a, config.amount_a),
+        amountB: config.amount_b,
+        pool: config.pool
+      };
+      // Counted by the first token's amount; both tokens are held to the allowlists
+      return await withSpendingPolicy(context, {
+        action: 'add_liquidity',
+        token: deposit.tokenA,
+        toToken: deposit.tokenB,
+        amount: deposit.amountA
+      }, () => callAgentMethod(agent, OPTIONAL_AGENT_METHODS.add_liquidity, deposit));
+    }
+    
+    case 'remove_liquidity': {
+      const withdrawal = {
+        pool: config.pool,
+        percentage: parseFloat(config.percentage)
+      };
+      return await withSpendingPolicy(context, {
+        action: 'remove_liquidity',
+        token: null,
+        amount: null
+      }, () => callAgentMethod(agent, OPTIONAL_AGENT_METHODS.remove_liquidity, withdrawal));
+    }
+    
+    case 'notify':
     case 'notification':
-      return await sendNotification(action.config);
+      return await sendNotification(action, config, context);
     
     case 'strategy':
-      return await executeStrategy(agent, action.config);
+      return await executeStrategy(agent, config);
     
     default:
       throw new Error(`Unknown action type: ${action.type}`);
@@ -175,22 +632,33 @@ async function executeAction(agent, action) {
 }
 
 // Helper functions for event conditions
-async function checkPriceChange(agent, config) {
+async function checkPriceChange(agent, config, context) {
   try {
     const currentPrice = await agent.getTokenPrice(config.token);
-    const previousPrice = await getPreviousPrice(config.token);
+    if (!context.simulated) {
+      await context.priceHistory.recordPrice({ token: config.token, priceUsd: currentPrice, source: 'agent' });
+    }
+
+    const change = await context.priceHistory.getPriceChange(
+      config.token,
+      config.timeframe || DEFAULT_PRICE_CHANGE_TIMEFRAME,
+      { currentPrice }
+    );
     
-    if (!previousPrice) return false;
+    // Not enough history yet for this window
+    if (!change) return false;
     
-    const changePercent = ((currentPrice - previousPrice) / previousPrice) * 100;
+    const { changePercent } = change;
+    const percentage = parseFloat(config.percentage);
     
-    switch (config.change_type) {
-      case 'Increase':
-        return changePercent >= config.percentage;
-      case 'Decrease':
-        return changePercent <= -config.percentage;
-      case 'Any':
-        return Math.abs(changePercent) >= config.percentage;
+    // price_change uses change_type, price_movement uses direction
+    switch ((config.direction || config.change_type || 'any').toLowerCase()) {
+      case 'increase':
+        return changePercent >= percentage;
+      case 'decrease':
+        return changePercent <= -percentage;
+      case 'any':
+        return Math.abs(changePercent) >= percentage;
       default:
         return false;
     }
@@ -200,15 +668,28 @@ async function checkPriceChange(agent, config) {
   }
 }
 
+async function checkPriceTarget(agent, config, context) {
+  const currentPrice = await agent.getTokenPrice(config.token);
+  if (!context.simulated) {
+    await context.priceHistory.recordPrice({ token: config.token, priceUsd: currentPrice, source: 'agent' });
+  }
+  const targetPrice = parseFloat(config.target_price);
+
+  return config.direction.toLowerCase() === 'above'
+    ? currentPrice >= targetPrice
+    : currentPrice <= targetPrice;
+}
+
 async function checkBalanceThreshold(agent, config) {
   try {
-    const balance = await agent.getBalance(config.token);
-    const threshold = parseFloat(config.amount);
+    // wallet_balance uses token/amount/threshold_type, balance_threshold uses asset/threshold_amount/comparison
+    const balance = await agent.getBalance(config.token || config.asset);
+    const threshold = parseFloat(config.threshold_amount ?? config.amount);
     
-    switch (config.threshold_type) {
-      case 'Above':
+    switch ((config.comparison || config.threshold_type).toLowerCase()) {
+      case 'above':
         return balance > threshold;
-      case 'Below':
+      case 'below':
         return balance < threshold;
       default:
         return false;
@@ -219,39 +700,217 @@ async function checkBalanceThreshold(agent, config) {
   }
 }
 
-function checkTimeSchedule(config) {
-  const now = new Date();
-  const currentTime = `${now.getHours().toString().padStart(2, '0')}:${now.getMinutes().toString().padStart(2, '0')}`;
-  
-  // Simple time matching - in production, use more sophisticated scheduling
-  return currentTime === config.time;
+async function checkPortfolioValue(agent, pipeline, config, context) {
+  const totalValue = await context.getPortfolioValue(agent, pipeline);
+  const targetValue = parseFloat(config.target_value);
+
+  return config.comparison.toLowerCase() === 'above'
+    ? totalValue >= targetValue
+    : totalValue <= targetValue;
+}
+
+function checkTimeSchedule(config, context) {
+  // Live runs: the Agenda job repeats on this event's cron/interval (see getPipelineSchedule),
+  // so every run is a scheduled occurrence. Backtests decide per candle.
+  return context.isScheduledRun(config);
 }
 
-async function checkMarketCondition(agent, config) {
-  // Placeholder for market condition logic
-  // This would integrate with market data APIs
-  return false;
+async function checkTechnicalIndicator(config, context) {
+  const closes = await context.getCloses(config);
+  const value = computeIndicator(config.indicator, closes, parseInt(config.period) || 14);
+
+  if (value === null) return false;
+
+  return config.condition.toLowerCase() === 'above'
+    ? value > parseFloat(config.value)
+    : value < parseFloat(config.value);
+}
+
+async function checkMarketCondition(config, context) {
+  const conditions = await context.getMarketConditions(config);
+  if (!conditions || conditions === 'unknown') return false;
+
+  if (config.trend && conditions.trend !== config.trend.toLowerCase()) return false;
+  if (config.volatility && conditions.volatility !== config.volatility.toLowerCase()) return false;
+  return true;
+}
+
+// Live data sources for createExecutionContext
+async function getWalletPortfolioValue(agent, pipeline) {
+  const wallets = await Wallet.find({ userId: pipeline.userId, isActive: true });
+  return wallets.reduce((sum, wallet) => sum + (wallet.portfolioValue?.current || 0), 0);
+}
+
+async function fetchIndicatorCloses(config) {
+  const network = config.network || 'duckchain';
+  const poolAddress = config.pool_address || await findTokenPool(config.token, network);
+  if (!poolAddress) {
+    throw new Error(`No pool found for ${config.token} on ${network}`);
+  }
+
+  const candles = await fetchPoolOHLCV(poolAddress, {
+    network,
+    timeframe: config.timeframe || 'hour',
+    aggregate: config.aggregate || 1
+  });
+  return candles.map(candle => candle[4]);
+}
+
+async function fetchMarketConditions(config) {
+  const mcpService = new MCPMarketDataService();
+  await mcpService.initialize();
+
+  const { conditions } = await getMarketAnalysis(mcpService, config);
+  return conditions;
 }
 
 // Helper functions
-function getConnectedActions(pipeline, eventId) {
-  const connectedActionIds = pipeline.connections
-    .filter(conn => conn.from === eventId)
-    .map(conn => conn.to);
-  
-  return pipeline.actions.filter(action => connectedActionIds.includes(action.id));
+// Kahn's algorithm over all nodes; definitions are checked for cycles on save
+function getTopologicalOrder(pipeline) {
+  const ids = [
+    ...pipeline.events.map(event => event.id),
+    ...(pipeline.conditions || []).map(condition => condition.id),
+    ...pipeline.actions.map(action => action.id)
+  ];
+  const inDegree = new Map(ids.map(id => [id, 0]));
+  pipeline.connections.forEach(conn => inDegree.set(conn.to, (inDegree.get(conn.to) || 0) + 1));
+
+  const queue = ids.filter(id => inDegree.get(id) === 0);
+  const order = [];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    order.push(id);
+    pipeline.connections
+      .filter(conn => conn.from === id)
+      .forEach(conn => {
+        inDegree.set(conn.to, inDegree.get(conn.to) - 1);
+        if (inDegree.get(conn.to) === 0) queue.push(conn.to);
+      });
+  }
+  return order;
 }
 
-async function getPreviousPrice(token) {
-  // This would typically store and retrieve from a database
-  // For now, return null to indicate no previous price
-  return null;
+// Outcomes of a previous run for every node not downstream of `fromNodeId`,
+// so a re-run resumes at that node with the earlier outputs still referenceable
+function prepareReplay(pipeline, { nodes, fromNodeId }) {
+  const pending = new Set([fromNodeId]);
+  for (const nodeId of getTopologicalOrder(pipeline)) {
+    if (pipeline.connections.some(conn => conn.to === nodeId && pending.has(conn.from))) {
+      pending.add(nodeId);
+    }
+  }
+
+  const outcomes = new Map();
+  nodes
+    .filter(record => !['not_fired', 'awaiting_approval'].includes(record.status) && !pending.has(record.nodeId))
+    .forEach(record => outcomes.set(record.nodeId, {
+      ok: ['fired', 'passed', 'success'].includes(record.status),
+      output: record.output ?? null,
+      eventId: record.eventId
+    }));
+
+  return { pending, outcomes };
 }
 
-async function sendNotification(config) {
-  // Implement notification logic (email, push, etc.)
-  console.log(`Sending ${config.type} notification: ${config.message}`);
-  return { sent: true, type: config.type, message: config.message };
+function isEdgeTaken(conn, sourceOutcome) {
+  if (!sourceOutcome) return false;
+  return conn.type === 'on_failure' ? !sourceOutcome.ok : sourceOutcome.ok;
+}
+
+// AND/OR group of trigger configs, short-circuited; nested groups have their own `conditions`
+async function evaluateConditionGroup(agent, group, pipeline, context) {
+  const operator = String(group.operator || 'and').toLowerCase();
+
+  for (const [index, item] of (group.conditions || []).entries()) {
+    let passed;
+    if (Array.isArray(item.conditions)) {
+      passed = await evaluateConditionGroup(agent, item, pipeline, context);
+    } else {
+      const { type, ...config } = item;
+      passed = await checkEventCondition(agent, { id: `condition_${index}`, name: type, type, config }, pipeline, context);
+    }
+
+    if (operator === 'or' && passed) return true;
+    if (operator === 'and' && !passed) return false;
+  }
+
+  return operator === 'and';
+}
+
+// Replace "{{nodeId.path}}" / "{{previous.path}}" with outputs of earlier actions.
+// A value that is a single reference keeps the output's type (e.g. a number).
+function resolveOutputReferences(value, outcomes, previousOutput) {
+  const lookup = (nodeId, path) => {
+    const output = nodeId === 'previous' ? previousOutput : outcomes.get(nodeId)?.output;
+    const resolved = path.split('.').filter(Boolean).reduce(
+      (current, key) => (current === undefined || current === null ? undefined : current[key]),
+      output
+    );
+    if (resolved === undefined || resolved === null) {
+      throw new Error(`Output {{${nodeId}${path}}} is not available`);
+    }
+    return resolved;
+  };
+
+  if (typeof value === 'string') {
+    const matches = [...value.matchAll(OUTPUT_REFERENCE_PATTERN)];
+    if (matches.length === 1 && matches[0][0] === value.trim()) {
+      return lookup(matches[0][1], matches[0][2]);
+    }
+    return value.replace(OUTPUT_REFERENCE_PATTERN, (match, nodeId, path) => String(lookup(nodeId, path)));
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => resolveOutputReferences(item, outcomes, previousOutput));
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, resolveOutputReferences(item, outcomes, previousOutput)])
+    );
+  }
+  return value;
+}
+
+// Resolve "all", "max" and percentage amounts against the agent's balance
+async function resolveAmount(agent, token, amount) {
+  if (typeof amount !== 'string') return amount;
+
+  const normalized = amount.trim().toLowerCase();
+  if (normalized === 'all' || normalized === 'max') {
+    return await agent.getBalance(token);
+  }
+  if (normalized.endsWith('%')) {
+    const balance = await agent.getBalance(token);
+    return (balance * parseFloat(normalized)) / 100;
+  }
+  return amount;
+}
+
+async function callAgentMethod(agent, method, params) {
+  if (typeof agent[method] !== 'function') {
+    throw new Error(`Agent does not support ${method}`);
+  }
+  return await agent[method](params);
+}
+
+// Delivered to the pipeline owner; an undelivered notification fails the node
+async function sendNotification(action, config, context) {
+  if (!notificationService.isConfigured()) {
+    throw new Error('No notification channel is configured (set NOTIFICATION_WEBHOOK_URL)');
+  }
+  if (!context.userId) {
+    throw new Error('Notifications need the pipeline owner to deliver to');
+  }
+
+  const delivery = await notificationService.notify(context.userId, {
+    type: 'pipeline_notification',
+    title: config.title || action.name || 'Pipeline notification',
+    message: config.message,
+    data: { runId: context.runId ? String(context.runId) : null, nodeId: action.id }
+  });
+  if (!delivery.delivered) {
+    throw new Error(`Notification was not delivered: ${delivery.error || 'no channel'}`);
+  }
+  return { sent: true, channel: delivery.channel, message: config.message };
 }
 
 async function executeStrategy(agent, config) {
@@ -560,31 +1219,96 @@ function getGridLevels(budget) {
 // Service methods
 const pipelineExecutionService = {
   async schedulePipeline(pipelineId, pipeline) {
-    const job = agenda.create('execute pipeline', {
-      pipelineId,
-      pipeline
+    const schedule = getPipelineSchedule(pipeline);
+    const data = { pipelineId: pipelineId.toString() };
+
+    // Replace any job previously created for this pipeline
+    await agenda.cancel({ name: 'execute pipeline', 'data.pipelineId': data.pipelineId });
+
+    const job = agenda.create('execute pipeline', data);
+    job.unique({ 'data.pipelineId': data.pipelineId });
+    job.repeatEvery(schedule.expression, {
+      timezone: schedule.timezone,
+      // Interval pipelines run once right away, cron pipelines wait for their first slot
+      skipImmediate: schedule.kind === 'cron'
     });
-    
-    // Schedule based on events (for now, run every 5 minutes)
-    job.repeatEvery('5 minutes');
+    job.attrs.data.scheduledFor = job.attrs.nextRunAt || null;
     await job.save();
-    
-    return job.attrs._id.toString();
+
+    const jobId = job.attrs._id.toString();
+    const nextExecution = job.attrs.nextRunAt || null;
+
+    // Runs act with the API key of the request scheduling it (see scheduledRunContext)
+    const context = getRequestContext();
+    await Pipeline.findByIdAndUpdate(pipelineId, {
+      ...(context && { apiKeyId: context.apiKey ? context.apiKey._id : null }),
+      'metadata.agendaJobId': jobId,
+      'metadata.nextExecution': nextExecution,
+      'metadata.schedule': schedule
+    });
+
+    console.log(`Pipeline ${pipelineId} scheduled (${schedule.kind}: ${schedule.expression} ${schedule.timezone}), next run ${nextExecution}`);
+    return { jobId, nextExecution, schedule };
   },
 
-  async pausePipeline(jobId) {
-    await agenda.cancel({ _id: jobId });
+  async pausePipeline(pipeline) {
+    await agenda.cancel({ name: 'execute pipeline', 'data.pipelineId': pipeline._id.toString() });
+    await Pipeline.findByIdAndUpdate(pipeline._id, {
+      'metadata.agendaJobId': null,
+      'metadata.nextExecution': null
+    });
   },
 
-  async resumePipeline(jobId) {
-    // This would require re-creating the job
-    // Implementation depends on specific requirements
+  async resumePipeline(pipeline) {
+    // Re-create the job from the stored definition
+    return await this.schedulePipeline(pipeline._id, pipeline);
   },
 
   async cancelPipeline(jobId) {
     await agenda.cancel({ _id: jobId });
   },
 
+  // Exposed for dry-runs and backtests (see pipelineSimulationService)
+  executePipelineLogic,
+  createExecutionContext,
+
+  findUnsupportedActions,
+
+  runPipeline,
+
+  /**
+   * Re-run a failed run from its failing action (or `fromNodeId`), reusing the
+   * earlier nodes' outcomes and outputs
+   * @param {Object} pipeline - Pipeline document
+   * @param {Object} run - PipelineRun to resume
+   * @param {string} fromNodeId - Node to resume from, defaults to the failed action
+   * @returns {Object} The new PipelineRun
+   */
+  async rerunFromFailure(pipeline, run, fromNodeId = null) {
+    const startNodeId = fromNodeId || run.getFailedNode()?.nodeId;
+    if (!startNodeId) {
+      throw new PipelineRunError('Run has no failed node to resume from');
+    }
+    if (![...(pipeline.conditions || []), ...pipeline.actions].some(node => node.id === startNodeId)) {
+      throw new PipelineRunError(`Node ${startNodeId} is not a condition or action of this pipeline`);
+    }
+
+    return await runPipeline(pipeline, { trigger: 'rerun', rerunOf: run, fromNodeId: startNodeId });
+  },
+
+  /**
+   * Resume a run at an action whose approval request was confirmed. Call within
+   * the approval's context (see approvalService.confirm) so the action passes.
+   * @returns {Object} The new PipelineRun
+   */
+  async resumeApprovedAction(pipeline, run, nodeId) {
+    if (!pipeline.actions.some(action => action.id === nodeId)) {
+      throw new PipelineRunError(`Action ${nodeId} is no longer part of this pipeline`);
+    }
+
+    return await runPipeline(pipeline, { trigger: 'approval', rerunOf: run, fromNodeId: nodeId });
+  },
+
   async startAgenda() {
     await agenda.start();
     console.log('Pipeline execution service started');
@@ -596,4 +1320,5 @@ const pipelineExecutionService = {
   }
 };
 
-module.exports = pipelineExecutionService;
\ No newline at end of file
+module.exports = pipelineExecutionService;
+module.exports.PipelineRunError = PipelineRunError;
\ No newline at end of file
@@ -0,0 +1,479 @@
+/**
+ * Pipeline Simulation Service
+ * Dry-runs a pipeline against a mocked agent and backtests it by replaying
+ * historical OHLCV candles, so users can see what an automation would do
+ * before activating it. Nothing is signed or broadcast.
+ */
+
+const parser = require('cron-parser');
+const Wallet = require('../models/Wallet');
+const MCPMarketDataService = require('./mcpMarketDataService');
+const priceHistoryService = require('./priceHistoryService');
+const pipelineExecutionService = require('./pipelineExecutionService');
+const { getPipelineSchedule } = require('../utils/pipelineSchedule');
+const { findTokenPool } = require('../utils/marketData');
+
+const STABLECOINS = ['USDC', 'USDT', 'DAI'];
+
+// Token assumed for transfers/stakes that don't name one
+const NATIVE_TOKEN = 'SEI';
+
+// Swap fee applied to simulated swaps (typical DEX pool fee)
+const DEFAULT_SWAP_FEE = 0.003;
+
+// Events that need live market analysis which can't be rebuilt from candles
+const UNSUPPORTED_BACKTEST_EVENTS = ['market_condition'];
+
+const INTERVAL_UNIT_MS = {
+  minutes: 60 * 1000,
+  hours: 60 * 60 * 1000,
+  days: 24 * 60 * 60 * 1000,
+  weeks: 7 * 24 * 60 * 60 * 1000
+};
+
+const CANDLE_UNIT_MS = {
+  minute: INTERVAL_UNIT_MS.minutes,
+  hour: INTERVAL_UNIT_MS.hours,
+  day: INTERVAL_UNIT_MS.days
+};
+
+// A dry-run or backtest that can't be run as asked; status is the HTTP status to answer with
+class PipelineSimulationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PipelineSimulationError';
+    this.status = status;
+  }
+}
+
+/**
+ * In-memory stand-in for SimpleAgent. Implements the methods the pipeline
+ * executor calls and records every trade instead of sending transactions.
+ */
+class SimulatedAgent {
+  constructor({ balances = {}, prices = {}, priceProvider = null, swapFee = DEFAULT_SWAP_FEE } = {}) {
+    this.balances = {};
+    Object.entries(balances).forEach(([token, amount]) => {
+      this.balances[token.toUpperCase()] = parseFloat(amount) || 0;
+    });
+    this.prices = {};
+    Object.entries(prices).forEach(([token, price]) => this.setPrice(token, price));
+    this.priceProvider = priceProvider;
+    this.swapFee = swapFee;
+    this.staked = {};
+    this.liquidity = [];
+    this.trades = [];
+    this.now = new Date();
+  }
+
+  symbol(token) {
+    return (token || NATIVE_TOKEN).toUpperCase();
+  }
+
+  setPrice(token, price) {
+    this.prices[this.symbol(token)] = parseFloat(price);
+  }
+
+  async getTokenPrice(token) {
+    const symbol = this.symbol(token);
+    if (STABLECOINS.includes(symbol)) return 1;
+    if (Number.isFinite(this.prices[symbol])) return this.prices[symbol];
+
+    const price = this.priceProvider ? await this.priceProvider(symbol) : null;
+    if (!Number.isFinite(price)) {
+      throw new Error(`No price available for ${symbol}`);
+    }
+    this.prices[symbol] = price;
+    return price;
+  }
+
+  async getBalance(token) {
+    return this.balances[this.symbol(token)] || 0;
+  }
+
+  // Amount that can be debited, checked against the balance without debiting it
+  available(token, amount) {
+    const symbol = this.symbol(token);
+    const value = parseFloat(amount);
+    if (!Number.isFinite(value) || value <= 0) {
+      throw new Error(`Invalid amount: ${amount}`);
+    }
+    const balance = this.balances[symbol] || 0;
+    if (balance < value) {
+      throw new Error(`Insufficient ${symbol} balance: ${balance} < ${value}`);
+    }
+    return value;
+  }
+
+  debit(token, amount) {
+    const value = this.available(token, amount);
+    this.balances[this.symbol(token)] -= value;
+    return value;
+  }
+
+  credit(token, amount) {
+    const symbol = this.symbol(token);
+    this.balances[symbol] = (this.balances[symbol] || 0) + amount;
+  }
+
+  record(trade) {
+    const entry = { timestamp: this.now, ...trade };
+    this.trades.push(entry);
+    return { simulated: true, ...entry };
+  }
+
+  async transfer({ token, amount, recipient }) {
+    const value = this.debit(token, amount);
+    return this.record({ type: 'transfer', token: this.symbol(token), amount: value, recipient });
+  }
+
+  async swap({ fromToken, toToken, amount }) {
+    const fromPrice = await this.getTokenPrice(fromToken);
+    const toPrice = await this.getTokenPrice(toToken);
+    const value = this.debit(fromToken, amount);
+    const amountOut = (value * fromPrice / toPrice) * (1 - this.swapFee);
+    this.credit(toToken, amountOut);
+
+    return this.record({
+      type: 'swap',
+      fromToken: this.symbol(fromToken),
+      toToken: this.symbol(toToken),
+      amountIn: value,
+      amountOut,
+      price: fromPrice / toPrice,
+      valueUsd: value * fromPrice
+    });
+  }
+
+  async stake({ token, amount, validator }) {
+    const symbol = this.symbol(token);
+    const value = this.debit(symbol, amount);
+    this.staked[symbol] = (this.staked[symbol] || 0) + value;
+    return this.record({ type: 'stake', token: symbol, amount: value, validator });
+  }
+
+  async unstake({ token, amount, validator }) {
+    const symbol = this.symbol(token);
+    const staked = this.staked[symbol] || 0;
+    const value = ['all', 'max'].includes(String(amount).toLowerCase()) ? staked : parseFloat(amount);
+    if (!(value > 0) || value > staked) {
+      throw new Error(`Insufficient staked ${symbol}: ${staked}`);
+    }
+    this.staked[symbol] = staked - value;
+    this.credit(symbol, value);
+    return this.record({ type: 'unstake', token: symbol, amount: value, validator });
+  }
+
+  async addLiquidity({ tokenA, tokenB, amountA, amountB, pool }) {
+    const a = this.symbol(tokenA);
+    const b = this.symbol(tokenB);
+    const valueB = amountB !== undefined
+      ? parseFloat(amountB)
+      : parseFloat(amountA) * (await this.getTokenPrice(a)) / (await this.getTokenPrice(b));
+
+    // Both sides are checked first, so a short second token leaves the first untouched
+    this.available(a, amountA);
+    this.available(b, valueB);
+    const valueA = this.debit(a, amountA);
+    this.debit(b, valueB);
+    const position = { pool: pool || `${a}/${b}`, tokenA: a, tokenB: b, amountA: valueA, amountB: valueB };
+    this.liquidity.push(position);
+    return this.record({ type: 'add_liquidity', ...position });
+  }
+
+  async removeLiquidity({ pool, percentage }) {
+    const positions = this.liquidity.filter(position => position.pool === pool);
+    if (positions.length === 0) {
+      throw new Error(`No simulated liquidity in pool ${pool}`);
+    }
+
+    const share = Math.min(parseFloat(percentage), 100) / 100;
+    positions.forEach(position => {
+      this.credit(position.tokenA, position.amountA * share);
+      this.credit(position.tokenB, position.amountB * share);
+      position.amountA *= 1 - share;
+      position.amountB *= 1 - share;
+    });
+    return this.record({ type: 'remove_liquidity', pool, percentage: share * 100 });
+  }
+
+  /**
+   * USD value of balances, staked tokens and liquidity positions.
+   * Tokens without a known price are left out.
+   */
+  async getPortfolioValue() {
+    const holdings = { ...this.balances };
+    const add = (token, amount) => { holdings[token] = (holdings[token] || 0) + amount; };
+    Object.entries(this.staked).forEach(([token, amount]) => add(token, amount));
+    this.liquidity.forEach(position => {
+      add(position.tokenA, position.amountA);
+      add(position.tokenB, position.amountB);
+    });
+
+    let total = 0;
+    for (const [token, amount] of Object.entries(holdings)) {
+      if (!amount) continue;
+      try {
+        total += amount * (await this.getTokenPrice(token));
+      } catch (error) {
+        // Unpriced token, leave it out
+      }
+    }
+    return total;
+  }
+
+  snapshot() {
+    return {
+      balances: { ...this.balances },
+      staked: { ...this.staked },
+      liquidity: this.liquidity.map(position => ({ ...position }))
+    };
+  }
+}
+
+class PipelineSimulationService {
+  /**
+   * Token balances of a user's active wallets, keyed by symbol
+   * @param {string} userId - Pipeline owner
+   * @returns {Object} e.g. { SEI: 12.5, USDC: 300 }
+   */
+  async getUserBalances(userId) {
+    const wallets = await Wallet.find({ userId, isActive: true });
+    const balances = {};
+    const add = (symbol, amount) => {
+      if (!symbol || !amount) return;
+      balances[symbol.toUpperCase()] = (balances[symbol.toUpperCase()] || 0) + amount;
+    };
+
+    wallets.forEach(wallet => {
+      add(NATIVE_TOKEN, wallet.balance?.native || 0);
+      (wallet.balance?.tokens || []).forEach(token => add(token.symbol, token.amount));
+    });
+    return balances;
+  }
+
+  /**
+   * Evaluate a pipeline once against current prices with a mocked agent
+   * @param {Object} pipeline - Pipeline document
+   * @param {Object} options - { balances, prices } - override the user's wallet balances / token prices
+   * @returns {Object} { events, results, trades, balancesBefore, balancesAfter }
+   */
+  async dryRun(pipeline, { balances, prices = {} } = {}) {
+    const agent = new SimulatedAgent({
+      balances: balances || await this.getUserBalances(pipeline.userId),
+      prices,
+      priceProvider: async token => {
+        const latest = await priceHistoryService.getLatestPrice(token);
+        return latest ? latest.priceUsd : null;
+      }
+    });
+    const balancesBefore = agent.snapshot();
+    const events = [];
+
+    const context = pipelineExecutionService.createExecutionContext({
+      simulated: true,
+      getPortfolioValue: () => agent.getPortfolioValue(),
+      onEventEvaluated: (event, fired) => events.push({ eventId: event.id, name: event.name, type: event.type, fired })
+    });
+
+    const results = await pipelineExecutionService.executePipelineLogic(agent, pipeline, context);
+
+    return {
+      events,
+      results,
+      trades: agent.trades,
+      balancesBefore,
+      balancesAfter: agent.snapshot()
+    };
+  }
+
+  /**
+   * Replay historical candles through a pipeline and report what it would have done
+   * @param {Object} pipeline - Pipeline document
+   * @param {Object} options - { token, poolAddress, network, timeframe, aggregate, limit, balances }
+   * @returns {Object} { token, poolAddress, candles, firedTriggers, trades, errors, skippedEvents, pnl, finalBalances }
+   */
+  async backtest(pipeline, options = {}) {
+    const {
+      network = 'duckchain',
+      timeframe = 'hour',
+      aggregate = 1,
+      limit = 500,
+      balances = { USDC: 1000 }
+    } = options;
+
+    const token = (options.token || this.getPrimaryToken(pipeline) || '').toUpperCase();
+    if (!token) {
+      throw new PipelineSimulationError('Backtest needs a token: none found in the pipeline, pass one explicitly');
+    }
+
+    const poolAddress = options.poolAddress || await findTokenPool(token, network);
+    if (!poolAddress) {
+      throw new PipelineSimulationError(`No pool found for ${token} on ${network}`);
+    }
+
+    const mcpService = new MCPMarketDataService();
+    let series;
+    try {
+      await mcpService.initialize();
+      series = await mcpService.getOHLCVSeries(poolAddress, {
+        timeframe,
+        aggregate,
+        limit,
+        networkId: network
+      });
+    } finally {
+      await mcpService.disconnect();
+    }
+
+    const candles = series.candles || [];
+    if (candles.length < 2) {
+      throw new PipelineSimulationError(`Not enough price history for ${token} (${candles.length} candles)`);
+    }
+
+    const candleMs = (CANDLE_UNIT_MS[timeframe] || INTERVAL_UNIT_MS.hours) * (parseInt(aggregate) || 1);
+    const closes = candles.map(candle => candle.close);
+    const schedule = getPipelineSchedule(pipeline);
+
+    const agent = new SimulatedAgent({ balances });
+    agent.setPrice(token, closes[0]);
+    const initialValue = await agent.getPortfolioValue();
+
+    const skippedEvents = pipeline.events
+      .filter(event => UNSUPPORTED_BACKTEST_EVENTS.includes(event.type))
+      .map(event => ({ eventId: event.id, type: event.type, reason: 'Not reproducible from historical candles' }));
+    const skippedIds = skippedEvents.map(event => event.eventId);
+    const replayed = {
+      events: pipeline.events.filter(event => !skippedIds.includes(event.id)),
+      conditions: pipeline.conditions || [],
+      actions: pipeline.actions,
+      connections: pipeline.connections
+    };
+
+    const firedTriggers = [];
+    const errors = [];
+
+    for (let i = 0; i < candles.length; i++) {
+      const time = new Date(candles[i].timestamp * 1000);
+      agent.now = time;
+      agent.setPrice(token, closes[i]);
+
+      const context = pipelineExecutionService.createExecutionContext({
+        simulated: true,
+        priceHistory: this.createSeriesHistory(token, candles, i),
+        getCloses: async config => {
+          if (config.token && config.token.toUpperCase() !== token) {
+            throw new PipelineSimulationError(`Backtest only has candles for ${token}`);
+          }
+          return closes.slice(0, i + 1);
+        },
+        getPortfolioValue: () => agent.getPortfolioValue(),
+        getMarketConditions: async () => {
+          throw new PipelineSimulationError('market_condition checks cannot be backtested');
+        },
+        isScheduledRun: () => this.isScheduledBetween(schedule, new Date(time.getTime() - candleMs), time, i === 0),
+        onEventEvaluated: (event, fired) => {
+          if (fired) {
+            firedTriggers.push({ timestamp: time, eventId: event.id, name: event.name, type: event.type, price: closes[i] });
+          }
+        }
+      });
+
+      const results = await pipelineExecutionService.executePipelineLogic(agent, replayed, context);
+      results
+        .filter(result => result.status === 'error')
+        .forEach(result => errors.push({ timestamp: time, actionId: result.actionId, error: result.error }));
+    }
+
+    const finalValue = await agent.getPortfolioValue();
+    const holdAgent = new SimulatedAgent({ balances, prices: { [token]: closes[closes.length - 1] } });
+    const holdValue = await holdAgent.getPortfolioValue();
+
+    return {
+      token,
+      poolAddress,
+      network,
+      candles: {
+        count: candles.length,
+        timeframe,
+        aggregate,
+        from: new Date(candles[0].timestamp * 1000),
+        to: new Date(candles[candles.length - 1].timestamp * 1000),
+        startPrice: closes[0],
+        endPrice: closes[closes.length - 1]
+      },
+      firedTriggers,
+      trades: agent.trades,
+      errors,
+      skippedEvents,
+      pnl: {
+        initialValue,
+        finalValue,
+        absolute: finalValue - initialValue,
+        percent: initialValue > 0 ? ((finalValue - initialValue) / initialValue) * 100 : 0,
+        // Value of the starting balances held untouched, for comparison
+        holdValue
+      },
+      finalBalances: agent.snapshot()
+    };
+  }
+
+  // First non-stable token referenced by an event or action
+  getPrimaryToken(pipeline) {
+    const candidates = [...pipeline.events, ...pipeline.actions].flatMap(node => {
+      const config = node.config || {};
+      return [config.token, config.asset, config.to_token, config.from_token, config.token_a];
+    });
+    return candidates.find(token => token && !STABLECOINS.includes(token.toUpperCase()));
+  }
+
+  // Price history backed by the candles up to index `current`
+  createSeriesHistory(token, candles, current) {
+    return {
+      recordPrice: async () => null,
+      getPriceChange: async (symbol, timeframe, { currentPrice } = {}) => {
+        if (symbol.toUpperCase() !== token) return null;
+
+        const target = candles[current].timestamp * 1000 - priceHistoryService.parseTimeframe(timeframe);
+        let previous = null;
+        for (let i = current; i >= 0 && !previous; i--) {
+          if (candles[i].timestamp * 1000 <= target) previous = candles[i];
+        }
+        if (!previous) return null;
+
+        const price = Number.isFinite(parseFloat(currentPrice)) ? parseFloat(currentPrice) : candles[current].close;
+        return {
+          token,
+          timeframe,
+          currentPrice: price,
+          previousPrice: previous.close,
+          changePercent: ((price - previous.close) / previous.close) * 100,
+          previousAt: new Date(previous.timestamp * 1000)
+        };
+      }
+    };
+  }
+
+  /**
+   * Whether the pipeline's schedule has an occurrence in (from, to]
+   * @param {Object} schedule - From getPipelineSchedule
+   * @param {Date} from - Previous candle time
+   * @param {Date} to - Current candle time
+   * @param {boolean} isFirst - Interval schedules run immediately, like the Agenda job
+   */
+  isScheduledBetween(schedule, from, to, isFirst) {
+    if (schedule.kind === 'cron') {
+      const next = parser.parseExpression(schedule.expression, { currentDate: from, tz: schedule.timezone }).next();
+      return next.getTime() <= to.getTime();
+    }
+
+    if (isFirst) return true;
+    const [count, unit] = schedule.expression.split(' ');
+    const intervalMs = parseInt(count) * INTERVAL_UNIT_MS[unit];
+    return Math.floor(to.getTime() / intervalMs) > Math.floor(from.getTime() / intervalMs);
+  }
+}
+
+module.exports = new PipelineSimulationService();
+module.exports.SimulatedAgent = SimulatedAgent;
+module.exports.PipelineSimulationError = PipelineSimulationError;
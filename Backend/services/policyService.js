@@ -0,0 +1,530 @@
+/**
+ * Policy Service
+ * Spending policies checked before any swap, transfer, stake or liquidity deposit
+ * is signed: per-transaction, daily and weekly USD caps, per-token caps, token and
+ * recipient allowlists, max slippage and quiet hours. Rules come from the user-wide
+ * policy, the agent's own policy and the capabilities of the agent's executor
+ * agents; all of them apply.
+ *
+ * Violations are returned as structured reasons ({ code, field, message, ... })
+ * so clients can point at the argument to change, like a missing-argument request.
+ * Transactions within the rules may still need the user's confirmation (approval
+ * threshold, new recipients); enforce hands those to approvalService.
+ *
+ * Allowed transactions reserve their value against the daily and weekly caps before
+ * they are signed, so concurrent transactions can't each see room under the same cap.
+ */
+
+const mongoose = require('mongoose');
+const Agent = require('../models/Agent');
+const ExecutorAgent = require('../models/ExecutorAgent');
+const SpendingPolicy = require('../models/SpendingPolicy');
+const SpendRecord = require('../models/SpendRecord');
+const ContactsService = require('./contactsService');
+const apiKeyService = require('./apiKeyService');
+const approvalService = require('./approvalService');
+const auditService = require('./auditService');
+const actionLedgerService = require('./actionLedgerService');
+const { getTokenPriceUsd, USD_STABLECOINS } = require('../utils/marketData');
+const { extractTxHash } = require('../utils/actionResults');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Actions that bring funds back to the wallet: held to the allowlists, quiet hours
+// and approval rules, but not counted against the caps
+const WITHDRAWAL_ACTIONS = ['unstake', 'remove_liquidity'];
+
+// Amounts like 'all' (unstake everything) have no quantity to check
+const toQuantity = (amount) => {
+  const quantity = parseFloat(amount);
+  return Number.isFinite(quantity) ? quantity : null;
+};
+
+// Executor agents cap slippage by their risk level
+const RISK_LEVEL_MAX_SLIPPAGE = {
+  conservative: 1,
+  moderate: 5,
+  aggressive: 15
+};
+
+class PolicyViolationError extends Error {
+  constructor(violations) {
+    super(`Blocked by spending policy: ${violations.map(violation => violation.message).join('; ')}`);
+    this.name = 'PolicyViolationError';
+    this.status = 403;
+    this.violations = violations;
+  }
+}
+
+const formatUsd = (value) => `$${Number(value).toFixed(2)}`;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Minutes since local midnight in a timezone
+const minutesOfDay = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-GB', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).formatToParts(date);
+  const part = type => parseInt(parts.find(item => item.type === type).value);
+  return part('hour') * 60 + part('minute');
+};
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+// A violation of one rule, labelled with where the rule comes from
+const ruleViolation = (rule, violation) => ({ scope: rule.scope, ...violation, message: `${violation.message} (${rule.label})` });
+
+// Over a windowed cap; used is what was spent in the window before this transaction
+const windowViolation = ({ rule, code, name, limit }, valueUsd, used) => ruleViolation(rule, {
+  code,
+  field: 'amount',
+  message: `~${formatUsd(valueUsd)} would exceed the ${formatUsd(limit)} ${name} limit (${formatUsd(used)} used)`,
+  limit,
+  actual: used + valueUsd,
+  remaining: Math.max(0, limit - used)
+});
+
+// Inputs a client can offer for violations on each transaction argument
+const FIELD_COMPONENTS = {
+  amount: { type: 'amount', label: 'Amount' },
+  recipient: { type: 'address', label: 'Recipient Address' },
+  token: { type: 'text', label: 'Token' },
+  toToken: { type: 'text', label: 'Token to receive' },
+  slippage: { type: 'number', label: 'Slippage (%)' }
+};
+
+class PolicyService {
+  constructor() {
+    this.contactsService = null;
+  }
+
+  getContactsService() {
+    if (!this.contactsService) {
+      this.contactsService = new ContactsService();
+    }
+    return this.contactsService;
+  }
+
+  /**
+   * Rule sets that apply to a transaction by this user/agent
+   * @returns {Array<Object>} Normalized rules, each with a scope and a label for messages
+   */
+  async loadRules(userId, agentId) {
+    const [policies, executors] = await Promise.all([
+      SpendingPolicy.find({ userId, agentId: { $in: agentId ? [null, agentId] : [null] }, enabled: true }).lean(),
+      agentId
+        ? ExecutorAgent.find({ parentAgentId: agentId, status: { $ne: 'stopped' } }).select('name capabilities').lean()
+        : []
+    ]);
+
+    const rules = policies.map(policy => ({
+      ...policy,
+      scope: policy.agentId ? 'agent' : 'user',
+      label: policy.agentId ? 'agent policy' : 'account policy'
+    }));
+
+    executors.forEach(executor => {
+      const capabilities = executor.capabilities || {};
+      rules.push({
+        scope: 'executor',
+        label: `executor agent "${executor.name}"`,
+        tradingDisabled: capabilities.canExecuteTrades === false,
+        maxTransactionUsd: capabilities.maxTransactionAmount,
+        allowedTokens: capabilities.allowedTokens || [],
+        maxSlippagePercent: RISK_LEVEL_MAX_SLIPPAGE[capabilities.riskLevel]
+      });
+    });
+
+    return rules;
+  }
+
+  /**
+   * USD spent since a point in time, from recorded swaps and transfers
+   * @param {Object} filter - { userId } or { agentId }, optionally { token }
+   */
+  async spentUsdSince(filter, since) {
+    const match = { createdAt: { $gte: since } };
+    if (filter.userId) match.userId = toObjectId(filter.userId);
+    if (filter.agentId) match.agentId = toObjectId(filter.agentId);
+    if (filter.token) match.token = filter.token;
+
+    const [totals] = await SpendRecord.aggregate([
+      { $match: match },
+      { $group: { _id: null, total: { $sum: '$valueUsd' } } }
+    ]);
+    return totals ? totals.total : 0;
+  }
+
+  /**
+   * Check a transaction against the spending policies, without recording it
+   * @param {Object} transaction - { agentId, userId, action, token, toToken, amount, network,
+   *   recipient, slippage (percent), at }; userId is read from the agent when given
+   *   - action is 'swap', 'transfer', 'stake', 'add_liquidity' (token/amount are the first
+   *     side, toToken the second) or one of WITHDRAWAL_ACTIONS
+   * @returns {Object} { allowed, violations, approvalReasons, valueUsd, userId, agentId, windows }
+   *   - windows are the windowed caps that apply, for reserveSpend
+   */
+  async evaluate({ agentId = null, userId = null, action, token, toToken = null, amount, network = 'duckchain', recipient = null, slippage = null, at = new Date() }) {
+    if (agentId && mongoose.Types.ObjectId.isValid(String(agentId))) {
+      const agent = await Agent.findById(agentId).select('userId').lean();
+      userId = agent ? agent.userId : userId;
+    }
+
+    const symbol = String(token || '').toUpperCase();
+    const quantity = toQuantity(amount);
+    const spends = !WITHDRAWAL_ACTIONS.includes(action);
+    const result = { allowed: true, violations: [], approvalReasons: [], valueUsd: null, userId, agentId, windows: [] };
+    if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) {
+      return result;
+    }
+
+    const rules = await this.loadRules(userId, agentId);
+    if (rules.length === 0) {
+      return result;
+    }
+
+    const violations = result.violations;
+    const violate = (rule, violation) => violations.push(ruleViolation(rule, violation));
+    const requireApproval = (code, message) => {
+      if (!result.approvalReasons.some(reason => reason.code === code)) {
+        result.approvalReasons.push({ code, message });
+      }
+    };
+
+    // USD value, only looked up when a rule needs it
+    const limitsNeedUsd = spends && rules.some(rule => rule.maxTransactionUsd != null || rule.dailyLimitUsd != null || rule.weeklyLimitUsd != null ||
+      (rule.tokenLimits || []).some(limit => limit.token === symbol && limit.dailyLimitUsd != null));
+    if (limitsNeedUsd || rules.some(rule => rule.approvalThresholdUsd != null)) {
+      const price = quantity === null ? null : await getTokenPriceUsd(symbol, network);
+      result.valueUsd = price === null ? null : quantity * price;
+      if (result.valueUsd === null && limitsNeedUsd) {
+        violations.push({
+          code: 'PRICE_UNAVAILABLE',
+          scope: null,
+          field: 'token',
+          message: `No USD price for ${symbol}, so USD spending limits can't be checked`
+        });
+      }
+    }
+
+    const spent = {};
+    const spentSince = async (filter, windowMs) => {
+      const key = JSON.stringify({ filter, windowMs });
+      if (spent[key] === undefined) {
+        spent[key] = await this.spentUsdSince(filter, new Date(at.getTime() - windowMs));
+      }
+      return spent[key];
+    };
+
+    for (const rule of rules) {
+      const owner = rule.scope === 'user' ? { userId } : { agentId };
+
+      if (rule.tradingDisabled) {
+        violate(rule, { code: 'TRADING_DISABLED', field: null, message: 'Trading is disabled' });
+      }
+
+      // USD stablecoins are the settlement currency and always allowed
+      const allowedTokens = (rule.allowedTokens || []).map(item => item.toUpperCase());
+      if (allowedTokens.length > 0) {
+        [['token', symbol], ['toToken', toToken && String(toToken).toUpperCase()]].forEach(([field, value]) => {
+          if (value && !allowedTokens.includes(value) && !USD_STABLECOINS.includes(value)) {
+            violate(rule, { code: 'TOKEN_NOT_ALLOWED', field, message: `${value} is not an allowed token`, limit: allowedTokens, actual: value });
+          }
+        });
+      }
+
+      const tokenLimit = (rule.tokenLimits || []).find(limit => limit.token === symbol);
+      if (spends && tokenLimit && tokenLimit.maxAmount != null && quantity > tokenLimit.maxAmount) {
+        violate(rule, { code: 'TOKEN_LIMIT_EXCEEDED', field: 'amount', message: `${quantity} ${symbol} is over the ${tokenLimit.maxAmount} ${symbol} per-transaction cap`, limit: tokenLimit.maxAmount, actual: quantity });
+      }
+
+      if (spends && result.valueUsd !== null) {
+        if (rule.maxTransactionUsd != null && result.valueUsd > rule.maxTransactionUsd) {
+          violate(rule, { code: 'TRANSACTION_LIMIT_EXCEEDED', field: 'amount', message: `~${formatUsd(result.valueUsd)} is over the ${formatUsd(rule.maxTransactionUsd)} per-transaction limit`, limit: rule.maxTransactionUsd, actual: result.valueUsd });
+        }
+
+        const windows = [
+          ['DAILY_LIMIT_EXCEEDED', 'daily', rule.dailyLimitUsd, DAY_MS, owner],
+          ['WEEKLY_LIMIT_EXCEEDED', 'weekly', rule.weeklyLimitUsd, 7 * DAY_MS, owner],
+          ['TOKEN_DAILY_LIMIT_EXCEEDED', `${symbol} daily`, tokenLimit && tokenLimit.dailyLimitUsd, DAY_MS, { ...owner, token: symbol }]
+        ];
+        for (const [code, name, limit, windowMs, filter] of windows) {
+          if (limit == null) continue;
+          const window = { rule, code, name, limit, windowMs, filter };
+          result.windows.push(window);
+          const used = await spentSince(filter, windowMs);
+          if (used + result.valueUsd > limit) {
+            violations.push(windowViolation(window, result.valueUsd, used));
+          }
+        }
+      }
+
+      const allowedRecipients = rule.allowedRecipients || [];
+      if (action === 'transfer' && recipient && (rule.contactsOnly || allowedRecipients.length > 0)) {
+        const address = String(recipient).toLowerCase();
+        const allowed = allowedRecipients.includes(address) ||
+          (rule.contactsOnly && await this.getContactsService().isContactAddress(userId, recipient));
+        if (!allowed) {
+          violate(rule, { code: 'RECIPIENT_NOT_ALLOWED', field: 'recipient', message: `${recipient} is not ${rule.contactsOnly ? 'in your contacts' : 'an allowed recipient'}`, actual: recipient });
+        }
+      }
+
+      // An unpriced transaction can't be shown to be under the threshold
+      if (rule.approvalThresholdUsd != null && (result.valueUsd === null || result.valueUsd > rule.approvalThresholdUsd)) {
+        const threshold = `the ${formatUsd(rule.approvalThresholdUsd)} approval threshold`;
+        requireApproval('OVER_APPROVAL_THRESHOLD', result.valueUsd !== null
+          ? `~${formatUsd(result.valueUsd)} is over ${threshold}`
+          : quantity === null
+            ? `The amount of this ${action.replace('_', ' ')} isn't known up front to compare with ${threshold}`
+            : `No USD price for ${symbol} to compare with ${threshold}`);
+      }
+
+      if (action === 'transfer' && recipient && rule.approveNewRecipients &&
+        !(await this.getContactsService().isContactAddress(userId, recipient))) {
+        requireApproval('NEW_RECIPIENT', `${recipient} is not in your contacts yet`);
+      }
+
+      if (slippage != null && rule.maxSlippagePercent != null && parseFloat(slippage) > rule.maxSlippagePercent) {
+        violate(rule, { code: 'SLIPPAGE_TOO_HIGH', field: 'slippage', message: `${slippage}% slippage is over the ${rule.maxSlippagePercent}% maximum`, limit: rule.maxSlippagePercent, actual: parseFloat(slippage) });
+      }
+
+      const quietHours = rule.quietHours;
+      if (quietHours && quietHours.enabled) {
+        const now = minutesOfDay(at, quietHours.timezone || 'UTC');
+        const start = toMinutes(quietHours.start);
+        const end = toMinutes(quietHours.end);
+        const quiet = start < end ? (now >= start && now < end) : (start > end && (now >= start || now < end));
+        if (quiet) {
+          violate(rule, { code: 'QUIET_HOURS', field: null, message: `No transactions between ${quietHours.start} and ${quietHours.end} (${quietHours.timezone || 'UTC'})`, limit: { start: quietHours.start, end: quietHours.end, timezone: quietHours.timezone } });
+        }
+      }
+    }
+
+    result.allowed = violations.length === 0;
+    return result;
+  }
+
+  /**
+   * Evaluate a transaction about to be signed, and the API key's trade limit when
+   * the request was made with one, and reserve its spend. Call recordSpend once it
+   * has been sent, or releaseSpend if it fails before it goes out.
+   * @param {Object} transaction - As for evaluate, plus `operation` ({ type, params },
+   *   see approvalService) to run if the transaction is held for approval
+   * @returns {Object} Approval to pass to recordSpend or releaseSpend
+   * @throws {PolicyViolationError} 403 with the violations, also when a concurrent
+   *   transaction took the room left under a cap
+   * @throws {ApprovalRequiredError} 202 when the user has to confirm it first
+   */
+  async enforce(transaction) {
+    const evaluation = await this.evaluate(transaction);
+    const audit = (outcome, error = null) => auditService.record({
+      type: 'policy_check',
+      userId: evaluation.userId,
+      agentId: evaluation.agentId,
+      arguments: this.describeTransaction(transaction),
+      policy: {
+        allowed: evaluation.allowed,
+        violations: evaluation.violations,
+        approvalReasons: evaluation.approvalReasons,
+        valueUsd: evaluation.valueUsd
+      },
+      network: transaction.network || 'duckchain',
+      outcome,
+      error
+    });
+
+    if (!evaluation.allowed) {
+      await audit('blocked');
+      throw new PolicyViolationError(evaluation.violations);
+    }
+
+    let reservationId = null;
+    try {
+      await apiKeyService.assertTradeAllowed({
+        token: transaction.token,
+        amount: transaction.amount,
+        network: transaction.network,
+        valueUsd: evaluation.valueUsd,
+        spends: !WITHDRAWAL_ACTIONS.includes(transaction.action)
+      });
+
+      if (evaluation.approvalReasons.length > 0) {
+        await approvalService.requireApproval({
+          userId: evaluation.userId,
+          agentId: evaluation.agentId,
+          action: transaction.action,
+          transaction: { ...transaction, network: transaction.network || 'duckchain' },
+          reasons: evaluation.approvalReasons,
+          valueUsd: evaluation.valueUsd,
+          operation: transaction.operation || null
+        });
+      }
+
+      if (!WITHDRAWAL_ACTIONS.includes(transaction.action)) {
+        reservationId = await this.reserveSpend(evaluation, transaction);
+      }
+      // Past this point the transaction may reach the chain; the action ledger won't retry it
+      await actionLedgerService.markSigning();
+    } catch (error) {
+      await this.releaseSpend({ reservationId, action: transaction.action, amount: transaction.amount, token: transaction.token });
+      await audit(error instanceof approvalService.ApprovalRequiredError ? 'held' : 'blocked', error.message);
+      throw error;
+    }
+
+    await audit('allowed');
+
+    return {
+      userId: evaluation.userId,
+      agentId: evaluation.agentId,
+      action: transaction.action,
+      token: transaction.token ? String(transaction.token).toUpperCase() : null,
+      amount: toQuantity(transaction.amount),
+      network: transaction.network || 'duckchain',
+      valueUsd: evaluation.valueUsd,
+      reservationId
+    };
+  }
+
+  /**
+   * Hold a transaction's value under the windowed caps until it is sent or released.
+   * The reservation is written first and the windows counted with it included, so
+   * of two transactions racing for the room left under a cap at least one sees the
+   * other; the one that finds the cap exceeded drops its reservation.
+   * @param {Object} evaluation - From evaluate, allowed
+   * @returns {ObjectId|null} Reservation id, null when there is no user to count against
+   * @throws {PolicyViolationError} When the caps are exceeded with this reservation
+   */
+  async reserveSpend(evaluation, transaction) {
+    const { userId, agentId, valueUsd, windows } = evaluation;
+    if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) {
+      return null;
+    }
+
+    const reservation = await SpendRecord.create({
+      userId,
+      agentId: agentId && mongoose.Types.ObjectId.isValid(String(agentId)) ? agentId : null,
+      action: transaction.action,
+      token: String(transaction.token).toUpperCase(),
+      amount: parseFloat(transaction.amount),
+      network: transaction.network || 'duckchain',
+      valueUsd,
+      status: 'reserved',
+      createdAt: transaction.at || new Date()
+    });
+
+    const violations = [];
+    if (valueUsd !== null) {
+      for (const window of windows) {
+        const used = await this.spentUsdSince(window.filter, new Date(reservation.createdAt.getTime() - window.windowMs));
+        if (used > window.limit) {
+          violations.push(windowViolation(window, valueUsd, used - valueUsd));
+        }
+      }
+    }
+
+    if (violations.length > 0) {
+      await SpendRecord.deleteOne({ _id: reservation._id });
+      throw new PolicyViolationError(violations);
+    }
+    return reservation._id;
+  }
+
+  /**
+   * Drop the reservation of a transaction that was not sent. Does nothing once
+   * recordSpend has counted it, so it can be called from any failure path. Never throws.
+   * @param {Object} approval - Returned by enforce
+   */
+  async releaseSpend(approval) {
+    if (!approval || !approval.reservationId) return;
+
+    try {
+      await SpendRecord.deleteOne({ _id: approval.reservationId, status: 'reserved' });
+    } catch (error) {
+      console.error(`❌ Failed to release the ${approval.action} of ${approval.amount} ${approval.token}:`, error.message);
+    }
+  }
+
+  /**
+   * Count a sent transaction towards the caps, turning its reservation into a sent
+   * record. Never throws: the transaction is already out.
+   * @param {Object} approval - Returned by enforce
+   * @param {Object} result - Transaction result, for its hash
+   */
+  async recordSpend(approval, result = null) {
+    const transactionHash = typeof result === 'string' ? result : extractTxHash(result);
+    await actionLedgerService.recordBroadcast(transactionHash);
+
+    await auditService.record({
+      type: 'transaction',
+      userId: approval.userId,
+      agentId: approval.agentId,
+      arguments: this.describeTransaction(approval),
+      network: approval.network,
+      transactionHash,
+      outcome: 'submitted'
+    });
+
+    if (!approval.userId || WITHDRAWAL_ACTIONS.includes(approval.action)) return;
+
+    try {
+      const valueUsd = approval.valueUsd !== null
+        ? approval.valueUsd
+        : await getTokenPriceUsd(approval.token, approval.network).then(price => (price === null ? null : price * approval.amount));
+
+      const { reservationId, ...spend } = approval;
+      const record = { ...spend, valueUsd, transactionHash, status: 'sent' };
+      const reserved = reservationId && await SpendRecord.findOneAndUpdate({ _id: reservationId }, record);
+      if (!reserved) {
+        await SpendRecord.create(record);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to record ${approval.action} of ${approval.amount} ${approval.token}:`, error.message);
+    }
+  }
+
+  // Transaction arguments as written to the audit log
+  describeTransaction({ action, token, toToken = null, amount, recipient = null, slippage = null, valueUsd }) {
+    return { action, token, toToken, amount, recipient, slippage, valueUsd };
+  }
+
+  /**
+   * Interactive payload for violations, shaped like an argument request: one
+   * component per argument the user can change to get within the policy
+   * @param {Array<Object>} violations - From evaluate, or PolicyViolationError.violations
+   * @returns {Object} { type: 'policyViolation', message, violations, components, missingArgs }
+   */
+  toInteractive(violations) {
+    const fields = [...new Set(violations.map(violation => violation.field).filter(field => FIELD_COMPONENTS[field]))];
+
+    return {
+      type: 'policyViolation',
+      message: violations.map(violation => violation.message).join('\n'),
+      violations,
+      components: fields.map(field => ({
+        name: field,
+        ...FIELD_COMPONENTS[field],
+        placeholder: violations.find(violation => violation.field === field).message,
+        required: true
+      })),
+      missingArgs: fields
+    };
+  }
+
+  /**
+   * Spending in the current windows, for showing remaining allowance
+   * @returns {Object} { dailyUsd, weeklyUsd }
+   */
+  async getUsage({ userId, agentId = null }) {
+    const filter = agentId ? { agentId } : { userId };
+    const now = Date.now();
+    const [dailyUsd, weeklyUsd] = await Promise.all([
+      this.spentUsdSince(filter, new Date(now - DAY_MS)),
+      this.spentUsdSince(filter, new Date(now - 7 * DAY_MS))
+    ]);
+    return { dailyUsd, weeklyUsd };
+  }
+}
+
+module.exports = new PolicyService();
+module.exports.PolicyViolationError = PolicyViolationError;
@@ -1,6 +1,7 @@
 const Wallet = require('../models/Wallet');
 const Agent = require('../models/Agent');
 const Memory = require('../models/Memory');
+const priceHistoryService = require('./priceHistoryService');
 
 class PortfolioMonitoringService {
   /**
@@ -315,12 +316,12 @@ class PortfolioMonitoringService {
   static async checkTokenPerformance(wallet, agent) {
     const alerts = [];
     
-    // Simulated token performance checking
-    // In a real implementation, this would check actual token prices and compare with thresholds
-    
     for (const token of wallet.balance.tokens) {
-      // Simulate price movements for demonstration
-      const priceChange = (Math.random() - 0.5) * 20; // Random -10% to +10%
+      // 24h change from the stored price history
+      const change = await priceHistoryService.getPriceChange(token.symbol, '24h');
+      if (!change) continue;
+      
+      const priceChange = change.changePercent;
       
       if (priceChange > 15) {
         alerts.push({
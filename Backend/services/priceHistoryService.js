@@ -0,0 +1,220 @@
+/**
+ * Price History Service
+ * Stores price snapshots fed by the market data services and answers
+ * windowed lookups ("price 1h ago", "% change over 24h") for pipeline
+ * triggers, portfolio monitoring and strategy analysis.
+ */
+
+const mongoose = require('mongoose');
+const PriceSnapshot = require('../models/PriceSnapshot');
+
+const TIMEFRAME_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+class PriceHistoryService {
+  constructor() {
+    // Minimum gap between two stored snapshots of the same token/network
+    this.minSnapshotInterval = 60 * 1000;
+    this.lastRecorded = new Map();
+    this.collectorInterval = null;
+  }
+
+  /**
+   * Parse a timeframe like "15m", "1h", "24h", "7d" or "1w" into milliseconds
+   * @param {string|number} timeframe - Timeframe string, or minutes as a number
+   * @returns {number} Duration in milliseconds
+   */
+  parseTimeframe(timeframe) {
+    if (typeof timeframe === 'number') {
+      return timeframe * TIMEFRAME_UNITS.m;
+    }
+
+    const aliases = { minute: '1m', hour: '1h', day: '1d', week: '1w' };
+    const normalized = aliases[String(timeframe).trim().toLowerCase()] || String(timeframe).trim().toLowerCase();
+    const match = normalized.match(/^(\d+(?:\.\d+)?)\s*(m|min|mins|h|hr|hrs|d|w)$/);
+
+    if (!match) {
+      throw new Error(`Invalid timeframe: ${timeframe}`);
+    }
+
+    return parseFloat(match[1]) * TIMEFRAME_UNITS[match[2][0]];
+  }
+
+  /**
+   * Store a price snapshot. Never throws: recording must not break the caller.
+   * @param {Object} snapshot - { token, tokenAddress, network, priceUsd, source, timestamp }
+   * @returns {Object|null} Saved snapshot, or null when skipped
+   */
+  async recordPrice({ token, tokenAddress = null, network = null, priceUsd, source = 'unknown', timestamp = new Date() }) {
+    const price = parseFloat(priceUsd);
+    if (!token || !Number.isFinite(price) || price <= 0) {
+      return null;
+    }
+
+    // Skip silently when running without a database (scripts, tests)
+    if (mongoose.connection.readyState !== 1) {
+      return null;
+    }
+
+    const key = `${token.toUpperCase()}:${network || ''}`;
+    const last = this.lastRecorded.get(key);
+    if (last && timestamp.getTime() - last < this.minSnapshotInterval) {
+      return null;
+    }
+    this.lastRecorded.set(key, timestamp.getTime());
+
+    try {
+      return await PriceSnapshot.create({ token, tokenAddress, network, priceUsd: price, source, timestamp });
+    } catch (error) {
+      console.error(`❌ Failed to record price snapshot for ${token}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Store several snapshots at once
+   * @param {Array<Object>} snapshots - Snapshots as accepted by recordPrice
+   * @returns {number} Number of snapshots stored
+   */
+  async recordPrices(snapshots) {
+    const saved = await Promise.all(snapshots.map(snapshot => this.recordPrice(snapshot)));
+    return saved.filter(Boolean).length;
+  }
+
+  buildQuery(token, network) {
+    const query = { token: token.toUpperCase() };
+    if (network !== undefined && network !== null) {
+      query.network = network;
+    }
+    return query;
+  }
+
+  /**
+   * Latest stored snapshot for a token
+   * @param {string} token - Token symbol
+   * @param {Object} options - { network }
+   * @returns {Object|null} Snapshot
+   */
+  async getLatestPrice(token, { network } = {}) {
+    return await PriceSnapshot.findOne(this.buildQuery(token, network))
+      .sort({ timestamp: -1 })
+      .lean();
+  }
+
+  /**
+   * Snapshot closest to (at or before) a point in time
+   * @param {string} token - Token symbol
+   * @param {Date} at - Point in time
+   * @param {Object} options - { network, toleranceMs } - how stale the snapshot may be
+   * @returns {Object|null} Snapshot
+   */
+  async getPriceAt(token, at, { network, toleranceMs = 15 * 60 * 1000 } = {}) {
+    return await PriceSnapshot.findOne({
+      ...this.buildQuery(token, network),
+      timestamp: { $lte: at, $gte: new Date(at.getTime() - toleranceMs) }
+    })
+      .sort({ timestamp: -1 })
+      .lean();
+  }
+
+  /**
+   * Snapshot from a timeframe ago, e.g. getPriceAgo('SEI', '1h')
+   * @param {string} token - Token symbol
+   * @param {string|number} timeframe - Timeframe string or minutes
+   * @param {Object} options - { network, toleranceMs }
+   * @returns {Object|null} Snapshot
+   */
+  async getPriceAgo(token, timeframe, options = {}) {
+    const windowMs = this.parseTimeframe(timeframe);
+    return await this.getPriceAt(token, new Date(Date.now() - windowMs), {
+      // Allow a quarter of the window (min 5 minutes) of staleness by default
+      toleranceMs: Math.max(windowMs / 4, 5 * 60 * 1000),
+      ...options
+    });
+  }
+
+  /**
+   * Percent change of a token over a timeframe
+   * @param {string} token - Token symbol
+   * @param {string|number} timeframe - Timeframe string or minutes
+   * @param {Object} options - { network, currentPrice } - currentPrice overrides the latest snapshot
+   * @returns {Object|null} { token, timeframe, currentPrice, previousPrice, changePercent, previousAt } or null without enough history
+   */
+  async getPriceChange(token, timeframe, { network, currentPrice } = {}) {
+    const previous = await this.getPriceAgo(token, timeframe, { network });
+    if (!previous) {
+      return null;
+    }
+
+    let current = parseFloat(currentPrice);
+    if (!Number.isFinite(current)) {
+      const latest = await this.getLatestPrice(token, { network });
+      if (!latest) return null;
+      current = latest.priceUsd;
+    }
+
+    return {
+      token: token.toUpperCase(),
+      timeframe,
+      currentPrice: current,
+      previousPrice: previous.priceUsd,
+      changePercent: ((current - previous.priceUsd) / previous.priceUsd) * 100,
+      previousAt: previous.timestamp
+    };
+  }
+
+  /**
+   * Raw snapshot series for charting or strategy analysis
+   * @param {string} token - Token symbol
+   * @param {Object} options - { network, from, to, limit }
+   * @returns {Array} Snapshots, oldest first
+   */
+  async getHistory(token, { network, from, to = new Date(), limit = 500 } = {}) {
+    const timestamp = { $lte: to };
+    if (from) timestamp.$gte = from;
+
+    const snapshots = await PriceSnapshot.find({ ...this.buildQuery(token, network), timestamp })
+      .sort({ timestamp: -1 })
+      .limit(limit)
+      .lean();
+
+    return snapshots.reverse();
+  }
+
+  /**
+   * Periodically pull SEI market data so history exists even when nothing else asks for prices
+   * @param {Number} intervalMinutes - Collection interval in minutes
+   */
+  startCollector(intervalMinutes = 5) {
+    if (this.collectorInterval) {
+      return this.collectorInterval;
+    }
+
+    // Required lazily: seiMarketDataService records into this service
+    const seiMarketDataService = require('./seiMarketDataService');
+    console.log(`📈 STARTING PRICE HISTORY COLLECTOR (every ${intervalMinutes} minutes)`);
+
+    this.collectorInterval = setInterval(async () => {
+      try {
+        await seiMarketDataService.fetchAllSeiMarketData();
+      } catch (error) {
+        console.error('❌ Price history collection error:', error.message);
+      }
+    }, intervalMinutes * 60 * 1000);
+
+    return this.collectorInterval;
+  }
+
+  stopCollector() {
+    if (this.collectorInterval) {
+      clearInterval(this.collectorInterval);
+      this.collectorInterval = null;
+    }
+  }
+}
+
+module.exports = new PriceHistoryService();
@@ -1,5 +1,7 @@
 const { SimpleAgent, Utils } = require('@mariposa-plus/agent-sdk');
 const Agent = require('../models/Agent');
+const keyVault = require('../utils/keyVault');
+const policyService = require('./policyService');
 const { ethers } = require('ethers');
 
 class SeiAgentService {
@@ -56,7 +58,7 @@ class SeiAgentService {
           address: address
         },
         seiAddress: address,
-        seiPrivateKey: this.encryptPrivateKey(privateKey), // Should be encrypted in production
+        seiPrivateKey: await this.encryptPrivateKey(privateKey),
         isActive: true,
         lastInteraction: new Date(),
         createdAt: new Date()
@@ -104,8 +106,8 @@ class SeiAgentService {
         throw new Error('Agent does not have SEI credentials');
       }
 
-      // Decrypt private key (in production, use proper encryption)
-      const privateKey = this.decryptPrivateKey(agentDoc.seiPrivateKey);
+      // Decrypt private key
+      const privateKey = await this.decryptPrivateKey(agentDoc.seiPrivateKey);
 
       // Create agent configuration
       const agentConfig = {
@@ -143,6 +145,17 @@ class SeiAgentService {
    * @returns {Object} Swap result
    */
   async executeSwap(agentId, swapParams) {
+    const approval = await policyService.enforce({
+      agentId,
+      action: 'swap',
+      token: swapParams.fromToken,
+      toToken: swapParams.toToken,
+      amount: swapParams.amount,
+      slippage: swapParams.slippageTolerance !== undefined ? swapParams.slippageTolerance : 15,
+      network: 'sei-evm',
+      operation: { type: 'sei_swap', params: { agentId, swapParams } }
+    });
+
     try {
       const agent = await this.getAgentInstance(agentId);
       
@@ -201,6 +214,7 @@ class SeiAgentService {
       }
 
       console.log(`✅ Swap completed: ${result.txHash}`);
+      await policyService.recordSpend(approval, result);
 
       return {
         success: true,
@@ -214,6 +228,7 @@ class SeiAgentService {
 
     } catch (error) {
       console.error('❌ Swap execution failed:', error);
+      await policyService.releaseSpend(approval);
       throw new Error(`Swap failed: ${error.message}`);
     }
   }
@@ -225,6 +240,16 @@ class SeiAgentService {
    * @returns {Object} Transfer result
    */
   async executeTransfer(agentId, transferParams) {
+    const approval = await policyService.enforce({
+      agentId,
+      action: 'transfer',
+      token: transferParams.token,
+      amount: transferParams.amount,
+      recipient: transferParams.to,
+      network: 'sei-evm',
+      operation: { type: 'sei_transfer', params: { agentId, transferParams } }
+    });
+
     try {
       const agent = await this.getAgentInstance(agentId);
       
@@ -252,6 +277,7 @@ class SeiAgentService {
       }
 
       console.log(`✅ Transfer completed: ${result}`);
+      await policyService.recordSpend(approval, result);
 
       return {
         success: true,
@@ -263,6 +289,7 @@ class SeiAgentService {
 
     } catch (error) {
       console.error('❌ Transfer execution failed:', error);
+      await policyService.releaseSpend(approval);
       throw new Error(`Transfer failed: ${error.message}`);
     }
   }
@@ -364,16 +391,12 @@ class SeiAgentService {
     return require('uuid').v4();
   }
 
-  encryptPrivateKey(privateKey) {
-    // In production, use proper encryption
-    // For now, just return as-is (should be encrypted!)
-    return privateKey;
+  async encryptPrivateKey(privateKey) {
+    return await keyVault.encrypt(privateKey);
   }
 
-  decryptPrivateKey(encryptedKey) {
-    // In production, use proper decryption
-    // For now, just return as-is
-    return encryptedKey;
+  async decryptPrivateKey(encryptedKey) {
+    return await keyVault.decrypt(encryptedKey);
   }
 }
 
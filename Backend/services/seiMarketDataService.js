@@ -1,4 +1,5 @@
 const axios = require('axios');
+const priceHistoryService = require('./priceHistoryService');
 
 class SeiMarketDataService {
   constructor() {
@@ -356,6 +357,17 @@ class SeiMarketDataService {
         marketData.summary.totalPools += tokenData.metrics.totalPools;
       });
 
+      // Feed the price history store with live (non-fallback) prices
+      await priceHistoryService.recordPrices(tokenResults
+        .filter(tokenData => tokenData.metrics.totalPools > 0)
+        .map(tokenData => ({
+          token: tokenData.symbol,
+          tokenAddress: tokenData.address,
+          network: 'sei-evm',
+          priceUsd: tokenData.metrics.bestPool?.tokenPriceUsd || tokenData.metrics.avgPrice,
+          source: 'geckoterminal'
+        })));
+
       // Calculate summary metrics
       const tokenMetrics = Object.values(marketData.tokens);
       marketData.summary.avgVolume24h = tokenMetrics.reduce((sum, token) => 
@@ -1,6 +1,7 @@
 const { ethers } = require('ethers');
 const Agent = require('../models/Agent');
 const Wallet = require('../models/Wallet');
+const policyService = require('./policyService');
 
 class SeiSmartContractService {
   constructor() {
@@ -92,7 +93,7 @@ class SeiSmartContractService {
       }
 
       // Decrypt the private key
-      const decryptedPrivateKey = wallet.decryptPrivateKey();
+      const decryptedPrivateKey = await wallet.getPrivateKey();
       
       // Create wallet instance connected to SEI provider
       const walletSigner = new ethers.Wallet(decryptedPrivateKey, this.provider);
@@ -216,6 +217,8 @@ class SeiSmartContractService {
    * @returns {Object} Swap result
    */
   async swapSeiToToken(agentId, tokenOutSymbol, amountInSei, recipientAddress, slippageTolerance = 5) {
+    const approval = await policyService.enforce({ agentId, action: 'swap', token: 'SEI', toToken: tokenOutSymbol, amount: amountInSei, slippage: slippageTolerance, network: 'sei-evm' });
+
     try {
       console.log(`\n💱 SEI TO ${tokenOutSymbol} SWAP`);
       console.log('═'.repeat(50));
@@ -253,6 +256,7 @@ class SeiSmartContractService {
       );
 
       console.log(`📝 Swap transaction submitted: ${tx.hash}`);
+      await policyService.recordSpend(approval, tx);
       const receipt = await tx.wait();
 
       // Parse events from receipt
@@ -290,6 +294,7 @@ class SeiSmartContractService {
 
     } catch (error) {
       console.error(`❌ Error executing SEI to ${tokenOutSymbol} swap:`, error);
+      await policyService.releaseSpend(approval);
       throw new Error(`Swap failed: ${error.message}`);
     }
   }
@@ -305,6 +310,8 @@ class SeiSmartContractService {
    * @returns {Object} Swap result
    */
   async swapTokenToToken(agentId, tokenInSymbol, tokenOutSymbol, amountIn, recipientAddress, slippageTolerance = 5) {
+    const approval = await policyService.enforce({ agentId, action: 'swap', token: tokenInSymbol, toToken: tokenOutSymbol, amount: amountIn, slippage: slippageTolerance, network: 'sei-evm' });
+
     try {
       console.log(`\n💱 ${tokenInSymbol} TO ${tokenOutSymbol} SWAP`);
       console.log('═'.repeat(50));
@@ -356,6 +363,7 @@ class SeiSmartContractService {
       );
 
       console.log(`📝 Swap transaction submitted: ${tx.hash}`);
+      await policyService.recordSpend(approval, tx);
       const receipt = await tx.wait();
 
       // Parse events from receipt
@@ -393,6 +401,7 @@ class SeiSmartContractService {
 
     } catch (error) {
       console.error(`❌ Error executing ${tokenInSymbol} to ${tokenOutSymbol} swap:`, error);
+      await policyService.releaseSpend(approval);
       throw new Error(`Swap failed: ${error.message}`);
     }
   }
@@ -407,6 +416,8 @@ class SeiSmartContractService {
    * @returns {Object} Swap result
    */
   async swapTokenToSei(agentId, tokenInSymbol, amountIn, recipientAddress, slippageTolerance = 5) {
+    const approval = await policyService.enforce({ agentId, action: 'swap', token: tokenInSymbol, toToken: 'SEI', amount: amountIn, slippage: slippageTolerance, network: 'sei-evm' });
+
     try {
       console.log(`\n💱 ${tokenInSymbol} TO SEI SWAP`);
       console.log('═'.repeat(50));
@@ -454,6 +465,7 @@ class SeiSmartContractService {
       );
 
       console.log(`📝 Swap transaction submitted: ${tx.hash}`);
+      await policyService.recordSpend(approval, tx);
       const receipt = await tx.wait();
 
       // Parse events from receipt
@@ -491,6 +503,7 @@ class SeiSmartContractService {
 
     } catch (error) {
       console.error(`❌ Error executing ${tokenInSymbol} to SEI swap:`, error);
+      await policyService.releaseSpend(approval);
       throw new Error(`Swap failed: ${error.message}`);
     }
   }
@@ -505,6 +518,8 @@ class SeiSmartContractService {
    * @returns {Object} Transfer result
    */
   async transferTokenWithFee(agentId, tokenSymbol, fromAddress, toAddress, amount) {
+    const approval = await policyService.enforce({ agentId, action: 'transfer', token: tokenSymbol, amount, recipient: toAddress, network: 'sei-evm' });
+
     try {
       console.log(`\n💸 TOKEN TRANSFER WITH FEE`);
       console.log('═'.repeat(40));
@@ -538,6 +553,7 @@ class SeiSmartContractService {
       );
 
       console.log(`📝 Transfer transaction submitted: ${tx.hash}`);
+      await policyService.recordSpend(approval, tx);
       const receipt = await tx.wait();
 
       console.log(`✅ Transfer completed successfully`);
@@ -555,6 +571,7 @@ class SeiSmartContractService {
 
     } catch (error) {
       console.error(`❌ Error executing token transfer:`, error);
+      await policyService.releaseSpend(approval);
       throw new Error(`Transfer failed: ${error.message}`);
     }
   }
@@ -567,6 +584,8 @@ class SeiSmartContractService {
    * @returns {Object} Transfer result
    */
   async transferSeiWithFee(agentId, toAddress, amountInSei) {
+    const approval = await policyService.enforce({ agentId, action: 'transfer', token: 'SEI', amount: amountInSei, recipient: toAddress, network: 'sei-evm' });
+
     try {
       console.log(`\n💸 SEI TRANSFER WITH FEE`);
       console.log('═'.repeat(40));
@@ -587,6 +606,7 @@ class SeiSmartContractService {
       });
 
       console.log(`📝 Transfer transaction submitted: ${tx.hash}`);
+      await policyService.recordSpend(approval, tx);
       const receipt = await tx.wait();
 
       console.log(`✅ Transfer completed successfully`);
@@ -604,6 +624,7 @@ class SeiSmartContractService {
 
     } catch (error) {
       console.error(`❌ Error executing SEI transfer:`, error);
+      await policyService.releaseSpend(approval);
       throw new Error(`Transfer failed: ${error.message}`);
     }
   }
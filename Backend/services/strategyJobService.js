@@ -0,0 +1,395 @@
+/**
+ * Strategy Job Service
+ * Runs the 3-layer strategy generation of strategyProcessingService as Agenda
+ * jobs. Progress, each layer's output and the result are stored on a
+ * StrategyJob, so any instance can answer progress polls and a restart doesn't
+ * lose them. Failed jobs can be retried from the layer that failed; queued and
+ * running jobs can be cancelled, which takes effect at the next layer boundary.
+ * Every change is also pushed to the owner's event stream (topic `strategy`).
+ */
+
+const crypto = require('crypto');
+const Agenda = require('agenda');
+const StrategyJob = require('../models/StrategyJob');
+const { STRATEGY_LAYERS } = StrategyJob;
+const strategyProcessingService = require('./strategyProcessingService');
+const eventStreamService = require('./eventStreamService');
+const { toStorable } = require('../utils/actionResults');
+
+const agenda = new Agenda({
+  db: {
+    address: process.env.MONGODB_URI || 'mongodb://localhost:27017/mariposa',
+    collection: 'agendaJobs'
+  },
+  defaultConcurrency: parseInt(process.env.STRATEGY_JOB_CONCURRENCY) || 2
+});
+
+// How long a worker holds a running job without finishing a layer. Also the
+// Agenda lock lifetime, so Agenda only re-runs a job once its lease has run out.
+const LEASE_MS = (parseInt(process.env.STRATEGY_JOB_LEASE_MINUTES) || 10) * 60 * 1000;
+
+// Progress shown when each layer starts
+const LAYER_PROGRESS = {
+  validation: {
+    stage: 'Layer 1: Request Validation',
+    percentage: 10,
+    currentStep: 'Validating strategy requirements...'
+  },
+  strategies: {
+    stage: 'Layer 2: Multi-LLM Strategy Generation',
+    percentage: 25,
+    currentStep: 'Generating strategies from 4 AI specialists...'
+  },
+  consolidation: {
+    stage: 'Layer 3: Master AI Consolidation',
+    percentage: 75,
+    currentStep: 'Consolidating best elements from all strategies...'
+  }
+};
+
+class StrategyJobError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'StrategyJobError';
+    this.status = status;
+  }
+}
+
+// Thrown inside a run when the job was cancelled or another worker took it over meanwhile
+class StrategyJobCancelledError extends Error {
+  constructor(processingId) {
+    super(`Strategy job ${processingId} was cancelled or taken over`);
+    this.name = 'StrategyJobCancelledError';
+  }
+}
+
+agenda.define('generate strategy', { lockLifetime: LEASE_MS }, async (job) => {
+  await strategyJobService.run(job.attrs.data.processingId);
+});
+
+class StrategyJobService {
+  /**
+   * Queue strategy generation for a message
+   * @returns {Object} Public job, with the processingId to poll
+   */
+  async enqueue(message, userId) {
+    const job = await StrategyJob.create({
+      processingId: `strategy_${crypto.randomUUID()}`,
+      userId: String(userId),
+      message,
+      stage: 'Queued',
+      percentage: 5,
+      currentStep: 'Waiting to start...'
+    });
+
+    await agenda.now('generate strategy', { processingId: job.processingId });
+    await this.publish(job, 'queued', { retry: false, currentStep: job.currentStep });
+    return this.toPublic(job);
+  }
+
+  /**
+   * Run a queued job from its first unfinished layer. A job still marked running
+   * resumes the same way once its lease expired (its worker died); while the
+   * lease holds, another worker is running it.
+   * @returns {Object|null} Finished job, or null if it was cancelled, finished or running elsewhere
+   */
+  async run(processingId) {
+    const now = new Date();
+    const job = await StrategyJob.findOneAndUpdate(
+      {
+        processingId,
+        $or: [
+          { status: 'queued' },
+          { status: 'running', leaseExpiresAt: { $not: { $gt: now } } }
+        ]
+      },
+      {
+        status: 'running',
+        startedAt: now,
+        leaseId: crypto.randomUUID(),
+        leaseExpiresAt: new Date(now.getTime() + LEASE_MS),
+        $inc: { attempts: 1 }
+      },
+      { new: true }
+    );
+    if (!job) return null;
+
+    const { message, userId } = job;
+    const sessionId = strategyProcessingService.initializeLogging(message, userId);
+    console.log(`🚀 [${sessionId}] Running strategy job ${processingId} from ${job.getResumeLayer()} (attempt ${job.attempts})`);
+
+    try {
+      const validation = await this.runLayer(job, 'validation', async () => {
+        const result = await strategyProcessingService.validateStrategyRequest(message, userId, sessionId);
+        if (!result.success) {
+          throw new Error(`Layer 1 failed: ${result.error}`);
+        }
+        return result;
+      });
+
+      if (!validation.shouldProcess) {
+        return await this.finish(job, sessionId, {
+          success: true,
+          type: 'strategy',
+          data: {
+            status: 'simple_response',
+            message: 'This request can be handled with basic guidance rather than comprehensive strategy development.',
+            suggestion: 'Try asking for more specific strategy goals or longer-term planning needs.'
+          }
+        }, {
+          'layers.strategies.status': 'skipped',
+          'layers.consolidation.status': 'skipped'
+        });
+      }
+
+      const multiStrategies = await this.runLayer(job, 'strategies', async () => {
+        const result = await strategyProcessingService.generateMultipleStrategies(message, userId, validation.metadata, sessionId);
+        if (!result.success || result.strategies.length === 0) {
+          throw new Error(`Layer 2 failed: ${result.error}`);
+        }
+        return result;
+      });
+
+      const finalResult = await this.runLayer(job, 'consolidation', async () => {
+        const result = await strategyProcessingService.consolidateStrategies(
+          multiStrategies.strategies,
+          message,
+          validation.metadata,
+          userId,
+          sessionId
+        );
+        if (!result.success) {
+          // Its fallback strategy becomes the job result
+          throw Object.assign(new Error(`Layer 3 failed: ${result.data.error}`), { result });
+        }
+        return result;
+      });
+
+      return await this.finish(job, sessionId, finalResult);
+
+    } catch (error) {
+      if (error instanceof StrategyJobCancelledError) {
+        console.log(`🛑 [${sessionId}] ${error.message}`);
+        return null;
+      }
+
+      console.error(`❌ [${sessionId}] Strategy job ${processingId} failed:`, error);
+      const errorResult = error.result || {
+        success: false,
+        type: 'strategy',
+        data: {
+          status: 'processing_failed',
+          error: error.message,
+          fallback: strategyProcessingService.generateFallbackStrategy([], message)
+        }
+      };
+
+      return await this.finish(job, sessionId, errorResult, {
+        error: error.message,
+        ...(error.layer && {
+          [`layers.${error.layer}.status`]: 'failed',
+          [`layers.${error.layer}.error`]: error.message
+        })
+      });
+    }
+  }
+
+  // Run one layer, or return its stored output if an earlier attempt completed it
+  async runLayer(job, layer, run) {
+    if (job.layers[layer].status === 'completed') {
+      return job.layers[layer].output;
+    }
+
+    await this.update(job, {
+      ...LAYER_PROGRESS[layer],
+      [`layers.${layer}.status`]: 'running',
+      [`layers.${layer}.startedAt`]: new Date(),
+      [`layers.${layer}.error`]: null
+    });
+    await this.publish(job, 'progress', { layer, layerStatus: 'running', ...LAYER_PROGRESS[layer] });
+
+    let output;
+    try {
+      output = await run();
+    } catch (error) {
+      error.layer = layer;
+      throw error;
+    }
+
+    await this.update(job, {
+      [`layers.${layer}.status`]: 'completed',
+      [`layers.${layer}.output`]: toStorable(output),
+      [`layers.${layer}.completedAt`]: new Date()
+    });
+    await this.publish(job, 'progress', { layer, layerStatus: 'completed' });
+    return output;
+  }
+
+  // Update a running job and renew its lease; stops the run if it was cancelled or taken over meanwhile
+  async update(job, fields) {
+    const { matchedCount } = await StrategyJob.updateOne(
+      { _id: job._id, status: 'running', leaseId: job.leaseId },
+      { ...fields, leaseExpiresAt: new Date(Date.now() + LEASE_MS) }
+    );
+    if (matchedCount === 0) {
+      throw new StrategyJobCancelledError(job.processingId);
+    }
+  }
+
+  async finish(job, sessionId, result, fields = {}) {
+    strategyProcessingService.finalizeLogging(sessionId, result);
+
+    const finished = await StrategyJob.findOneAndUpdate(
+      { _id: job._id, status: 'running', leaseId: job.leaseId },
+      {
+        ...fields,
+        leaseId: null,
+        leaseExpiresAt: null,
+        status: result.success ? 'completed' : 'failed',
+        result: toStorable(result),
+        stage: 'Strategy Complete',
+        percentage: 100,
+        currentStep: result.success ? 'Strategy analysis ready!' : 'Processing failed',
+        finishedAt: new Date()
+      },
+      { new: true }
+    );
+
+    console.log(`✅ Strategy job ${job.processingId} ${finished ? finished.status : 'cancelled'}`);
+    if (finished) {
+      await this.publish(finished, finished.status, {
+        percentage: finished.percentage,
+        currentStep: finished.currentStep,
+        error: finished.error
+      });
+    }
+    return finished;
+  }
+
+  /**
+   * Cancel a queued or running job. A running layer finishes, but its output is discarded.
+   * @throws {StrategyJobError} 409 when the job already finished
+   */
+  async cancel(processingId) {
+    const previous = await StrategyJob.findOneAndUpdate(
+      { processingId, status: { $in: ['queued', 'running'] } },
+      { status: 'cancelled', currentStep: 'Cancelled', finishedAt: new Date() }
+    );
+    if (!previous) {
+      throw new StrategyJobError('Strategy job is not queued or running', 409);
+    }
+
+    if (previous.status === 'queued') {
+      await agenda.cancel({ name: 'generate strategy', 'data.processingId': processingId });
+    }
+    await this.publish(previous, 'cancelled', { previousStatus: previous.status });
+    return await this.get(processingId);
+  }
+
+  /**
+   * Queue a failed or cancelled job again. Completed layers are kept; it resumes
+   * at the first layer that didn't complete.
+   * @throws {StrategyJobError} 409 when the job is not failed or cancelled
+   */
+  async retry(processingId) {
+    const job = await StrategyJob.findOneAndUpdate(
+      { processingId, status: { $in: ['failed', 'cancelled'] } },
+      {
+        status: 'queued',
+        result: null,
+        error: null,
+        finishedAt: null,
+        stage: 'Queued',
+        currentStep: 'Waiting to retry...'
+      },
+      { new: true }
+    );
+    if (!job) {
+      throw new StrategyJobError('Only failed or cancelled strategy jobs can be retried', 409);
+    }
+
+    await agenda.now('generate strategy', { processingId });
+    await this.publish(job, 'queued', { retry: true, currentStep: job.currentStep });
+    return this.toPublic(job);
+  }
+
+  // Push a change of the job to its owner's stream
+  async publish(job, type, data = {}) {
+    await eventStreamService.publish(job.userId, 'strategy', type, {
+      processingId: job.processingId,
+      ...data
+    });
+  }
+
+  /**
+   * @throws {StrategyJobError} 404 when there is no such job
+   */
+  async get(processingId) {
+    const job = await StrategyJob.findOne({ processingId });
+    if (!job) {
+      throw new StrategyJobError('Processing ID not found', 404);
+    }
+    return this.toPublic(job);
+  }
+
+  /**
+   * A user's strategy jobs, newest first, without their results
+   * @param {Object} filters - { status, limit, before: processingId to page from }
+   */
+  async list(userId, { status = null, limit = 20, before = null } = {}) {
+    const query = { userId: String(userId) };
+    if (status) query.status = status;
+    if (before) {
+      const cursor = await StrategyJob.findOne({ processingId: before }).select('createdAt').lean();
+      if (cursor) query.createdAt = { $lt: cursor.createdAt };
+    }
+
+    const jobs = await StrategyJob.find(query)
+      .select('-layers.validation.output -layers.strategies.output -layers.consolidation.output -result')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+    return jobs.map(job => this.toPublic(job));
+  }
+
+  // Job as returned by the API; layer outputs stay server-side
+  toPublic(job) {
+    return {
+      processingId: job.processingId,
+      userId: job.userId,
+      message: job.message,
+      status: job.status,
+      stage: job.stage,
+      percentage: job.percentage,
+      currentStep: job.currentStep,
+      layers: STRATEGY_LAYERS.map(name => ({
+        name,
+        status: job.layers[name].status,
+        error: job.layers[name].error,
+        startedAt: job.layers[name].startedAt,
+        completedAt: job.layers[name].completedAt
+      })),
+      result: job.result,
+      error: job.error,
+      attempts: job.attempts,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    };
+  }
+
+  async startAgenda() {
+    await agenda.start();
+    console.log('Strategy job service started');
+  }
+
+  async stopAgenda() {
+    await agenda.stop();
+    console.log('Strategy job service stopped');
+  }
+}
+
+const strategyJobService = new StrategyJobService();
+
+module.exports = strategyJobService;
+module.exports.StrategyJobError = StrategyJobError;
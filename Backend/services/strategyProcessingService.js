@@ -1,15 +1,4 @@
-const Together = require('together-ai').default;
-
-// Initialize Together AI for strategy processing
-let together;
-try {
-  together = new Together({
-    apiKey: process.env.TOGETHER_API_KEY || 'dummy-key'
-  });
-} catch (error) {
-  console.warn('Together AI not initialized for strategy processing.');
-  together = null;
-}
+const llmService = require('./llmService');
 
 class StrategyProcessingService {
   constructor() {
@@ -235,7 +224,7 @@ Return JSON:
         });
       }
 
-      const response = await together.chat.completions.create({
+      const { data: validation, response } = await llmService.chatJson('strategy', 'strategyValidation', {
         model: 'meta-llama/Meta-Llama-3.1-8B-Instruct-Turbo',
         messages: [{ role: 'user', content: prompt }],
         max_tokens: 300,
@@ -244,7 +233,6 @@ Return JSON:
       });
 
       const responseText = response.choices[0].message.content;
-      const validation = JSON.parse(responseText);
 
       if (sessionId) {
         this.logLLMCall(sessionId, 'meta-llama/Meta-Llama-3.1-8B-Instruct-Turbo', 'Strategy Validator', 'Layer 1 Validation', prompt, responseText);
@@ -326,7 +314,7 @@ Return JSON:
         }
 
         try {
-          const response = await together.chat.completions.create({
+          const { data: strategy, response } = await llmService.chatJson('strategy', 'strategyProposal', {
             model: model,
             messages: [{ role: 'user', content: prompt }],
             max_tokens: 800,
@@ -335,7 +323,6 @@ Return JSON:
           });
 
           const responseText = response.choices[0].message.content;
-          const strategy = JSON.parse(responseText);
 
           if (sessionId) {
             this.logLLMCall(sessionId, model, role, `Layer 2 Strategy Generation`, prompt, responseText);
@@ -494,7 +481,7 @@ Return JSON:
         });
       }
 
-      const response = await together.chat.completions.create({
+      const { data: finalStrategy, response } = await llmService.chatJson('strategy', 'strategyConsolidation', {
         model: this.masterModel,
         messages: [{ role: 'user', content: consolidationPrompt }],
         max_tokens: 1200,
@@ -503,7 +490,6 @@ Return JSON:
       });
 
       const responseText = response.choices[0].message.content;
-      const finalStrategy = JSON.parse(responseText);
 
       if (sessionId) {
         this.logLLMCall(sessionId, this.masterModel, 'Master Consolidator', 'Layer 3 Consolidation', consolidationPrompt, responseText);
@@ -787,6 +773,7 @@ Return the FINAL CONSOLIDATED STRATEGY in JSON:
 
   /**
    * Main entry point: Process complete 3-layer strategy workflow
+   * (inline; strategyJobService runs the same layers as a persisted job)
    */
   async processStrategy(message, userId) {
     // Initialize comprehensive logging session
@@ -857,166 +844,6 @@ Return the FINAL CONSOLIDATED STRATEGY in JSON:
       return errorResult;
     }
   }
-
-  /**
-   * Async strategy processing with progress tracking
-   */
-  async processStrategyAsync(message, userId, processingId) {
-    const sessionId = this.initializeLogging(message, userId);
-    
-    try {
-      console.log(`🚀 [${sessionId}] Starting async strategy processing for ${processingId}`);
-
-      // Store progress for potential polling endpoint
-      this.updateProgress(processingId, {
-        stage: 'Layer 1: Request Validation',
-        percentage: 10,
-        currentStep: 'Validating strategy requirements...'
-      });
-
-      // Layer 1: Validate strategy request
-      const validation = await this.validateStrategyRequest(message, userId, sessionId);
-      if (!validation.success) {
-        throw new Error(`Layer 1 failed: ${validation.error}`);
-      }
-
-      this.updateProgress(processingId, {
-        stage: 'Layer 2: Multi-LLM Strategy Generation',
-        percentage: 25,
-        currentStep: 'Generating strategies from 4 AI specialists...'
-      });
-
-      if (!validation.shouldProcess) {
-        const simpleResult = {
-          success: true,
-          type: 'strategy',
-          data: {
-            status: 'simple_response',
-            message: 'This request can be handled with basic guidance rather than comprehensive strategy development.',
-            suggestion: 'Try asking for more specific strategy goals or longer-term planning needs.'
-          }
-        };
-        
-        this.finalizeLogging(sessionId, simpleResult);
-        this.completeProcessing(processingId, simpleResult);
-        return simpleResult;
-      }
-
-      // Layer 2: Generate multiple strategies
-      const multiStrategies = await this.generateMultipleStrategies(message, userId, validation.metadata, sessionId);
-      if (!multiStrategies.success || multiStrategies.strategies.length === 0) {
-        throw new Error(`Layer 2 failed: ${multiStrategies.error}`);
-      }
-
-      this.updateProgress(processingId, {
-        stage: 'Layer 3: Master AI Consolidation',
-        percentage: 75,
-        currentStep: 'Consolidating best elements from all strategies...'
-      });
-
-      // Layer 3: Consolidate into final strategy
-      const finalResult = await this.consolidateStrategies(
-        multiStrategies.strategies, 
-        message, 
-        validation.metadata, 
-        userId,
-        sessionId
-      );
-
-      this.updateProgress(processingId, {
-        stage: 'Finalizing Strategy',
-        percentage: 95,
-        currentStep: 'Preparing comprehensive analysis...'
-      });
-
-      console.log(`✅ [${sessionId}] Async strategy processing completed successfully`);
-      
-      // Finalize comprehensive logging and output summary
-      this.finalizeLogging(sessionId, finalResult);
-      
-      // Mark processing as complete
-      this.completeProcessing(processingId, finalResult);
-      
-      return finalResult;
-
-    } catch (error) {
-      console.error(`❌ [${sessionId}] Async strategy processing error:`, error);
-      
-      const errorResult = {
-        success: false,
-        type: 'strategy',
-        data: {
-          status: 'processing_failed',
-          error: error.message,
-          fallback: this.generateFallbackStrategy([], message)
-        }
-      };
-      
-      // Finalize logging even on error
-      this.finalizeLogging(sessionId, errorResult);
-      
-      // Mark processing as failed
-      this.completeProcessing(processingId, errorResult);
-      
-      return errorResult;
-    }
-  }
-
-  /**
-   * Update processing progress (could be stored in Redis or memory)
-   */
-  updateProgress(processingId, progress) {
-    // Simple in-memory storage for now
-    if (!global.strategyProgress) {
-      global.strategyProgress = new Map();
-    }
-    
-    const currentProgress = global.strategyProgress.get(processingId) || {};
-    const updatedProgress = {
-      ...currentProgress,
-      ...progress,
-      timestamp: new Date().toISOString()
-    };
-    
-    global.strategyProgress.set(processingId, updatedProgress);
-    console.log(`📊 Progress update for ${processingId}:`, progress);
-  }
-
-  /**
-   * Mark processing as complete and store final result
-   */
-  completeProcessing(processingId, finalResult) {
-    if (!global.strategyResults) {
-      global.strategyResults = new Map();
-    }
-    
-    global.strategyResults.set(processingId, {
-      result: finalResult,
-      completedAt: new Date().toISOString(),
-      status: finalResult.success ? 'completed' : 'failed'
-    });
-
-    // Update final progress
-    this.updateProgress(processingId, {
-      stage: 'Strategy Complete',
-      percentage: 100,
-      currentStep: finalResult.success ? 'Strategy analysis ready!' : 'Processing failed',
-      completed: true
-    });
-
-    console.log(`✅ Processing completed for ${processingId}`);
-    
-    // Clean up after 5 minutes
-    setTimeout(() => {
-      if (global.strategyProgress) {
-        global.strategyProgress.delete(processingId);
-      }
-      if (global.strategyResults) {
-        global.strategyResults.delete(processingId);
-      }
-      console.log(`🧹 Cleaned up processing data for ${processingId}`);
-    }, 300000); // 5 minutes
-  }
 }
 
 module.exports = new StrategyProcessingService();
\ No newline at end of file
@@ -0,0 +1,297 @@
+/**
+ * Transaction Tracker Service
+ * Follows submitted transactions until they are final. Submitters get a tracked
+ * id back right away; a background watcher polls receipts, detects reverted,
+ * dropped and replaced transactions and nonce gaps, and mirrors the outcome
+ * into the sender wallet's trading history.
+ */
+
+const { ethers } = require('ethers');
+const mongoose = require('mongoose');
+const TrackedTransaction = require('../models/TrackedTransaction');
+const Wallet = require('../models/Wallet');
+const auditService = require('./auditService');
+const eventStreamService = require('./eventStreamService');
+const { getRequestContext } = require('../utils/requestContext');
+
+// Wallet.tradingHistory status for each final tracker status
+const TRADE_STATUS = {
+  confirmed: 'completed',
+  reverted: 'failed',
+  dropped: 'failed',
+  replaced: 'failed'
+};
+
+// Pending transactions checked per watcher tick
+const POLL_BATCH_SIZE = 50;
+
+class TransactionTrackerService {
+  constructor() {
+    this.providers = {
+      duckchain: new ethers.JsonRpcProvider(process.env.DUCK_RPC_URL || 'https://rpc.duckchain.io')
+    };
+    this.requiredConfirmations = parseInt(process.env.TX_TRACKER_CONFIRMATIONS) || 1;
+    // A transaction that left the mempool without being mined is dropped after this long
+    this.dropTimeoutMs = (parseInt(process.env.TX_TRACKER_DROP_TIMEOUT_MINUTES) || 30) * 60 * 1000;
+    this.watcherInterval = null;
+    this.polling = false;
+  }
+
+  getProvider(network) {
+    const provider = this.providers[network];
+    if (!provider) {
+      throw new Error(`Transaction tracking is not supported on ${network}`);
+    }
+    return provider;
+  }
+
+  /**
+   * Start tracking a submitted transaction. Returns without waiting for it to be mined.
+   * Never throws: the transaction is already out, so its hash must still reach the caller.
+   * @param {Object} tx - Submitted transaction (ethers TransactionResponse)
+   * @param {Object} options - { kind, network, userId, agentId, details, trade } - trade: Wallet.addTrade data for the sender's wallet
+   * @returns {Object|null} TrackedTransaction document, or null when it couldn't be stored
+   */
+  async track(tx, { kind, network = 'duckchain', userId = null, agentId = null, details = {}, trade = null } = {}) {
+    const tracked = new TrackedTransaction({
+      userId: userId ? String(userId) : null,
+      agentId: agentId ? String(agentId) : null,
+      traceId: (getRequestContext() || {}).traceId || null,
+      kind,
+      network,
+      hash: tx.hash,
+      from: tx.from.toLowerCase(),
+      to: tx.to ? tx.to.toLowerCase() : null,
+      nonce: tx.nonce,
+      details
+    });
+
+    if (trade) {
+      try {
+        await this.recordTrade(tracked, trade);
+      } catch (error) {
+        console.error(`❌ Failed to record trade for ${tx.hash}:`, error.message);
+      }
+    }
+
+    try {
+      await tracked.save();
+    } catch (error) {
+      console.error(`❌ Failed to start tracking ${kind} transaction ${tx.hash}:`, error.message);
+      return null;
+    }
+    console.log(`📡 Tracking ${kind} transaction ${tx.hash} (nonce ${tx.nonce})`);
+    await this.publish(tracked, 'submitted');
+    return tracked;
+  }
+
+  // Add a pending entry to the sender wallet's trading history, if the sender is one of our wallets
+  async recordTrade(tracked, trade) {
+    const wallet = await Wallet.findOne({
+      walletAddress: { $in: [tracked.from, ethers.getAddress(tracked.from)] }
+    });
+    if (!wallet) return;
+
+    wallet.addTrade({ ...trade, txHash: tracked.hash, status: 'pending' });
+    await wallet.save();
+
+    tracked.walletId = wallet._id;
+    tracked.tradeId = wallet.tradingHistory[wallet.tradingHistory.length - 1]._id;
+  }
+
+  /**
+   * Tracked transaction by id or hash
+   * @param {string} id - TrackedTransaction id or transaction hash
+   * @returns {Object|null} Tracked transaction
+   */
+  async getTransaction(id) {
+    const query = mongoose.Types.ObjectId.isValid(id) && !String(id).startsWith('0x')
+      ? { _id: id }
+      : { hash: String(id).toLowerCase() };
+    return await TrackedTransaction.findOne(query).lean();
+  }
+
+  /**
+   * Check one pending transaction against the chain and record what changed
+   * @param {Object} tracked - TrackedTransaction document
+   * @returns {string} Status after the check
+   */
+  async checkTransaction(tracked) {
+    const provider = this.getProvider(tracked.network);
+    tracked.checks += 1;
+    tracked.lastCheckedAt = new Date();
+
+    const receipt = await provider.getTransactionReceipt(tracked.hash);
+    if (receipt) {
+      return await this.applyReceipt(tracked, receipt);
+    }
+
+    const minedNonce = await provider.getTransactionCount(tracked.from, 'latest');
+    if (minedNonce > tracked.nonce) {
+      // The nonce is used up; re-read the receipt in case it landed between the two calls
+      const lateReceipt = await provider.getTransactionReceipt(tracked.hash);
+      if (lateReceipt) {
+        return await this.applyReceipt(tracked, lateReceipt);
+      }
+
+      const replacement = await TrackedTransaction.findOne({
+        network: tracked.network,
+        from: tracked.from,
+        nonce: tracked.nonce,
+        hash: { $ne: tracked.hash }
+      }).sort({ createdAt: -1 });
+      return await this.finalize(tracked, 'replaced', {
+        replacedBy: replacement ? replacement.hash : undefined,
+        error: `Nonce ${tracked.nonce} was used by another transaction`
+      });
+    }
+
+    // An earlier nonce of the sender is unmined, so this one can't be mined yet
+    if (tracked.nonce > minedNonce) {
+      if (!tracked.nonceGap || tracked.nonceGap.expectedNonce !== minedNonce) {
+        console.warn(`⚠️ Transaction ${tracked.hash} (nonce ${tracked.nonce}) is waiting on nonce ${minedNonce} of ${tracked.from}`);
+        tracked.nonceGap = { expectedNonce: minedNonce, detectedAt: new Date() };
+      }
+    } else {
+      tracked.nonceGap = undefined;
+    }
+
+    const inMempool = await provider.getTransaction(tracked.hash);
+    if (!inMempool && Date.now() - tracked.createdAt.getTime() > this.dropTimeoutMs) {
+      return await this.finalize(tracked, 'dropped', {
+        error: tracked.nonceGap
+          ? `Dropped while waiting on nonce ${tracked.nonceGap.expectedNonce}`
+          : 'Transaction was dropped from the mempool'
+      });
+    }
+
+    await tracked.save();
+    return tracked.status;
+  }
+
+  async applyReceipt(tracked, receipt) {
+    const confirmations = await receipt.confirmations();
+    const fields = {
+      blockNumber: receipt.blockNumber,
+      confirmations,
+      gasUsed: receipt.gasUsed?.toString(),
+      effectiveGasPrice: receipt.gasPrice?.toString()
+    };
+
+    if (receipt.status === 0) {
+      return await this.finalize(tracked, 'reverted', { ...fields, error: 'Transaction reverted' });
+    }
+    if (confirmations >= this.requiredConfirmations) {
+      return await this.finalize(tracked, 'confirmed', fields);
+    }
+
+    Object.assign(tracked, fields);
+    await tracked.save();
+    return tracked.status;
+  }
+
+  async finalize(tracked, status, fields = {}) {
+    Object.assign(tracked, fields, { status, finalizedAt: new Date(), nonceGap: undefined });
+    await tracked.save();
+
+    if (tracked.walletId && tracked.tradeId) {
+      const update = { 'tradingHistory.$.status': TRADE_STATUS[status] };
+      if (tracked.gasUsed) update['tradingHistory.$.gasUsed'] = tracked.gasUsed;
+      await Wallet.updateOne(
+        { _id: tracked.walletId, 'tradingHistory._id': tracked.tradeId },
+        { $set: update }
+      );
+    }
+
+    // Polled outside any request: the trace comes from the tracked transaction
+    await auditService.record({
+      type: 'transaction_status',
+      traceId: tracked.traceId,
+      userId: tracked.userId,
+      agentId: tracked.agentId,
+      arguments: { kind: tracked.kind, ...tracked.details },
+      network: tracked.network,
+      transactionHash: tracked.hash,
+      outcome: status,
+      error: tracked.error
+    });
+
+    await this.publish(tracked, status);
+
+    console.log(`${status === 'confirmed' ? '✅' : '❌'} Transaction ${tracked.hash} ${status}`);
+    return status;
+  }
+
+  // Push a status change to the owner's stream, tagged with the request that submitted it
+  async publish(tracked, type) {
+    await eventStreamService.publish(tracked.userId, 'transaction', type, {
+      transactionId: tracked._id,
+      kind: tracked.kind,
+      network: tracked.network,
+      hash: tracked.hash,
+      from: tracked.from,
+      to: tracked.to,
+      status: tracked.status,
+      blockNumber: tracked.blockNumber,
+      confirmations: tracked.confirmations,
+      replacedBy: tracked.replacedBy,
+      error: tracked.error,
+      details: tracked.details
+    }, { requestId: tracked.traceId });
+  }
+
+  /**
+   * Check the pending transactions least recently looked at
+   * @returns {number} Transactions checked
+   */
+  async pollPending() {
+    // A slow RPC must not let ticks pile up
+    if (this.polling) return 0;
+    this.polling = true;
+
+    try {
+      const pending = await TrackedTransaction.find({ status: 'pending' })
+        .sort({ lastCheckedAt: 1 })
+        .limit(POLL_BATCH_SIZE);
+
+      for (const tracked of pending) {
+        try {
+          await this.checkTransaction(tracked);
+        } catch (error) {
+          console.error(`❌ Failed to check transaction ${tracked.hash}:`, error.message);
+        }
+      }
+      return pending.length;
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Poll pending transactions in the background
+   * @param {Number} intervalSeconds - Poll interval in seconds
+   */
+  startWatcher(intervalSeconds = 15) {
+    if (this.watcherInterval) {
+      return this.watcherInterval;
+    }
+
+    console.log(`📡 STARTING TRANSACTION WATCHER (every ${intervalSeconds} seconds)`);
+    this.watcherInterval = setInterval(() => {
+      this.pollPending().catch(error => {
+        console.error('❌ Transaction watcher error:', error.message);
+      });
+    }, intervalSeconds * 1000);
+
+    return this.watcherInterval;
+  }
+
+  stopWatcher() {
+    if (this.watcherInterval) {
+      clearInterval(this.watcherInterval);
+      this.watcherInterval = null;
+    }
+  }
+}
+
+module.exports = new TransactionTrackerService();
@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+
+/**
+ * Test the action ledger: idempotency keys, retries and interrupted actions
+ * Run with: node test-action-ledger.js
+ */
+
+const assert = require('assert');
+const mongoose = require('mongoose');
+
+const ActionLedger = require('./models/ActionLedger');
+const TrackedTransaction = require('./models/TrackedTransaction');
+const actionLedgerService = require('./services/actionLedgerService');
+const { IdempotencyConflictError } = actionLedgerService;
+const { memoryModel, runTests } = require('./in-memory-harness');
+
+const STALE = new Date(Date.now() - 24 * 60 * 60 * 1000);
+const FAST_RETRIES = { maxRetries: 2, retryDelay: 1, backoffMultiplier: 1 };
+
+const ledger = memoryModel(ActionLedger, { defaults: { status: 'pending', attempts: 0 } });
+const tracked = memoryModel(TrackedTransaction);
+
+const reset = () => {
+  ledger.reset();
+  tracked.reset();
+};
+
+// An action counting its runs, failing with each error in `failures` first
+const countedAction = (result, failures = []) => {
+  const action = async () => {
+    action.runs++;
+    if (failures.length > 0) throw failures.shift();
+    return result;
+  };
+  action.runs = 0;
+  return action;
+};
+
+const options = (overrides = {}) => ({ scope: 'transfer', key: 'key-1', userId: 'user-a', params: { amount: 1 }, retryPolicy: FAST_RETRIES, ...overrides });
+
+const interrupted = (fields) => ledger.documents.push({
+  _id: new mongoose.Types.ObjectId(),
+  scope: 'transfer',
+  idempotencyKey: 'key-1',
+  userId: 'user-a',
+  requestHash: actionLedgerService.hashParams({ amount: 1 }),
+  status: 'pending',
+  attempts: 1,
+  lastAttemptAt: STALE,
+  createdAt: STALE,
+  updatedAt: STALE,
+  ...fields
+});
+
+const tests = {
+  async 'replays a key instead of running the action again'() {
+    reset();
+    const action = countedAction({ success: true, transactionHash: '0x1' });
+
+    const first = await actionLedgerService.execute(options(), action);
+    const second = await actionLedgerService.execute(options(), action);
+
+    assert.strictEqual(action.runs, 1);
+    assert.strictEqual(first.replayed, false);
+    assert.strictEqual(second.replayed, true);
+    assert.strictEqual(second.result.transactionHash, '0x1');
+  },
+
+  async 'keys are per user'() {
+    reset();
+    const action = countedAction({ success: true });
+
+    await actionLedgerService.execute(options({ userId: 'user-a' }), action);
+    const other = await actionLedgerService.execute(options({ userId: 'user-b' }), action);
+
+    assert.strictEqual(action.runs, 2);
+    assert.strictEqual(other.replayed, false);
+  },
+
+  async 'retries failures that never reached the node'() {
+    reset();
+    const action = countedAction({ success: true }, [Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:8545'), { code: 'ECONNREFUSED' })]);
+
+    const { attempts } = await actionLedgerService.execute(options(), action);
+    assert.strictEqual(action.runs, 2);
+    assert.strictEqual(attempts, 2);
+  },
+
+  async 'does not retry timeouts'() {
+    reset();
+    const action = countedAction({ success: true }, [new Error('request timed out'), new Error('ETIMEDOUT')]);
+
+    await assert.rejects(actionLedgerService.execute(options(), action), /timed out/);
+    assert.strictEqual(action.runs, 1);
+  },
+
+  async 'does not retry once the attempt started signing'() {
+    reset();
+    const action = countedAction({ success: true });
+    const signing = async () => {
+      action.runs++;
+      await actionLedgerService.markSigning();
+      throw Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+    };
+
+    await assert.rejects(actionLedgerService.execute(options(), signing));
+    assert.strictEqual(action.runs, 1);
+    assert(ledger.documents[0].signingAt, 'signing is recorded on the entry');
+
+    await assert.rejects(actionLedgerService.execute(options(), action), /ECONNREFUSED/, 'the key replays the failure');
+    assert.strictEqual(action.runs, 1);
+  },
+
+  async 'records the hash as soon as the transaction is broadcast'() {
+    reset();
+    const broadcastThenTimeout = async () => {
+      await actionLedgerService.recordBroadcast('0xfeed');
+      assert.strictEqual(ledger.documents[0].transactionHash, '0xfeed');
+      throw new Error('timeout waiting for receipt');
+    };
+
+    await assert.rejects(actionLedgerService.execute(options(), broadcastThenTimeout));
+    await assert.rejects(actionLedgerService.execute(options(), countedAction({ success: true })), error => error.transactionHash === '0xfeed');
+  },
+
+  async 'a pending key still in progress is a conflict'() {
+    reset();
+    interrupted({ lastAttemptAt: new Date(), updatedAt: new Date() });
+
+    await assert.rejects(actionLedgerService.execute(options(), countedAction({ success: true })), IdempotencyConflictError);
+  },
+
+  async 'takes over an interrupted action that never started signing'() {
+    reset();
+    interrupted({});
+    const action = countedAction({ success: true, transactionHash: '0x2' });
+
+    const { replayed } = await actionLedgerService.execute(options(), action);
+    assert.strictEqual(replayed, false);
+    assert.strictEqual(action.runs, 1);
+    assert.strictEqual(ledger.documents[0].status, 'succeeded');
+  },
+
+  async 'settles an interrupted action from its tracked transaction'() {
+    reset();
+    interrupted({ transactionHash: '0xabc', signingAt: STALE });
+    tracked.documents.push({ hash: '0xabc', status: 'confirmed' });
+    const action = countedAction({ success: true });
+
+    const { result, replayed } = await actionLedgerService.execute(options(), action);
+    assert.strictEqual(replayed, true);
+    assert.strictEqual(result.transactionHash, '0xabc');
+    assert.strictEqual(action.runs, 0);
+  },
+
+  async 'waits for a tracked transaction still pending'() {
+    reset();
+    interrupted({ transactionHash: '0xabc', signingAt: STALE });
+    tracked.documents.push({ hash: '0xabc', status: 'pending' });
+
+    await assert.rejects(actionLedgerService.execute(options(), countedAction({ success: true })), IdempotencyConflictError);
+    assert.strictEqual(ledger.documents[0].status, 'pending');
+  },
+
+  async 'never re-sends an interrupted action that started signing'() {
+    reset();
+    interrupted({ signingAt: STALE });
+    const action = countedAction({ success: true });
+
+    await assert.rejects(actionLedgerService.execute(options(), action), /check the wallet/);
+    assert.strictEqual(action.runs, 0);
+    assert.strictEqual(ledger.documents[0].status, 'failed');
+  },
+
+  async 'inserts again when the blocking entry disappears'() {
+    reset();
+    interrupted({ status: 'succeeded' });
+    const findOne = ActionLedger.findOne;
+    ActionLedger.findOne = async () => {
+      ledger.reset();
+      return null;
+    };
+
+    try {
+      const action = countedAction({ success: true });
+      const { replayed } = await actionLedgerService.execute(options(), action);
+      assert.strictEqual(replayed, false);
+      assert.strictEqual(action.runs, 1);
+    } finally {
+      ActionLedger.findOne = findOne;
+    }
+  }
+};
+
+runTests('Testing the action ledger', tests);
@@ -2,6 +2,8 @@ require('dotenv').config();
 const fetch = require('node-fetch');
 
 const BASE_URL = 'http://localhost:5000';
+// JWT or API key (market:read scope) to call the endpoint with
+const AUTH_TOKEN = process.env.AUTH_TOKEN;
 
 // Test messages for different demand types
 const testMessages = [
@@ -40,7 +42,8 @@ async function testAgentChat() {
       const response = await fetch(`${BASE_URL}/api/agent-chat`, {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${AUTH_TOKEN}`
         },
         body: JSON.stringify({
           message: test.message,
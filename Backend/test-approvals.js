@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+/**
+ * Test two-step transaction approval: code delivery and confirmation
+ * Run with: node test-approvals.js
+ */
+
+const assert = require('assert');
+const mongoose = require('mongoose');
+
+const ApprovalRequest = require('./models/ApprovalRequest');
+const auditService = require('./services/auditService');
+const notificationService = require('./services/notificationService');
+const approvalService = require('./services/approvalService');
+const { ApprovalRequiredError, ApprovalError } = approvalService;
+const { memoryModel, runTests } = require('./in-memory-harness');
+
+const MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS) || 3;
+const WEBHOOK_URL = 'http://notifications.test/hook';
+
+const userId = new mongoose.Types.ObjectId();
+const requests = memoryModel(ApprovalRequest, { defaults: { status: 'pending', failedAttempts: 0 } });
+let sent = [];
+
+auditService.record = async () => null;
+notificationService.notify = async (recipient, notification) => {
+  sent.push(notification);
+  return { delivered: true, channel: 'webhook' };
+};
+
+const stored = (id) => requests.documents.find(request => String(request._id) === id);
+
+const reset = () => {
+  requests.reset();
+  sent = [];
+  process.env.NOTIFICATION_WEBHOOK_URL = WEBHOOK_URL;
+};
+
+const transfer = { action: 'transfer', token: 'SEI', amount: 250, recipient: '0x000000000000000000000000000000000000dEaD', network: 'sei-evm' };
+
+// Hold the transfer for approval and return the request id and the code sent
+async function holdTransfer() {
+  const error = await approvalService.requireApproval({
+    userId,
+    action: 'transfer',
+    transaction: transfer,
+    reasons: [{ code: 'NEW_RECIPIENT', message: 'new recipient' }]
+  }).then(() => null, error => error);
+
+  assert(error instanceof ApprovalRequiredError, error);
+  return { id: error.approval.id, code: sent[sent.length - 1].data.code };
+}
+
+const tests = {
+  async 'refuses to hold a transaction when no channel can deliver the code'() {
+    reset();
+    delete process.env.NOTIFICATION_WEBHOOK_URL;
+
+    await assert.rejects(
+      approvalService.requireApproval({ userId, action: 'transfer', transaction: transfer, reasons: [] }),
+      error => error instanceof ApprovalError && error.status === 503
+    );
+    assert.strictEqual(requests.documents.length, 0);
+  },
+
+  async 'never logs a notification body'() {
+    delete process.env.NOTIFICATION_WEBHOOK_URL;
+    const NotificationService = notificationService.constructor;
+    const output = [];
+    const original = { log: console.log, warn: console.warn };
+    console.log = console.warn = (...args) => output.push(args.join(' '));
+
+    try {
+      const result = await new NotificationService().notify(userId, { type: 'approval_requested', title: 'Approval needed', message: 'Code: 123456', data: { code: '123456' } });
+      assert.strictEqual(result.delivered, false);
+    } finally {
+      Object.assign(console, original);
+    }
+    assert(!output.join('\n').includes('123456'), 'the code was logged');
+  },
+
+  async 'confirms with the code sent to the user, then lets the transaction through once'() {
+    reset();
+    const { id, code } = await holdTransfer();
+
+    const confirmed = await approvalService.confirm(id, code);
+    assert.strictEqual(confirmed.status, 'confirmed');
+
+    await approvalService.requireApproval({ userId, action: 'transfer', transaction: transfer, reasons: [] });
+    await holdTransfer();
+  },
+
+  async 'counts every wrong code, also when they arrive together'() {
+    reset();
+    const { id, code } = await holdTransfer();
+    const wrong = code === '000000' ? '111111' : '000000';
+
+    const results = await Promise.allSettled(Array.from({ length: MAX_ATTEMPTS + 2 }, () => approvalService.confirm(id, wrong)));
+    results.forEach(result => assert(result.status === 'rejected' && result.reason instanceof ApprovalError));
+
+    assert.strictEqual(stored(id).failedAttempts, MAX_ATTEMPTS + 2, 'an attempt was lost');
+    assert.strictEqual(stored(id).status, 'rejected');
+
+    await assert.rejects(approvalService.confirm(id, code), error => error.status === 409, 'the right code no longer works');
+  },
+
+  async 'a right code cannot win once the attempts are used up'() {
+    reset();
+    const { id, code } = await holdTransfer();
+    stored(id).failedAttempts = MAX_ATTEMPTS;
+
+    await assert.rejects(approvalService.confirm(id, code), error => error.status === 409);
+    assert.strictEqual(stored(id).status, 'pending');
+  }
+};
+
+runTests('Testing transaction approvals', tests);
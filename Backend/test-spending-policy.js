@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+
+/**
+ * Test spending policy caps and spend reservations
+ * Run with: node test-spending-policy.js
+ */
+
+const assert = require('assert');
+const mongoose = require('mongoose');
+const marketData = require('./utils/marketData');
+
+// policyService reads the price helper when it is loaded
+const PRICES = { USDC: 1, SEI: 0.5 };
+marketData.getTokenPriceUsd = async (token) => PRICES[String(token).toUpperCase()] ?? null;
+
+const SpendRecord = require('./models/SpendRecord');
+const SpendingPolicy = require('./models/SpendingPolicy');
+const auditService = require('./services/auditService');
+const policyService = require('./services/policyService');
+const pipelineExecutionService = require('./services/pipelineExecutionService');
+const { PolicyViolationError } = policyService;
+const { tick, matches, memoryModel, runTests } = require('./in-memory-harness');
+
+const userId = new mongoose.Types.ObjectId();
+const policies = memoryModel(SpendingPolicy);
+const records = memoryModel(SpendRecord, { defaults: () => ({ status: 'sent', createdAt: new Date() }) });
+
+auditService.record = async () => null;
+SpendRecord.aggregate = async ([{ $match: match }]) => {
+  await tick();
+  const matched = records.documents.filter(record => matches(record, match));
+  return matched.length > 0 ? [{ _id: null, total: matched.reduce((sum, record) => sum + record.valueUsd, 0) }] : [];
+};
+
+const reset = (policy) => {
+  policies.reset();
+  policies.documents.push({ _id: new mongoose.Types.ObjectId(), userId, agentId: null, enabled: true, ...policy });
+  records.reset();
+};
+
+const swap = (amount) => ({ userId, action: 'swap', token: 'USDC', toToken: 'SEI', amount, network: 'sei-evm' });
+
+const tests = {
+  async 'blocks a transaction over the daily cap'() {
+    reset({ dailyLimitUsd: 100 });
+    records.documents.push({ _id: new mongoose.Types.ObjectId(), userId, token: 'USDC', valueUsd: 80, status: 'sent', createdAt: new Date() });
+
+    await assert.rejects(policyService.enforce(swap(30)), (error) => {
+      assert(error instanceof PolicyViolationError);
+      assert.strictEqual(error.violations[0].code, 'DAILY_LIMIT_EXCEEDED');
+      assert.strictEqual(error.violations[0].remaining, 20);
+      return true;
+    });
+    assert.strictEqual(records.documents.length, 1, 'a blocked transaction reserves nothing');
+  },
+
+  async 'reserves the spend before signing and counts it once sent'() {
+    reset({ dailyLimitUsd: 100 });
+
+    const approval = await policyService.enforce(swap(60));
+    assert(approval.reservationId, 'enforce returns the reservation');
+    assert.deepStrictEqual(records.documents.map(record => record.status), ['reserved']);
+
+    await assert.rejects(policyService.enforce(swap(60)), PolicyViolationError, 'the reservation counts towards the cap');
+
+    await policyService.recordSpend(approval, { hash: '0xabc' });
+    assert.strictEqual(records.documents.length, 1, 'the reservation becomes the sent record');
+    assert.strictEqual(records.documents[0].status, 'sent');
+    assert.strictEqual(records.documents[0].transactionHash, '0xabc');
+
+    await policyService.releaseSpend(approval);
+    assert.strictEqual(records.documents.length, 1, 'releasing after it was sent does nothing');
+  },
+
+  async 'gives the reservation back when the send fails'() {
+    reset({ dailyLimitUsd: 100 });
+
+    const approval = await policyService.enforce(swap(60));
+    await policyService.releaseSpend(approval);
+    assert.strictEqual(records.documents.length, 0);
+
+    await policyService.enforce(swap(60));
+  },
+
+  async 'concurrent transactions cannot both take the room left under a cap'() {
+    reset({ dailyLimitUsd: 100, weeklyLimitUsd: 500 });
+
+    const results = await Promise.allSettled([60, 70, 80].map(amount => policyService.enforce(swap(amount))));
+    const allowed = results.filter(result => result.status === 'fulfilled');
+    results.filter(result => result.status === 'rejected').forEach(result => assert(result.reason instanceof PolicyViolationError, result.reason));
+
+    assert(allowed.length <= 1, `${allowed.length} transactions were allowed`);
+    const reserved = records.documents.reduce((sum, record) => sum + record.valueUsd, 0);
+    assert(reserved <= 100, `$${reserved} reserved under a $100 cap`);
+    assert.strictEqual(records.documents.length, allowed.length, 'rejected transactions drop their reservations');
+  },
+
+  async 'a pipeline stake over the cap is refused before it is sent'() {
+    reset({ maxTransactionUsd: 100 });
+    let staked = false;
+    const agent = { stake: async () => { staked = true; return { hash: '0xstake' }; } };
+    const pipeline = {
+      events: [{ id: 'daily', name: 'Daily', type: 'time_based', config: { schedule: 'daily' } }],
+      conditions: [],
+      actions: [{ id: 'stake', name: 'Stake SEI', type: 'stake', config: { token: 'SEI', amount: 300 } }],
+      connections: [{ from: 'daily', to: 'stake' }]
+    };
+
+    const [result] = await pipelineExecutionService.executePipelineLogic(agent, pipeline, pipelineExecutionService.createExecutionContext({ userId }));
+    assert.strictEqual(result.status, 'error');
+    assert.match(result.error, /per-transaction limit/);
+    assert(!staked, 'the stake was not sent');
+    assert.strictEqual(records.documents.length, 0);
+  },
+
+  async 'unstaking is held to the allowlist but not counted against the caps'() {
+    reset({ dailyLimitUsd: 1, allowedTokens: ['SEI'] });
+
+    const approval = await policyService.enforce({ userId, action: 'unstake', token: 'SEI', amount: 'all', network: 'sei-evm' });
+    assert.strictEqual(approval.reservationId, null);
+    await policyService.recordSpend(approval, { hash: '0xdef' });
+    assert.strictEqual(records.documents.length, 0);
+
+    await assert.rejects(policyService.enforce({ userId, action: 'unstake', token: 'ATOM', amount: 5, network: 'sei-evm' }), (error) => {
+      assert.strictEqual(error.violations[0].code, 'TOKEN_NOT_ALLOWED');
+      return true;
+    });
+  },
+
+  async 'evaluate reports without reserving'() {
+    reset({ dailyLimitUsd: 100 });
+
+    const evaluation = await policyService.evaluate(swap(150));
+    assert.strictEqual(evaluation.allowed, false);
+    assert.strictEqual(records.documents.length, 0);
+  }
+};
+
+runTests('Testing spending policy caps and reservations', tests);
@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+
+/**
+ * Test strategy jobs: one worker per job, and takeover once a worker's lease runs out
+ * The strategy layers are replaced with stand-ins that count their calls.
+ * Run with: node test-strategy-jobs.js
+ */
+
+const assert = require('assert');
+const mongoose = require('mongoose');
+
+const StrategyJob = require('./models/StrategyJob');
+const strategyProcessingService = require('./services/strategyProcessingService');
+const eventStreamService = require('./services/eventStreamService');
+const strategyJobService = require('./services/strategyJobService');
+const { tick, memoryModel, runTests } = require('./in-memory-harness');
+
+const jobs = memoryModel(StrategyJob);
+let calls = {};
+
+eventStreamService.publish = async () => null;
+strategyProcessingService.initializeLogging = () => 'session';
+strategyProcessingService.finalizeLogging = () => null;
+
+// Layers that count their calls and can be held open until released
+let releaseStrategies = null;
+strategyProcessingService.validateStrategyRequest = async () => {
+  calls.validation = (calls.validation || 0) + 1;
+  return { success: true, shouldProcess: true, metadata: {} };
+};
+strategyProcessingService.generateMultipleStrategies = async () => {
+  calls.strategies = (calls.strategies || 0) + 1;
+  if (releaseStrategies) await new Promise(resolve => { releaseStrategies.push(resolve); });
+  return { success: true, strategies: [{ name: 'hodl' }] };
+};
+strategyProcessingService.consolidateStrategies = async () => {
+  calls.consolidation = (calls.consolidation || 0) + 1;
+  return { success: true, type: 'strategy', data: { strategy: 'hodl' } };
+};
+
+const layer = () => ({ status: 'pending' });
+const addJob = (fields = {}) => {
+  const job = {
+    _id: new mongoose.Types.ObjectId().toString(),
+    processingId: `strategy_${jobs.documents.length}`,
+    userId: 'user-a',
+    message: 'Build me a strategy',
+    status: 'queued',
+    attempts: 0,
+    layers: { validation: layer(), strategies: layer(), consolidation: layer() },
+    ...fields
+  };
+  jobs.documents.push(job);
+  return job;
+};
+
+const reset = () => {
+  jobs.reset();
+  calls = {};
+  releaseStrategies = null;
+};
+
+const tests = {
+  async 'runs a queued job once when two workers pick it up'() {
+    reset();
+    const job = addJob();
+
+    const [first, second] = await Promise.all([strategyJobService.run(job.processingId), strategyJobService.run(job.processingId)]);
+
+    assert.strictEqual([first, second].filter(Boolean).length, 1);
+    assert.deepStrictEqual(calls, { validation: 1, strategies: 1, consolidation: 1 });
+    assert.strictEqual(job.status, 'completed');
+    assert.strictEqual(job.attempts, 1);
+    assert.strictEqual(job.leaseId, null);
+  },
+
+  async 'leaves a running job alone while its lease holds'() {
+    reset();
+    const job = addJob({ status: 'running', attempts: 1, leaseId: 'other-worker', leaseExpiresAt: new Date(Date.now() + 60 * 1000) });
+
+    assert.strictEqual(await strategyJobService.run(job.processingId), null);
+    assert.deepStrictEqual(calls, {});
+    assert.strictEqual(job.attempts, 1);
+  },
+
+  async 'takes over a job whose worker died and resumes at the unfinished layer'() {
+    reset();
+    const job = addJob({ status: 'running', attempts: 1, leaseId: 'dead-worker', leaseExpiresAt: new Date(Date.now() - 1000) });
+    job.layers.validation = { status: 'completed', output: { success: true, shouldProcess: true, metadata: {} } };
+
+    const finished = await strategyJobService.run(job.processingId);
+
+    assert.strictEqual(finished.status, 'completed');
+    assert.deepStrictEqual(calls, { strategies: 1, consolidation: 1 });
+    assert.strictEqual(job.attempts, 2);
+  },
+
+  async 'a worker whose job was taken over stops at the next layer'() {
+    reset();
+    const job = addJob();
+    releaseStrategies = [];
+
+    const slow = strategyJobService.run(job.processingId);
+    while (releaseStrategies.length === 0) await tick();
+
+    // Its lease runs out while layer 2 is still running, and another worker takes over
+    job.leaseExpiresAt = new Date(Date.now() - 1000);
+    const takeover = strategyJobService.run(job.processingId);
+    while (releaseStrategies.length < 2) await tick();
+    releaseStrategies.forEach(release => release());
+
+    const [slowResult, takeoverResult] = await Promise.all([slow, takeover]);
+    assert.strictEqual(slowResult, null, 'the first worker gave up');
+    assert.strictEqual(takeoverResult.status, 'completed');
+    assert.strictEqual(calls.consolidation, 1);
+  }
+};
+
+runTests('Testing strategy jobs', tests);
@@ -0,0 +1,30 @@
+/**
+ * Action Results
+ * Helpers for persisting the results of on-chain actions (pipeline runs,
+ * action ledger).
+ */
+
+/**
+ * Transaction hash of an agent/service result, whatever the field is called
+ * @param {Object} result - Action result
+ * @returns {string|undefined} Transaction hash
+ */
+function extractTxHash(result) {
+  if (!result || typeof result !== 'object') return undefined;
+  return result.txHash || result.transactionHash || result.hash || result.receipt?.transactionHash;
+}
+
+/**
+ * JSON-safe copy of a result, which can carry BigInts or class instances
+ * @param {*} value - Action result
+ * @returns {*} Plain value
+ */
+function toStorable(value) {
+  if (value === undefined) return null;
+  return JSON.parse(JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? item.toString() : item)));
+}
+
+module.exports = {
+  extractTxHash,
+  toStorable
+};
@@ -0,0 +1,107 @@
+/**
+ * JSON Schema
+ * Validator for the subset of JSON Schema used by the LLM output contracts in
+ * llmSchemas: type (one or a list, with "integer" and "null"), enum, const,
+ * properties, required, additionalProperties, items, minItems, maxItems,
+ * minimum, maximum, minLength and pattern.
+ */
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+};
+
+const describe = (value) => {
+  const text = JSON.stringify(value);
+  return text && text.length > 40 ? `${text.slice(0, 37)}...` : text;
+};
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - JSON Schema (subset, see above)
+ * @param {*} value - Parsed JSON
+ * @param {string} path - Location used in error messages, "$" for the root
+ * @returns {Array<string>} Errors, e.g. "$.strategy.riskLevel must be one of low, medium, high"
+ */
+function validateSchema(schema, value, path = '$') {
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${path} must be ${types.join(' or ')}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push(`${path} must be ${describe(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.join(', ')}, got ${describe(value)}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path} must have at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path} must match ${schema.pattern}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(schema.items, item, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(field => {
+      if (value[field] === undefined) {
+        errors.push(`${path}.${field} is required`);
+      }
+    });
+
+    Object.entries(value).forEach(([field, fieldValue]) => {
+      const fieldSchema = schema.properties && schema.properties[field];
+      if (fieldSchema) {
+        errors.push(...validateSchema(fieldSchema, fieldValue, `${path}.${field}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${field} is not allowed`);
+      } else if (typeOf(schema.additionalProperties) === 'object') {
+        errors.push(...validateSchema(schema.additionalProperties, fieldValue, `${path}.${field}`));
+      }
+    });
+  }
+
+  return errors;
+}
+
+module.exports = {
+  validateSchema
+};
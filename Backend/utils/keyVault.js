@@ -0,0 +1,169 @@
+/**
+ * Key Vault
+ * Envelope encryption for private keys stored in the database (Agent
+ * seiPrivateKey/duckPrivateKey, Wallet encryptedPrivateKey). Each record gets its
+ * own random data key (AES-256-GCM); the data key is stored wrapped by a master
+ * key from the configured provider (see masterKeyProviders).
+ *
+ * Stored format: vault:v1:<masterKeyId>:<wrappedDataKey>:<iv>:<tag>:<ciphertext>
+ *
+ * Values written before the vault (plaintext keys, Wallet's "encrypted:" CryptoJS
+ * format) still decrypt, so services keep working until the migration has run.
+ */
+
+const crypto = require('crypto');
+const CryptoJS = require('crypto-js');
+const { EnvKeyProvider, createProvider } = require('./masterKeyProviders');
+
+const ENVELOPE_PREFIX = 'vault:v1:';
+const LEGACY_WALLET_PREFIX = 'encrypted:';
+
+let provider = null;
+
+// KEY_VAULT_PROVIDER picks the provider; without it, env keys when set, else the local KMS outside production
+function createDefaultProvider() {
+  if (process.env.KEY_VAULT_PROVIDER) {
+    return createProvider(process.env.KEY_VAULT_PROVIDER);
+  }
+  if (EnvKeyProvider.isConfigured()) {
+    return createProvider('env');
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('Key vault has no master key: set KEY_VAULT_PROVIDER or KEY_VAULT_MASTER_KEYS');
+  }
+
+  console.warn('⚠️ KEY_VAULT_MASTER_KEYS not set, using the local KMS keyring');
+  return createProvider('local-kms');
+}
+
+function getMasterKeyProvider() {
+  if (!provider) {
+    provider = createDefaultProvider();
+  }
+  return provider;
+}
+
+/**
+ * Replace the master key provider, e.g. with a KMS-backed one
+ * @param {Object} masterKeyProvider - { currentKeyId(), wrapKey(dataKey), unwrapKey(keyId, wrappedKey) }
+ */
+function setMasterKeyProvider(masterKeyProvider) {
+  provider = masterKeyProvider;
+}
+
+function isEnvelope(value) {
+  return typeof value === 'string' && value.startsWith(ENVELOPE_PREFIX);
+}
+
+function parseEnvelope(value) {
+  const parts = value.slice(ENVELOPE_PREFIX.length).split(':');
+  if (parts.length !== 5) {
+    throw new Error('Malformed key vault envelope');
+  }
+
+  const [keyId, wrappedKey, iv, tag, ciphertext] = parts;
+  return { keyId, wrappedKey, iv, tag, ciphertext };
+}
+
+/**
+ * Encrypt a secret under a fresh data key
+ * @param {string} plaintext - Secret, e.g. a private key
+ * @returns {string} Envelope to store
+ */
+async function encrypt(plaintext) {
+  if (!plaintext) {
+    throw new Error('Nothing to encrypt');
+  }
+
+  const dataKey = crypto.randomBytes(32);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', dataKey, iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  const { keyId, wrappedKey } = await getMasterKeyProvider().wrapKey(dataKey);
+
+  return ENVELOPE_PREFIX + [
+    keyId,
+    wrappedKey,
+    iv.toString('base64'),
+    cipher.getAuthTag().toString('base64'),
+    ciphertext.toString('base64')
+  ].join(':');
+}
+
+// Wallet private keys written before the vault (CryptoJS AES with WALLET_ENCRYPTION_KEY)
+function decryptLegacyWalletValue(value) {
+  const legacyKey = process.env.WALLET_ENCRYPTION_KEY || 'default-key-change-in-production';
+  const plaintext = CryptoJS.AES.decrypt(value.slice(LEGACY_WALLET_PREFIX.length), legacyKey).toString(CryptoJS.enc.Utf8);
+  if (!plaintext) {
+    throw new Error('Could not decrypt legacy wallet key (check WALLET_ENCRYPTION_KEY)');
+  }
+  return plaintext;
+}
+
+/**
+ * Decrypt a stored secret: a vault envelope, a legacy wallet value or legacy plaintext
+ * @param {string} value - Stored value
+ * @returns {string} Plaintext secret
+ */
+async function decrypt(value) {
+  if (!value) {
+    throw new Error('Nothing to decrypt');
+  }
+  if (value.startsWith(LEGACY_WALLET_PREFIX)) {
+    return decryptLegacyWalletValue(value);
+  }
+  if (!isEnvelope(value)) {
+    return value;
+  }
+
+  const { keyId, wrappedKey, iv, tag, ciphertext } = parseEnvelope(value);
+  const dataKey = await getMasterKeyProvider().unwrapKey(keyId, wrappedKey);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', dataKey, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Whether a stored value should be migrated or rotated: not yet an envelope,
+ * or wrapped by a master key other than the current one
+ */
+function needsRotation(value) {
+  if (!isEnvelope(value)) return true;
+  return parseEnvelope(value).keyId !== getMasterKeyProvider().currentKeyId();
+}
+
+/**
+ * Re-wrap an envelope's data key with the current master key. The ciphertext is
+ * untouched, so this is safe while other instances still read the old envelope.
+ * @param {string} value - Envelope
+ * @returns {string} Envelope under the current master key
+ */
+async function rewrap(value) {
+  const envelope = parseEnvelope(value);
+  const masterKeyProvider = getMasterKeyProvider();
+  const dataKey = await masterKeyProvider.unwrapKey(envelope.keyId, envelope.wrappedKey);
+  const { keyId, wrappedKey } = await masterKeyProvider.wrapKey(dataKey);
+
+  return ENVELOPE_PREFIX + [keyId, wrappedKey, envelope.iv, envelope.tag, envelope.ciphertext].join(':');
+}
+
+/**
+ * Decrypt and encrypt again under a new data key (also migrates legacy values)
+ * @param {string} value - Stored value
+ * @returns {string} New envelope
+ */
+async function reencrypt(value) {
+  return await encrypt(await decrypt(value));
+}
+
+module.exports = {
+  ENVELOPE_PREFIX,
+  getMasterKeyProvider,
+  setMasterKeyProvider,
+  isEnvelope,
+  encrypt,
+  decrypt,
+  needsRotation,
+  rewrap,
+  reencrypt
+};
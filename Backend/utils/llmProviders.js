@@ -0,0 +1,250 @@
+/**
+ * LLM Providers
+ * Adapters behind llmService. Each one takes OpenAI / Together shaped requests
+ * and returns responses in the same shape ({ choices, usage }), so services
+ * don't care which one served them:
+ * - together: Together AI (TOGETHER_API_KEY)
+ * - local: any OpenAI-compatible server, e.g. Ollama, vLLM or LM Studio (LLM_LOCAL_BASE_URL)
+ * - fixture: replays recorded responses from LLM_FIXTURES_DIR, for offline runs and tests
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+class LlmProvider {
+  constructor(name) {
+    this.name = name;
+    // Used when neither the route nor the call names a model
+    this.defaultModel = null;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Chat completion
+   * @param {Object} request - { model, messages, max_tokens, temperature, response_format, ... }
+   * @param {Object} options - { signal: AbortSignal }
+   * @returns {Object} { choices: [{ message: { role, content } }], usage }
+   */
+  async chat(request, options) {
+    throw new Error(`${this.name} provider does not implement chat()`);
+  }
+
+  /**
+   * Text completion
+   * @param {Object} request - { model, prompt, max_tokens, temperature, stop, ... }
+   * @param {Object} options - { signal: AbortSignal }
+   * @returns {Object} { choices: [{ text }], usage }
+   */
+  async complete(request, options) {
+    throw new Error(`${this.name} provider does not implement complete()`);
+  }
+
+  /**
+   * Streamed chat completion
+   * @returns {AsyncIterable} Chunks { choices: [{ delta: { content } }], usage? }
+   */
+  async streamChat(request, options) {
+    throw new Error(`${this.name} provider does not implement streamChat()`);
+  }
+}
+
+class TogetherProvider extends LlmProvider {
+  constructor() {
+    super('together');
+    this.client = null;
+  }
+
+  isConfigured() {
+    return Boolean(process.env.TOGETHER_API_KEY);
+  }
+
+  getClient() {
+    if (!this.client) {
+      const Together = require('together-ai').default;
+      this.client = new Together({ apiKey: process.env.TOGETHER_API_KEY });
+    }
+    return this.client;
+  }
+
+  async chat(request, { signal } = {}) {
+    return await this.getClient().chat.completions.create({ ...request, stream: false }, { signal });
+  }
+
+  async complete(request, { signal } = {}) {
+    return await this.getClient().completions.create({ ...request, stream: false }, { signal });
+  }
+
+  async streamChat(request, { signal } = {}) {
+    return await this.getClient().chat.completions.create({ ...request, stream: true }, { signal });
+  }
+}
+
+// Split a server-sent event stream into the JSON payloads of its data lines
+async function* readServerSentEvents(stream) {
+  let buffer = '';
+  for await (const piece of stream) {
+    buffer += piece.toString('utf8');
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (!line.startsWith('data:')) continue;
+
+      const data = line.slice(5).trim();
+      if (data === '[DONE]') return;
+      yield JSON.parse(data);
+    }
+  }
+}
+
+/**
+ * OpenAI-compatible HTTP API (LLM_LOCAL_BASE_URL, e.g. http://localhost:11434/v1 for
+ * Ollama). Together model names mean nothing there, so LLM_LOCAL_MODEL is used
+ * unless a route names a model.
+ */
+class OpenAICompatibleProvider extends LlmProvider {
+  constructor({ name = 'local', baseUrl = process.env.LLM_LOCAL_BASE_URL, apiKey = process.env.LLM_LOCAL_API_KEY, model = process.env.LLM_LOCAL_MODEL } = {}) {
+    super(name);
+    this.baseUrl = baseUrl ? baseUrl.replace(/\/+$/, '') : null;
+    this.apiKey = apiKey || null;
+    this.defaultModel = model || null;
+  }
+
+  isConfigured() {
+    return Boolean(this.baseUrl);
+  }
+
+  async post(endpoint, body, { signal, stream = false } = {}) {
+    if (!this.baseUrl) {
+      throw new Error(`${this.name} provider has no base URL (set LLM_LOCAL_BASE_URL)`);
+    }
+
+    const response = await axios.post(`${this.baseUrl}${endpoint}`, body, {
+      headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+      responseType: stream ? 'stream' : 'json',
+      signal
+    });
+    return response.data;
+  }
+
+  async chat(request, options = {}) {
+    return await this.post('/chat/completions', { ...request, stream: false }, options);
+  }
+
+  async complete(request, options = {}) {
+    return await this.post('/completions', { ...request, stream: false }, options);
+  }
+
+  async streamChat(request, options = {}) {
+    const stream = await this.post('/chat/completions', {
+      ...request,
+      stream: true,
+      stream_options: { include_usage: true }
+    }, { ...options, stream: true });
+    return readServerSentEvents(stream);
+  }
+}
+
+/**
+ * Deterministic replay of recorded responses. A response is looked up by a hash
+ * of the request (kind, model, messages or prompt, response_format) in
+ * LLM_FIXTURES_DIR/<hash>.json. With LLM_FIXTURE_RECORD=<provider>, missing
+ * fixtures are fetched from that provider and written; otherwise the call fails,
+ * so services take their rule-based fallbacks, which are deterministic too.
+ */
+class FixtureProvider extends LlmProvider {
+  constructor({ directory = process.env.LLM_FIXTURES_DIR || path.join(__dirname, '../data/llm-fixtures'), recordFrom = process.env.LLM_FIXTURE_RECORD } = {}) {
+    super('fixture');
+    this.directory = directory;
+    this.recordFrom = recordFrom || null;
+  }
+
+  static fixtureKey(kind, request) {
+    const { model, messages, prompt, response_format: responseFormat } = request;
+    return crypto.createHash('sha256')
+      .update(JSON.stringify({ kind, model, messages, prompt, responseFormat }))
+      .digest('hex')
+      .slice(0, 32);
+  }
+
+  fixturePath(kind, request) {
+    return path.join(this.directory, `${FixtureProvider.fixtureKey(kind, request)}.json`);
+  }
+
+  async replay(kind, request, options) {
+    const file = this.fixturePath(kind, request);
+    if (fs.existsSync(file)) {
+      return JSON.parse(fs.readFileSync(file, 'utf8')).response;
+    }
+
+    if (!this.recordFrom) {
+      throw new Error(`No LLM fixture for this ${kind} request (${file})`);
+    }
+
+    const response = await createProvider(this.recordFrom)[kind](request, options);
+    fs.mkdirSync(this.directory, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({ kind, request, response }, null, 2));
+    console.log(`📼 Recorded LLM fixture ${path.basename(file)}`);
+    return response;
+  }
+
+  async chat(request, options) {
+    return await this.replay('chat', request, options);
+  }
+
+  async complete(request, options) {
+    return await this.replay('complete', request, options);
+  }
+
+  // Replays the chat fixture of the same request as a single chunk
+  async streamChat(request, options) {
+    const response = await this.replay('chat', request, options);
+    return (async function* () {
+      yield {
+        choices: [{ delta: { content: response.choices[0].message.content } }],
+        usage: response.usage
+      };
+    })();
+  }
+}
+
+const PROVIDERS = {
+  together: () => new TogetherProvider(),
+  local: () => new OpenAICompatibleProvider(),
+  fixture: () => new FixtureProvider()
+};
+
+/**
+ * Make a provider available under a name for LLM_PROVIDER and LLM_ROUTES
+ * @param {string} name - Provider name
+ * @param {Function} factory - () => LlmProvider
+ */
+function registerProvider(name, factory) {
+  PROVIDERS[name] = factory;
+}
+
+/**
+ * Create an LLM provider by name
+ * @param {string} name - together, local, fixture or a registered name
+ */
+function createProvider(name) {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${name}" (available: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return factory();
+}
+
+module.exports = {
+  LlmProvider,
+  TogetherProvider,
+  OpenAICompatibleProvider,
+  FixtureProvider,
+  registerProvider,
+  createProvider
+};
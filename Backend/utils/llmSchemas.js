@@ -0,0 +1,458 @@
+/**
+ * LLM Schemas
+ * JSON Schema for each JSON answer services ask an LLM for. llmService.chatJson
+ * and completeJson check the answer against its schema, re-ask once with the
+ * errors, and throw LlmOutputError if it still doesn't match, so nothing
+ * downstream (Strategy documents, transaction execution) sees malformed output.
+ * Schemas pin what callers act on and leave descriptive fields open.
+ */
+
+const { EVENT_TYPES, ACTION_TYPES } = require('./pipelineSchema');
+
+// "100", "0.5", "25%"
+const NUMERIC_TEXT = '^\\s*-?\\d+(\\.\\d+)?\\s*%?\\s*$';
+
+const string = { type: 'string' };
+const nullableString = { type: ['string', 'null'] };
+const numeric = { type: ['number', 'string'], pattern: NUMERIC_TEXT };
+const nullableNumeric = { type: ['number', 'string', 'null'], pattern: NUMERIC_TEXT };
+const percentage = { type: ['number', 'string'], minimum: 0, maximum: 100, pattern: NUMERIC_TEXT };
+const stringList = { type: 'array', items: string };
+
+const oneOf = (values) => ({ type: 'string', enum: values });
+const nullableOneOf = (values) => ({ type: ['string', 'null'], enum: [...values, null] });
+
+// Task types and priorities a Strategy document accepts
+const STRATEGY_TASK_TYPES = ['BUY', 'SELL', 'SWAP', 'STAKE', 'MONITOR', 'REBALANCE', 'STOP_LOSS', 'TAKE_PROFIT', 'DCA'];
+const STRATEGY_TYPES = ['DCA', 'momentum_trading', 'swing_trading', 'hodl', 'arbitrage', 'scalping', 'memecoin', 'yield_farming', 'spot_trading', 'futures_trading', 'custom'];
+const PRIORITIES = ['high', 'medium', 'low'];
+
+// Action types a Memory document accepts
+const MEMORY_ACTION_TYPES = ['BUY', 'SELL', 'HOLD', 'STAKE', 'SWAP', 'FARM', 'LEND', 'BORROW', 'BRIDGE', 'MINT', 'BURN'];
+const RISK_TOLERANCES = ['conservative', 'moderate', 'aggressive'];
+
+// Strategist and consolidator answers in the multi-layer strategy pipeline
+const strategyProposal = {
+  type: 'object',
+  required: ['strategyName', 'approach', 'allocation'],
+  properties: {
+    strategyName: { type: 'string', minLength: 1 },
+    approach: oneOf(['conservative', 'balanced', 'aggressive']),
+    riskPercentage: percentage,
+    timeFrame: string,
+    allocation: { type: 'object', additionalProperties: percentage },
+    rebalancingActions: { type: 'array', items: { type: 'object' } },
+    keyMetrics: stringList
+  }
+};
+
+// A token pick in promptRouterController's information answers
+const tokenRecommendation = {
+  type: 'object',
+  required: ['token', 'action'],
+  properties: {
+    token: { type: 'string', minLength: 1 },
+    name: string,
+    action: oneOf(['BUY', 'WATCH', 'HOLD']),
+    category: string,
+    confidence: percentage,
+    riskScore: percentage,
+    timeframe: string,
+    reasoning: string
+  }
+};
+
+const LLM_SCHEMAS = {
+  // messageClassificationService.classifyMessage
+  classification: {
+    type: 'object',
+    required: ['type', 'confidence'],
+    properties: {
+      type: oneOf(['strategy', 'actions', 'information', 'feedbacks']),
+      confidence: { type: 'number', minimum: 0, maximum: 1 },
+      reasoning: string,
+      keywords: stringList,
+      // Checked against the message by validateClassification
+      actionSubtype: nullableString
+    }
+  },
+
+  // enhancedIntentService.classifyMessage
+  intentClassification: {
+    type: 'object',
+    required: ['type', 'confidence'],
+    properties: {
+      type: oneOf(['portfolio-information', 'actions', 'pipeline', 'strategy', 'information', 'feedbacks']),
+      actionSubtype: nullableOneOf([
+        'balance', 'token-balance', 'portfolio-summary', 'transfer', 'swap', 'stake', 'createAgent',
+        'deployContract', 'associateToken', 'createTopic', 'sendMessage', 'workflow', 'other'
+      ]),
+      confidence: { type: 'number', minimum: 0, maximum: 1 },
+      reasoning: string
+    }
+  },
+
+  // enhancedIntentService.extractArguments; fields depend on the action
+  actionArguments: {
+    type: 'object',
+    required: ['args'],
+    properties: {
+      args: {
+        type: 'object',
+        properties: {
+          amount: { type: ['number', 'string', 'null'] },
+          token: nullableString,
+          fromToken: nullableString,
+          toToken: nullableString,
+          recipient: nullableString,
+          slippage: nullableNumeric,
+          swapType: nullableOneOf(['exactInput', 'exactOutput'])
+        }
+      }
+    }
+  },
+
+  // enhancedIntentService.extractPortfolioArguments
+  portfolioArguments: {
+    type: 'object',
+    required: ['args'],
+    properties: {
+      args: {
+        type: 'object',
+        properties: {
+          requestType: nullableOneOf(['balance', 'token-balance', 'portfolio-summary']),
+          token: nullableString,
+          timeframe: nullableString
+        }
+      }
+    }
+  },
+
+  // enhancedTransferService.analyzeTransferArguments
+  transferArguments: {
+    type: 'object',
+    required: ['amount', 'token', 'recipient'],
+    properties: {
+      amount: nullableNumeric,
+      token: nullableString,
+      recipient: nullableString,
+      memo: nullableString,
+      priority: nullableOneOf(['normal', 'high', 'low']),
+      confidence: { type: 'object', additionalProperties: { type: 'number', minimum: 0, maximum: 1 } },
+      analysis: { type: 'object' }
+    }
+  },
+
+  // enhancedSwapIntentService.extractSwapArguments
+  swapArguments: {
+    type: 'object',
+    required: ['fromToken', 'toToken', 'amount'],
+    properties: {
+      fromToken: nullableString,
+      toToken: nullableString,
+      amount: nullableNumeric,
+      slippage: nullableNumeric,
+      isExactOutput: { type: ['boolean', 'null'] }
+    }
+  },
+
+  // Swap detection feeding swap execution (actionsProcessingService, messageClassificationService)
+  swapIntent: {
+    type: 'object',
+    required: ['isSwap'],
+    properties: {
+      isSwap: { type: 'boolean' },
+      fromToken: nullableString,
+      toToken: nullableString,
+      amount: nullableNumeric,
+      slippageTolerance: nullableNumeric,
+      confidence: numeric,
+      reasoning: string
+    }
+  },
+
+  // actionsProcessingService.processAction; fields depend on the action
+  actionPlan: {
+    type: 'object',
+    required: ['actionType'],
+    properties: {
+      actionType: { type: 'string', minLength: 1 },
+      amount: { type: ['number', 'string', 'null'] },
+      steps: { type: 'array' },
+      warnings: stringList,
+      recommendations: stringList,
+      riskLevel: oneOf(['low', 'medium', 'high']),
+      transaction: {
+        type: 'object',
+        properties: {
+          amount: nullableNumeric,
+          recipient: nullableString
+        }
+      }
+    }
+  },
+
+  // enhancedIntentService.extractPipelineActions; node configs are checked by validatePipelineDefinition
+  pipelineExtraction: {
+    type: 'object',
+    required: ['pipeline'],
+    properties: {
+      pipeline: {
+        type: 'object',
+        required: ['trigger', 'actions'],
+        properties: {
+          trigger: {
+            type: 'object',
+            required: ['type'],
+            properties: { type: oneOf(Object.keys(EVENT_TYPES)) }
+          },
+          conditions: { type: 'array', items: { type: 'object' } },
+          actions: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'object',
+              required: ['type'],
+              properties: { type: oneOf(Object.keys(ACTION_TYPES)) }
+            }
+          },
+          metadata: { type: 'object' }
+        }
+      }
+    }
+  },
+
+  // strategyProcessingService layer 1
+  strategyValidation: {
+    type: 'object',
+    required: ['requiresFullStrategy', 'complexity', 'analysisDepth', 'timeHorizon', 'riskAnalysisLevel'],
+    properties: {
+      requiresFullStrategy: { type: 'boolean' },
+      complexity: oneOf(['simple', 'moderate', 'complex']),
+      analysisDepth: oneOf(['basic', 'intermediate', 'advanced']),
+      timeHorizon: oneOf(['short', 'medium', 'long']),
+      riskAnalysisLevel: oneOf(['low', 'medium', 'high']),
+      reasoning: string
+    }
+  },
+
+  // strategyProcessingService layer 2
+  strategyProposal,
+
+  // strategyProcessingService layer 3
+  strategyConsolidation: {
+    ...strategyProposal,
+    properties: {
+      ...strategyProposal.properties,
+      confidenceScore: percentage,
+      immediateActions: { type: 'array', items: { type: 'object' } },
+      dataNeeded: stringList
+    }
+  },
+
+  // promptRouterController.processStrategy; saved as a Strategy document with its action plan
+  strategyPlan: {
+    type: 'object',
+    required: ['strategy', 'actionPlan'],
+    properties: {
+      strategy: {
+        type: 'object',
+        required: ['name', 'type', 'riskLevel'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          type: oneOf(['Conservative Growth', 'Balanced', 'Aggressive Growth', 'Yield Focused', 'Custom']),
+          objective: string,
+          riskLevel: { type: 'number', minimum: 0, maximum: 100 },
+          expectedReturn: { type: ['number', 'string'] },
+          timeHorizon: string,
+          confidenceScore: { type: 'number', minimum: 0, maximum: 100 }
+        }
+      },
+      analysis: { type: 'object' },
+      actionPlan: {
+        type: 'object',
+        required: ['phases'],
+        properties: {
+          phases: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'object',
+              required: ['tasks'],
+              properties: {
+                phaseName: string,
+                duration: string,
+                tasks: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    required: ['taskType'],
+                    properties: {
+                      taskType: oneOf(STRATEGY_TASK_TYPES),
+                      tokenSymbol: string,
+                      allocation: { type: ['string', 'number'] },
+                      targetPrice: { type: ['number', 'string', 'null'] },
+                      priority: oneOf(PRIORITIES),
+                      triggerConditions: {
+                        type: 'object',
+                        properties: {
+                          priceAbove: { type: ['number', 'null'] },
+                          priceBelow: { type: ['number', 'null'] },
+                          volumeThreshold: { type: ['number', 'null'] },
+                          marketCondition: nullableString,
+                          timeCondition: nullableString
+                        }
+                      },
+                      executionInstructions: string
+                    }
+                  }
+                }
+              }
+            }
+          },
+          totalEstimatedDuration: string,
+          riskManagement: {
+            type: 'object',
+            properties: {
+              stopLossGlobal: { type: 'number', minimum: 0, maximum: 100 },
+              takeProfitGlobal: { type: 'number', minimum: 0 },
+              maxDrawdown: { type: 'number', minimum: 0, maximum: 100 },
+              riskScore: { type: 'number', minimum: 0, maximum: 100 }
+            }
+          }
+        }
+      },
+      recommendations: { type: 'array', items: { type: 'object' } },
+      implementation: { type: 'object' },
+      performance: { type: 'object' }
+    }
+  },
+
+  // promptRouterController information answers (buildInformationPrompt and buildAllTokensAnalysisPrompt)
+  marketInformation: {
+    type: 'object',
+    required: ['analysis', 'recommendations'],
+    properties: {
+      analysis: {
+        type: 'object',
+        properties: {
+          marketOverview: { type: 'object', properties: { summary: string, sentiment: string } }
+        }
+      },
+      recommendations: { type: 'array', items: tokenRecommendation },
+      actionableInsights: stringList,
+      riskWarnings: stringList,
+      nextSteps: stringList,
+      confidence: { type: ['string', 'number'] }
+    }
+  },
+
+  // agentChatController demands, parameters saved to Memory
+  chatActionParameters: {
+    type: 'object',
+    required: ['actionType'],
+    properties: {
+      actionType: { type: 'string', minLength: 1 },
+      token: nullableString,
+      amount: { type: ['string', 'number', 'null'] },
+      target: nullableString,
+      urgency: nullableOneOf(['immediate', 'hours', 'flexible']),
+      conditions: nullableString,
+      needsWalletAccess: { type: 'boolean' }
+    }
+  },
+  chatStrategyParameters: {
+    type: 'object',
+    required: ['riskTolerance', 'timeHorizon'],
+    properties: {
+      budget: nullableString,
+      riskTolerance: oneOf(RISK_TOLERANCES),
+      timeHorizon: oneOf(['short', 'medium', 'long']),
+      preferredTokens: stringList,
+      strategyType: nullableString,
+      goals: nullableString,
+      constraints: nullableString
+    }
+  },
+  chatFeedbackContext: {
+    type: 'object',
+    required: ['sentiment'],
+    properties: {
+      tradeDetails: nullableString,
+      amount: { type: ['string', 'number', 'null'] },
+      timeframe: nullableString,
+      sentiment: oneOf(['positive', 'negative', 'neutral']),
+      concerns: nullableString,
+      wantsAdvice: { type: 'boolean' }
+    }
+  },
+
+  // aiAgentController.chatWithAgent; the action plan is saved to Memory
+  agentChatStrategy: {
+    type: 'object',
+    required: ['strategy', 'actionPlan', 'userMessage'],
+    properties: {
+      analysis: string,
+      extractedParameters: { type: 'object' },
+      strategy: string,
+      budgetRecommendation: {
+        type: 'object',
+        properties: {
+          percentageAllocation: { type: 'object', additionalProperties: percentage }
+        }
+      },
+      actionPlan: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['actionType', 'tokenPair'],
+          properties: {
+            step: { type: 'number' },
+            actionType: oneOf(MEMORY_ACTION_TYPES),
+            percentage: percentage,
+            dollarAmount: string,
+            tokenPair: { type: 'string', minLength: 1 },
+            ref: string,
+            reasoning: string
+          }
+        }
+      },
+      marketInsights: { type: 'object' },
+      userMessage: { type: 'string', minLength: 1 }
+    }
+  },
+
+  // agentController strategy creation and modification; saved as a Strategy document
+  agentStrategy: {
+    type: 'object',
+    required: ['agentName', 'primaryStrategy', 'riskTolerance'],
+    properties: {
+      agentName: { type: 'string', minLength: 1 },
+      description: string,
+      primaryStrategy: oneOf(STRATEGY_TYPES),
+      riskTolerance: oneOf(['conservative', 'moderate', 'aggressive']),
+      defaultBudget: { type: ['number', 'string'] },
+      frequency: oneOf(['daily', 'weekly', 'monthly']),
+      portfolioAllocation: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object',
+          required: ['symbol', 'percentage'],
+          properties: {
+            symbol: { type: 'string', minLength: 1 },
+            percentage: percentage,
+            reasoning: string
+          }
+        }
+      },
+      maxPositionSize: { type: ['number', 'string'] },
+      stopLossPercentage: { type: ['number', 'string'] },
+      takeProfitPercentage: { type: ['number', 'string'] },
+      portfolioManagementPlan: { type: 'object' }
+    }
+  }
+};
+
+module.exports = {
+  LLM_SCHEMAS
+};
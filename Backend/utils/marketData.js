@@ -1,4 +1,5 @@
 const fetch = require('node-fetch');
+const priceHistoryService = require('../services/priceHistoryService');
 
 // Supported tokens and their CoinGecko IDs
 const TOKEN_IDS = {
@@ -70,6 +71,135 @@ async function fetchHederaTokenData(tokenAddress) {
   }
 }
 
+// Valued at $1 without a lookup
+const USD_STABLECOINS = ['USDT', 'USDC', 'DAI'];
+
+// Native tokens trade as their wrapped version in pools
+const WRAPPED_TOKENS = {
+  TON: 'WTON',
+  SEI: 'WSEI'
+};
+
+// How old a stored price may be before getTokenPriceUsd fetches a new one
+const PRICE_MAX_AGE_MS = 15 * 60 * 1000;
+
+/**
+ * Search GeckoTerminal pools for a token, most liquid first
+ * @param {string} token - Token symbol or address
+ * @param {string} network - GeckoTerminal network id
+ * @returns {Array} Pools (GeckoTerminal resources)
+ */
+async function searchTokenPools(token, network = 'duckchain') {
+  const response = await fetch(
+    `https://api.geckoterminal.com/api/v2/search/pools?query=${encodeURIComponent(token)}&network=${network}`,
+    {
+      method: 'GET',
+      headers: {
+        'Accept': 'application/json;version=20230302',
+        'User-Agent': 'Mariposa-Trading-Bot/1.0'
+      },
+      timeout: 10000
+    }
+  );
+
+  if (!response.ok) {
+    throw new Error(`GeckoTerminal API error: ${response.status}`);
+  }
+
+  const data = await response.json();
+  return (data.data || []).sort((a, b) =>
+    parseFloat(b.attributes.reserve_in_usd || 0) - parseFloat(a.attributes.reserve_in_usd || 0)
+  );
+}
+
+/**
+ * Find the most liquid GeckoTerminal pool for a token on a network
+ * @param {string} token - Token symbol or address
+ * @param {string} network - GeckoTerminal network id
+ * @returns {string|null} Pool address
+ */
+async function findTokenPool(token, network = 'duckchain') {
+  try {
+    const pools = await searchTokenPools(token, network);
+    return pools.length > 0 ? pools[0].attributes.address : null;
+  } catch (error) {
+    console.error(`❌ Failed to find pool for ${token} on ${network}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Current USD price of a token: stablecoins at $1, else a recent stored
+ * snapshot, else the most liquid GeckoTerminal pool holding the token
+ * @param {string} token - Token symbol
+ * @param {string} network - GeckoTerminal network id
+ * @returns {number|null} Price in USD, or null if unknown
+ */
+async function getTokenPriceUsd(token, network = 'duckchain') {
+  const symbol = String(token).toUpperCase();
+  if (USD_STABLECOINS.includes(symbol)) {
+    return 1;
+  }
+
+  try {
+    const snapshot = await priceHistoryService.getPriceAt(symbol, new Date(), { network, toleranceMs: PRICE_MAX_AGE_MS });
+    if (snapshot) {
+      return snapshot.priceUsd;
+    }
+
+    const poolSymbol = WRAPPED_TOKENS[symbol] || symbol;
+    const pools = await searchTokenPools(poolSymbol, network);
+
+    // Pool names read "BASE / QUOTE [fee]"
+    for (const pool of pools) {
+      const [base, quote] = (pool.attributes.name || '').split('/').map(part => part.trim().split(' ')[0].toUpperCase());
+      const price = base === poolSymbol ? parseFloat(pool.attributes.base_token_price_usd)
+        : quote === poolSymbol ? parseFloat(pool.attributes.quote_token_price_usd)
+        : NaN;
+
+      if (price > 0) {
+        await priceHistoryService.recordPrice({ token: symbol, network, priceUsd: price, source: 'geckoterminal' });
+        return price;
+      }
+    }
+
+    return null;
+  } catch (error) {
+    console.error(`❌ Failed to price ${symbol} on ${network}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Fetch OHLCV candles for a pool from GeckoTerminal
+ * @param {string} poolAddress - Pool address
+ * @param {Object} options - { network, timeframe, aggregate }
+ * @returns {Array} Candles as [timestamp, open, high, low, close, volume], oldest first
+ */
+async function fetchPoolOHLCV(poolAddress, { network = 'duckchain', timeframe = 'hour', aggregate = 1 } = {}) {
+  const response = await fetch(
+    `https://api.geckoterminal.com/api/v2/networks/${network}/pools/${poolAddress}/ohlcv/${timeframe}?aggregate=${aggregate}`,
+    {
+      method: 'GET',
+      headers: {
+        'Accept': 'application/json;version=20230302',
+        'User-Agent': 'Mariposa-Trading-Bot/1.0'
+      },
+      timeout: 10000
+    }
+  );
+
+  if (!response.ok) {
+    throw new Error(`GeckoTerminal API error: ${response.status}`);
+  }
+
+  const data = await response.json();
+  const candles = data.data?.attributes?.ohlcv_list || [];
+
+  // GeckoTerminal returns newest candle first
+  return candles.slice().sort((a, b) => a[0] - b[0]);
+}
+
 /**
  * Fetch live market data for supported tokens
  * @param {Array} tokens - Array of token symbols (e.g., ['BTC', 'ETH'])
@@ -144,6 +274,13 @@ async function fetchMarketData(tokens = ['BTC', 'ETH', 'HBAR', 'USDC', 'USDT', '
       }
     }
 
+    // Feed the price history store
+    await priceHistoryService.recordPrices(Object.entries(marketData).map(([token, data]) => ({
+      token,
+      priceUsd: data.price,
+      source: data.source === 'GeckoTerminal' ? 'geckoterminal' : 'coingecko'
+    })));
+
     // Add market summary and insights
     const marketSummary = generateMarketSummary(marketData);
     
@@ -327,6 +464,10 @@ function formatMarketDataForAI(marketData) {
 module.exports = {
   fetchMarketData,
   fetchHederaTokenData,
+  findTokenPool,
+  getTokenPriceUsd,
+  USD_STABLECOINS,
+  fetchPoolOHLCV,
   formatMarketDataForAI,
   generateMarketSummary
 }; 
\ No newline at end of file
@@ -0,0 +1,228 @@
+/**
+ * Master Key Providers
+ * Hold the master keys of the key vault. A provider only wraps and unwraps
+ * per-record data keys and never hands out master key material, so a real KMS
+ * client can take the place of any of them. Every master key has an id: the
+ * current one wraps new data keys, older ones stay available for unwrapping
+ * until rotation has re-wrapped everything.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const KEY_ID_PATTERN = /^[\w.-]+$/;
+
+// Encode a wrapped key as base64(iv | tag | ciphertext)
+function wrapWithKey(masterKey, dataKey) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', masterKey, iv);
+  const ciphertext = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+}
+
+function unwrapWithKey(masterKey, wrappedKey) {
+  const raw = Buffer.from(wrappedKey, 'base64');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', masterKey, raw.subarray(0, 12));
+  decipher.setAuthTag(raw.subarray(12, 28));
+  return Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]);
+}
+
+// Master keys are 32 bytes, given as base64 or hex
+function parseMasterKey(keyId, encoded) {
+  if (!KEY_ID_PATTERN.test(keyId)) {
+    throw new Error(`Invalid master key id "${keyId}"`);
+  }
+
+  const value = String(encoded).trim();
+  const key = /^(0x)?[0-9a-f]{64}$/i.test(value)
+    ? Buffer.from(value.replace(/^0x/i, ''), 'hex')
+    : Buffer.from(value, 'base64');
+  if (key.length !== 32) {
+    throw new Error(`Master key "${keyId}" must be 32 bytes (base64 or hex)`);
+  }
+  return key;
+}
+
+/**
+ * Provider over a keyring { currentKeyId, keys: Map(id → Buffer) };
+ * subclasses supply the keyring through loadKeyring()
+ */
+class KeyringProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  loadKeyring() {
+    throw new Error(`${this.name} provider does not implement loadKeyring()`);
+  }
+
+  currentKeyId() {
+    return this.loadKeyring().currentKeyId;
+  }
+
+  /**
+   * Wrap a data key with the current master key
+   * @param {Buffer} dataKey - Plain data key
+   * @returns {Object} { keyId, wrappedKey }
+   */
+  async wrapKey(dataKey) {
+    const { currentKeyId, keys } = this.loadKeyring();
+    return { keyId: currentKeyId, wrappedKey: wrapWithKey(keys.get(currentKeyId), dataKey) };
+  }
+
+  /**
+   * Unwrap a data key with the master key it was wrapped with
+   * @param {string} keyId - Master key id stored with the record
+   * @param {string} wrappedKey - Wrapped data key
+   * @returns {Buffer} Plain data key
+   */
+  async unwrapKey(keyId, wrappedKey) {
+    const masterKey = this.loadKeyring().keys.get(keyId);
+    if (!masterKey) {
+      throw new Error(`Master key "${keyId}" is not available from the ${this.name} provider`);
+    }
+    return unwrapWithKey(masterKey, wrappedKey);
+  }
+}
+
+/**
+ * Keys from KEY_VAULT_MASTER_KEYS="id2:key2,id1:key1"; the first one is current.
+ * Rotate by prepending a new key and restarting instances one by one.
+ */
+class EnvKeyProvider extends KeyringProvider {
+  constructor() {
+    super('env');
+    this.keyring = null;
+  }
+
+  static isConfigured() {
+    return Boolean(process.env.KEY_VAULT_MASTER_KEYS);
+  }
+
+  loadKeyring() {
+    if (this.keyring) return this.keyring;
+
+    const entries = (process.env.KEY_VAULT_MASTER_KEYS || '')
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean);
+    if (entries.length === 0) {
+      throw new Error('KEY_VAULT_MASTER_KEYS is not set');
+    }
+
+    const keys = new Map();
+    entries.forEach(entry => {
+      const separator = entry.indexOf(':');
+      if (separator <= 0) {
+        throw new Error('KEY_VAULT_MASTER_KEYS entries must look like "<id>:<key>"');
+      }
+      const keyId = entry.slice(0, separator);
+      keys.set(keyId, parseMasterKey(keyId, entry.slice(separator + 1)));
+    });
+
+    this.keyring = { currentKeyId: entries[0].slice(0, entries[0].indexOf(':')), keys };
+    return this.keyring;
+  }
+}
+
+/**
+ * Keys from a JSON file { "current": "id2", "keys": { "id2": "<key>", "id1": "<key>" } }
+ * (KEY_VAULT_KEY_FILE). The file is re-read when it changes, so rotation needs no restart.
+ */
+class FileKeyProvider extends KeyringProvider {
+  constructor(filePath = process.env.KEY_VAULT_KEY_FILE) {
+    super('file');
+    if (!filePath) {
+      throw new Error('KEY_VAULT_KEY_FILE is not set');
+    }
+    this.filePath = filePath;
+    this.keyring = null;
+    this.loadedMtime = 0;
+  }
+
+  loadKeyring() {
+    const mtime = fs.statSync(this.filePath).mtimeMs;
+    if (this.keyring && mtime === this.loadedMtime) return this.keyring;
+
+    const file = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    const keys = new Map(Object.entries(file.keys || {}).map(([keyId, key]) => [keyId, parseMasterKey(keyId, key)]));
+    if (!keys.has(file.current)) {
+      throw new Error(`Current master key "${file.current}" is missing from ${this.filePath}`);
+    }
+
+    this.keyring = { currentKeyId: file.current, keys };
+    this.loadedMtime = mtime;
+    return this.keyring;
+  }
+}
+
+/**
+ * Stand-in for a cloud KMS during development: it generates and versions its own
+ * master keys in a local keyring file (KEY_VAULT_LOCAL_KMS_FILE) that nothing else reads.
+ */
+class LocalKmsProvider extends FileKeyProvider {
+  constructor(filePath = process.env.KEY_VAULT_LOCAL_KMS_FILE || path.join(__dirname, '../data/local-kms-keyring.json')) {
+    if (!fs.existsSync(filePath)) {
+      LocalKmsProvider.writeKeyring(filePath, { current: 'local-v1', keys: { 'local-v1': crypto.randomBytes(32).toString('base64') } });
+      console.warn(`⚠️ Local KMS keyring created at ${filePath}; use a real master key provider in production`);
+    }
+    super(filePath);
+    this.name = 'local-kms';
+  }
+
+  static writeKeyring(filePath, keyring) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(keyring, null, 2), { mode: 0o600 });
+  }
+
+  /**
+   * Add a new key version and make it current; earlier versions keep unwrapping
+   * @returns {string} New key id
+   */
+  async rotateMasterKey() {
+    const file = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    const version = Object.keys(file.keys).length + 1;
+    const keyId = `local-v${version}`;
+
+    file.keys[keyId] = crypto.randomBytes(32).toString('base64');
+    file.current = keyId;
+    LocalKmsProvider.writeKeyring(this.filePath, file);
+    return keyId;
+  }
+}
+
+const PROVIDERS = {
+  env: () => new EnvKeyProvider(),
+  file: () => new FileKeyProvider(),
+  'local-kms': () => new LocalKmsProvider()
+};
+
+/**
+ * Make a provider available under a name for KEY_VAULT_PROVIDER (e.g. a KMS client)
+ * @param {string} name - Provider name
+ * @param {Function} factory - () => provider with currentKeyId(), wrapKey(dataKey) and unwrapKey(keyId, wrappedKey)
+ */
+function registerProvider(name, factory) {
+  PROVIDERS[name] = factory;
+}
+
+/**
+ * Create a master key provider by name
+ * @param {string} name - env, file, local-kms or a registered name
+ */
+function createProvider(name) {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown key vault provider "${name}" (available: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return factory();
+}
+
+module.exports = {
+  EnvKeyProvider,
+  FileKeyProvider,
+  LocalKmsProvider,
+  registerProvider,
+  createProvider
+};
@@ -0,0 +1,218 @@
+/**
+ * Pipeline Schedule
+ * Turns the time-based events of a pipeline definition into the repeat
+ * interval (cron expression or human interval) of its Agenda job.
+ */
+
+const parser = require('cron-parser');
+
+const TIME_EVENT_TYPES = ['time_based', 'time_schedule'];
+
+// Named schedules accepted in `schedule`
+const SCHEDULE_PRESETS = {
+  hourly: '0 * * * *',
+  daily: '0 0 * * *',
+  weekly: '0 0 * * 0',
+  monthly: '0 0 1 * *'
+};
+
+const INTERVAL_UNITS = {
+  m: 'minutes',
+  h: 'hours',
+  d: 'days',
+  w: 'weeks'
+};
+
+const CLOCK_TIME_PATTERN = /^(\d{1,2}):(\d{2})$/;
+const MERIDIEM_TIME_PATTERN = /^(\d{1,2})(?::(\d{2}))?\s*(am|pm)$/;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// "every monday", "each day at 9:30", "weekdays at 8am", "daily at 18:00"
+const PHRASE_PATTERN = new RegExp(`^(?:(?:every|each|on)\\s+)?(hour|day|week|month|daily|weekly|monthly|weekday|${WEEKDAYS.join('|')})s?(?:\\s+at\\s+(.+))?$`);
+const PHRASE_UNITS = { daily: 'day', weekly: 'week', monthly: 'month' };
+
+// Accepted `schedule` values, as described to the pipeline extractor
+const SCHEDULE_FORMATS = '"hourly", "daily", "weekly" or "monthly"; a time of day "HH:MM"; ' +
+  '"every day|week|month|weekday|monday...sunday", optionally followed by "at HH:MM"; ' +
+  'an interval such as "every 15 minutes" or "2h"; or a 5-field cron expression';
+
+// Pipelines without a time-based event are polled so their conditions get evaluated
+function getDefaultPollInterval() {
+  const intervalMs = parseInt(process.env.PIPELINE_EXECUTION_INTERVAL);
+  if (!intervalMs) return '5 minutes';
+  return `${Math.max(1, Math.round(intervalMs / 60000))} minutes`;
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function isValidCron(expression, timezone) {
+  try {
+    parser.parseExpression(expression, timezone ? { tz: timezone } : {});
+    return expression.trim().split(/\s+/).length >= 5;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Normalize "15m", "2h", "every 30 minutes" or a number of minutes into an Agenda interval
+ * @param {string|number} interval - Interval description
+ * @returns {string|null} e.g. "15 minutes", or null when not an interval
+ */
+function normalizeInterval(interval) {
+  if (typeof interval === 'number') {
+    return interval > 0 ? `${interval} minutes` : null;
+  }
+
+  const match = String(interval).trim().toLowerCase()
+    .match(/^(?:every\s+)?(\d+)\s*(m|mins?|minutes?|h|hrs?|hours?|d|days?|w|weeks?)$/);
+  if (!match || parseInt(match[1]) <= 0) return null;
+
+  return `${parseInt(match[1])} ${INTERVAL_UNITS[match[2][0]]}`;
+}
+
+// "09:30", "9:30pm" or "9am" -> { hours, minutes }, or null
+function parseClockTime(time) {
+  const text = String(time).trim().toLowerCase();
+  const clock = text.match(CLOCK_TIME_PATTERN);
+  const meridiem = !clock && text.match(MERIDIEM_TIME_PATTERN);
+  if (!clock && !meridiem) return null;
+
+  const match = clock || meridiem;
+  let hours = parseInt(match[1]);
+  const minutes = match[2] ? parseInt(match[2]) : 0;
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (meridiem[3] === 'pm' ? 12 : 0);
+  }
+  if (hours > 23 || minutes > 59) return null;
+
+  return { hours, minutes };
+}
+
+function clockTimeToCron(time) {
+  const clockTime = parseClockTime(time);
+  return clockTime ? `${clockTime.minutes} ${clockTime.hours} * * *` : null;
+}
+
+/**
+ * Turn an everyday phrasing such as "every monday at 9:00" into a cron expression
+ * @param {string} schedule - See PHRASE_PATTERN
+ * @returns {string|null} Cron expression, or null when not such a phrase
+ */
+function phraseToCron(schedule) {
+  const match = String(schedule).trim().toLowerCase().match(PHRASE_PATTERN);
+  if (!match) return null;
+
+  const unit = PHRASE_UNITS[match[1]] || match[1];
+  if (unit === 'hour') {
+    return match[2] ? null : SCHEDULE_PRESETS.hourly;
+  }
+
+  const clockTime = match[2] ? parseClockTime(match[2]) : { hours: 0, minutes: 0 };
+  if (!clockTime) return null;
+
+  const days = {
+    day: '* * *',
+    week: '* * 0',
+    month: '1 * *',
+    weekday: '* * 1-5'
+  }[unit] || `* * ${WEEKDAYS.indexOf(unit)}`;
+  return `${clockTime.minutes} ${clockTime.hours} ${days}`;
+}
+
+/**
+ * Resolve the config of a time-based event into a repeat schedule
+ * Accepts { cron }, { interval }, { time: "HH:MM" } or { schedule } (see SCHEDULE_FORMATS),
+ * each with an optional IANA `timezone` (default UTC).
+ * @param {Object} config - Event config
+ * @returns {Object} { kind: 'cron'|'interval', expression, timezone }
+ */
+function resolveEventSchedule(config = {}) {
+  const timezone = config.timezone || 'UTC';
+  if (!isValidTimezone(timezone)) {
+    throw new Error(`Invalid timezone "${timezone}"`);
+  }
+
+  if (config.cron) {
+    if (!isValidCron(config.cron, timezone)) {
+      throw new Error(`Invalid cron expression "${config.cron}"`);
+    }
+    return { kind: 'cron', expression: config.cron.trim(), timezone };
+  }
+
+  if (config.time) {
+    const expression = clockTimeToCron(config.time);
+    if (!expression) {
+      throw new Error(`Invalid time "${config.time}", expected HH:MM`);
+    }
+    return { kind: 'cron', expression, timezone };
+  }
+
+  const schedule = config.schedule !== undefined ? config.schedule : config.interval;
+  const preset = SCHEDULE_PRESETS[String(schedule).trim().toLowerCase()];
+  if (preset) {
+    return { kind: 'cron', expression: preset, timezone };
+  }
+
+  const clockCron = clockTimeToCron(schedule) || phraseToCron(schedule);
+  if (clockCron) {
+    return { kind: 'cron', expression: clockCron, timezone };
+  }
+
+  const interval = normalizeInterval(schedule);
+  if (interval) {
+    return { kind: 'interval', expression: interval, timezone };
+  }
+
+  if (typeof schedule === 'string' && isValidCron(schedule, timezone)) {
+    return { kind: 'cron', expression: schedule.trim(), timezone };
+  }
+
+  throw new Error(`Unsupported schedule "${schedule}": use ${SCHEDULE_FORMATS}`);
+}
+
+/**
+ * Validate a time-based event config
+ * @param {Object} config - Event config
+ * @returns {Array<string>} Errors
+ */
+function validateScheduleConfig(config) {
+  try {
+    resolveEventSchedule(config);
+    return [];
+  } catch (error) {
+    return [error.message];
+  }
+}
+
+/**
+ * Repeat schedule for a whole pipeline: its time-based event if it has one,
+ * otherwise the default polling interval
+ * @param {Object} pipeline - Pipeline document or plain object
+ * @returns {Object} { kind, expression, timezone }
+ */
+function getPipelineSchedule(pipeline) {
+  const timeEvent = (pipeline.events || []).find(event => TIME_EVENT_TYPES.includes(event.type));
+  if (timeEvent) {
+    return resolveEventSchedule(timeEvent.config);
+  }
+
+  return { kind: 'interval', expression: getDefaultPollInterval(), timezone: 'UTC' };
+}
+
+module.exports = {
+  TIME_EVENT_TYPES,
+  SCHEDULE_FORMATS,
+  resolveEventSchedule,
+  validateScheduleConfig,
+  getPipelineSchedule
+};
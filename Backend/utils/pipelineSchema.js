@@ -0,0 +1,458 @@
+/**
+ * Pipeline Schema
+ * Shared, versioned definition of the trigger (event), condition and action
+ * nodes that the pipeline extractor emits and the pipeline executor knows how
+ * to run, and of the connections that link them into a DAG.
+ */
+
+const { TIME_EVENT_TYPES, validateScheduleConfig } = require('./pipelineSchedule');
+
+const PIPELINE_SCHEMA_VERSION = 1;
+
+// Lookback windows understood by the price history service ("15m", "1h", "7d", "hour")
+const TIMEFRAME_PATTERN = /^(\d+(\.\d+)?\s*(m|min|mins|h|hr|hrs|d|w)|minute|hour|day|week)$/i;
+
+// Trigger types. `required` entries that are arrays mean "any one of";
+// `validate` runs extra checks on the config and returns error strings.
+const EVENT_TYPES = {
+  price_movement: {
+    label: 'Price Movement',
+    required: ['token', 'percentage'],
+    enums: { direction: ['increase', 'decrease', 'any'] },
+    patterns: { timeframe: TIMEFRAME_PATTERN }
+  },
+  price_change: {
+    label: 'Price Change',
+    required: ['token', 'percentage'],
+    enums: { change_type: ['increase', 'decrease', 'any'] },
+    patterns: { timeframe: TIMEFRAME_PATTERN }
+  },
+  price_target: {
+    label: 'Price Target',
+    required: ['token', 'target_price', 'direction'],
+    enums: { direction: ['above', 'below'] }
+  },
+  balance_threshold: {
+    label: 'Balance Threshold',
+    required: ['threshold_amount', 'comparison'],
+    enums: { comparison: ['above', 'below'] }
+  },
+  wallet_balance: {
+    label: 'Wallet Balance',
+    required: ['token', 'amount', 'threshold_type'],
+    enums: { threshold_type: ['above', 'below'] }
+  },
+  portfolio_value: {
+    label: 'Portfolio Value',
+    required: ['target_value', 'comparison'],
+    enums: { comparison: ['above', 'below'] }
+  },
+  time_based: {
+    label: 'Time Based',
+    required: [['cron', 'schedule', 'interval']],
+    validate: validateScheduleConfig
+  },
+  time_schedule: {
+    label: 'Time Schedule',
+    required: ['time'],
+    validate: validateScheduleConfig
+  },
+  technical_indicator: {
+    label: 'Technical Indicator',
+    required: ['indicator', 'token', 'condition', 'value'],
+    enums: {
+      indicator: ['rsi', 'sma', 'ema', 'price'],
+      condition: ['above', 'below']
+    }
+  },
+  market_condition: {
+    label: 'Market Condition',
+    required: [['trend', 'volatility']],
+    enums: {
+      trend: ['bullish', 'slightly_bullish', 'neutral', 'slightly_bearish', 'bearish'],
+      volatility: ['low', 'normal', 'high']
+    }
+  }
+};
+
+const ACTION_TYPES = {
+  buy: {
+    label: 'Buy',
+    required: ['token', 'amount']
+  },
+  sell: {
+    label: 'Sell',
+    required: ['token', 'amount']
+  },
+  swap: {
+    label: 'Swap',
+    required: ['from_token', 'to_token', 'amount']
+  },
+  transfer: {
+    label: 'Transfer',
+    required: ['amount', ['recipient', 'destination']]
+  },
+  stake: {
+    label: 'Stake',
+    required: ['token']
+  },
+  unstake: {
+    label: 'Unstake',
+    required: ['token']
+  },
+  add_liquidity: {
+    label: 'Add Liquidity',
+    required: ['token_a', 'token_b', 'amount_a']
+  },
+  remove_liquidity: {
+    label: 'Remove Liquidity',
+    required: ['pool', 'percentage']
+  },
+  notify: {
+    label: 'Notify',
+    required: ['message']
+  },
+  notification: {
+    label: 'Notification',
+    required: ['message']
+  },
+  strategy: {
+    label: 'Strategy',
+    required: ['strategy_type', 'budget']
+  }
+};
+
+// Actions that move funds; everything but notifications, so new types count by default
+const TRADE_ACTION_TYPES = Object.keys(ACTION_TYPES).filter(type => !['notify', 'notification'].includes(type));
+
+// Condition nodes gate the nodes after them on an AND/OR group of trigger checks
+const CONDITION_TYPES = {
+  condition: {
+    label: 'Condition',
+    required: [],
+    validate: config => validateConditionGroup(config, 'group')
+  }
+};
+
+// default/on_success edges are followed when the source fired, passed or succeeded;
+// on_failure edges when an action threw or a condition did not pass
+const CONNECTION_TYPES = ['default', 'on_success', 'on_failure'];
+
+const CONDITION_OPERATORS = ['and', 'or'];
+
+// "{{action_1.amountOut}}" or "{{previous.amountOut}}" in action configs refer to earlier outputs
+const OUTPUT_REFERENCE_PATTERN = /\{\{\s*([\w-]+)((?:\.[\w-]+)*)\s*\}\}/g;
+
+function isPresent(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+/**
+ * Validate a node's config against its type spec
+ * @param {Object} spec - Entry from EVENT_TYPES or ACTION_TYPES
+ * @param {Object} config - Node config
+ * @param {string} label - Prefix used in error messages
+ * @returns {Array<string>} Errors
+ */
+function validateNodeConfig(spec, config, label) {
+  const errors = [];
+
+  spec.required.forEach(field => {
+    const alternatives = Array.isArray(field) ? field : [field];
+    if (!alternatives.some(name => isPresent(config[name]))) {
+      errors.push(`${label}: missing required field ${alternatives.join(' or ')}`);
+    }
+  });
+
+  Object.entries(spec.enums || {}).forEach(([field, allowed]) => {
+    if (isPresent(config[field]) && !allowed.includes(String(config[field]).toLowerCase())) {
+      errors.push(`${label}: ${field} must be one of ${allowed.join(', ')}`);
+    }
+  });
+
+  Object.entries(spec.patterns || {}).forEach(([field, pattern]) => {
+    if (isPresent(config[field]) && !pattern.test(String(config[field]).trim())) {
+      errors.push(`${label}: invalid ${field} "${config[field]}"`);
+    }
+  });
+
+  if (spec.validate && errors.length === 0) {
+    errors.push(...spec.validate(config).map(error => `${label}: ${error}`));
+  }
+
+  return errors;
+}
+
+/**
+ * Validate an AND/OR condition group. Leaves are trigger configs
+ * ({ type, token, ... }) as emitted in the extractor's `conditions` array;
+ * items with their own `conditions` array are nested groups.
+ * @param {Object} group - { operator, conditions }
+ * @param {string} label - Prefix used in error messages
+ * @returns {Array<string>} Errors
+ */
+function validateConditionGroup(group, label) {
+  const errors = [];
+  const operator = String(group.operator || 'and').toLowerCase();
+
+  if (!CONDITION_OPERATORS.includes(operator)) {
+    errors.push(`${label}: operator must be one of ${CONDITION_OPERATORS.join(', ')}`);
+  }
+  if (!Array.isArray(group.conditions) || group.conditions.length === 0) {
+    errors.push(`${label}: must have at least one condition`);
+    return errors;
+  }
+
+  group.conditions.forEach((item, index) => {
+    const itemLabel = `${label} condition ${index}`;
+    if (Array.isArray(item.conditions)) {
+      errors.push(...validateConditionGroup(item, itemLabel));
+      return;
+    }
+
+    const { type, ...config } = item;
+    if (TIME_EVENT_TYPES.includes(type)) {
+      errors.push(`${itemLabel}: time-based triggers cannot be used as conditions`);
+    } else if (!EVENT_TYPES[type]) {
+      errors.push(`${itemLabel}: unsupported condition type "${type}"`);
+    } else {
+      errors.push(...validateNodeConfig(EVENT_TYPES[type], config, itemLabel));
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Find a cycle in the connection graph
+ * @param {Array<Object>} connections - { from, to } edges
+ * @returns {Array<string>|null} Node ids along the cycle (first id repeated at the end), or null
+ */
+function findCycle(connections) {
+  const edges = new Map();
+  connections.forEach(conn => {
+    if (!edges.has(conn.from)) edges.set(conn.from, []);
+    edges.get(conn.from).push(conn.to);
+  });
+
+  const state = new Map(); // 1 = on the current path, 2 = done
+  const path = [];
+
+  const visit = (id) => {
+    state.set(id, 1);
+    path.push(id);
+    for (const next of edges.get(id) || []) {
+      if (state.get(next) === 1) {
+        return [...path.slice(path.indexOf(next)), next];
+      }
+      if (!state.has(next)) {
+        const cycle = visit(next);
+        if (cycle) return cycle;
+      }
+    }
+    path.pop();
+    state.set(id, 2);
+    return null;
+  };
+
+  for (const id of edges.keys()) {
+    if (!state.has(id)) {
+      const cycle = visit(id);
+      if (cycle) return cycle;
+    }
+  }
+  return null;
+}
+
+// Node ids referenced by "{{nodeId.path}}" templates anywhere in a config
+function collectOutputReferences(value, references = []) {
+  if (typeof value === 'string') {
+    for (const match of value.matchAll(OUTPUT_REFERENCE_PATTERN)) {
+      references.push(match[1]);
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectOutputReferences(item, references));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => collectOutputReferences(item, references));
+  }
+  return references;
+}
+
+/**
+ * Validate a stored pipeline definition (events, conditions, actions, connections)
+ * @param {Object} pipeline - Pipeline document or plain object
+ * @returns {Object} { isValid, errors }
+ */
+function validatePipelineDefinition(pipeline) {
+  const errors = [];
+  const events = pipeline.events || [];
+  const conditions = pipeline.conditions || [];
+  const actions = pipeline.actions || [];
+  const connections = pipeline.connections || [];
+
+  if (pipeline.schemaVersion && pipeline.schemaVersion > PIPELINE_SCHEMA_VERSION) {
+    errors.push(`Unsupported pipeline schema version ${pipeline.schemaVersion} (max ${PIPELINE_SCHEMA_VERSION})`);
+  }
+
+  if (events.length === 0) {
+    errors.push('Pipeline must have at least one event');
+  }
+  if (actions.length === 0) {
+    errors.push('Pipeline must have at least one action');
+  }
+
+  // The time-based event drives the Agenda job schedule, so there can only be one
+  if (events.filter(event => TIME_EVENT_TYPES.includes(event.type)).length > 1) {
+    errors.push('Pipeline can have at most one time-based event');
+  }
+
+  const nodeIds = new Set();
+  const checkNode = (node, kind, types) => {
+    const label = `${kind} ${node.id || node.name || '?'}`;
+    if (!node.id) {
+      errors.push(`${label}: missing id`);
+    } else if (nodeIds.has(node.id)) {
+      errors.push(`${label}: duplicate node id`);
+    } else {
+      nodeIds.add(node.id);
+    }
+
+    const spec = types[node.type];
+    if (!spec) {
+      errors.push(`${label}: unsupported ${kind} type "${node.type}"`);
+      return;
+    }
+    errors.push(...validateNodeConfig(spec, node.config || {}, label));
+  };
+
+  events.forEach(event => checkNode(event, 'event', EVENT_TYPES));
+  conditions.forEach(condition => checkNode(condition, 'condition', CONDITION_TYPES));
+  actions.forEach(action => {
+    checkNode(action, 'action', ACTION_TYPES);
+    if (action.requiresApproval !== undefined && typeof action.requiresApproval !== 'boolean') {
+      errors.push(`action ${action.id || action.name || '?'}: requiresApproval must be true or false`);
+    }
+  });
+
+  const eventIds = new Set(events.map(event => event.id));
+  const actionIds = new Set(actions.map(action => action.id));
+
+  connections.forEach((conn, index) => {
+    const type = conn.type || 'default';
+    if (!nodeIds.has(conn.from)) {
+      errors.push(`connection ${index}: unknown source node "${conn.from}"`);
+    }
+    if (!nodeIds.has(conn.to)) {
+      errors.push(`connection ${index}: unknown target node "${conn.to}"`);
+    }
+    if (eventIds.has(conn.to)) {
+      errors.push(`connection ${index}: events cannot be connection targets`);
+    }
+    if (!CONNECTION_TYPES.includes(type)) {
+      errors.push(`connection ${index}: type must be one of ${CONNECTION_TYPES.join(', ')}`);
+    } else if (type === 'on_failure' && eventIds.has(conn.from)) {
+      errors.push(`connection ${index}: on_failure edges cannot start at an event`);
+    }
+  });
+
+  const cycle = findCycle(connections);
+  if (cycle) {
+    errors.push(`connections form a cycle: ${cycle.join(' -> ')}`);
+  }
+
+  actions.forEach(action => {
+    collectOutputReferences(action.config || {}).forEach(reference => {
+      if (reference !== 'previous' && !actionIds.has(reference)) {
+        errors.push(`action ${action.id}: output reference to unknown action "${reference}"`);
+      }
+    });
+  });
+
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Convert the extractor output ({ trigger, conditions, actions, metadata }) into a
+ * pipeline definition that can be saved through /api/pipelines.
+ * Conditions that only restate the trigger are dropped; the rest become one
+ * condition node between the trigger and the actions. With
+ * metadata.execution_mode "sequential" each action runs only if the previous one succeeded.
+ * @param {Object} extracted - Pipeline object from extractPipelineActions
+ * @param {Object} options - { name }
+ * @returns {Object} { name, schemaVersion, events, conditions, actions, connections }
+ */
+function buildPipelineFromExtraction(extracted, options = {}) {
+  const { trigger, conditions = [], actions = [], metadata = {} } = extracted || {};
+  const events = [];
+  const conditionNodes = [];
+  const pipelineActions = [];
+  const connections = [];
+
+  if (trigger && trigger.type) {
+    const { type, ...config } = trigger;
+    events.push({
+      id: 'event_1',
+      name: EVENT_TYPES[type] ? EVENT_TYPES[type].label : type,
+      type,
+      config
+    });
+  }
+
+  const extraConditions = (conditions || []).filter(condition =>
+    !Object.entries(condition).every(([key, value]) => trigger && trigger[key] === value)
+  );
+  let entryIds = events.map(event => event.id);
+  if (extraConditions.length > 0) {
+    conditionNodes.push({
+      id: 'condition_1',
+      name: 'Conditions',
+      type: 'condition',
+      config: {
+        operator: String(metadata.condition_logic || 'and').toLowerCase(),
+        conditions: extraConditions
+      }
+    });
+    entryIds.forEach(id => connections.push({ from: id, to: 'condition_1', type: 'default' }));
+    entryIds = ['condition_1'];
+  }
+
+  const sequential = metadata.execution_mode === 'sequential';
+  actions.forEach((action, index) => {
+    const { type, requires_approval: requiresApproval, ...config } = action;
+    const id = `action_${index + 1}`;
+    pipelineActions.push({
+      id,
+      name: ACTION_TYPES[type] ? ACTION_TYPES[type].label : type,
+      type,
+      config,
+      requiresApproval: requiresApproval === true
+    });
+
+    if (sequential && index > 0) {
+      connections.push({ from: `action_${index}`, to: id, type: 'on_success' });
+    } else {
+      entryIds.forEach(from => connections.push({ from, to: id, type: 'default' }));
+    }
+  });
+
+  return {
+    name: options.name || `${events[0] ? events[0].name : 'Pipeline'} automation`,
+    schemaVersion: PIPELINE_SCHEMA_VERSION,
+    events,
+    conditions: conditionNodes,
+    actions: pipelineActions,
+    connections
+  };
+}
+
+module.exports = {
+  PIPELINE_SCHEMA_VERSION,
+  EVENT_TYPES,
+  ACTION_TYPES,
+  TRADE_ACTION_TYPES,
+  CONNECTION_TYPES,
+  CONDITION_OPERATORS,
+  OUTPUT_REFERENCE_PATTERN,
+  validatePipelineDefinition,
+  buildPipelineFromExtraction
+};
@@ -0,0 +1,32 @@
+/**
+ * Request Context
+ * Carries the authenticated caller (user, API key) through the async calls
+ * made for a request, so services deep in the call chain can enforce
+ * per-caller limits without every signature passing them along.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with `context` as the current request context
+ * @param {Object} context - { user, apiKey, traceId }
+ * @param {Function} fn - Callback, e.g. the next middleware
+ */
+function runWithContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+/**
+ * Context of the request being handled
+ * @returns {Object|null} { user, apiKey, traceId }, or null outside a request (jobs, scripts)
+ */
+function getRequestContext() {
+  return storage.getStore() || null;
+}
+
+module.exports = {
+  runWithContext,
+  getRequestContext
+};
@@ -0,0 +1,91 @@
+/**
+ * Technical Indicators
+ * Small helpers for evaluating indicator-based pipeline triggers from a
+ * series of closing prices (oldest first).
+ */
+
+/**
+ * Simple moving average of the last `period` values
+ * @param {Array<number>} values - Price series
+ * @param {number} period - Lookback length
+ * @returns {number|null} SMA or null when the series is too short
+ */
+function sma(values, period = 14) {
+  if (values.length < period) return null;
+  const window = values.slice(-period);
+  return window.reduce((sum, value) => sum + value, 0) / period;
+}
+
+/**
+ * Exponential moving average, seeded with the SMA of the first `period` values
+ * @param {Array<number>} values - Price series
+ * @param {number} period - Lookback length
+ * @returns {number|null} EMA or null when the series is too short
+ */
+function ema(values, period = 14) {
+  if (values.length < period) return null;
+  const k = 2 / (period + 1);
+  let result = sma(values.slice(0, period), period);
+  for (let i = period; i < values.length; i++) {
+    result = values[i] * k + result * (1 - k);
+  }
+  return result;
+}
+
+/**
+ * Relative strength index using Wilder's smoothing
+ * @param {Array<number>} values - Price series
+ * @param {number} period - Lookback length
+ * @returns {number|null} RSI (0-100) or null when the series is too short
+ */
+function rsi(values, period = 14) {
+  if (values.length <= period) return null;
+
+  let avgGain = 0;
+  let avgLoss = 0;
+  for (let i = 1; i <= period; i++) {
+    const change = values[i] - values[i - 1];
+    if (change >= 0) avgGain += change;
+    else avgLoss -= change;
+  }
+  avgGain /= period;
+  avgLoss /= period;
+
+  for (let i = period + 1; i < values.length; i++) {
+    const change = values[i] - values[i - 1];
+    avgGain = (avgGain * (period - 1) + Math.max(change, 0)) / period;
+    avgLoss = (avgLoss * (period - 1) + Math.max(-change, 0)) / period;
+  }
+
+  if (avgLoss === 0) return 100;
+  return 100 - 100 / (1 + avgGain / avgLoss);
+}
+
+/**
+ * Compute a named indicator over a closing-price series
+ * @param {string} indicator - rsi, sma, ema or price
+ * @param {Array<number>} closes - Closing prices, oldest first
+ * @param {number} period - Lookback length
+ * @returns {number|null} Latest indicator value
+ */
+function computeIndicator(indicator, closes, period = 14) {
+  switch (String(indicator).toLowerCase()) {
+    case 'rsi':
+      return rsi(closes, period);
+    case 'sma':
+      return sma(closes, period);
+    case 'ema':
+      return ema(closes, period);
+    case 'price':
+      return closes.length > 0 ? closes[closes.length - 1] : null;
+    default:
+      throw new Error(`Unsupported indicator: ${indicator}`);
+  }
+}
+
+module.exports = {
+  sma,
+  ema,
+  rsi,
+  computeIndicator
+};
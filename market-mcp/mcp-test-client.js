@@ -0,0 +1,149 @@
+// Shared by the test-*.js scripts: runs the server from source over HTTP, calls its tools over MCP
+// and reports the results
+import { spawn } from 'child_process';
+import net from 'net';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const ROOT = path.dirname(fileURLToPath(import.meta.url));
+
+const freePort = () => new Promise((resolve, reject) => {
+  const server = net.createServer();
+  server.once('error', reject);
+  server.listen(0, '127.0.0.1', () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
+
+// Responses come as JSON or as an SSE stream carrying one JSON-RPC message
+async function readMessage(response) {
+  const text = await response.text();
+  const data = text.split('\n').find(line => line.startsWith('data: '));
+  return JSON.parse(data ? data.slice(6) : text);
+}
+
+/**
+ * Start the server with env added to this process's environment and open an MCP session
+ * @param env - Server environment, e.g. { MARKET_DATA_MODE: 'replay' }
+ * @returns { listTools(), call(tool, args), callJson(tool, args), health(), stop(), logs }
+ */
+export async function startServer(env = {}) {
+  const port = await freePort();
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const serverEnv = { ...process.env, MCP_TRANSPORT: 'http', PORT: String(port), ...env };
+  delete serverEnv.MCP_HTTP_TOKEN;
+
+  const child = spawn(process.execPath, ['--import', 'tsx', 'src/index.ts'], { cwd: ROOT, env: serverEnv, stdio: ['ignore', 'pipe', 'pipe'] });
+  const logs = [];
+  child.stdout.on('data', data => logs.push(data.toString()));
+  child.stderr.on('data', data => logs.push(data.toString()));
+  const exited = new Promise(resolve => child.once('exit', resolve));
+
+  const stop = async () => {
+    if (child.exitCode === null) {
+      child.kill();
+    }
+    await exited;
+  };
+
+  const deadline = Date.now() + 30000;
+  for (;;) {
+    try {
+      if ((await fetch(`${baseUrl}/api/health`)).ok) break;
+    } catch {
+      // Not listening yet
+    }
+    if (child.exitCode !== null || Date.now() > deadline) {
+      await stop();
+      throw new Error(`Server did not start:\n${logs.join('')}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+
+  let sessionId = null;
+  let nextId = 1;
+  const post = async (message) => {
+    const headers = { 'Content-Type': 'application/json', 'Accept': 'application/json, text/event-stream' };
+    if (sessionId) headers['Mcp-Session-Id'] = sessionId;
+    const response = await fetch(`${baseUrl}/mcp`, { method: 'POST', headers, body: JSON.stringify(message) });
+    sessionId = response.headers.get('mcp-session-id') || sessionId;
+    return response.status === 202 ? null : readMessage(response);
+  };
+
+  await post({
+    jsonrpc: '2.0',
+    id: nextId++,
+    method: 'initialize',
+    params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'market-mcp-tests', version: '1.0.0' } }
+  });
+  await post({ jsonrpc: '2.0', method: 'notifications/initialized' });
+
+  const listTools = async () => (await post({ jsonrpc: '2.0', id: nextId++, method: 'tools/list', params: {} })).result.tools.map(tool => tool.name);
+
+  // Tool result as { text, isError }
+  const call = async (tool, args = {}) => {
+    const message = await post({ jsonrpc: '2.0', id: nextId++, method: 'tools/call', params: { name: tool, arguments: args } });
+    if (message.error) {
+      throw new Error(`${tool}: ${message.error.message}`);
+    }
+    return { text: message.result.content.map(item => item.text).join('\n'), isError: Boolean(message.result.isError) };
+  };
+
+  // Tool result parsed as JSON; a tool error throws
+  const callJson = async (tool, args = {}) => {
+    const { text, isError } = await call(tool, args);
+    if (isError) {
+      throw new Error(`${tool} failed: ${text}`);
+    }
+    return JSON.parse(text);
+  };
+
+  const health = async () => (await fetch(`${baseUrl}/api/health`)).json();
+
+  return { listTools, call, callJson, health, stop, logs };
+}
+
+/**
+ * Run `use` against a server started with env, adding the server log to any failure
+ */
+export async function withServer(env, use) {
+  const server = await startServer(env);
+  try {
+    return await use(server);
+  } catch (error) {
+    error.message += `\n--- server log ---\n${server.logs.join('').slice(-4000)}`;
+    throw error;
+  } finally {
+    await server.stop();
+  }
+}
+
+/**
+ * Run each test in turn, report it, and exit with the result
+ * @param title - Printed before the results
+ * @param tests - Test name to async function
+ * @param hooks - { setup, teardown } run once around all the tests
+ */
+export async function runTests(title, tests, { setup, teardown } = {}) {
+  console.log(`🧪 ${title}\n`);
+  let failed = 0;
+
+  try {
+    await setup?.();
+    for (const [name, test] of Object.entries(tests)) {
+      try {
+        await test();
+        console.log(`✅ ${name}`);
+      } catch (error) {
+        failed++;
+        console.log(`❌ ${name}\n   ${error.stack}`);
+      }
+    }
+  } finally {
+    await teardown?.();
+  }
+
+  console.log(`\n${Object.keys(tests).length - failed}/${Object.keys(tests).length} passed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
@@ -2,12 +2,18 @@
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
 import {
   CallToolRequestSchema,
   ListResourcesRequestSchema,
   ListToolsRequestSchema,
   ReadResourceRequestSchema,
+  isInitializeRequest,
 } from '@modelcontextprotocol/sdk/types.js';
+import { createHash, randomUUID, timingSafeEqual } from 'node:crypto';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
 import express from 'express';
 import cors from 'cors';
 import rateLimit from 'express-rate-limit';
@@ -23,6 +29,8 @@ interface Pool {
   name: string;
   network: string;
   dex?: string;
+  base_token_address?: string | null;
+  quote_token_address?: string | null;
   base_token_price_usd: string | null;
   quote_token_price_usd: string | null;
   reserve_in_usd: string | null;
@@ -31,6 +39,8 @@ interface Pool {
   fdv_usd?: string | null;
   market_cap_usd?: string | null;
   transactions?: object;
+  // Provider the pool's figures came from
+  source: string;
 }
 
 interface Token {
@@ -63,6 +73,323 @@ interface Dex {
   name: string;
 }
 
+interface Candle {
+  timestamp: number;
+  open: number;
+  high: number;
+  low: number;
+  close: number;
+  volume: number;
+}
+
+interface CacheTtl {
+  ttlMs: number;   // fresh for this long
+  staleMs: number; // then served stale (and refreshed in the background) for this long
+}
+
+interface CacheEntry {
+  value: unknown;
+  storedAt: number;
+  expiresAt: number;
+  staleUntil: number;
+}
+
+interface EndpointStats {
+  hits: number;
+  staleHits: number;
+  misses: number;
+  coalesced: number;
+  errors: number;
+}
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// How long GeckoTerminal responses stay usable, per endpoint
+const CACHE_TTLS: Record<string, CacheTtl> = {
+  networks: { ttlMs: 6 * HOUR, staleMs: 24 * HOUR },
+  dexes: { ttlMs: HOUR, staleMs: 6 * HOUR },
+  network_pools: { ttlMs: 2 * MINUTE, staleMs: 10 * MINUTE },
+  dex_pools: { ttlMs: 2 * MINUTE, staleMs: 10 * MINUTE },
+  pool: { ttlMs: 2 * MINUTE, staleMs: 10 * MINUTE },
+  token_price: { ttlMs: 30 * 1000, staleMs: MINUTE },
+  search: { ttlMs: 5 * MINUTE, staleMs: 15 * MINUTE }
+};
+
+// OHLCV candles close once per period, so finer timeframes go stale sooner
+const OHLCV_TTLS: Record<string, CacheTtl> = {
+  minute: { ttlMs: 30 * 1000, staleMs: MINUTE },
+  hour: { ttlMs: 5 * MINUTE, staleMs: 15 * MINUTE },
+  day: { ttlMs: HOUR, staleMs: 3 * HOUR }
+};
+
+/**
+ * In-memory cache for upstream API responses, keyed by endpoint + params.
+ * Expired entries are still served for a while (stale-while-revalidate) and
+ * refreshed in the background; identical calls in flight share one request.
+ */
+class ResponseCache {
+  private entries = new Map<string, CacheEntry>();
+  private inFlight = new Map<string, Promise<unknown>>();
+  private endpointStats = new Map<string, EndpointStats>();
+  private revalidations = 0;
+  private evictions = 0;
+
+  constructor(private readonly maxEntries: number, private readonly enabled: boolean = true) {}
+
+  private stats(endpoint: string): EndpointStats {
+    let stats = this.endpointStats.get(endpoint);
+    if (!stats) {
+      stats = { hits: 0, staleHits: 0, misses: 0, coalesced: 0, errors: 0 };
+      this.endpointStats.set(endpoint, stats);
+    }
+    return stats;
+  }
+
+  /**
+   * Cached value for endpoint + params, fetching it when missing or too old
+   * @param endpoint - Key of CACHE_TTLS (or "ohlcv"), also the stats bucket
+   * @param params - Everything the response depends on
+   * @param ttl - Freshness of this response
+   * @param fetcher - Makes the upstream request
+   */
+  async get<T>(endpoint: string, params: Record<string, unknown>, ttl: CacheTtl, fetcher: () => Promise<T>): Promise<T> {
+    if (!this.enabled) {
+      return fetcher();
+    }
+
+    const key = `${endpoint}:${JSON.stringify(params)}`;
+    const stats = this.stats(endpoint);
+    const entry = this.entries.get(key);
+    const now = Date.now();
+
+    if (entry && now < entry.expiresAt) {
+      stats.hits++;
+      return structuredClone(entry.value) as T;
+    }
+
+    if (entry && now < entry.staleUntil) {
+      stats.staleHits++;
+      if (!this.inFlight.has(key)) {
+        this.revalidations++;
+        this.fetch(key, endpoint, ttl, fetcher).catch((error: any) => {
+          console.warn(`⚠️ [CACHE] Background refresh of ${key} failed:`, error.message);
+        });
+      }
+      return structuredClone(entry.value) as T;
+    }
+
+    const pending = this.inFlight.get(key);
+    if (pending) {
+      stats.coalesced++;
+      return structuredClone(await pending) as T;
+    }
+
+    stats.misses++;
+    return structuredClone(await this.fetch(key, endpoint, ttl, fetcher)) as T;
+  }
+
+  private fetch<T>(key: string, endpoint: string, ttl: CacheTtl, fetcher: () => Promise<T>): Promise<T> {
+    const request = fetcher()
+      .then(value => {
+        this.store(key, value, ttl);
+        return value;
+      })
+      .catch(error => {
+        this.stats(endpoint).errors++;
+        throw error;
+      })
+      .finally(() => this.inFlight.delete(key));
+
+    this.inFlight.set(key, request);
+    return request;
+  }
+
+  private store(key: string, value: unknown, ttl: CacheTtl) {
+    // Map keeps insertion order: re-inserting moves the key to the end, the first key is the oldest
+    this.entries.delete(key);
+    if (this.entries.size >= this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value as string);
+      this.evictions++;
+    }
+
+    const now = Date.now();
+    this.entries.set(key, {
+      value,
+      storedAt: now,
+      expiresAt: now + ttl.ttlMs,
+      staleUntil: now + ttl.ttlMs + ttl.staleMs
+    });
+  }
+
+  getStats() {
+    const endpoints = Object.fromEntries(this.endpointStats);
+    const totals = [...this.endpointStats.values()].reduce((sum, stats) => ({
+      hits: sum.hits + stats.hits,
+      staleHits: sum.staleHits + stats.staleHits,
+      misses: sum.misses + stats.misses,
+      coalesced: sum.coalesced + stats.coalesced,
+      errors: sum.errors + stats.errors
+    }), { hits: 0, staleHits: 0, misses: 0, coalesced: 0, errors: 0 });
+    const lookups = totals.hits + totals.staleHits + totals.misses + totals.coalesced;
+
+    return {
+      enabled: this.enabled,
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      inFlight: this.inFlight.size,
+      ...totals,
+      revalidations: this.revalidations,
+      evictions: this.evictions,
+      hitRate: lookups > 0 ? Number(((lookups - totals.misses) / lookups).toFixed(3)) : null,
+      endpoints
+    };
+  }
+}
+
+// A GeckoTerminal response saved by the record mode
+interface Fixture {
+  url: string;
+  status: number;
+  statusText: string;
+  body: unknown;
+  recordedAt: string;
+  durationMs: number;
+}
+
+/**
+ * Where GeckoTerminalAPI's HTTP responses come from, selected by MARKET_DATA_MODE:
+ * live (default) calls GeckoTerminal, record calls it and saves each successful
+ * response under MARKET_FIXTURES_DIR, and replay serves the saved responses
+ * without touching the network.
+ */
+interface HttpSource {
+  readonly mode: 'live' | 'record' | 'replay';
+  readonly fixturesDir: string | null;
+  fetch(url: string, init: RequestInit): Promise<Response>;
+}
+
+// market-mcp/fixtures, from both src/ and dist/
+const DEFAULT_FIXTURES_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures');
+
+// Fixture files mirror the API path (under the host name for APIs other than
+// GeckoTerminal); a hash of the query string names the file in its directory
+function fixturePath(dir: string, url: string): string {
+  const { hostname, pathname, search } = new URL(url);
+  const segments = (hostname === 'api.geckoterminal.com' ? pathname.replace(/^\/api\/v2\/?/, '') : `${hostname}${pathname}`)
+    .split('/')
+    .filter(Boolean)
+    .map(segment => decodeURIComponent(segment).replace(/[^\w.-]/g, '_'));
+  const file = search ? `q-${createHash('sha1').update(search).digest('hex').slice(0, 12)}.json` : 'index.json';
+  return path.join(dir, ...segments, file);
+}
+
+function jsonResponse(body: unknown, status: number, statusText: string): Response {
+  return new Response(JSON.stringify(body), { status, statusText, headers: { 'Content-Type': 'application/json' } });
+}
+
+class LiveSource implements HttpSource {
+  readonly mode = 'live';
+  readonly fixturesDir = null;
+
+  fetch(url: string, init: RequestInit): Promise<Response> {
+    return fetch(url, init);
+  }
+}
+
+class RecordingSource implements HttpSource {
+  readonly mode = 'record';
+
+  constructor(readonly fixturesDir: string) {}
+
+  async fetch(url: string, init: RequestInit): Promise<Response> {
+    const startTime = Date.now();
+    const response = await fetch(url, init);
+    // Failures aren't saved, so a transient 429 never replaces a good recording
+    if (!response.ok) {
+      return response;
+    }
+
+    const fixture: Fixture = {
+      url,
+      status: response.status,
+      statusText: response.statusText,
+      body: await response.json(),
+      recordedAt: new Date().toISOString(),
+      durationMs: Date.now() - startTime
+    };
+    const file = fixturePath(this.fixturesDir, url);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(fixture, null, 2));
+    console.log(`💾 [FIXTURES] Recorded ${url} -> ${path.relative(this.fixturesDir, file)}`);
+
+    return jsonResponse(fixture.body, fixture.status, fixture.statusText);
+  }
+}
+
+/**
+ * Serves recorded fixtures. Matching is on the exact URL, so the same calls
+ * always get the same answers; a URL never recorded gets a 404. Responses are
+ * delayed by MARKET_FIXTURE_LATENCY_MS (a number, or "recorded" for the time the
+ * live call took), and every Nth request gets a 429 when
+ * MARKET_FIXTURE_RATE_LIMIT_EVERY is N.
+ */
+class ReplaySource implements HttpSource {
+  readonly mode = 'replay';
+  private requestCount = 0;
+
+  constructor(readonly fixturesDir: string, private latencyMs: number | 'recorded', private rateLimitEvery: number) {}
+
+  async fetch(url: string): Promise<Response> {
+    this.requestCount++;
+
+    if (this.rateLimitEvery > 0 && this.requestCount % this.rateLimitEvery === 0) {
+      console.log(`🧪 [FIXTURES] Simulated 429 for request #${this.requestCount}: ${url}`);
+      return jsonResponse({ errors: [{ status: '429', title: 'Rate Limited' }] }, 429, 'Too Many Requests');
+    }
+
+    const file = fixturePath(this.fixturesDir, url);
+    let fixture: Fixture;
+    try {
+      fixture = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error: any) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Invalid fixture ${file}: ${error.message}`);
+      }
+      console.warn(`⚠️ [FIXTURES] No fixture for ${url} (expected ${path.relative(this.fixturesDir, file)})`);
+      return jsonResponse({ errors: [{ status: '404', title: 'No fixture recorded' }] }, 404, 'No fixture recorded');
+    }
+
+    const delay = this.latencyMs === 'recorded' ? fixture.durationMs : this.latencyMs;
+    if (delay > 0) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+    return jsonResponse(fixture.body, fixture.status, fixture.statusText);
+  }
+}
+
+function createHttpSource(): HttpSource {
+  const mode = process.env.MARKET_DATA_MODE || 'live';
+  const fixturesDir = path.resolve(process.env.MARKET_FIXTURES_DIR || DEFAULT_FIXTURES_DIR);
+
+  switch (mode) {
+    case 'live':
+      return new LiveSource();
+    case 'record':
+      return new RecordingSource(fixturesDir);
+    case 'replay': {
+      const latency = process.env.MARKET_FIXTURE_LATENCY_MS || '0';
+      return new ReplaySource(
+        fixturesDir,
+        latency === 'recorded' ? 'recorded' : parseInt(latency) || 0,
+        parseInt(process.env.MARKET_FIXTURE_RATE_LIMIT_EVERY || '0') || 0
+      );
+    }
+    default:
+      throw new Error(`MARKET_DATA_MODE must be live, record or replay, got "${mode}"`);
+  }
+}
+
 class GeckoTerminalAPI {
   private baseUrl = 'https://api.geckoterminal.com/api/v2';
   private headers = {
@@ -73,6 +400,20 @@ class GeckoTerminalAPI {
   private readonly MIN_REQUEST_INTERVAL = 1000; // 1 second between requests (optimized for responsiveness)
   private requestCounter = 0;
   private errorCounter = 0;
+  private cache = new ResponseCache(
+    parseInt(process.env.MARKET_CACHE_MAX_ENTRIES || '1000'),
+    process.env.MARKET_CACHE_ENABLED !== 'false'
+  );
+
+  constructor(private source: HttpSource = createHttpSource()) {}
+
+  getCacheStats() {
+    return this.cache.getStats();
+  }
+
+  getDataSource() {
+    return { mode: this.source.mode, fixturesDir: this.source.fixturesDir };
+  }
 
   private logGeckoTerminalURL(url: string, context: string = '') {
     this.requestCounter++;
@@ -93,6 +434,11 @@ class GeckoTerminalAPI {
   }
 
   private async enforceRateLimit(): Promise<void> {
+    // Replayed fixtures don't count against GeckoTerminal's quota
+    if (this.source.mode === 'replay') {
+      return;
+    }
+
     const now = Date.now();
     const timeSinceLastRequest = now - this.lastRequestTime;
     
@@ -106,132 +452,126 @@ class GeckoTerminalAPI {
   }
 
   async fetchNetworks(): Promise<Network[]> {
-    const startTime = Date.now();
-    await this.enforceRateLimit();
-    const url = `${this.baseUrl}/networks`;
-    this.logGeckoTerminalURL(url, 'FETCH_NETWORKS');
+    return this.cache.get('networks', {}, CACHE_TTLS.networks, async () => {
+      const startTime = Date.now();
+      await this.enforceRateLimit();
+      const url = `${this.baseUrl}/networks`;
+      this.logGeckoTerminalURL(url, 'FETCH_NETWORKS');
     
-    try {
-      const response = await fetch(url, { headers: this.headers });
-      const duration = Date.now() - startTime;
+      try {
+        const response = await this.source.fetch(url, { headers: this.headers });
+        const duration = Date.now() - startTime;
       
-      if (!response.ok) {
-        this.logAPIResponse('FETCH_NETWORKS', false, response.status, undefined, duration);
-        throw new Error(`Failed to fetch networks: ${response.statusText}`);
-      }
+        if (!response.ok) {
+          this.logAPIResponse('FETCH_NETWORKS', false, response.status, undefined, duration);
+          throw new Error(`Failed to fetch networks: ${response.statusText}`);
+        }
       
-      const data = await response.json();
-      const responseSize = JSON.stringify(data).length;
-      this.logAPIResponse('FETCH_NETWORKS', true, response.status, responseSize, duration);
+        const data = await response.json();
+        const responseSize = JSON.stringify(data).length;
+        this.logAPIResponse('FETCH_NETWORKS', true, response.status, responseSize, duration);
       
-      const networks = data.data.map((network: any) => ({
-        id: network.id,
-        name: network.attributes.name
-      }));
+        const networks = data.data.map((network: any) => ({
+          id: network.id,
+          name: network.attributes.name
+        }));
       
-      console.log(`📊 [FETCH_NETWORKS] Processed ${networks.length} networks`);
-      return networks;
-    } catch (error: any) {
-      const duration = Date.now() - startTime;
-      this.logAPIResponse('FETCH_NETWORKS', false, undefined, undefined, duration);
-      console.error(`❌ [FETCH_NETWORKS] Error:`, error.message);
-      throw error;
-    }
+        console.log(`📊 [FETCH_NETWORKS] Processed ${networks.length} networks`);
+        return networks;
+      } catch (error: any) {
+        const duration = Date.now() - startTime;
+        this.logAPIResponse('FETCH_NETWORKS', false, undefined, undefined, duration);
+        console.error(`❌ [FETCH_NETWORKS] Error:`, error.message);
+        throw error;
+      }
+    });
   }
 
   async fetchDexesByNetwork(networkId: string, page = 1): Promise<Dex[]> {
-    await this.enforceRateLimit();
-    const url = `${this.baseUrl}/networks/${networkId}/dexes?page=${page}`;
-    this.logGeckoTerminalURL(url, 'FETCH_DEXES');
-    const response = await fetch(url, { headers: this.headers });
-    if (!response.ok) {
-      throw new Error(`Failed to fetch dexes for network ${networkId}: ${response.statusText}`);
-    }
-    const data = await response.json();
-    return data.data.map((dex: any) => ({
-      id: dex.id,
-      name: dex.attributes.name
-    }));
+    return this.cache.get('dexes', { networkId, page }, CACHE_TTLS.dexes, async () => {
+      await this.enforceRateLimit();
+      const url = `${this.baseUrl}/networks/${networkId}/dexes?page=${page}`;
+      this.logGeckoTerminalURL(url, 'FETCH_DEXES');
+      const response = await this.source.fetch(url, { headers: this.headers });
+      if (!response.ok) {
+        throw new Error(`Failed to fetch dexes for network ${networkId}: ${response.statusText}`);
+      }
+      const data = await response.json();
+      return data.data.map((dex: any) => ({
+        id: dex.id,
+        name: dex.attributes.name
+      }));
+    });
+  }
+
+  // Relationship ids look like "<network>_<address>"
+  static relationshipAddress(relationship: any): string | null {
+    const id: string | undefined = relationship?.data?.id;
+    return id ? id.slice(id.lastIndexOf('_') + 1) : null;
   }
 
   async fetchPoolsByDex(networkId: string, dexId: string, page = 1): Promise<Pool[]> {
-    await this.enforceRateLimit();
-    const url = `${this.baseUrl}/networks/${networkId}/dexes/${dexId}/pools?page=${page}&include=base_token,quote_token,dex`;
-    this.logGeckoTerminalURL(url, `FETCH_POOLS_BY_DEX[${dexId}]`);
-    const response = await fetch(url, { headers: this.headers });
-    if (!response.ok) {
-      throw new Error(`Failed to fetch pools for network ${networkId}, dex ${dexId}: ${response.statusText}`);
-    }
-    const data = await response.json();
-    return data.data.map((pool: any) => ({
-      id: pool.id,
-      address: pool.attributes.address,
-      name: pool.attributes.name,
-      network: networkId,
-      dex: dexId,
-      base_token_price_usd: pool.attributes.base_token_price_usd,
-      quote_token_price_usd: pool.attributes.quote_token_price_usd,
-      reserve_in_usd: pool.attributes.reserve_in_usd,
-      volume_usd: pool.attributes.volume_usd,
-      price_change_percentage: pool.attributes.price_change_percentage,
-      fdv_usd: pool.attributes.fdv_usd,
-      market_cap_usd: pool.attributes.market_cap_usd,
-      transactions: pool.attributes.transactions
-    }));
+    return this.cache.get('dex_pools', { networkId, dexId, page }, CACHE_TTLS.dex_pools, async () => {
+      await this.enforceRateLimit();
+      const url = `${this.baseUrl}/networks/${networkId}/dexes/${dexId}/pools?page=${page}&include=base_token,quote_token,dex`;
+      this.logGeckoTerminalURL(url, `FETCH_POOLS_BY_DEX[${dexId}]`);
+      const response = await this.source.fetch(url, { headers: this.headers });
+      if (!response.ok) {
+        throw new Error(`Failed to fetch pools for network ${networkId}, dex ${dexId}: ${response.statusText}`);
+      }
+      const data = await response.json();
+      return data.data.map((pool: any) => ({
+        id: pool.id,
+        address: pool.attributes.address,
+        name: pool.attributes.name,
+        network: networkId,
+        dex: dexId,
+        base_token_address: GeckoTerminalAPI.relationshipAddress(pool.relationships?.base_token),
+        quote_token_address: GeckoTerminalAPI.relationshipAddress(pool.relationships?.quote_token),
+        base_token_price_usd: pool.attributes.base_token_price_usd,
+        quote_token_price_usd: pool.attributes.quote_token_price_usd,
+        reserve_in_usd: pool.attributes.reserve_in_usd,
+        volume_usd: pool.attributes.volume_usd,
+        price_change_percentage: pool.attributes.price_change_percentage,
+        fdv_usd: pool.attributes.fdv_usd,
+        market_cap_usd: pool.attributes.market_cap_usd,
+        transactions: pool.attributes.transactions,
+        source: 'geckoterminal'
+      }));
+    });
   }
 
+  /**
+   * Every page of a DEX's pools. Pages are cached one by one, so a page that
+   * fails is fetched again next time rather than cached as a short list. When
+   * a later page fails, the pools from the pages before it are returned.
+   */
   async fetchAllPoolsByDex(networkId: string, dexId: string): Promise<Pool[]> {
     const allPools: Pool[] = [];
-    let page = 1;
-    let hasMorePages = true;
-
     console.log(`🌊 Fetching all pools from ${networkId}/${dexId}...`);
 
-    while (hasMorePages) {
+    // Safety limit to prevent infinite loops
+    for (let page = 1; page <= 50; page++) {
+      let pools: Pool[];
       try {
-        await this.enforceRateLimit();
-        const url = `${this.baseUrl}/networks/${networkId}/dexes/${dexId}/pools?page=${page}&include=base_token,quote_token,dex`;
-        this.logGeckoTerminalURL(url, `ALL_POOLS[${dexId}][P${page}]`);
-        const response = await fetch(url, { headers: this.headers });
-        
-        if (!response.ok) {
-          throw new Error(`Failed to fetch page ${page}: ${response.statusText}`);
+        pools = await this.fetchPoolsByDex(networkId, dexId, page);
+      } catch (error: any) {
+        if (page === 1) {
+          throw error;
         }
-        
-        const data = await response.json();
-        const pools = data.data.map((pool: any) => ({
-          id: pool.id,
-          address: pool.attributes.address,
-          name: pool.attributes.name,
-          network: networkId,
-          dex: dexId,
-          base_token_price_usd: pool.attributes.base_token_price_usd,
-          quote_token_price_usd: pool.attributes.quote_token_price_usd,
-          reserve_in_usd: pool.attributes.reserve_in_usd,
-          volume_usd: pool.attributes.volume_usd,
-          price_change_percentage: pool.attributes.price_change_percentage,
-          fdv_usd: pool.attributes.fdv_usd,
-          market_cap_usd: pool.attributes.market_cap_usd,
-          transactions: pool.attributes.transactions
-        }));
-
-        allPools.push(...pools);
-        console.log(`📄 Page ${page}: Found ${pools.length} pools (Total: ${allPools.length})`);
-
-        // Check if there are more pages
-        hasMorePages = pools.length > 0 && data.data.length === 100; // GeckoTerminal typically returns 100 per page
-        page++;
+        console.warn(`⚠️ Error fetching page ${page}, returning the ${allPools.length} pools from earlier pages:`, error.message);
+        break;
+      }
 
-        // Safety limit to prevent infinite loops
-        if (page > 50) {
-          console.warn('⚠️ Reached page limit (50), stopping...');
-          break;
-        }
+      allPools.push(...pools);
+      console.log(`📄 Page ${page}: Found ${pools.length} pools (Total: ${allPools.length})`);
 
-        // Rate limiting is now handled globally by enforceRateLimit()
-      } catch (error) {
-        console.error(`❌ Error fetching page ${page}:`, error);
-        hasMorePages = false;
+      // GeckoTerminal returns 100 pools per page until the last one
+      if (pools.length < 100) {
+        break;
+      }
+      if (page === 50) {
+        console.warn('⚠️ Reached page limit (50), stopping...');
       }
     }
 
@@ -386,104 +726,731 @@ class GeckoTerminalAPI {
   }
 
   async fetchPoolsByNetwork(networkId: string, page = 1): Promise<Pool[]> {
-    const startTime = Date.now();
-    console.log(`🔍 [FETCH_NETWORK_POOLS] Starting fetch for network: ${networkId}, page: ${page}`);
+    return this.cache.get('network_pools', { networkId, page }, CACHE_TTLS.network_pools, async () => {
+      const startTime = Date.now();
+      console.log(`🔍 [FETCH_NETWORK_POOLS] Starting fetch for network: ${networkId}, page: ${page}`);
     
-    await this.enforceRateLimit();
-    const url = `${this.baseUrl}/networks/${networkId}/pools?page=${page}&include=base_token,quote_token,dex`;
-    this.logGeckoTerminalURL(url, `FETCH_NETWORK_POOLS[${networkId}]`);
+      await this.enforceRateLimit();
+      const url = `${this.baseUrl}/networks/${networkId}/pools?page=${page}&include=base_token,quote_token,dex`;
+      this.logGeckoTerminalURL(url, `FETCH_NETWORK_POOLS[${networkId}]`);
     
-    try {
-      const response = await fetch(url, { headers: this.headers });
-      const duration = Date.now() - startTime;
+      try {
+        const response = await this.source.fetch(url, { headers: this.headers });
+        const duration = Date.now() - startTime;
       
-      if (!response.ok) {
-        this.logAPIResponse(`FETCH_NETWORK_POOLS[${networkId}]`, false, response.status, undefined, duration);
-        throw new Error(`Failed to fetch pools for network ${networkId}: ${response.statusText}`);
-      }
+        if (!response.ok) {
+          this.logAPIResponse(`FETCH_NETWORK_POOLS[${networkId}]`, false, response.status, undefined, duration);
+          throw new Error(`Failed to fetch pools for network ${networkId}: ${response.statusText}`);
+        }
       
-      const data = await response.json();
-      const responseSize = JSON.stringify(data).length;
-      this.logAPIResponse(`FETCH_NETWORK_POOLS[${networkId}]`, true, response.status, responseSize, duration);
+        const data = await response.json();
+        const responseSize = JSON.stringify(data).length;
+        this.logAPIResponse(`FETCH_NETWORK_POOLS[${networkId}]`, true, response.status, responseSize, duration);
       
-      const pools = data.data.map((pool: any) => ({
-        id: pool.id,
-        address: pool.attributes.address,
-        name: pool.attributes.name,
-        network: networkId,
-        base_token_price_usd: pool.attributes.base_token_price_usd,
-        quote_token_price_usd: pool.attributes.quote_token_price_usd,
-        reserve_in_usd: pool.attributes.reserve_in_usd,
-        volume_usd: pool.attributes.volume_usd,
-        price_change_percentage: pool.attributes.price_change_percentage,
-        fdv_usd: pool.attributes.fdv_usd,
-        market_cap_usd: pool.attributes.market_cap_usd,
-        transactions: pool.attributes.transactions
-      }));
+        const pools = data.data.map((pool: any) => ({
+          id: pool.id,
+          address: pool.attributes.address,
+          name: pool.attributes.name,
+          network: networkId,
+          base_token_address: GeckoTerminalAPI.relationshipAddress(pool.relationships?.base_token),
+          quote_token_address: GeckoTerminalAPI.relationshipAddress(pool.relationships?.quote_token),
+          base_token_price_usd: pool.attributes.base_token_price_usd,
+          quote_token_price_usd: pool.attributes.quote_token_price_usd,
+          reserve_in_usd: pool.attributes.reserve_in_usd,
+          volume_usd: pool.attributes.volume_usd,
+          price_change_percentage: pool.attributes.price_change_percentage,
+          fdv_usd: pool.attributes.fdv_usd,
+          market_cap_usd: pool.attributes.market_cap_usd,
+          transactions: pool.attributes.transactions,
+          source: 'geckoterminal'
+        }));
       
-      console.log(`📊 [FETCH_NETWORK_POOLS] Network: ${networkId} | Page: ${page} | Pools found: ${pools.length} | Duration: ${duration}ms`);
-      pools.forEach((pool: Pool, index: number) => {
-        if (index < 3) { // Log first 3 pools for debugging
-          console.log(`  📝 Pool ${index + 1}: ${pool.name} | Address: ${pool.address} | Reserve: $${pool.reserve_in_usd}`);
-        }
-      });
+        console.log(`📊 [FETCH_NETWORK_POOLS] Network: ${networkId} | Page: ${page} | Pools found: ${pools.length} | Duration: ${duration}ms`);
+        pools.forEach((pool: Pool, index: number) => {
+          if (index < 3) { // Log first 3 pools for debugging
+            console.log(`  📝 Pool ${index + 1}: ${pool.name} | Address: ${pool.address} | Reserve: $${pool.reserve_in_usd}`);
+          }
+        });
       
-      return pools;
+        return pools;
+      } catch (error: any) {
+        const duration = Date.now() - startTime;
+        this.logAPIResponse(`FETCH_NETWORK_POOLS[${networkId}]`, false, undefined, undefined, duration);
+        console.error(`❌ [FETCH_NETWORK_POOLS] Network: ${networkId} | Error:`, error.message);
+        throw error;
+      }
+    });
+  }
+
+  async fetchPoolData(networkId: string, poolAddress: string): Promise<any> {
+    return this.cache.get('pool', { networkId, poolAddress }, CACHE_TTLS.pool, async () => {
+      await this.enforceRateLimit();
+      const url = `${this.baseUrl}/networks/${networkId}/pools/${poolAddress}?include=base_token,quote_token,dex`;
+      this.logGeckoTerminalURL(url, `FETCH_POOL_DATA[${poolAddress.slice(0, 8)}...]`);
+      const response = await this.source.fetch(url, { headers: this.headers });
+      if (!response.ok) {
+        throw new ProviderError(`Failed to fetch pool data: ${response.statusText}`, response.status, ProviderError.retryAfterMs(response));
+      }
+      return await response.json();
+    });
+  }
+
+  async fetchOHLCV(networkId: string, poolAddress: string, timeframe: string = 'hour', aggregate = '1', limit?: number, beforeTimestamp?: number): Promise<any> {
+    return this.cache.get('ohlcv', { networkId, poolAddress, timeframe, aggregate, limit, beforeTimestamp }, OHLCV_TTLS[timeframe] || OHLCV_TTLS.hour, async () => {
+      await this.enforceRateLimit();
+      let url = `${this.baseUrl}/networks/${networkId}/pools/${poolAddress}/ohlcv/${timeframe}?aggregate=${aggregate}`;
+      if (limit) {
+        url += `&limit=${limit}`;
+      }
+      if (beforeTimestamp) {
+        url += `&before_timestamp=${beforeTimestamp}`;
+      }
+      this.logGeckoTerminalURL(url, `FETCH_OHLCV[${poolAddress.slice(0, 8)}...]`);
+      const response = await this.source.fetch(url, { headers: this.headers });
+      if (!response.ok) {
+        throw new Error(`Failed to fetch OHLCV data: ${response.statusText}`);
+      }
+      return await response.json();
+    });
+  }
+
+  async fetchTokenPrice(networkId: string, tokenAddresses: string[]): Promise<any> {
+    return this.cache.get('token_price', { networkId, tokenAddresses }, CACHE_TTLS.token_price, async () => {
+      await this.enforceRateLimit();
+      const addresses = tokenAddresses.join(',');
+      const url = `${this.baseUrl}/simple/networks/${networkId}/token_price/${addresses}?include_24hr_vol=true&include_24hr_price_change=true`;
+      this.logGeckoTerminalURL(url, `FETCH_TOKEN_PRICES[${tokenAddresses.length} tokens]`);
+      const response = await this.source.fetch(url, { headers: this.headers });
+      if (!response.ok) {
+        throw new ProviderError(`Failed to fetch token prices: ${response.statusText}`, response.status, ProviderError.retryAfterMs(response));
+      }
+      return await response.json();
+    });
+  }
+
+  async searchPools(query: string, networkId?: string): Promise<any> {
+    return this.cache.get('search', { query, networkId }, CACHE_TTLS.search, async () => {
+      await this.enforceRateLimit();
+      let url = `${this.baseUrl}/search/pools?query=${encodeURIComponent(query)}&include=base_token,quote_token,dex`;
+      if (networkId) {
+        url += `&network=${networkId}`;
+      }
+      this.logGeckoTerminalURL(url, `SEARCH_POOLS[${query}]`);
+      const response = await this.source.fetch(url, { headers: this.headers });
+      if (!response.ok) {
+        throw new Error(`Failed to search pools: ${response.statusText}`);
+      }
+      return await response.json();
+    });
+  }
+}
+
+/**
+ * A provider call that failed. status is the HTTP status when there was one;
+ * 429s put the provider on hold for retryAfterMs.
+ */
+class ProviderError extends Error {
+  constructor(message: string, readonly status?: number, readonly retryAfterMs?: number) {
+    super(message);
+  }
+
+  static fromResponse(provider: string, what: string, response: Response): ProviderError {
+    return new ProviderError(
+      `${provider}: failed to fetch ${what}: ${response.status} ${response.statusText}`,
+      response.status,
+      ProviderError.retryAfterMs(response)
+    );
+  }
+
+  static retryAfterMs(response: Response): number | undefined {
+    const seconds = parseInt(response.headers.get('retry-after') || '');
+    return Number.isFinite(seconds) ? seconds * 1000 : undefined;
+  }
+}
+
+// How long a provider gets to answer before the next one is tried
+const PROVIDER_TIMEOUT_MS = parseInt(process.env.MARKET_PROVIDER_TIMEOUT_MS || '10000');
+
+// A USD price and the provider it came from
+interface PriceQuote {
+  address: string;
+  priceUsd: number | null;
+  source: string;
+  fetchedAt: string;
+}
+
+interface PoolToken {
+  address: string | null;
+  symbol: string | null;
+  priceUsd: number | null;
+}
+
+// Pool state in the same shape whichever provider served it
+interface PoolSnapshot {
+  network: string;
+  address: string;
+  name: string;
+  dex: string | null;
+  baseToken: PoolToken;
+  quoteToken: PoolToken;
+  // Base token priced in quote tokens
+  priceInQuote: number | null;
+  reserveUsd: number | null;
+  volume24hUsd: number | null;
+  priceChange1h: number | null;
+  priceChange24h: number | null;
+  source: string;
+  fetchedAt: string;
+}
+
+/**
+ * A source of pool state and token prices. Networks are GeckoTerminal network
+ * IDs; adapters map them to their own. Providers that can't price arbitrary
+ * tokens leave out fetchTokenPrices. Providers with no notion of which token is
+ * the base one set guessesOrientation, and order the pool by baseToken when given.
+ * Requests should stop when signal aborts.
+ */
+interface MarketDataProvider {
+  readonly name: string;
+  readonly guessesOrientation?: boolean;
+  supportsNetwork(network: string): boolean;
+  fetchPool(network: string, address: string, baseToken?: string, signal?: AbortSignal): Promise<PoolSnapshot>;
+  fetchTokenPrices?(network: string, addresses: string[], signal?: AbortSignal): Promise<PriceQuote[]>;
+}
+
+const toNumber = (value: unknown): number | null => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const sameAddress = (a: string | null | undefined, b: string | null | undefined) =>
+  Boolean(a && b && a.toLowerCase() === b.toLowerCase());
+
+// The pool with baseToken as its base. Price changes are the other token's once
+// flipped, so they are dropped
+function orientPool(pool: PoolSnapshot, baseToken: string): PoolSnapshot {
+  if (!sameAddress(pool.quoteToken.address, baseToken)) {
+    return pool;
+  }
+  return {
+    ...pool,
+    name: `${pool.quoteToken.symbol || pool.quoteToken.address} / ${pool.baseToken.symbol || pool.baseToken.address}`,
+    baseToken: pool.quoteToken,
+    quoteToken: pool.baseToken,
+    priceInQuote: pool.priceInQuote ? 1 / pool.priceInQuote : null,
+    priceChange1h: null,
+    priceChange24h: null
+  };
+}
+
+class GeckoTerminalProvider implements MarketDataProvider {
+  readonly name = 'geckoterminal';
+
+  constructor(private api: GeckoTerminalAPI) {}
+
+  supportsNetwork(): boolean {
+    return true;
+  }
+
+  async fetchPool(network: string, address: string): Promise<PoolSnapshot> {
+    const poolData = await this.api.fetchPoolData(network, address);
+    const pool = poolData.data;
+    const attributes = pool.attributes;
+    const symbolOf = (relationship: any) =>
+      poolData.included?.find((item: any) => item.type === 'token' && item.id === relationship?.data?.id)?.attributes?.symbol || null;
+
+    return {
+      network,
+      address: attributes.address,
+      name: attributes.name,
+      dex: pool.relationships?.dex?.data?.id || null,
+      baseToken: {
+        address: GeckoTerminalAPI.relationshipAddress(pool.relationships?.base_token),
+        symbol: symbolOf(pool.relationships?.base_token),
+        priceUsd: toNumber(attributes.base_token_price_usd)
+      },
+      quoteToken: {
+        address: GeckoTerminalAPI.relationshipAddress(pool.relationships?.quote_token),
+        symbol: symbolOf(pool.relationships?.quote_token),
+        priceUsd: toNumber(attributes.quote_token_price_usd)
+      },
+      priceInQuote: toNumber(attributes.base_token_price_quote_token),
+      reserveUsd: toNumber(attributes.reserve_in_usd),
+      volume24hUsd: toNumber(attributes.volume_usd?.h24),
+      priceChange1h: toNumber(attributes.price_change_percentage?.h1),
+      priceChange24h: toNumber(attributes.price_change_percentage?.h24),
+      source: this.name,
+      fetchedAt: new Date().toISOString()
+    };
+  }
+
+  async fetchTokenPrices(network: string, addresses: string[]): Promise<PriceQuote[]> {
+    const priceData = await this.api.fetchTokenPrice(network, addresses);
+    const prices: Record<string, string | null> = priceData.data?.attributes?.token_prices || priceData.data?.[0]?.attributes?.token_prices || {};
+    const byAddress = new Map(Object.entries(prices).map(([address, price]) => [address.toLowerCase(), toNumber(price)]));
+    const fetchedAt = new Date().toISOString();
+    return addresses.map(address => ({ address, priceUsd: byAddress.get(address.toLowerCase()) ?? null, source: this.name, fetchedAt }));
+  }
+}
+
+/**
+ * DexScreener's public API (no key, about 300 requests a minute). Requests go
+ * through the same HTTP source as GeckoTerminal, so they are recorded and
+ * replayed with the fixtures.
+ */
+class DexScreenerProvider implements MarketDataProvider {
+  readonly name = 'dexscreener';
+  private baseUrl = 'https://api.dexscreener.com';
+
+  // GeckoTerminal network ID -> DexScreener chain ID
+  private static readonly CHAINS: Record<string, string> = {
+    eth: 'ethereum',
+    bsc: 'bsc',
+    polygon_pos: 'polygon',
+    arbitrum: 'arbitrum',
+    optimism: 'optimism',
+    base: 'base',
+    avax: 'avalanche',
+    ftm: 'fantom',
+    cro: 'cronos',
+    solana: 'solana',
+    'sei-evm': 'seiv2',
+    'sei-network': 'sei',
+    celo: 'celo',
+    metis: 'metis'
+  };
+
+  constructor(private source: HttpSource) {}
+
+  supportsNetwork(network: string): boolean {
+    return network in DexScreenerProvider.CHAINS;
+  }
+
+  private async get(url: string, what: string, signal: AbortSignal = AbortSignal.timeout(PROVIDER_TIMEOUT_MS)): Promise<any> {
+    const response = await this.source.fetch(url, { headers: { 'Accept': 'application/json' }, signal });
+    if (!response.ok) {
+      throw ProviderError.fromResponse(this.name, what, response);
+    }
+    return await response.json();
+  }
+
+  private toSnapshot(network: string, pair: any): PoolSnapshot {
+    return {
+      network,
+      address: pair.pairAddress,
+      name: `${pair.baseToken?.symbol} / ${pair.quoteToken?.symbol}`,
+      dex: pair.dexId || null,
+      baseToken: {
+        address: pair.baseToken?.address || null,
+        symbol: pair.baseToken?.symbol || null,
+        priceUsd: toNumber(pair.priceUsd)
+      },
+      quoteToken: {
+        address: pair.quoteToken?.address || null,
+        symbol: pair.quoteToken?.symbol || null,
+        // priceUsd / priceNative is the quote token's USD price
+        priceUsd: toNumber(pair.priceUsd) !== null && toNumber(pair.priceNative)
+          ? toNumber(pair.priceUsd)! / toNumber(pair.priceNative)!
+          : null
+      },
+      priceInQuote: toNumber(pair.priceNative),
+      reserveUsd: toNumber(pair.liquidity?.usd),
+      volume24hUsd: toNumber(pair.volume?.h24),
+      priceChange1h: toNumber(pair.priceChange?.h1),
+      priceChange24h: toNumber(pair.priceChange?.h24),
+      source: this.name,
+      fetchedAt: new Date().toISOString()
+    };
+  }
+
+  async fetchPool(network: string, address: string, baseToken?: string, signal?: AbortSignal): Promise<PoolSnapshot> {
+    const chain = DexScreenerProvider.CHAINS[network];
+    const data = await this.get(`${this.baseUrl}/latest/dex/pairs/${chain}/${address}`, `pair ${address}`, signal);
+    const pair = data.pair || data.pairs?.[0];
+    if (!pair) {
+      throw new ProviderError(`${this.name}: pair ${address} not found on ${chain}`, 404);
+    }
+    return this.toSnapshot(network, pair);
+  }
+
+  async fetchTokenPrices(network: string, addresses: string[], signal?: AbortSignal): Promise<PriceQuote[]> {
+    const chain = DexScreenerProvider.CHAINS[network];
+    const pairs: any[] = [];
+    // At most 30 tokens per request
+    for (let i = 0; i < addresses.length; i += 30) {
+      const batch = addresses.slice(i, i + 30);
+      const data = await this.get(`${this.baseUrl}/tokens/v1/${chain}/${batch.join(',')}`, `prices for ${batch.length} tokens`, signal);
+      pairs.push(...(Array.isArray(data) ? data : data.pairs || []));
+    }
+
+    // Each token is priced from its most liquid pair
+    const fetchedAt = new Date().toISOString();
+    return addresses.map(address => {
+      const best = pairs
+        .filter(pair => pair.baseToken?.address?.toLowerCase() === address.toLowerCase() && toNumber(pair.priceUsd) !== null)
+        .sort((a, b) => (toNumber(b.liquidity?.usd) || 0) - (toNumber(a.liquidity?.usd) || 0))[0];
+      return { address, priceUsd: best ? toNumber(best.priceUsd) : null, source: this.name, fetchedAt };
+    });
+  }
+}
+
+/**
+ * Reads constant-product (Uniswap V2 style) pools straight from the chain over
+ * JSON-RPC, for networks with a URL in MARKET_RPC_URLS. USD prices are only
+ * known when one side of the pool is a USD stablecoin. The base token is the one
+ * asked for, else the side that isn't a stablecoin, else token0. Not used in
+ * replay mode, since JSON-RPC calls aren't recorded.
+ */
+class OnChainProvider implements MarketDataProvider {
+  readonly name = 'onchain';
+  readonly guessesOrientation = true;
+
+  private static readonly SELECTORS = {
+    token0: '0x0dfe1681',
+    token1: '0xd21220a7',
+    getReserves: '0x0902f1ac',
+    decimals: '0x313ce567',
+    symbol: '0x95d89b41'
+  };
+  private static readonly STABLECOINS = new Set(['USDC', 'USDT', 'DAI', 'BUSD', 'USDC.E', 'USDT.E', 'USDBC', 'FDUSD', 'TUSD', 'USDE']);
+
+  constructor(private rpcUrls: Record<string, string>) {}
+
+  supportsNetwork(network: string): boolean {
+    return Boolean(this.rpcUrls[network]);
+  }
+
+  // One JSON-RPC batch of eth_call requests; results in request order
+  private async call(network: string, calls: { to: string; data: string }[], signal: AbortSignal = AbortSignal.timeout(PROVIDER_TIMEOUT_MS)): Promise<string[]> {
+    const response = await fetch(this.rpcUrls[network], {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(calls.map((call, id) => ({ jsonrpc: '2.0', id, method: 'eth_call', params: [call, 'latest'] }))),
+      signal
+    });
+    if (!response.ok) {
+      throw ProviderError.fromResponse(this.name, `eth_call on ${network}`, response);
+    }
+
+    const results: any[] = await response.json();
+    return calls.map((_, id) => {
+      const result = results.find(entry => entry.id === id);
+      if (!result || result.error || !result.result || result.result === '0x') {
+        // A revert or empty return means the contract has no such function; anything else is the node's problem
+        const missingFunction = Boolean(result) && (result.error ? /revert/i.test(result.error.message || '') || result.error.code === 3 : true);
+        throw new ProviderError(
+          `${this.name}: eth_call to ${calls[id].to} failed: ${result?.error?.message || 'empty result'}`,
+          missingFunction ? 404 : undefined
+        );
+      }
+      return result.result;
+    });
+  }
+
+  private static word(hex: string, index: number): string {
+    return hex.slice(2 + index * 64, 2 + (index + 1) * 64);
+  }
+
+  private static decodeAddress(hex: string): string {
+    return `0x${OnChainProvider.word(hex, 0).slice(24)}`;
+  }
+
+  // ABI-encoded string, or bytes32 for older tokens
+  private static decodeSymbol(hex: string): string | null {
+    try {
+      const body = hex.slice(2);
+      const bytes = body.length > 64
+        ? Buffer.from(body.slice(128, 128 + parseInt(OnChainProvider.word(hex, 1), 16) * 2), 'hex')
+        : Buffer.from(body, 'hex');
+      return bytes.toString('utf8').replace(/\0/g, '').trim() || null;
+    } catch {
+      return null;
+    }
+  }
+
+  async fetchPool(network: string, address: string, baseToken?: string, signal?: AbortSignal): Promise<PoolSnapshot> {
+    const { token0, token1, getReserves, decimals, symbol } = OnChainProvider.SELECTORS;
+    let token0Result: string, token1Result: string, reservesResult: string;
+    try {
+      [token0Result, token1Result, reservesResult] = await this.call(network, [
+        { to: address, data: token0 },
+        { to: address, data: token1 },
+        { to: address, data: getReserves }
+      ], signal);
     } catch (error: any) {
-      const duration = Date.now() - startTime;
-      this.logAPIResponse(`FETCH_NETWORK_POOLS[${networkId}]`, false, undefined, undefined, duration);
-      console.error(`❌ [FETCH_NETWORK_POOLS] Network: ${networkId} | Error:`, error.message);
+      // V3 and other pools without getReserves: not a fault of this provider
+      if (error instanceof ProviderError && error.status === 404) {
+        throw new ProviderError(`${this.name}: unsupported pool ${address} on ${network}, only Uniswap V2 style pools can be read`, 404);
+      }
       throw error;
     }
+    const tokens = [OnChainProvider.decodeAddress(token0Result), OnChainProvider.decodeAddress(token1Result)];
+    const [decimals0, symbol0, decimals1, symbol1] = await this.call(network, tokens.flatMap(token => [
+      { to: token, data: decimals },
+      { to: token, data: symbol }
+    ]), signal);
+
+    const reserves = [
+      Number(BigInt(`0x${OnChainProvider.word(reservesResult, 0)}`)) / 10 ** parseInt(decimals0, 16),
+      Number(BigInt(`0x${OnChainProvider.word(reservesResult, 1)}`)) / 10 ** parseInt(decimals1, 16)
+    ];
+    const symbols = [OnChainProvider.decodeSymbol(symbol0), OnChainProvider.decodeSymbol(symbol1)];
+    const isStable = (index: number) => OnChainProvider.STABLECOINS.has((symbols[index] || '').toUpperCase());
+
+    let base = isStable(0) && !isStable(1) ? 1 : 0;
+    if (sameAddress(tokens[0], baseToken)) base = 0;
+    if (sameAddress(tokens[1], baseToken)) base = 1;
+    const quote = 1 - base;
+    const priceInQuote = reserves[base] > 0 ? reserves[quote] / reserves[base] : null;
+
+    const prices: (number | null)[] = [null, null];
+    let reserveUsd: number | null = null;
+    if (priceInQuote !== null && isStable(quote)) {
+      prices[base] = priceInQuote;
+      prices[quote] = 1;
+      reserveUsd = reserves[quote] * 2;
+    } else if (priceInQuote !== null && priceInQuote > 0 && isStable(base)) {
+      prices[base] = 1;
+      prices[quote] = 1 / priceInQuote;
+      reserveUsd = reserves[base] * 2;
+    }
+
+    return {
+      network,
+      address,
+      name: `${symbols[base] || tokens[base]} / ${symbols[quote] || tokens[quote]}`,
+      dex: null,
+      baseToken: { address: tokens[base], symbol: symbols[base], priceUsd: prices[base] },
+      quoteToken: { address: tokens[quote], symbol: symbols[quote], priceUsd: prices[quote] },
+      priceInQuote,
+      reserveUsd,
+      volume24hUsd: null,
+      priceChange1h: null,
+      priceChange24h: null,
+      source: this.name,
+      fetchedAt: new Date().toISOString()
+    };
+  }
+}
+
+// A provider tried for a request, and why it was passed over if it was
+interface ProviderAttempt {
+  provider: string;
+  ok: boolean;
+  error?: string;
+  durationMs: number;
+}
+
+/**
+ * Health of one provider. The score is an exponentially weighted success rate
+ * (1 is healthy); a 429 or three failures in a row put the provider on hold.
+ * A 404 means the provider doesn't know the pool, not that it is unwell, so it
+ * doesn't count.
+ */
+class ProviderHealth {
+  score = 1;
+  successes = 0;
+  failures = 0;
+  rateLimited = 0;
+  consecutiveFailures = 0;
+  latencyMs: number | null = null;
+  lastError: string | null = null;
+  lastSuccessAt: string | null = null;
+  heldUntil = 0;
+
+  private static readonly WEIGHT = 0.2;
+  private static readonly FAILURE_HOLD_MS = 30 * 1000;
+  private static readonly RATE_LIMIT_HOLD_MS = 60 * 1000;
+
+  isHeld(): boolean {
+    return Date.now() < this.heldUntil;
+  }
+
+  recordSuccess(durationMs: number) {
+    this.successes++;
+    this.consecutiveFailures = 0;
+    this.score = this.score * (1 - ProviderHealth.WEIGHT) + ProviderHealth.WEIGHT;
+    this.latencyMs = this.latencyMs === null ? durationMs : Math.round(this.latencyMs * 0.8 + durationMs * 0.2);
+    this.lastSuccessAt = new Date().toISOString();
+  }
+
+  recordFailure(error: any) {
+    this.lastError = error.message;
+    if (error instanceof ProviderError && error.status === 404) {
+      return;
+    }
+
+    this.failures++;
+    this.consecutiveFailures++;
+    this.score = this.score * (1 - ProviderHealth.WEIGHT);
+
+    if (error instanceof ProviderError && error.status === 429) {
+      this.rateLimited++;
+      this.heldUntil = Date.now() + (error.retryAfterMs || ProviderHealth.RATE_LIMIT_HOLD_MS);
+    } else if (this.consecutiveFailures >= 3) {
+      this.heldUntil = Date.now() + ProviderHealth.FAILURE_HOLD_MS;
+    }
+  }
+
+  toJSON() {
+    return {
+      score: Math.round(this.score * 1000) / 1000,
+      successes: this.successes,
+      failures: this.failures,
+      rateLimited: this.rateLimited,
+      latencyMs: this.latencyMs,
+      lastError: this.lastError,
+      lastSuccessAt: this.lastSuccessAt,
+      heldUntil: this.isHeld() ? new Date(this.heldUntil).toISOString() : null
+    };
+  }
+}
+
+/**
+ * Serves pool state and token prices from the first provider that can, in
+ * MARKET_PROVIDERS order. Healthy providers (score at least 0.5) go first,
+ * then degraded ones by score; providers on hold are only tried when nothing
+ * else is left. Every result names its source. Pools keep the base token a
+ * provider that knows it last reported, so failover doesn't flip them.
+ */
+class MarketDataRouter {
+  private health = new Map<string, ProviderHealth>();
+  private baseTokens = new Map<string, string>();
+  private static readonly MAX_BASE_TOKENS = 10000;
+
+  constructor(private providers: MarketDataProvider[]) {
+    providers.forEach(provider => this.health.set(provider.name, new ProviderHealth()));
+  }
+
+  private candidates(network: string, filter: (provider: MarketDataProvider) => boolean = () => true): MarketDataProvider[] {
+    const supported = this.providers.filter(provider => provider.supportsNetwork(network) && filter(provider));
+    const healthOf = (provider: MarketDataProvider) => this.health.get(provider.name)!;
+    const available = supported.filter(provider => !healthOf(provider).isHeld());
+    const healthy = available.filter(provider => healthOf(provider).score >= 0.5);
+    const degraded = available
+      .filter(provider => healthOf(provider).score < 0.5)
+      .sort((a, b) => healthOf(b).score - healthOf(a).score);
+    const held = supported.filter(provider => healthOf(provider).isHeld());
+    return [...healthy, ...degraded, ...held];
+  }
+
+  // A provider that hasn't answered within PROVIDER_TIMEOUT_MS has failed; its requests are aborted
+  private async attempt<T>(provider: MarketDataProvider, attempts: ProviderAttempt[], call: (signal: AbortSignal) => Promise<T>): Promise<T | undefined> {
+    const health = this.health.get(provider.name)!;
+    const startTime = Date.now();
+    const signal = AbortSignal.timeout(PROVIDER_TIMEOUT_MS);
+    const timedOut = new Promise<never>((_, reject) => signal.addEventListener('abort', () => {
+      reject(new ProviderError(`${provider.name}: no answer within ${PROVIDER_TIMEOUT_MS}ms`));
+    }, { once: true }));
+    timedOut.catch(() => {});
+    try {
+      const result = await Promise.race([call(signal), timedOut]);
+      health.recordSuccess(Date.now() - startTime);
+      attempts.push({ provider: provider.name, ok: true, durationMs: Date.now() - startTime });
+      return result;
+    } catch (error: any) {
+      health.recordFailure(error);
+      attempts.push({ provider: provider.name, ok: false, error: error.message, durationMs: Date.now() - startTime });
+      console.warn(`⚠️ [PROVIDERS] ${provider.name} failed, trying the next provider:`, error.message);
+      return undefined;
+    }
+  }
+
+  private static failure(what: string, network: string, attempts: ProviderAttempt[]): Error {
+    const reasons = attempts.map(attempt => `${attempt.provider}: ${attempt.error}`).join('; ');
+    return new Error(`No market data provider could serve ${what} on ${network}${reasons ? ` (${reasons})` : ''}`);
+  }
+
+  // baseToken orders the pool; without it the pool keeps the orientation it was last served in
+  async getPool(network: string, address: string, baseToken?: string): Promise<{ pool: PoolSnapshot; attempts: ProviderAttempt[] }> {
+    const attempts: ProviderAttempt[] = [];
+    const key = `${network}:${address.toLowerCase()}`;
+    const base = baseToken || this.baseTokens.get(key);
+
+    for (const provider of this.candidates(network)) {
+      const pool = await this.attempt(provider, attempts, signal => provider.fetchPool(network, address, base, signal));
+      if (pool) {
+        if (!baseToken && !provider.guessesOrientation && pool.baseToken.address) {
+          this.rememberBaseToken(key, pool.baseToken.address);
+        }
+        return { pool: base ? orientPool(pool, base) : pool, attempts };
+      }
+    }
+    throw MarketDataRouter.failure(`pool ${address}`, network, attempts);
+  }
+
+  // Tokens a provider couldn't price are asked of the next one
+  async getTokenPrices(network: string, addresses: string[]): Promise<{ prices: PriceQuote[]; attempts: ProviderAttempt[] }> {
+    const attempts: ProviderAttempt[] = [];
+    const prices = new Map<string, PriceQuote>();
+    let missing = addresses;
+
+    for (const provider of this.candidates(network, candidate => Boolean(candidate.fetchTokenPrices))) {
+      if (missing.length === 0) break;
+      const quotes = await this.attempt(provider, attempts, signal => provider.fetchTokenPrices!(network, missing, signal));
+      quotes?.filter(quote => quote.priceUsd !== null).forEach(quote => prices.set(quote.address.toLowerCase(), quote));
+      missing = missing.filter(address => !prices.has(address.toLowerCase()));
+    }
+
+    if (prices.size === 0) {
+      throw MarketDataRouter.failure(`prices for ${addresses.join(', ')}`, network, attempts);
+    }
+    return {
+      prices: addresses.map(address => prices.get(address.toLowerCase()) || { address, priceUsd: null, source: 'none', fetchedAt: new Date().toISOString() }),
+      attempts
+    };
   }
 
-  async fetchPoolData(networkId: string, poolAddress: string): Promise<any> {
-    await this.enforceRateLimit();
-    const url = `${this.baseUrl}/networks/${networkId}/pools/${poolAddress}?include=base_token,quote_token,dex`;
-    this.logGeckoTerminalURL(url, `FETCH_POOL_DATA[${poolAddress.slice(0, 8)}...]`);
-    const response = await fetch(url, { headers: this.headers });
-    if (!response.ok) {
-      throw new Error(`Failed to fetch pool data: ${response.statusText}`);
+  private rememberBaseToken(key: string, address: string) {
+    this.baseTokens.delete(key);
+    this.baseTokens.set(key, address);
+    if (this.baseTokens.size > MarketDataRouter.MAX_BASE_TOKENS) {
+      this.baseTokens.delete(this.baseTokens.keys().next().value!);
     }
-    return await response.json();
   }
 
-  async fetchOHLCV(networkId: string, poolAddress: string, timeframe: string = 'hour', aggregate = '1'): Promise<any> {
-    await this.enforceRateLimit();
-    const url = `${this.baseUrl}/networks/${networkId}/pools/${poolAddress}/ohlcv/${timeframe}?aggregate=${aggregate}`;
-    this.logGeckoTerminalURL(url, `FETCH_OHLCV[${poolAddress.slice(0, 8)}...]`);
-    const response = await fetch(url, { headers: this.headers });
-    if (!response.ok) {
-      throw new Error(`Failed to fetch OHLCV data: ${response.statusText}`);
-    }
-    return await response.json();
+  getHealth() {
+    return Object.fromEntries(this.providers.map(provider => [provider.name, this.health.get(provider.name)!.toJSON()]));
   }
+}
 
-  async fetchTokenPrice(networkId: string, tokenAddresses: string[]): Promise<any> {
-    await this.enforceRateLimit();
-    const addresses = tokenAddresses.join(',');
-    const url = `${this.baseUrl}/simple/networks/${networkId}/token_price/${addresses}?include_24hr_vol=true&include_24hr_price_change=true`;
-    this.logGeckoTerminalURL(url, `FETCH_TOKEN_PRICES[${tokenAddresses.length} tokens]`);
-    const response = await fetch(url, { headers: this.headers });
-    if (!response.ok) {
-      throw new Error(`Failed to fetch token prices: ${response.statusText}`);
-    }
-    return await response.json();
+/**
+ * Providers named in MARKET_PROVIDERS (default geckoterminal,dexscreener,onchain),
+ * in that order. onchain needs MARKET_RPC_URLS, a JSON object of GeckoTerminal
+ * network ID to RPC URL, e.g. {"eth":"https://eth.llamarpc.com"}.
+ */
+function createMarketDataRouter(api: GeckoTerminalAPI, source: HttpSource): MarketDataRouter {
+  let rpcUrls: Record<string, string> = {};
+  try {
+    rpcUrls = JSON.parse(process.env.MARKET_RPC_URLS || '{}');
+  } catch (error: any) {
+    throw new Error(`MARKET_RPC_URLS is not valid JSON: ${error.message}`);
   }
 
-  async searchPools(query: string, networkId?: string): Promise<any> {
-    await this.enforceRateLimit();
-    let url = `${this.baseUrl}/search/pools?query=${encodeURIComponent(query)}&include=base_token,quote_token,dex`;
-    if (networkId) {
-      url += `&network=${networkId}`;
-    }
-    this.logGeckoTerminalURL(url, `SEARCH_POOLS[${query}]`);
-    const response = await fetch(url, { headers: this.headers });
-    if (!response.ok) {
-      throw new Error(`Failed to search pools: ${response.statusText}`);
+  const providers: MarketDataProvider[] = [];
+  for (const name of (process.env.MARKET_PROVIDERS || 'geckoterminal,dexscreener,onchain').split(',').map(entry => entry.trim()).filter(Boolean)) {
+    switch (name) {
+      case 'geckoterminal':
+        providers.push(new GeckoTerminalProvider(api));
+        break;
+      case 'dexscreener':
+        providers.push(new DexScreenerProvider(source));
+        break;
+      case 'onchain':
+        if (source.mode === 'replay') {
+          console.log(`🔌 [PROVIDERS] onchain provider disabled in replay mode`);
+        } else if (Object.keys(rpcUrls).length > 0) {
+          providers.push(new OnChainProvider(rpcUrls));
+        }
+        break;
+      default:
+        throw new Error(`Unknown market data provider "${name}" in MARKET_PROVIDERS (geckoterminal, dexscreener, onchain)`);
     }
-    return await response.json();
   }
+
+  console.log(`🔌 [PROVIDERS] Market data providers: ${providers.map(provider => provider.name).join(' -> ') || 'none'}`);
+  return new MarketDataRouter(providers);
 }
 
 class PoolAnalyzer {
@@ -545,32 +1512,29 @@ class PoolAnalyzer {
 }
 
 class MarketDataProcessor {
-  static formatPoolData(poolData: any): string {
-    const pool = poolData.data;
-    const attributes = pool.attributes;
-    
-    let result = `Pool: ${attributes.name}\n`;
-    result += `Address: ${attributes.address}\n`;
-    result += `Network: ${pool.relationships?.network?.data?.id || 'Unknown'}\n`;
-    result += `Reserve (USD): $${attributes.reserve_in_usd || 'N/A'}\n`;
-    
-    if (attributes.base_token_price_usd) {
-      result += `Base Token Price: $${attributes.base_token_price_usd}\n`;
+  static formatPoolSnapshot(pool: PoolSnapshot): string {
+    let result = `Pool: ${pool.name}\n`;
+    result += `Address: ${pool.address}\n`;
+    result += `Network: ${pool.network}\n`;
+    if (pool.dex) result += `DEX: ${pool.dex}\n`;
+    result += `Reserve (USD): $${pool.reserveUsd ?? 'N/A'}\n`;
+
+    if (pool.baseToken.priceUsd !== null) {
+      result += `Base Token Price: $${pool.baseToken.priceUsd}\n`;
     }
-    if (attributes.quote_token_price_usd) {
-      result += `Quote Token Price: $${attributes.quote_token_price_usd}\n`;
+    if (pool.quoteToken.priceUsd !== null) {
+      result += `Quote Token Price: $${pool.quoteToken.priceUsd}\n`;
     }
-
-    if (attributes.volume_usd) {
-      result += `24h Volume: $${attributes.volume_usd.h24 || 'N/A'}\n`;
+    if (pool.priceInQuote !== null) {
+      result += `Price in ${pool.quoteToken.symbol || 'quote token'}: ${pool.priceInQuote}\n`;
     }
-
-    if (attributes.price_change_percentage) {
-      const changes = attributes.price_change_percentage;
-      if (changes.h24) result += `24h Change: ${changes.h24}%\n`;
-      if (changes.h1) result += `1h Change: ${changes.h1}%\n`;
+    if (pool.volume24hUsd !== null) {
+      result += `24h Volume: $${pool.volume24hUsd}\n`;
     }
+    if (pool.priceChange24h !== null) result += `24h Change: ${pool.priceChange24h}%\n`;
+    if (pool.priceChange1h !== null) result += `1h Change: ${pool.priceChange1h}%\n`;
 
+    result += `Source: ${pool.source} (${pool.fetchedAt})\n`;
     return result;
   }
 
@@ -582,8 +1546,13 @@ class MarketDataProcessor {
     return result;
   }
 
+  // Providers behind a list of pools, for the Source line
+  static sourcesOf(pools: Pool[]): string {
+    return [...new Set(pools.map(pool => pool.source))].join(', ') || 'none';
+  }
+
   static formatPoolsList(pools: Pool[]): string {
-    let result = 'Pools:\n\n';
+    let result = `Pools (source: ${MarketDataProcessor.sourcesOf(pools)}):\n\n`;
     pools.forEach(pool => {
       result += `${pool.name} (${pool.address})\n`;
       result += `  Reserve: $${pool.reserve_in_usd || 'N/A'}\n`;
@@ -595,11 +1564,27 @@ class MarketDataProcessor {
     return result;
   }
 
+  // Pools with their token addresses, for consumers that build routes from them
+  static formatPoolsJson(pools: Pool[]): string {
+    return JSON.stringify({
+      pools: pools.map(pool => ({
+        address: pool.address,
+        name: pool.name,
+        network: pool.network,
+        dex: pool.dex || null,
+        base_token_address: pool.base_token_address || null,
+        quote_token_address: pool.quote_token_address || null,
+        reserve_in_usd: pool.reserve_in_usd,
+        source: pool.source,
+      })),
+    });
+  }
+
   static formatOHLCV(ohlcvData: any): string {
     const data = ohlcvData.data;
     const ohlcvList = data.attributes.ohlcv_list;
     
-    let result = `OHLCV Data for Pool: ${data.id}\n\n`;
+    let result = `OHLCV Data for Pool: ${data.id} (source: geckoterminal)\n\n`;
     result += 'Timestamp\t\tOpen\t\tHigh\t\tLow\t\tClose\t\tVolume\n';
     result += '─'.repeat(80) + '\n';
     
@@ -611,9 +1596,40 @@ class MarketDataProcessor {
     return result;
   }
 
+  // GeckoTerminal returns candles newest first as [timestamp, open, high, low, close, volume]
+  static toCandles(ohlcvData: any): Candle[] {
+    return [...ohlcvData.data.attributes.ohlcv_list]
+      .sort((a: number[], b: number[]) => a[0] - b[0])
+      .map((ohlcv: number[]) => ({
+        timestamp: ohlcv[0],
+        open: ohlcv[1],
+        high: ohlcv[2],
+        low: ohlcv[3],
+        close: ohlcv[4],
+        volume: ohlcv[5],
+      }));
+  }
+
+  // Full candle series, oldest first, for consumers that replay or analyse it
+  static formatOHLCVJson(ohlcvData: any, timeframe: string, aggregate: string): string {
+    const data = ohlcvData.data;
+    const candles = MarketDataProcessor.toCandles(ohlcvData);
+
+    return JSON.stringify({
+      pool: data.id,
+      timeframe,
+      aggregate,
+      base: ohlcvData.meta?.base?.symbol || null,
+      quote: ohlcvData.meta?.quote?.symbol || null,
+      source: 'geckoterminal',
+      candles,
+    });
+  }
+
   static formatNewPools(pools: Pool[]): string {
     let result = `🆕 New Pools Detected\n`;
     result += `Found: ${pools.length} pools\n`;
+    result += `Source: ${MarketDataProcessor.sourcesOf(pools)}\n`;
     result += `Generated: ${new Date().toISOString()}\n\n`;
     
     pools.forEach((pool, index) => {
@@ -645,6 +1661,7 @@ class MarketDataProcessor {
   static formatTrendingPools(trendingPools: TrendingPool[]): string {
     let result = `📈 Trending Pools\n`;
     result += `Found: ${trendingPools.length} trending pools\n`;
+    result += `Source: ${MarketDataProcessor.sourcesOf(trendingPools.map(trending => trending.pool))}\n`;
     result += `Generated: ${new Date().toISOString()}\n\n`;
     
     trendingPools.forEach((trending, index) => {
@@ -666,6 +1683,7 @@ class MarketDataProcessor {
   static formatNewTokens(newTokens: NewToken[]): string {
     let result = `🎯 New Tokens Detected\n`;
     result += `Found: ${newTokens.length} new tokens\n`;
+    result += `Source: ${MarketDataProcessor.sourcesOf(newTokens.map(newToken => newToken.pool))}\n`;
     result += `Generated: ${new Date().toISOString()}\n\n`;
     
     newTokens.forEach((newToken, index) => {
@@ -686,13 +1704,282 @@ class MarketDataProcessor {
   }
 }
 
+type Series = (number | null)[];
+
+interface IndicatorRequest {
+  name: string;
+  period?: number;
+  fast_period?: number;
+  slow_period?: number;
+  signal_period?: number;
+  std_dev?: number;
+}
+
+// Bad indicator arguments, answered with 400 by the HTTP endpoints
+class IndicatorRequestError extends Error {}
+
+interface IndicatorResult {
+  name: string;
+  params: Record<string, number>;
+  latest: number | Record<string, number> | null;
+  series: Record<string, number>[];
+}
+
+/**
+ * Technical indicators over a candle series (oldest first). Series have one
+ * value per candle, null until the indicator has enough history. Moving
+ * averages and RSI match Backend/utils/technicalIndicators (SMA-seeded EMA,
+ * Wilder's smoothing), so MCP results agree with pipeline triggers.
+ */
+class TechnicalIndicators {
+  static readonly NAMES = ['rsi', 'macd', 'ema', 'sma', 'bollinger', 'atr', 'vwap'];
+
+  static sma(values: number[], period: number): Series {
+    return values.map((_, index) => {
+      if (index < period - 1) return null;
+      const window = values.slice(index - period + 1, index + 1);
+      return window.reduce((sum, value) => sum + value, 0) / period;
+    });
+  }
+
+  static ema(values: number[], period: number): Series {
+    const k = 2 / (period + 1);
+    const result: Series = values.map(() => null);
+    if (values.length < period) return result;
+
+    let value = values.slice(0, period).reduce((sum, v) => sum + v, 0) / period;
+    result[period - 1] = value;
+    for (let i = period; i < values.length; i++) {
+      value = values[i] * k + value * (1 - k);
+      result[i] = value;
+    }
+    return result;
+  }
+
+  static rsi(closes: number[], period: number): Series {
+    const result: Series = closes.map(() => null);
+    if (closes.length <= period) return result;
+
+    let avgGain = 0;
+    let avgLoss = 0;
+    for (let i = 1; i <= period; i++) {
+      const change = closes[i] - closes[i - 1];
+      if (change >= 0) avgGain += change;
+      else avgLoss -= change;
+    }
+    avgGain /= period;
+    avgLoss /= period;
+
+    const toRsi = () => (avgLoss === 0 ? 100 : 100 - 100 / (1 + avgGain / avgLoss));
+    result[period] = toRsi();
+    for (let i = period + 1; i < closes.length; i++) {
+      const change = closes[i] - closes[i - 1];
+      avgGain = (avgGain * (period - 1) + Math.max(change, 0)) / period;
+      avgLoss = (avgLoss * (period - 1) + Math.max(-change, 0)) / period;
+      result[i] = toRsi();
+    }
+    return result;
+  }
+
+  static macd(closes: number[], fast: number, slow: number, signal: number): { macd: Series; signal: Series; histogram: Series } {
+    const fastEma = this.ema(closes, fast);
+    const slowEma = this.ema(closes, slow);
+    const macd: Series = closes.map((_, i) => (fastEma[i] !== null && slowEma[i] !== null ? fastEma[i]! - slowEma[i]! : null));
+
+    // Signal line: EMA of the MACD line from its first value on
+    const start = macd.findIndex(value => value !== null);
+    const signalLine: Series = closes.map(() => null);
+    if (start !== -1) {
+      this.ema(macd.slice(start) as number[], signal).forEach((value, i) => { signalLine[start + i] = value; });
+    }
+
+    const histogram: Series = macd.map((value, i) => (value !== null && signalLine[i] !== null ? value - signalLine[i]! : null));
+    return { macd, signal: signalLine, histogram };
+  }
+
+  static bollinger(closes: number[], period: number, stdDev: number): { middle: Series; upper: Series; lower: Series } {
+    const middle = this.sma(closes, period);
+    const deviation = middle.map((mean, index) => {
+      if (mean === null) return null;
+      const window = closes.slice(index - period + 1, index + 1);
+      return Math.sqrt(window.reduce((sum, value) => sum + (value - mean) ** 2, 0) / period);
+    });
+    return {
+      middle,
+      upper: middle.map((mean, i) => (mean !== null ? mean + stdDev * deviation[i]! : null)),
+      lower: middle.map((mean, i) => (mean !== null ? mean - stdDev * deviation[i]! : null))
+    };
+  }
+
+  // Average true range with Wilder's smoothing, seeded with the mean of the first `period` true ranges
+  static atr(candles: Candle[], period: number): Series {
+    const result: Series = candles.map(() => null);
+    if (candles.length < period) return result;
+
+    const trueRanges = candles.map((candle, i) => {
+      if (i === 0) return candle.high - candle.low;
+      const previousClose = candles[i - 1].close;
+      return Math.max(candle.high - candle.low, Math.abs(candle.high - previousClose), Math.abs(candle.low - previousClose));
+    });
+
+    let value = trueRanges.slice(0, period).reduce((sum, tr) => sum + tr, 0) / period;
+    result[period - 1] = value;
+    for (let i = period; i < candles.length; i++) {
+      value = (value * (period - 1) + trueRanges[i]) / period;
+      result[i] = value;
+    }
+    return result;
+  }
+
+  // Volume-weighted average of the typical price, anchored at the first candle of the series
+  static vwap(candles: Candle[]): Series {
+    let priceVolume = 0;
+    let volume = 0;
+    return candles.map(candle => {
+      priceVolume += ((candle.high + candle.low + candle.close) / 3) * candle.volume;
+      volume += candle.volume;
+      return volume > 0 ? priceVolume / volume : null;
+    });
+  }
+
+  /**
+   * Normalise the indicators argument: names ("rsi") or objects ({ name: 'rsi', period: 7 })
+   */
+  static parseRequests(indicators: unknown): IndicatorRequest[] {
+    if (!Array.isArray(indicators) || indicators.length === 0) {
+      throw new IndicatorRequestError('indicators must be a non-empty array of indicator names or { name, ...params } objects');
+    }
+    return indicators.map(indicator => {
+      const request: IndicatorRequest = typeof indicator === 'string' ? { name: indicator } : { ...(indicator as IndicatorRequest) };
+      if (!request || typeof request.name !== 'string' || !this.NAMES.includes(request.name.toLowerCase())) {
+        throw new IndicatorRequestError(`Unsupported indicator ${JSON.stringify(request?.name)} (supported: ${this.NAMES.join(', ')})`);
+      }
+      return request;
+    });
+  }
+
+  /**
+   * Compute one indicator
+   * @param request - Indicator name and parameters; missing parameters get the usual defaults
+   * @param candles - OHLCV candles, oldest first
+   * @param seriesLength - Trailing points to include in the series (0 for the latest value only)
+   */
+  static compute(request: IndicatorRequest, candles: Candle[], seriesLength: number): IndicatorResult {
+    const name = String(request.name).toLowerCase();
+    const closes = candles.map(candle => candle.close);
+    const positive = (value: unknown, fallback: number) => {
+      const number = Number(value);
+      return Number.isFinite(number) && number > 0 ? number : fallback;
+    };
+
+    let params: Record<string, number>;
+    let lines: Record<string, Series>;
+    switch (name) {
+      case 'rsi':
+        params = { period: Math.round(positive(request.period, 14)) };
+        lines = { value: this.rsi(closes, params.period) };
+        break;
+      case 'ema':
+      case 'sma':
+        params = { period: Math.round(positive(request.period, 20)) };
+        lines = { value: this[name](closes, params.period) };
+        break;
+      case 'macd':
+        params = {
+          fast_period: Math.round(positive(request.fast_period, 12)),
+          slow_period: Math.round(positive(request.slow_period, 26)),
+          signal_period: Math.round(positive(request.signal_period, 9))
+        };
+        if (params.fast_period >= params.slow_period) {
+          throw new IndicatorRequestError('MACD fast_period must be shorter than slow_period');
+        }
+        lines = this.macd(closes, params.fast_period, params.slow_period, params.signal_period);
+        break;
+      case 'bollinger':
+        params = { period: Math.round(positive(request.period, 20)), std_dev: positive(request.std_dev, 2) };
+        lines = this.bollinger(closes, params.period, params.std_dev);
+        break;
+      case 'atr':
+        params = { period: Math.round(positive(request.period, 14)) };
+        lines = { value: this.atr(candles, params.period) };
+        break;
+      case 'vwap':
+        params = {};
+        lines = { value: this.vwap(candles) };
+        break;
+      default:
+        throw new IndicatorRequestError(`Unsupported indicator "${request.name}" (supported: ${this.NAMES.join(', ')})`);
+    }
+
+    const keys = Object.keys(lines);
+    const points = candles
+      .map((candle, i) => {
+        if (keys.some(key => lines[key][i] === null)) return null;
+        const point: Record<string, number> = { timestamp: candle.timestamp };
+        keys.forEach(key => { point[key] = lines[key][i]!; });
+        return point;
+      })
+      .filter((point): point is Record<string, number> => point !== null);
+
+    const last = points.length > 0 ? points[points.length - 1] : null;
+    let latest: IndicatorResult['latest'] = null;
+    if (last) {
+      const { timestamp, ...values } = last;
+      latest = keys.length === 1 ? values.value : values;
+    }
+
+    return {
+      name,
+      params,
+      latest,
+      series: seriesLength > 0 ? points.slice(-seriesLength) : []
+    };
+  }
+}
+
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+
+const httpPort = () => parseInt(process.env.PORT || '3001');
+
+// Comma-separated env list, empty when unset
+const listEnv = (name: string): string[] =>
+  (process.env[name] || '').split(',').map(value => value.trim()).filter(Boolean);
+
+// Host headers /mcp answers to: loopback plus MCP_ALLOWED_HOSTS, each with and without the port
+function mcpAllowedHosts(): string[] {
+  const names = ['localhost', '127.0.0.1', '[::1]', ...listEnv('MCP_ALLOWED_HOSTS')];
+  return names.flatMap(name => [name, `${name}:${httpPort()}`]);
+}
+
+// An MCP client connected over Streamable HTTP, with the Server instance serving it
+interface McpSession {
+  server: Server;
+  transport: StreamableHTTPServerTransport;
+  createdAt: number;
+  lastSeen: number;
+}
+
 class MarketMCPServer {
   private server: Server;
   private api: GeckoTerminalAPI;
+  private market: MarketDataRouter;
   private expressApp: express.Application;
+  private sessions = new Map<string, McpSession>();
+  private readonly maxSessions = parseInt(process.env.MCP_MAX_SESSIONS || '100');
+  private readonly sessionIdleMs = parseInt(process.env.MCP_SESSION_IDLE_MINUTES || '30') * 60 * 1000;
 
   constructor() {
-    this.server = new Server(
+    const source = createHttpSource();
+    this.api = new GeckoTerminalAPI(source);
+    this.market = createMarketDataRouter(this.api, source);
+    this.server = this.createServer();
+    this.expressApp = express();
+    this.setupExpress();
+  }
+
+  // A Server connects to one transport, so stdio and every HTTP session get their own
+  private createServer(): Server {
+    const server = new Server(
       {
         name: 'market-mcp',
         version: '1.0.0',
@@ -704,11 +1991,8 @@ class MarketMCPServer {
         },
       }
     );
-
-    this.api = new GeckoTerminalAPI();
-    this.expressApp = express();
-    this.setupExpress();
-    this.setupHandlers();
+    this.setupHandlers(server);
+    return server;
   }
 
   private setupExpress() {
@@ -719,9 +2003,13 @@ class MarketMCPServer {
       max: 100
     });
 
-    this.expressApp.use(cors());
+    // Browsers may only call from the origins in MCP_CORS_ORIGINS; server-side clients are unaffected
+    this.expressApp.use(cors({ origin: listEnv('MCP_CORS_ORIGINS'), exposedHeaders: ['Mcp-Session-Id'] }));
     this.expressApp.use(express.json());
-    this.expressApp.use(limiter);
+    // MCP sessions make many calls each; GeckoTerminal requests are throttled by the API client either way
+    this.expressApp.use('/api', limiter);
+
+    this.setupMcpHttp();
 
     this.expressApp.post('/api/new-pools', async (req, res) => {
       try {
@@ -752,9 +2040,142 @@ class MarketMCPServer {
       }
     });
 
+    this.expressApp.post('/api/indicators', async (req, res) => {
+      try {
+        res.json(await this.computeIndicators(req.body));
+      } catch (error: any) {
+        res.status(error instanceof IndicatorRequestError ? 400 : 500).json({ error: error.message });
+      }
+    });
+
+    this.expressApp.post('/api/indicators/:name', async (req, res) => {
+      try {
+        const { indicators, ...body } = req.body || {};
+        res.json(await this.computeIndicators({ ...body, indicators: [{ ...body, name: req.params.name }] }));
+      } catch (error: any) {
+        res.status(error instanceof IndicatorRequestError ? 400 : 500).json({ error: error.message });
+      }
+    });
+
     this.expressApp.get('/api/health', (req, res) => {
-      res.json({ status: 'healthy', timestamp: new Date().toISOString() });
+      res.json({
+        status: 'healthy',
+        timestamp: new Date().toISOString(),
+        cache: this.api.getCacheStats(),
+        dataSource: this.api.getDataSource(),
+        providers: this.market.getHealth(),
+        mcp: { sessions: this.sessions.size, maxSessions: this.maxSessions }
+      });
+    });
+  }
+
+  /**
+   * MCP over Streamable HTTP at /mcp. POST carries JSON-RPC messages, answered as
+   * JSON or an SSE stream; an initialize request without a session ID starts a
+   * session. GET opens the session's SSE stream for server-to-client messages and
+   * DELETE ends the session. Sessions idle for MCP_SESSION_IDLE_MINUTES are closed.
+   */
+  private setupMcpHttp() {
+    const rpcError = (res: express.Response, status: number, code: number, message: string) => {
+      res.status(status).json({ jsonrpc: '2.0', error: { code, message }, id: null });
+    };
+
+    // Bearer token required when MCP_HTTP_TOKEN is set. Both sides are hashed so the
+    // comparison takes the same time whatever the header holds
+    const digest = (value: string) => createHash('sha256').update(value).digest();
+    const authorize: express.RequestHandler = (req, res, next) => {
+      const token = process.env.MCP_HTTP_TOKEN;
+      if (token && !timingSafeEqual(digest(req.header('authorization') || ''), digest(`Bearer ${token}`))) {
+        rpcError(res, 401, -32001, 'Unauthorized');
+        return;
+      }
+      next();
+    };
+
+    this.expressApp.post('/mcp', authorize, async (req, res) => {
+      const sessionId = req.header('mcp-session-id');
+      try {
+        if (sessionId) {
+          const session = this.sessions.get(sessionId);
+          if (!session) {
+            rpcError(res, 404, -32001, 'Session not found');
+            return;
+          }
+          session.lastSeen = Date.now();
+          await session.transport.handleRequest(req, res, req.body);
+          return;
+        }
+
+        if (!isInitializeRequest(req.body)) {
+          rpcError(res, 400, -32000, 'Bad Request: no Mcp-Session-Id header; start a session with an initialize request');
+          return;
+        }
+        if (this.sessions.size >= this.maxSessions) {
+          rpcError(res, 503, -32000, `Too many MCP sessions (max ${this.maxSessions})`);
+          return;
+        }
+
+        const server = this.createServer();
+        const transport: StreamableHTTPServerTransport = new StreamableHTTPServerTransport({
+          sessionIdGenerator: () => randomUUID(),
+          enableDnsRebindingProtection: true,
+          allowedHosts: mcpAllowedHosts(),
+          allowedOrigins: listEnv('MCP_CORS_ORIGINS'),
+          onsessioninitialized: (id) => {
+            this.sessions.set(id, { server, transport, createdAt: Date.now(), lastSeen: Date.now() });
+            console.log(`🔌 [MCP HTTP] Session ${id} opened (${this.sessions.size} active)`);
+          },
+        });
+        transport.onclose = () => {
+          if (transport.sessionId && this.sessions.delete(transport.sessionId)) {
+            console.log(`🔌 [MCP HTTP] Session ${transport.sessionId} closed (${this.sessions.size} active)`);
+          }
+        };
+
+        await server.connect(transport);
+        await transport.handleRequest(req, res, req.body);
+      } catch (error: any) {
+        console.error(`❌ [MCP HTTP] Request failed:`, error.message);
+        if (!res.headersSent) {
+          rpcError(res, 500, -32603, 'Internal server error');
+        }
+      }
     });
+
+    const handleSessionRequest = async (req: express.Request, res: express.Response) => {
+      const sessionId = req.header('mcp-session-id');
+      if (!sessionId) {
+        rpcError(res, 400, -32000, 'Bad Request: missing Mcp-Session-Id header');
+        return;
+      }
+      const session = this.sessions.get(sessionId);
+      if (!session) {
+        rpcError(res, 404, -32001, 'Session not found');
+        return;
+      }
+      session.lastSeen = Date.now();
+      try {
+        await session.transport.handleRequest(req, res);
+      } catch (error: any) {
+        console.error(`❌ [MCP HTTP] ${req.method} failed for session ${sessionId}:`, error.message);
+        if (!res.headersSent) {
+          rpcError(res, 500, -32603, 'Internal server error');
+        }
+      }
+    };
+
+    this.expressApp.get('/mcp', authorize, handleSessionRequest);
+    this.expressApp.delete('/mcp', authorize, handleSessionRequest);
+
+    setInterval(() => {
+      const cutoff = Date.now() - this.sessionIdleMs;
+      for (const [id, session] of this.sessions) {
+        if (session.lastSeen < cutoff) {
+          console.log(`🔌 [MCP HTTP] Closing idle session ${id}`);
+          session.server.close().catch((error: any) => console.warn(`⚠️ [MCP HTTP] Failed to close session ${id}:`, error.message));
+        }
+      }
+    }, 60 * 1000).unref();
   }
 
   private async getNewTokensFromPools(pools: Pool[], count: number = 10): Promise<NewToken[]> {
@@ -813,18 +2234,73 @@ class MarketMCPServer {
     return newTokens.slice(0, count);
   }
 
-  private setupHandlers() {
-    this.server.setRequestHandler(ListResourcesRequestSchema, async () => {
+  private setupHandlers(server: Server) {
+    server.setRequestHandler(ListResourcesRequestSchema, async () => {
       return {
         resources: []
       };
     });
 
-    this.server.setRequestHandler(ReadResourceRequestSchema, async (request: any) => {
+    server.setRequestHandler(ReadResourceRequestSchema, async (request: any) => {
       throw new Error(`Resource not found: ${request.params.uri}`);
     });
 
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
+    server.setRequestHandler(ListToolsRequestSchema, async () => {
+      // Shared by the indicator tools
+      const seriesProperties = {
+        network: {
+          type: 'string',
+          description: 'Network ID (e.g., eth, bsc, polygon)',
+        },
+        pool_address: {
+          type: 'string',
+          description: 'Pool contract address',
+        },
+        timeframe: {
+          type: 'string',
+          description: 'Candle timeframe: day, hour, or minute (default: hour)',
+          enum: ['day', 'hour', 'minute'],
+        },
+        aggregate: {
+          type: 'string',
+          description: 'Candles per bar (e.g., 1, 4, 12 for hours; 1, 5, 15 for minutes; default 1)',
+        },
+        limit: {
+          type: 'number',
+          description: 'Candles to compute over (max 1000, default 200); longer periods need more history',
+        },
+        before_timestamp: {
+          type: 'number',
+          description: 'Only use candles before this unix timestamp (seconds)',
+        },
+        series_length: {
+          type: 'number',
+          description: 'Trailing values to return per indicator (default 50, 0 for latest only)',
+        },
+      };
+      const indicatorParams = {
+        period: {
+          type: 'number',
+          description: 'Lookback period (RSI and ATR default 14; SMA, EMA and Bollinger default 20)',
+        },
+        fast_period: {
+          type: 'number',
+          description: 'MACD fast EMA period (default 12)',
+        },
+        slow_period: {
+          type: 'number',
+          description: 'MACD slow EMA period (default 26)',
+        },
+        signal_period: {
+          type: 'number',
+          description: 'MACD signal EMA period (default 9)',
+        },
+        std_dev: {
+          type: 'number',
+          description: 'Bollinger band width in standard deviations (default 2)',
+        },
+      };
+
       return {
         tools: [
           {
@@ -837,7 +2313,7 @@ class MarketMCPServer {
           },
           {
             name: 'get_pool_data',
-            description: 'Get detailed data for a specific pool on a network',
+            description: 'Get detailed data for a specific pool on a network. Served by the first healthy market data provider (GeckoTerminal, DexScreener, on-chain reads); the result names its source',
             inputSchema: {
               type: 'object',
               properties: {
@@ -849,6 +2325,15 @@ class MarketMCPServer {
                   type: 'string',
                   description: 'Pool contract address',
                 },
+                base_token: {
+                  type: 'string',
+                  description: 'Address of the token to report as the base token (optional; defaults to the orientation GeckoTerminal or DexScreener gives the pool)',
+                },
+                format: {
+                  type: 'string',
+                  description: 'Output format: text (default) or json (the pool with its source and the providers tried)',
+                  enum: ['text', 'json'],
+                },
               },
               required: ['network', 'pool_address'],
             },
@@ -867,6 +2352,11 @@ class MarketMCPServer {
                   type: 'number',
                   description: 'Page number for pagination (default: 1)',
                 },
+                format: {
+                  type: 'string',
+                  description: 'Output format: text (summary) or json (pools with token addresses)',
+                  enum: ['text', 'json'],
+                },
               },
               required: ['network'],
             },
@@ -894,13 +2384,71 @@ class MarketMCPServer {
                   type: 'string',
                   description: 'Aggregation period (e.g., 1, 4, 12 for hours; 1, 5, 15 for minutes)',
                 },
+                limit: {
+                  type: 'number',
+                  description: 'Number of candles to return (max 1000, default 100)',
+                },
+                before_timestamp: {
+                  type: 'number',
+                  description: 'Only return candles before this unix timestamp (seconds)',
+                },
+                format: {
+                  type: 'string',
+                  description: 'Output format: text (last 10 candles as a table) or json (full series)',
+                  enum: ['text', 'json'],
+                },
               },
               required: ['network', 'pool_address'],
             },
           },
+          {
+            name: 'get_technical_indicators',
+            description: 'Compute technical indicators (RSI, MACD, EMA, SMA, Bollinger Bands, ATR, VWAP) from a pool\'s OHLCV candles. Returns JSON with the latest value and a trailing series per indicator',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                ...seriesProperties,
+                indicators: {
+                  type: 'array',
+                  description: 'Indicator names, or objects with a name and its parameters, e.g. ["rsi", {"name": "ema", "period": 50}]',
+                  items: {
+                    anyOf: [
+                      { type: 'string', enum: TechnicalIndicators.NAMES },
+                      {
+                        type: 'object',
+                        properties: {
+                          name: { type: 'string', enum: TechnicalIndicators.NAMES },
+                          ...indicatorParams,
+                        },
+                        required: ['name'],
+                      },
+                    ],
+                  },
+                },
+              },
+              required: ['network', 'pool_address', 'indicators'],
+            },
+          },
+          {
+            name: 'get_indicator',
+            description: 'Compute one technical indicator from a pool\'s OHLCV candles. Returns JSON with its latest value and a trailing series',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                ...seriesProperties,
+                indicator: {
+                  type: 'string',
+                  description: 'Indicator to compute',
+                  enum: TechnicalIndicators.NAMES,
+                },
+                ...indicatorParams,
+              },
+              required: ['network', 'pool_address', 'indicator'],
+            },
+          },
           {
             name: 'get_token_prices',
-            description: 'Get current USD prices for multiple tokens on a network',
+            description: 'Get current USD prices for multiple tokens on a network. Tokens one provider can\'t price are asked of the next; each price names its source',
             inputSchema: {
               type: 'object',
               properties: {
@@ -915,6 +2463,11 @@ class MarketMCPServer {
                   },
                   description: 'Array of token contract addresses (max 30)',
                 },
+                format: {
+                  type: 'string',
+                  description: 'Output format: text (default) or json (prices with sources and the providers tried)',
+                  enum: ['text', 'json'],
+                },
               },
               required: ['network', 'token_addresses'],
             },
@@ -995,7 +2548,7 @@ class MarketMCPServer {
       };
     });
 
-    this.server.setRequestHandler(CallToolRequestSchema, async (request: any) => {
+    server.setRequestHandler(CallToolRequestSchema, async (request: any) => {
       const toolCallId = `TOOL-${Date.now()}-${Math.random().toString(36).substr(2, 4)}`;
       const startTime = Date.now();
       const toolName = request.params.name;
@@ -1021,6 +2574,12 @@ class MarketMCPServer {
           case 'get_ohlcv_data':
             result = await this.handleGetOHLCVData(args);
             break;
+          case 'get_technical_indicators':
+            result = await this.handleGetTechnicalIndicators(args);
+            break;
+          case 'get_indicator':
+            result = await this.handleGetIndicator(args);
+            break;
           case 'get_token_prices':
             result = await this.handleGetTokenPrices(args);
             break;
@@ -1095,14 +2654,16 @@ class MarketMCPServer {
   }
 
   private async handleGetPoolData(args: any) {
-    const { network, pool_address } = args;
+    const { network, pool_address, base_token, format = 'text' } = args;
     try {
-      const poolData = await this.api.fetchPoolData(network, pool_address);
+      const { pool, attempts } = await this.market.getPool(network, pool_address, base_token);
       return {
         content: [
           {
             type: 'text',
-            text: MarketDataProcessor.formatPoolData(poolData),
+            text: format === 'json'
+              ? JSON.stringify({ pool, attempts })
+              : MarketDataProcessor.formatPoolSnapshot(pool),
           },
         ],
       };
@@ -1122,7 +2683,7 @@ class MarketMCPServer {
   private async handleGetNetworkPools(args: any) {
     const requestId = `POOLS-${Date.now()}`;
     const startTime = Date.now();
-    const { network, page = 1 } = args;
+    const { network, page = 1, format = 'text' } = args;
     
     console.log(`🌊 [MCP HANDLER] [${requestId}] handleGetNetworkPools called for network: ${network}, page: ${page}`);
     
@@ -1151,7 +2712,9 @@ class MarketMCPServer {
         content: [
           {
             type: 'text',
-            text: MarketDataProcessor.formatPoolsList(pools),
+            text: format === 'json'
+              ? MarketDataProcessor.formatPoolsJson(pools)
+              : MarketDataProcessor.formatPoolsList(pools),
           },
         ],
       };
@@ -1172,14 +2735,16 @@ class MarketMCPServer {
   }
 
   private async handleGetOHLCVData(args: any) {
-    const { network, pool_address, timeframe = 'hour', aggregate = '1' } = args;
+    const { network, pool_address, timeframe = 'hour', aggregate = '1', limit, before_timestamp, format = 'text' } = args;
     try {
-      const ohlcvData = await this.api.fetchOHLCV(network, pool_address, timeframe, aggregate);
+      const ohlcvData = await this.api.fetchOHLCV(network, pool_address, timeframe, aggregate, limit, before_timestamp);
       return {
         content: [
           {
             type: 'text',
-            text: MarketDataProcessor.formatOHLCV(ohlcvData),
+            text: format === 'json'
+              ? MarketDataProcessor.formatOHLCVJson(ohlcvData, timeframe, aggregate)
+              : MarketDataProcessor.formatOHLCV(ohlcvData),
           },
         ],
       };
@@ -1196,22 +2761,82 @@ class MarketMCPServer {
     }
   }
 
+  /**
+   * Fetch a pool's candles and compute indicators over them
+   * @param args - { network, pool_address, indicators, timeframe, aggregate, limit, before_timestamp, series_length }
+   * @returns Latest value and trailing series per indicator, oldest point first
+   */
+  private async computeIndicators(args: any) {
+    const { network, pool_address, indicators, timeframe = 'hour', aggregate = '1', limit = 200, before_timestamp, series_length = 50 } = args || {};
+    if (!network || !pool_address) {
+      throw new IndicatorRequestError('network and pool_address are required');
+    }
+    if (!['day', 'hour', 'minute'].includes(timeframe)) {
+      throw new IndicatorRequestError('timeframe must be day, hour or minute');
+    }
+    const requests = TechnicalIndicators.parseRequests(indicators);
+    const seriesLength = Math.max(0, parseInt(series_length) || 0);
+
+    const ohlcvData = await this.api.fetchOHLCV(network, pool_address, timeframe, String(aggregate), Math.min(parseInt(limit) || 200, 1000), before_timestamp);
+    const candles = MarketDataProcessor.toCandles(ohlcvData);
+
+    return {
+      pool: ohlcvData.data.id,
+      network,
+      source: 'geckoterminal',
+      timeframe,
+      aggregate: String(aggregate),
+      candles: candles.length,
+      from: candles.length > 0 ? candles[0].timestamp : null,
+      to: candles.length > 0 ? candles[candles.length - 1].timestamp : null,
+      indicators: requests.map(request => TechnicalIndicators.compute(request, candles, seriesLength))
+    };
+  }
+
+  private async handleGetTechnicalIndicators(args: any) {
+    try {
+      const result = await this.computeIndicators(args);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(result, null, 2),
+          },
+        ],
+      };
+    } catch (error: any) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error computing technical indicators: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+
+  private async handleGetIndicator(args: any) {
+    const { indicator, ...rest } = args || {};
+    return await this.handleGetTechnicalIndicators({ ...rest, indicators: [{ ...rest, name: indicator }] });
+  }
+
   private async handleGetTokenPrices(args: any) {
-    const { network, token_addresses } = args;
+    const { network, token_addresses, format = 'text' } = args;
     try {
-      const priceData = await this.api.fetchTokenPrice(network, token_addresses);
-      const attributes = priceData.data[0].attributes;
-      
+      const { prices, attempts } = await this.market.getTokenPrices(network, token_addresses);
+
       let result = 'Token Prices:\n\n';
-      Object.entries(attributes.token_prices).forEach(([address, price]) => {
-        result += `${address}: $${price}\n`;
+      prices.forEach(quote => {
+        result += `${quote.address}: ${quote.priceUsd !== null ? `$${quote.priceUsd}` : 'N/A'} (source: ${quote.source})\n`;
       });
       
       return {
         content: [
           {
             type: 'text',
-            text: result,
+            text: format === 'json' ? JSON.stringify({ prices, attempts }) : result,
           },
         ],
       };
@@ -1233,7 +2858,7 @@ class MarketMCPServer {
     try {
       const searchResults = await this.api.searchPools(query, network);
       
-      let result = `Search results for "${query}":\n\n`;
+      let result = `Search results for "${query}" (source: geckoterminal):\n\n`;
       searchResults.data.forEach((pool: any) => {
         result += `${pool.attributes.name} (${pool.attributes.address})\n`;
         result += `  Network: ${pool.relationships?.network?.data?.id || 'Unknown'}\n`;
@@ -1606,35 +3231,39 @@ class MarketMCPServer {
     console.log(`🚀 [MCP SERVER] Starting Market MCP Server`);
     console.log(`🚀 [MCP SERVER] Startup time: ${new Date().toISOString()}`);
     
-    // Check if we should run in stdio-only mode
-    const stdioMode = process.env.MCP_STDIO_MODE === 'true';
-    console.log(`🚀 [MCP SERVER] Mode: ${stdioMode ? 'STDIO-ONLY' : 'STDIO + HTTP'}`);
-    
-    if (!stdioMode) {
-      // Run HTTP server only if not in stdio mode
-      const PORT = process.env.PORT || 3001;
-      console.log(`🚀 [MCP SERVER] Setting up HTTP server on port ${PORT}`);
+    // MCP_TRANSPORT: stdio, http or both (default); MCP_STDIO_MODE=true is the older spelling of stdio
+    const mode = process.env.MCP_STDIO_MODE === 'true' ? 'stdio' : (process.env.MCP_TRANSPORT || 'both');
+    const useStdio = mode !== 'http';
+    const useHttp = mode !== 'stdio';
+    console.log(`🚀 [MCP SERVER] Mode: ${useStdio && useHttp ? 'STDIO + HTTP' : useStdio ? 'STDIO-ONLY' : 'HTTP-ONLY'}`);
+    
+    if (useHttp) {
+      const PORT = httpPort();
+      // Without MCP_HTTP_TOKEN anyone who can reach the port can call the tools, so only loopback is allowed
+      const HOST = process.env.MCP_HTTP_HOST || (process.env.MCP_HTTP_TOKEN ? '0.0.0.0' : '127.0.0.1');
+      if (!process.env.MCP_HTTP_TOKEN && !LOOPBACK_HOSTS.includes(HOST)) {
+        throw new Error(`MCP_HTTP_HOST=${HOST} exposes the server beyond this machine; set MCP_HTTP_TOKEN to serve HTTP on it`);
+      }
+      console.log(`🚀 [MCP SERVER] Setting up HTTP server on ${HOST}:${PORT}`);
       
-      this.expressApp.listen(PORT, () => {
-        console.error(`🌐 [MCP SERVER] Express server running on port ${PORT}`);
+      this.expressApp.listen(PORT, HOST, () => {
+        console.error(`🌐 [MCP SERVER] Express server running on ${HOST}:${PORT}`);
         console.log(`🌐 [MCP SERVER] HTTP endpoints available at http://localhost:${PORT}`);
+        console.log(`🌐 [MCP SERVER] MCP Streamable HTTP endpoint at http://localhost:${PORT}/mcp`);
       });
     }
 
-    // Always set up stdio transport for MCP protocol
-    console.log(`🚀 [MCP SERVER] Setting up STDIO transport for MCP protocol`);
-    const transport = new StdioServerTransport();
-    await this.server.connect(transport);
+    if (useStdio) {
+      console.log(`🚀 [MCP SERVER] Setting up STDIO transport for MCP protocol`);
+      const transport = new StdioServerTransport();
+      await this.server.connect(transport);
+    }
     
     const setupDuration = Date.now() - startupTime;
+    const transports = [useStdio && 'stdio', useHttp && 'HTTP'].filter(Boolean).join(' and ');
+    console.error(`✅ [MCP SERVER] Market MCP server running on ${transports} with GeckoTerminal API integration (startup: ${setupDuration}ms)`);
     
-    if (stdioMode) {
-      console.error(`✅ [MCP SERVER] Market MCP server running on stdio with GeckoTerminal API integration (startup: ${setupDuration}ms)`);
-    } else {
-      console.error(`✅ [MCP SERVER] Market MCP server running on stdio and HTTP with GeckoTerminal API integration (startup: ${setupDuration}ms)`);
-    }
-    
-    console.log(`✅ [MCP SERVER] Available tools: get_networks, get_pool_data, get_network_pools, get_ohlcv_data, get_token_prices, search_pools, get_new_pools, get_trending_pools, get_new_tokens, get_all_tokens`);
+    console.log(`✅ [MCP SERVER] Available tools: get_networks, get_pool_data, get_network_pools, get_ohlcv_data, get_technical_indicators, get_indicator, get_token_prices, search_pools, get_new_pools, get_trending_pools, get_new_tokens, get_all_tokens`);
     console.log(`✅ [MCP SERVER] Rate limiting: ${this.api['MIN_REQUEST_INTERVAL']}ms between requests`);
     console.log(`✅ [MCP SERVER] Server ready to handle requests!`);
     console.log(`🚀 [MCP SERVER] =================================`);
@@ -1642,4 +3271,7 @@ class MarketMCPServer {
 }
 
 const server = new MarketMCPServer();
-server.run().catch(console.error);
\ No newline at end of file
+server.run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
\ No newline at end of file
@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+
+/**
+ * Test the technical indicator tools against candle series whose indicator values are known exactly
+ * Runs with no network access: the candles are written as replay fixtures in a temporary directory.
+ * Run with: node test-indicators.js
+ */
+
+import assert from 'assert';
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { runTests, startServer } from './mcp-test-client.js';
+
+const HOUR = 3600;
+const START = Date.UTC(2026, 0, 1) / 1000;
+
+const candle = (i, close, high = close, low = close, volume = 1000) => [START + i * HOUR, close, high, low, close, volume];
+
+// Each series is served as the hourly candles of its own pool
+const SERIES = {
+  // Closes 1, 2, ..., 60
+  linear: Array.from({ length: 60 }, (_, i) => candle(i, i + 1)),
+  // Up 2, down 1, up 2, ...
+  alternating: Array.from({ length: 30 }, (_, i) => candle(i, 100 + Math.ceil(i / 2) * 2 - Math.floor(i / 2))),
+  // Close 100 in a 99-101 range every hour
+  flat: Array.from({ length: 30 }, (_, i) => candle(i, 100, 101, 99)),
+  // Typical prices 10 and 20, volumes 1 and 3
+  weighted: [candle(0, 10, 10, 10, 1), candle(1, 20, 20, 20, 3)]
+};
+const poolOf = (series) => `0x${Buffer.from(series).toString('hex').padStart(40, '0')}`;
+
+// Replay fixtures for GET /networks/eth/pools/<pool>/ohlcv/hour?aggregate=1&limit=<candles>
+async function writeFixtures(dir) {
+  for (const [series, candles] of Object.entries(SERIES)) {
+    const search = `?aggregate=1&limit=${candles.length}`;
+    const url = `https://api.geckoterminal.com/api/v2/networks/eth/pools/${poolOf(series)}/ohlcv/hour${search}`;
+    const file = path.join(dir, 'networks', 'eth', 'pools', poolOf(series), 'ohlcv', 'hour', `q-${createHash('sha1').update(search).digest('hex').slice(0, 12)}.json`);
+    const body = { data: { id: `ohlcv_${series}`, type: 'ohlcv_request_response', attributes: { ohlcv_list: [...candles].reverse() } } };
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify({ url, status: 200, statusText: 'OK', body, recordedAt: new Date(0).toISOString(), durationMs: 0 }));
+  }
+}
+
+let server;
+
+// The one indicator result for series, with its whole series
+async function indicator(series, request) {
+  const result = await server.callJson('get_technical_indicators', {
+    network: 'eth',
+    pool_address: poolOf(series),
+    limit: SERIES[series].length,
+    series_length: 1000,
+    indicators: [request]
+  });
+  return result.indicators[0];
+}
+
+const closeTo = (actual, expected, message) => assert(Math.abs(actual - expected) < 1e-9, `${message}: expected ${expected}, got ${actual}`);
+const closeOf = (series, timestamp) => SERIES[series].find(([time]) => time === timestamp)[4];
+
+const tests = {
+  async 'SMA trails a linear series by half its window, from the first full window on'() {
+    const { series, latest } = await indicator('linear', { name: 'sma', period: 5 });
+    assert.strictEqual(series.length, 56);
+    series.forEach(point => closeTo(point.value, closeOf('linear', point.timestamp) - 2, 'SMA'));
+    closeTo(latest, 58, 'latest SMA');
+  },
+
+  async 'SMA-seeded EMA trails a linear series by (period - 1) / 2'() {
+    const { series } = await indicator('linear', { name: 'ema', period: 10 });
+    assert.strictEqual(series.length, 51);
+    series.forEach(point => closeTo(point.value, closeOf('linear', point.timestamp) - 4.5, 'EMA'));
+  },
+
+  async 'MACD of a linear series is the gap between the EMA lags'() {
+    const { series, params } = await indicator('linear', 'macd');
+    assert.deepStrictEqual(params, { fast_period: 12, slow_period: 26, signal_period: 9 });
+    // The signal line needs slow + signal - 1 closes
+    assert.strictEqual(series.length, 60 - 34 + 1);
+    series.forEach(point => {
+      closeTo(point.macd, 7, 'MACD');
+      closeTo(point.signal, 7, 'signal');
+      closeTo(point.histogram, 0, 'histogram');
+    });
+  },
+
+  async 'RSI is 100 with no losses and seeds from the average gain and loss'() {
+    const rising = await indicator('linear', 'rsi');
+    rising.series.forEach(point => closeTo(point.value, 100, 'RSI of a rising series'));
+
+    // Seven gains of 2 and seven losses of 1 over the first 14 changes: RS = 2
+    const { series } = await indicator('alternating', { name: 'rsi', period: 14 });
+    assert.strictEqual(series[0].timestamp, START + 14 * HOUR);
+    closeTo(series[0].value, 100 - 100 / 3, 'first RSI');
+  },
+
+  async 'Bollinger bands are the SMA plus and minus the population standard deviation'() {
+    const { series } = await indicator('linear', { name: 'bollinger', period: 20, std_dev: 2 });
+    const deviation = Math.sqrt((20 ** 2 - 1) / 12);
+    series.forEach(point => {
+      const middle = closeOf('linear', point.timestamp) - 9.5;
+      closeTo(point.middle, middle, 'middle band');
+      closeTo(point.upper, middle + 2 * deviation, 'upper band');
+      closeTo(point.lower, middle - 2 * deviation, 'lower band');
+    });
+
+    const flat = await indicator('flat', 'bollinger');
+    assert.deepStrictEqual(flat.latest, { middle: 100, upper: 100, lower: 100 });
+  },
+
+  async 'ATR of a steady range is the range'() {
+    const { series, latest } = await indicator('flat', 'atr');
+    assert.strictEqual(series.length, 30 - 14 + 1);
+    series.forEach(point => closeTo(point.value, 2, 'ATR'));
+    closeTo(latest, 2, 'latest ATR');
+  },
+
+  async 'VWAP weights the typical price by volume from the first candle'() {
+    const { series } = await indicator('weighted', 'vwap');
+    assert.deepStrictEqual(series.map(point => point.value), [10, 17.5]);
+  },
+
+  async 'get_indicator returns the same values as get_technical_indicators'() {
+    const single = await server.callJson('get_indicator', { network: 'eth', pool_address: poolOf('linear'), limit: 60, indicator: 'ema', period: 10 });
+    const { latest } = await indicator('linear', { name: 'ema', period: 10 });
+    assert.strictEqual(single.indicators[0].latest, latest);
+  },
+
+  async 'bad requests are tool errors'() {
+    const unsupported = await server.call('get_technical_indicators', { network: 'eth', pool_address: poolOf('linear'), limit: 60, indicators: ['stochastic'] });
+    assert(unsupported.isError);
+    assert.match(unsupported.text, /Unsupported indicator "stochastic"/);
+
+    const macd = await server.call('get_indicator', { network: 'eth', pool_address: poolOf('linear'), limit: 60, indicator: 'macd', fast_period: 26, slow_period: 12 });
+    assert(macd.isError);
+    assert.match(macd.text, /fast_period must be shorter than slow_period/);
+  }
+};
+
+let fixturesDir;
+runTests('Testing technical indicators', tests, {
+  setup: async () => {
+    fixturesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'market-mcp-indicators-'));
+    await writeFixtures(fixturesDir);
+    server = await startServer({ MARKET_DATA_MODE: 'replay', MARKET_FIXTURES_DIR: fixturesDir });
+  },
+  teardown: async () => {
+    await server?.stop();
+    if (fixturesDir) await fs.rm(fixturesDir, { recursive: true, force: true });
+  }
+});
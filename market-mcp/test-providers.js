@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+
+/**
+ * Test market data failover: pool orientation across providers, on-chain pool reads and provider timeouts
+ * Runs with no network access: GeckoTerminal and DexScreener answer from ./fixtures, and the
+ * on-chain provider talks to a JSON-RPC node stubbed in this process.
+ * Run with: node test-providers.js
+ */
+
+import assert from 'assert';
+import http from 'http';
+import { runTests, withServer } from './mcp-test-client.js';
+
+// Uniswap V2 WETH/USDC on Ethereum, as in the fixtures; DexScreener lists it with USDC as the base token
+const POOL = '0xb4e16d0168e52d35cacd2c6185b44281ec28c9dc';
+const WETH = '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2';
+const USDC = '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+
+// Pools on the stub node: a V2 pool with USDC as token0, and a V3-style pool without getReserves
+const V2_POOL = '0x0000000000000000000000000000000000000a02';
+const V3_POOL = '0x0000000000000000000000000000000000000a03';
+
+const word = (hex) => hex.replace(/^0x/, '').padStart(64, '0');
+const abiString = (text) => `0x${word('20')}${word(text.length.toString(16))}${Buffer.from(text).toString('hex').padEnd(64, '0')}`;
+const CONTRACTS = {
+  [V2_POOL]: {
+    '0x0dfe1681': `0x${word(USDC)}`,
+    '0xd21220a7': `0x${word(WETH)}`,
+    // 3,000,000 USDC (6 decimals) against 1,000 WETH (18 decimals)
+    '0x0902f1ac': `0x${word((3000000n * 10n ** 6n).toString(16))}${word((1000n * 10n ** 18n).toString(16))}${word('0')}`
+  },
+  [V3_POOL]: {
+    '0x0dfe1681': `0x${word(USDC)}`,
+    '0xd21220a7': `0x${word(WETH)}`
+  },
+  [USDC]: { '0x313ce567': `0x${word('6')}`, '0x95d89b41': abiString('USDC') },
+  [WETH]: { '0x313ce567': `0x${word('12')}`, '0x95d89b41': abiString('WETH') }
+};
+
+// A JSON-RPC node answering eth_call from CONTRACTS (reverting otherwise); /hang never answers
+function startNode() {
+  const node = http.createServer((req, res) => {
+    if (req.url === '/hang') return;
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const answers = JSON.parse(body).map(({ id, params: [{ to, data }] }) => {
+        const result = CONTRACTS[to.toLowerCase()]?.[data];
+        return result ? { jsonrpc: '2.0', id, result } : { jsonrpc: '2.0', id, error: { code: 3, message: 'execution reverted' } };
+      });
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(answers));
+    });
+  });
+  return new Promise(resolve => node.listen(0, '127.0.0.1', () => resolve(node)));
+}
+
+const REPLAY = { MARKET_DATA_MODE: 'replay', MARKET_PROVIDERS: 'geckoterminal,dexscreener', MARKET_CACHE_ENABLED: 'false' };
+let node;
+const onchain = (env = {}) => {
+  const { port } = node.address();
+  return {
+    MARKET_PROVIDERS: 'onchain',
+    MARKET_RPC_URLS: JSON.stringify({ eth: `http://127.0.0.1:${port}/`, bsc: `http://127.0.0.1:${port}/hang` }),
+    ...env
+  };
+};
+const getPool = (server, network, address, baseToken) =>
+  server.callJson('get_pool_data', { network, pool_address: address, base_token: baseToken, format: 'json' });
+
+const tests = {
+  async 'a pool keeps its base token when it fails over to a provider that lists it the other way round'() {
+    await withServer({ ...REPLAY, MARKET_FIXTURE_RATE_LIMIT_EVERY: '2' }, async (server) => {
+      const gecko = (await getPool(server, 'eth', POOL)).pool;
+      assert.strictEqual(gecko.source, 'geckoterminal');
+      assert.strictEqual(gecko.baseToken.address, WETH);
+
+      // GeckoTerminal's 429 sends this one to DexScreener, which has USDC as the base
+      const failover = (await getPool(server, 'eth', POOL)).pool;
+      assert.strictEqual(failover.source, 'dexscreener');
+      assert.strictEqual(failover.baseToken.address, WETH);
+      assert.strictEqual(failover.quoteToken.address, USDC);
+      assert(Math.abs(failover.priceInQuote - gecko.priceInQuote) / gecko.priceInQuote < 0.01, `${failover.priceInQuote} vs ${gecko.priceInQuote}`);
+      assert.strictEqual(failover.priceChange24h, null, 'price changes of the other token are dropped');
+    });
+  },
+
+  async 'base_token chooses the base token'() {
+    await withServer(REPLAY, async (server) => {
+      const { pool } = await getPool(server, 'eth', POOL, USDC);
+      assert.strictEqual(pool.source, 'geckoterminal');
+      assert.strictEqual(pool.name, 'USDC / WETH');
+      assert.strictEqual(pool.baseToken.address, USDC);
+      assert(pool.priceInQuote > 0.0003 && pool.priceInQuote < 0.0004, `USDC priced at ${pool.priceInQuote} WETH`);
+    });
+  },
+
+  async 'on-chain reads quote a pool in its stablecoin unless asked otherwise'() {
+    await withServer(onchain(), async (server) => {
+      const { pool } = await getPool(server, 'eth', V2_POOL);
+      assert.strictEqual(pool.source, 'onchain');
+      assert.strictEqual(pool.name, 'WETH / USDC');
+      assert.strictEqual(pool.priceInQuote, 3000);
+      assert.strictEqual(pool.baseToken.priceUsd, 3000);
+      assert.strictEqual(pool.reserveUsd, 6000000);
+
+      const inverted = (await getPool(server, 'eth', V2_POOL, USDC)).pool;
+      assert.strictEqual(inverted.baseToken.address, USDC);
+      assert.strictEqual(inverted.priceInQuote, 1 / 3000);
+      assert(Math.abs(inverted.quoteToken.priceUsd - 3000) < 1e-9);
+    });
+  },
+
+  async 'a pool without getReserves is unsupported and leaves the on-chain provider healthy'() {
+    await withServer(onchain(), async (server) => {
+      for (let i = 0; i < 3; i++) {
+        const { text, isError } = await server.call('get_pool_data', { network: 'eth', pool_address: V3_POOL });
+        assert(isError);
+        assert.match(text, /unsupported pool/);
+      }
+
+      const { providers } = await server.health();
+      assert.strictEqual(providers.onchain.failures, 0);
+      assert.strictEqual(providers.onchain.heldUntil, null);
+    });
+  },
+
+  async 'a provider that never answers times out and counts as failing'() {
+    await withServer(onchain({ MARKET_PROVIDER_TIMEOUT_MS: '300' }), async (server) => {
+      for (let i = 0; i < 3; i++) {
+        const startTime = Date.now();
+        const { text, isError } = await server.call('get_pool_data', { network: 'bsc', pool_address: V2_POOL });
+        assert(isError);
+        assert.match(text, /no answer within 300ms/);
+        assert(Date.now() - startTime < 5000, 'the tool call waited for the node');
+      }
+
+      const { providers } = await server.health();
+      assert.strictEqual(providers.onchain.failures, 3);
+      assert(providers.onchain.heldUntil, 'three timeouts in a row put the provider on hold');
+    });
+  }
+};
+
+runTests('Testing market data providers and failover', tests, {
+  setup: async () => { node = await startNode(); },
+  teardown: () => {
+    node?.closeAllConnections();
+    node?.close();
+  }
+});
@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+
+/**
+ * Run every MCP tool against the fixtures in ./fixtures, with no network access,
+ * and check that simulated GeckoTerminal 429s fail over to DexScreener.
+ * Run with: node test-replay.js
+ * Record the fixtures again from the live APIs with: MARKET_DATA_MODE=record node test-replay.js
+ */
+
+import assert from 'assert';
+import { runTests, withServer } from './mcp-test-client.js';
+
+// Uniswap V2 WETH/USDC on Ethereum and its two tokens
+const POOL = '0xb4e16d0168e52d35cacd2c6185b44281ec28c9dc';
+const WETH = '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2';
+const USDC = '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+
+// One call per tool, with the text a successful answer contains
+const TOOL_CALLS = [
+  ['get_networks', {}, 'Ethereum'],
+  ['get_pool_data', { network: 'eth', pool_address: POOL }, 'WETH / USDC'],
+  ['get_network_pools', { network: 'eth' }, 'WETH / USDC'],
+  ['get_ohlcv_data', { network: 'eth', pool_address: POOL, timeframe: 'hour', limit: 100 }, 'OHLCV Data'],
+  ['get_technical_indicators', { network: 'eth', pool_address: POOL, indicators: ['rsi', 'macd', 'bollinger', 'vwap'] }, '"candles": 200'],
+  ['get_indicator', { network: 'eth', pool_address: POOL, indicator: 'atr' }, '"name": "atr"'],
+  ['get_token_prices', { network: 'eth', token_addresses: [WETH, USDC] }, '3012.5'],
+  ['search_pools', { query: 'WETH', network: 'eth' }, 'WETH / USDC'],
+  ['get_new_pools', { network: 'eth' }, 'PEPE2'],
+  ['get_trending_pools', { network: 'eth' }, 'PEPE2'],
+  ['get_new_tokens', { network: 'eth', count: 3 }, 'DUCKY']
+];
+
+// DexScreener only answers when GeckoTerminal doesn't, so it is recorded on its own
+const FAILOVER_CALLS = [
+  ['get_pool_data', { network: 'eth', pool_address: POOL, format: 'json' }],
+  ['get_token_prices', { network: 'eth', token_addresses: [WETH, USDC], format: 'json' }]
+];
+
+const REPLAY = { MARKET_DATA_MODE: 'replay', MARKET_PROVIDERS: 'geckoterminal,dexscreener' };
+
+const tests = {
+  async 'every listed tool is covered'() {
+    await withServer(REPLAY, async (server) => {
+      assert.deepStrictEqual((await server.listTools()).sort(), TOOL_CALLS.map(([tool]) => tool).sort());
+    });
+  },
+
+  async 'every tool answers from the fixtures'() {
+    await withServer(REPLAY, async (server) => {
+      for (const [tool, args, expected] of TOOL_CALLS) {
+        const { text, isError } = await server.call(tool, args);
+        assert(!isError, `${tool} failed: ${text}`);
+        assert(text.includes(expected), `${tool} answered without "${expected}":\n${text.slice(0, 500)}`);
+      }
+    });
+  },
+
+  async 'a rate-limited pool lookup fails over to DexScreener'() {
+    await withServer({ ...REPLAY, MARKET_FIXTURE_RATE_LIMIT_EVERY: '2', MARKET_CACHE_ENABLED: 'false' }, async (server) => {
+      const first = await server.callJson('get_pool_data', { network: 'eth', pool_address: POOL, format: 'json' });
+      assert.strictEqual(first.pool.source, 'geckoterminal');
+
+      // Request 2 is GeckoTerminal's 429, request 3 DexScreener's answer
+      const second = await server.callJson('get_pool_data', { network: 'eth', pool_address: POOL, format: 'json' });
+      assert.strictEqual(second.pool.source, 'dexscreener');
+      assert.deepStrictEqual(second.attempts.map(attempt => [attempt.provider, attempt.ok]), [['geckoterminal', false], ['dexscreener', true]]);
+      assert.match(second.attempts[0].error, /Too Many Requests/);
+
+      const { providers } = await server.health();
+      assert.strictEqual(providers.geckoterminal.rateLimited, 1);
+      assert(providers.geckoterminal.heldUntil, 'GeckoTerminal is on hold after its 429');
+    });
+  },
+
+  async 'a rate limit with no provider to fail over to is reported'() {
+    await withServer({ ...REPLAY, MARKET_FIXTURE_RATE_LIMIT_EVERY: '1' }, async (server) => {
+      const { text, isError } = await server.call('get_networks');
+      assert(isError);
+      assert.match(text, /Too Many Requests/);
+    });
+  }
+};
+
+async function record() {
+  console.log('💾 Recording fixtures\n');
+  await withServer({ MARKET_DATA_MODE: 'record', MARKET_CACHE_ENABLED: 'false' }, async (server) => {
+    for (const [tool, args] of TOOL_CALLS) {
+      const { isError, text } = await server.call(tool, args);
+      console.log(`${isError ? '❌' : '✅'} ${tool}${isError ? `: ${text}` : ''}`);
+    }
+  });
+  await withServer({ MARKET_DATA_MODE: 'record', MARKET_PROVIDERS: 'dexscreener' }, async (server) => {
+    for (const [tool, args] of FAILOVER_CALLS) {
+      const { isError, text } = await server.call(tool, args);
+      console.log(`${isError ? '❌' : '✅'} ${tool} (dexscreener)${isError ? `: ${text}` : ''}`);
+    }
+  });
+}
+
+if (process.env.MARKET_DATA_MODE === 'record') {
+  record();
+} else {
+  runTests('Testing the MCP tools against recorded fixtures', tests);
+}